@@ -88,6 +88,20 @@ Date of judgment: 15/01/2023
   }
 }
 
+// Uploads and rescans are processed as background jobs; poll until done
+async function waitForJob(jobId) {
+  let job;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    job = (await apiClient.get(`/api/jobs/${jobId}`)).data;
+  } while (['queued', 'running'].includes(job.status));
+
+  if (job.status !== 'completed') {
+    throw new Error(`Processing job ${job.status}: ${job.error || ''}`);
+  }
+  return job.result;
+}
+
 async function step1_GetCaseId() {
   log.step(1, 'Get or create a case to upload documents to');
   
@@ -143,14 +157,16 @@ async function step2_UploadDocument(caseId) {
     );
     
     log.success('Document uploaded successfully');
+    log.info(`Scanning in background job ${response.data.jobId}...`);
+    const scan = await waitForJob(response.data.jobId);
     console.log(`
-Quality Score: ${response.data.document.quality}/100
+Quality Score: ${scan.quality}/100
 Extracted Info:
-  - Case Number: ${response.data.document.extractedInfo.caseNumber || 'Not found'}
-  - Court: ${response.data.document.extractedInfo.courtName || 'Not found'}
-  - IPC Sections: ${response.data.document.extractedInfo.ipcSections.join(', ') || 'None found'}
-  - Judges: ${response.data.document.extractedInfo.judges.join(', ') || 'None found'}
-  - Dates: ${response.data.document.extractedInfo.dates.join(', ') || 'None found'}
+  - Case Number: ${scan.keyInfo.caseNumber || 'Not found'}
+  - Court: ${scan.keyInfo.courtName || 'Not found'}
+  - IPC Sections: ${scan.keyInfo.ipcSections.join(', ') || 'None found'}
+  - Judges: ${scan.keyInfo.judges.join(', ') || 'None found'}
+  - Dates: ${scan.keyInfo.dates.join(', ') || 'None found'}
 
 Document URL: ${response.data.document.url}
 Documents remaining quota: ${response.data.limitRemaining}
@@ -248,12 +264,12 @@ async function step5_RescanDocument(caseId, docId) {
   try {
     log.info('Rescanning document...');
     const response = await apiClient.post(`/api/documents/${caseId}/${docId}/rescan`);
+    const scan = await waitForJob(response.data.jobId);
     
     log.success('Document rescanned');
     console.log(`
-Updated Quality: ${response.data.document.quality}/100
-Last Rescan: ${response.data.document.lastRescan}
-IPC Sections: ${response.data.document.keyInfo.ipcSections.join(', ') || 'None'}
+Updated Quality: ${scan.quality}/100
+IPC Sections: ${scan.keyInfo.ipcSections.join(', ') || 'None'}
     `);
   } catch (error) {
     log.error(`Rescan failed: ${error.response?.data?.error || error.message}`);
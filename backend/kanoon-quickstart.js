@@ -89,26 +89,41 @@ async function step3_SyncCases(queries) {
     log.info(`Syncing with ${syncQueries.length} queries...`);
     console.log(`  Queries: ${syncQueries.join(', ')}\n`);
     
-    const response = await apiClient.post('/api/kanoon/sync', {
+    const queued = await apiClient.post('/api/kanoon/sync', {
       queries: syncQueries,
       limit: 5,
       autoIndex: true
     });
-    
-    log.success(response.data.message);
+    log.info(`Sync running as background job ${queued.data.jobId}`);
+
+    // Poll the job until it finishes
+    let job;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      job = (await apiClient.get(`/api/jobs/${queued.data.jobId}`)).data;
+      if (job.progress?.message) log.info(`${job.progress.message} (${job.progress.current}/${job.progress.total})`);
+    } while (['queued', 'running'].includes(job.status));
+
+    if (job.status !== 'completed') {
+      log.error(`Sync job ${job.status}: ${job.error || ''}`);
+      return null;
+    }
+
+    const result = job.result;
+    log.success(result.message);
     console.log('\nSync Statistics:');
-    console.log(`  • Cases Indexed: ${response.data.statistics.indexed}`);
-    console.log(`  • Embeddings Created: ${response.data.statistics.embeddingsIndexed}`);
-    console.log(`  • Failed: ${response.data.statistics.failed}`);
+    console.log(`  • Cases Indexed: ${result.statistics.indexed}`);
+    console.log(`  • Embeddings Created: ${result.statistics.embeddingsIndexed}`);
+    console.log(`  • Failed: ${result.statistics.failed}`);
     
-    if (response.data.errors && response.data.errors.length > 0) {
-      log.warn(`${response.data.errors.length} errors occurred (showing first 3):`);
-      response.data.errors.slice(0, 3).forEach(err => {
+    if (result.errors && result.errors.length > 0) {
+      log.warn(`${result.errors.length} errors occurred (showing first 3):`);
+      result.errors.slice(0, 3).forEach(err => {
         console.log(`    - ${err.error}`);
       });
     }
     
-    return response.data;
+    return result;
   } catch (error) {
     log.error(`Failed to sync cases: ${error.message}`);
     return null;
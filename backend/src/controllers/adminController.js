@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const adminService = require('../services/adminService');
+const { jobQueue } = require('../services/jobQueue');
+const { listWatermarks } = require('../services/kanoonIngestionService');
+const { notify } = require('../services/notificationService');
+
+const USER_TYPES = User.schema.path('userType').enumValues;
+
+const pageOptions = (query) => ({
+  limit: Math.min(parseInt(query.limit) || 20, 100),
+  skip: Math.max(parseInt(query.skip) || 0, 0)
+});
+
+// "true" / "false" query values; anything else means no filter
+const booleanQuery = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+const validId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Users, lawyers, cases, subscriptions, precedents and jobs at a glance
+const getStats = async (req, res) => {
+  try {
+    res.status(200).json(await adminService.getPlatformStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/users?q=&userType=&limit=&skip=
+const listUsers = async (req, res) => {
+  try {
+    const { q, userType } = req.query;
+    res.status(200).json(await adminService.listUsers({ q, userType, ...pageOptions(req.query) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const getUser = async (req, res) => {
+  try {
+    const user = validId(req.params.userId) ? await adminService.getUserDetail(req.params.userId) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(200).json(user);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Change a user's account type, e.g. promote to admin
+const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { userType } = req.body || {};
+
+    if (!USER_TYPES.includes(userType)) {
+      return res.status(400).json({ error: `userType must be one of: ${USER_TYPES.join(', ')}` });
+    }
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'Admins cannot change their own account type' });
+    }
+
+    const user = validId(userId)
+      ? await User.findByIdAndUpdate(userId, { $set: { userType, updatedAt: new Date() } }, { new: true })
+      : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await notify(user._id, {
+      type: 'account.role_changed',
+      title: 'Account type changed',
+      message: `Your account is now a ${userType} account. Log in again to continue.`
+    });
+
+    res.status(200).json({
+      message: 'Account type updated; the user must log in again for it to take effect',
+      user: { id: user._id, name: user.name, email: user.email, userType: user.userType }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/lawyers?q=&status=&limit=&skip=
+const listLawyers = async (req, res) => {
+  try {
+    const { q, status } = req.query;
+    res.status(200).json(await adminService.listLawyers({ q, status, ...pageOptions(req.query) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/subscriptions?tier=&active=&limit=&skip=
+const listSubscriptions = async (req, res) => {
+  try {
+    const { tier } = req.query;
+    const active = booleanQuery(req.query.active);
+    res.status(200).json(await adminService.listSubscriptions({ tier, active, ...pageOptions(req.query) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Change a user's plan without payment, e.g. for support or trials
+const updateSubscription = async (req, res) => {
+  try {
+    const { tier, isActive, endDate } = req.body || {};
+    const subscription = validId(req.params.userId)
+      ? await adminService.updateSubscription(req.params.userId, { tier, isActive, endDate })
+      : null;
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    await notify(subscription.userId, {
+      type: 'subscription.updated',
+      title: 'Subscription updated',
+      message: `Your plan is now ${subscription.tier}${subscription.isActive ? '' : ' (inactive)'}.`,
+      link: '/subscription'
+    });
+
+    res.status(200).json({ message: 'Subscription updated', subscription });
+  } catch (error) {
+    if (error.code === 'INVALID_TIER' || error.code === 'INVALID_END_DATE') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/precedents?q=&verdict=&source=&indexed=&limit=&skip=
+const listPrecedents = async (req, res) => {
+  try {
+    const { q, verdict, source } = req.query;
+    const indexed = booleanQuery(req.query.indexed);
+    res.status(200).json(await adminService.listPrecedents({ q, verdict, source, indexed, ...pageOptions(req.query) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const deletePrecedent = async (req, res) => {
+  try {
+    const removed = validId(req.params.id) ? await adminService.deletePrecedent(req.params.id) : null;
+    if (!removed) {
+      return res.status(404).json({ error: 'Precedent not found' });
+    }
+
+    res.status(200).json({ message: 'Precedent deleted', ...removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/admin/jobs?type=&status=&limit=&skip= - Jobs from every user
+const listJobs = async (req, res) => {
+  try {
+    const { type, status } = req.query;
+    res.status(200).json(await adminService.listAllJobs({ type, status, ...pageOptions(req.query) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cancel any user's job
+const cancelJob = async (req, res) => {
+  try {
+    const job = validId(req.params.id) ? await Job.findById(req.params.id).select('status').lean() : null;
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const updated = await jobQueue.cancel(job._id);
+    if (!updated) {
+      return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+
+    res.status(200).json({
+      message: updated.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      id: updated._id,
+      status: updated.status,
+      cancelRequested: updated.cancelRequested
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Saved Kanoon ingestion queries with their watermarks and last runs
+const getIngestion = async (req, res) => {
+  try {
+    const watermarks = await listWatermarks();
+    res.status(200).json({ count: watermarks.length, watermarks });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getStats,
+  listUsers,
+  getUser,
+  updateUserRole,
+  listLawyers,
+  listSubscriptions,
+  updateSubscription,
+  listPrecedents,
+  deletePrecedent,
+  listJobs,
+  cancelJob,
+  getIngestion
+};
@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Account types open to self-registration
+const REGISTERABLE_TYPES = ['lawyer', 'client'];
+
 const generateToken = (user) => {
   return jwt.sign(
     { id: user._id, userType: user.userType, email: user.email },
@@ -18,6 +21,10 @@ const register = async (req, res) => {
       return res.status(400).json({ error: 'All fields are required' });
     }
     
+    if (!REGISTERABLE_TYPES.includes(userType)) {
+      return res.status(400).json({ error: `userType must be one of: ${REGISTERABLE_TYPES.join(', ')}` });
+    }
+    
     // Check if user exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -1,117 +1,172 @@
 const Case = require('../models/Case');
-const CasePrecedent = require('../models/CasePrecedent');
-const User = require('../models/User');
-const Lawyer = require('../models/Lawyer');
-const Subscription = require('../models/Subscription');
+const { runCaseAnalysis, listCaseAnalyses, getCaseAnalysis } = require('../services/caseAnalysisService');
+const { matchLawyers, caseMatchContext } = require('../services/lawyerMatchingService');
+const { RESULTS, recordCaseOutcome } = require('../services/lawyerLedgerService');
+const { getBenchInsights } = require('../services/judgeAnalyticsService');
+const caseAccess = require('../services/caseAccessService');
 
-// Simulate AI analysis - Replace with actual ML model API call
+// caseAccessService error codes
+const ACCESS_ERROR_STATUS = {
+  INVALID_ROLE: 400,
+  INVALID_RELATIONSHIP: 400,
+  TOO_MANY_COLLABORATORS: 400,
+  USER_NOT_FOUND: 404,
+  LAWYER_NOT_FOUND: 404,
+  ALREADY_ON_CASE: 409
+};
+
+const sendAccessError = (res, error) => res
+  .status(ACCESS_ERROR_STATUS[error.code] || 500)
+  .json({ error: error.message });
+
+const toCollaborator = (entry) => ({
+  userId: entry.userId?._id || entry.userId,
+  name: entry.userId?.name,
+  email: entry.userId?.email,
+  role: entry.role,
+  relationship: entry.relationship,
+  invitedBy: entry.invitedBy,
+  invitedAt: entry.invitedAt
+});
+
+// Analyze a case (same pipeline and record as POST /api/rag/analyze/:caseId)
 const analyzeCase = async (req, res) => {
   try {
-    const { caseId } = req.params;
-    const caseData = await Case.findById(caseId);
-    
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
+    const caseData = req.caseData;
     
     // Check subscription
-    const subscription = await Subscription.findOne({ userId: req.user.id });
-    if (!subscription.features.caseAnalysis) {
+    // The case owner's plan, whoever on the case runs the analysis
+    const subscription = await caseAccess.caseSubscription(caseData);
+    if (!subscription?.features?.caseAnalysis) {
       return res.status(403).json({ error: 'Upgrade to premium for case analysis' });
     }
     
-    // Simulated AI analysis - Replace with actual API call to ML model
-    const suggestedIPCs = [
-      'IPC Section 420 - Cheating',
-      'IPC Section 406 - Criminal Breach of Trust',
-      'IPC Section 409 - Criminal Breach of Trust by Public Servant'
-    ];
-    
-    const summary = `Based on the case description and documents, this appears to be a financial fraud case. The documents suggest potential breach of trust and unauthorized transaction handling.`;
-    
-    const keyPoints = [
-      'Financial discrepancy detected',
-      'Unauthorized transaction signatures',
-      'Breach of fiduciary duty'
-    ];
-    
-    // Find similar cases
-    const similarCases = await CasePrecedent.find({
-      ipcSections: { $in: suggestedIPCs },
-      year: { $gte: 2015 }
-    }).limit(5);
-    
-    // Update case with analysis
-    caseData.aiAnalysis = {
-      suggestedIPCs,
-      confidence: 0.85,
-      summary,
-      keyPoints,
-      analyzedAt: new Date()
-    };
-    
-    caseData.similarCases = similarCases.map(sc => ({
-      caseId: sc._id,
-      similarity: 0.8,
-      outcome: sc.verdict,
-      year: sc.year,
-      lawyer: sc.lawyerInvolved[0]?.name || 'N/A',
-      citeReference: sc.caseNumber
-    }));
-    
-    await caseData.save();
+    const { record, ragAnalysis } = await runCaseAnalysis(caseData, { trigger: 'case', userId: req.user.id });
     
     res.status(200).json({
       message: 'Case analyzed successfully',
+      version: record.version,
+      caseType: caseData.caseType,
       analysis: caseData.aiAnalysis,
-      similarCases: caseData.similarCases
+      similarCases: caseData.similarCases,
+      recommendedLawyers: ragAnalysis.recommendedLawyers
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+// Stored analysis versions of a case, newest first
+const getCaseAnalyses = async (req, res) => {
+  try {
+    const caseId = req.caseData._id;
+    const analyses = await listCaseAnalyses(caseId);
+    
+    res.status(200).json({ caseId, count: analyses.length, analyses });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// One stored analysis version (:version is a number or 'latest')
+const getCaseAnalysisVersion = async (req, res) => {
+  try {
+    const { version } = req.params;
+    
+    if (version !== 'latest' && !/^\d+$/.test(version)) {
+      return res.status(400).json({ error: "version must be a number or 'latest'" });
+    }
+    
+    const analysis = await getCaseAnalysis(req.caseData._id, version);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    
+    res.status(200).json(analysis);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Get lawyer suggestions for a case
+// Query: languages=Hindi,English&city=Delhi&budget=5000&weights=specialization:2,fee:0.5
+// (preferences saved on the case apply when omitted)
 const getLawyerSuggestions = async (req, res) => {
   try {
-    const { caseId } = req.params;
-    const caseData = await Case.findById(caseId);
+    const caseData = req.caseData;
+    const { languages, city, budget, court, weights } = req.query;
+    const context = caseMatchContext(caseData, { languages, city, budget, court });
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const { weights: appliedWeights, matches } = await matchLawyers(context, { weights, limit });
+    
+    caseData.suggestedLawyers = matches.map(m => ({
+      lawyerId: m.lawyer._id,
+      matchScore: m.matchScore,
+      reason: m.reason,
+      factors: m.factors
+    }));
+    await caseData.save();
+    
+    res.status(200).json({
+      criteria: context,
+      weights: appliedWeights,
+      suggestions: matches.map(m => ({
+        lawyerId: m.lawyer._id,
+        matchScore: m.matchScore,
+        reason: m.reason,
+        factors: m.factors,
+        name: m.lawyer.userId?.name,
+        email: m.lawyer.userId?.email,
+        rating: m.lawyer.rating,
+        consultationFee: m.lawyer.consultationFee
+      }))
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_WEIGHTS') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Close a case with its outcome; the assigned lawyer's ledger records it
+const closeCase = async (req, res) => {
+  try {
+    const caseData = req.caseData;
+    const { result, court, precedentId, notes } = req.body || {};
     
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
+    if (!RESULTS.includes(result)) {
+      return res.status(400).json({ error: `result must be one of: ${RESULTS.join(', ')}` });
     }
     
-    // Find lawyers with matching specialization
-    const lawyers = await Lawyer.find({
-      specializations: caseData.caseType,
-      verificationStatus: 'verified'
-    }).sort({ rating: -1 }).limit(10);
+    if (caseData.status === 'closed') {
+      return res.status(409).json({ error: 'Case is already closed' });
+    }
     
-    const suggestions = lawyers.map(lawyer => ({
-      lawyerId: lawyer._id,
-      matchScore: Math.random() * 0.5 + 0.5, // 50-100%
-      reason: `${lawyer.experience}+ years in ${caseData.caseType}`
-    }));
+    caseData.outcome = {
+      result,
+      court,
+      precedentId: precedentId || undefined,
+      notes,
+      closedAt: new Date(),
+      closedBy: req.user.id
+    };
+    // Recorded first: an unknown precedent leaves the case open
+    const ledgerEntry = await recordCaseOutcome(caseData, { precedentId, userId: req.user.id });
     
-    caseData.suggestedLawyers = suggestions;
+    caseData.status = 'closed';
+    caseData.updatedAt = new Date();
     await caseData.save();
     
-    const lawyerDetails = await User.find({ _id: { $in: lawyers.map(l => l.userId) } });
-    
     res.status(200).json({
-      suggestions: suggestions.map(s => {
-        const lawyer = lawyers.find(l => l._id.toString() === s.lawyerId.toString());
-        const user = lawyerDetails.find(u => u._id.toString() === lawyer.userId.toString());
-        return {
-          ...s,
-          name: user.name,
-          email: user.email,
-          rating: lawyer.rating,
-          consultationFee: lawyer.consultationFee
-        };
-      })
+      message: 'Case closed',
+      outcome: caseData.outcome,
+      ledgerEntry
     });
   } catch (error) {
+    if (error.code === 'PRECEDENT_NOT_FOUND') {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 };
@@ -119,7 +174,7 @@ const getLawyerSuggestions = async (req, res) => {
 // Create new case
 const createCase = async (req, res) => {
   try {
-    const { title, description, caseType } = req.body;
+    const { title, description, caseType, court, bench, preferences } = req.body;
     
     if (!title || !description || !caseType) {
       return res.status(400).json({ error: 'Title, description, and case type are required' });
@@ -129,7 +184,10 @@ const createCase = async (req, res) => {
       clientId: req.user.id,
       title,
       description,
-      caseType
+      caseType,
+      court,
+      bench: Array.isArray(bench) ? bench : [],
+      preferences
     });
     
     await newCase.save();
@@ -153,28 +211,136 @@ const getUserCases = async (req, res) => {
   }
 };
 
+// Cases the user works on as assigned lawyer or collaborator
+const getSharedCases = async (req, res) => {
+  try {
+    const cases = await caseAccess.listSharedCases(req.user);
+    res.status(200).json(cases);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Get case details
 const getCaseDetails = async (req, res) => {
   try {
-    const { caseId } = req.params;
-    const caseData = await Case.findById(caseId)
-      .populate('clientId', 'name email phone')
-      .populate('lawyerId');
+    const caseData = await req.caseData.populate([
+      { path: 'clientId', select: 'name email phone' },
+      // Review notes and the reviewing admin stay private, as on the public profile
+      { path: 'lawyerId', select: '-verification' },
+      { path: 'collaborators.userId', select: 'name email' }
+    ]);
     
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
+    const benchInsights = await getBenchInsights(caseData);
+    res.status(200).json({
+      ...caseData.toJSON(),
+      ...(benchInsights && { benchInsights }),
+      access: { role: req.caseRole, permissions: caseAccess.permissionsFor(req.caseRole) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Owner, assigned lawyer and invited collaborators of a case
+const getCaseCollaborators = async (req, res) => {
+  try {
+    const caseData = await req.caseData.populate([
+      { path: 'clientId', select: 'name email' },
+      { path: 'lawyerId', select: 'userId', populate: { path: 'userId', select: 'name email' } },
+      { path: 'collaborators.userId', select: 'name email' }
+    ]);
     
-    res.status(200).json(caseData);
+    res.status(200).json({
+      owner: caseData.clientId,
+      lawyer: caseData.lawyerId ? { lawyerId: caseData.lawyerId._id, ...caseData.lawyerId.userId?.toJSON() } : null,
+      collaborators: caseData.collaborators.map(toCollaborator)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+// Invite a user by email: { email, role: 'viewer' | 'editor', relationship }
+const addCaseCollaborator = async (req, res) => {
+  try {
+    const { email, role, relationship } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ error: 'email is required' });
+    }
+    
+    const entry = await caseAccess.addCollaborator(req.caseData, { email, role, relationship }, req.user);
+    res.status(201).json({ message: 'Collaborator added', collaborator: toCollaborator(entry) });
+  } catch (error) {
+    sendAccessError(res, error);
+  }
+};
+
+// Change a collaborator's role: { role }
+const updateCaseCollaborator = async (req, res) => {
+  try {
+    const entry = await caseAccess.updateCollaborator(req.caseData, req.params.userId, req.body || {});
+    if (!entry) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+    
+    res.status(200).json({ message: 'Collaborator updated', collaborator: toCollaborator(entry) });
+  } catch (error) {
+    sendAccessError(res, error);
+  }
+};
+
+// Remove a collaborator; collaborators may also remove themselves
+const removeCaseCollaborator = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId !== req.user.id && !caseAccess.can(req.caseRole, 'manage_collaborators')) {
+      return res.status(403).json({ error: `Your role on this case (${req.caseRole}) does not allow this`, role: req.caseRole });
+    }
+    
+    const entry = await caseAccess.removeCollaborator(req.caseData, userId, req.user.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+    
+    res.status(200).json({ message: 'Collaborator removed', userId });
+  } catch (error) {
+    sendAccessError(res, error);
+  }
+};
+
+// Assign a verified lawyer to the case: { lawyerId }, or null to unassign
+const assignCaseLawyer = async (req, res) => {
+  try {
+    const { lawyerId } = req.body || {};
+    if (lawyerId === undefined) {
+      return res.status(400).json({ error: 'lawyerId is required (null to unassign)' });
+    }
+    
+    const lawyer = await caseAccess.assignLawyer(req.caseData, lawyerId);
+    res.status(200).json({
+      message: lawyer ? 'Lawyer assigned' : 'Lawyer unassigned',
+      lawyerId: lawyer?._id || null,
+      status: req.caseData.status
+    });
+  } catch (error) {
+    sendAccessError(res, error);
+  }
+};
+
 module.exports = {
   analyzeCase,
+  getCaseAnalyses,
+  getCaseAnalysisVersion,
   getLawyerSuggestions,
+  closeCase,
   createCase,
   getUserCases,
-  getCaseDetails
+  getSharedCases,
+  getCaseDetails,
+  getCaseCollaborators,
+  addCaseCollaborator,
+  updateCaseCollaborator,
+  removeCaseCollaborator,
+  assignCaseLawyer
 };
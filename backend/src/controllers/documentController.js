@@ -2,13 +2,18 @@
  * Document Controller - Handle document upload and management
  */
 
-const Case = require('../models/Case');
-const User = require('../models/User');
-const Subscription = require('../models/Subscription');
-const DocumentService = require('../services/documentService');
+const { caseSubscription } = require('../services/caseAccessService');
+const { jobQueue } = require('../services/jobQueue');
 const fs = require('fs');
 const path = require('path');
 
+// File fields the document-process job needs (multer's file object is not serializable as-is)
+const toJobFile = (file) => ({
+  path: file.path,
+  originalname: file.originalname,
+  size: file.size
+});
+
 /**
  * Upload document to case
  */
@@ -17,22 +22,14 @@ const uploadDocument = async (req, res) => {
     const { caseId } = req.params;
     const userId = req.user.id;
 
-    // Check if case exists
-    const caseData = await Case.findById(caseId);
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
+    // Access checked by requireCaseAccess
+    const caseData = req.caseData;
 
-    // Check if user owns the case
-    if (caseData.clientId.toString() !== userId) {
-      return res.status(403).json({ error: 'Unauthorized - Not your case' });
-    }
-
-    // Check subscription limits
-    const subscription = await Subscription.findOne({ userId });
-    if (!subscription.features.documentUpload) {
+    // Limits come from the case owner's plan, whoever uploads
+    const subscription = await caseSubscription(caseData);
+    if (!subscription?.features?.documentUpload) {
       return res.status(403).json({ 
-        error: 'Document upload not available in your subscription plan',
+        error: 'Document upload not available in the case owner\'s subscription plan',
         upgrade: 'Please upgrade to Premium or Pro plan'
       });
     }
@@ -51,31 +48,35 @@ const uploadDocument = async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Process document
-    const documentData = await DocumentService.processDocument(req.file, caseId);
-
-    // Add to case
-    const newDocument = {
-      filename: documentData.documentData.filename,
+    // Add to case; text extraction / OCR runs in the background
+    caseData.documents.push({
+      filename: req.file.originalname,
       url: `/documents/${req.file.filename}`,
       uploadedAt: new Date(),
-      type: documentData.documentData.type,
-      quality: documentData.documentData.quality,
-      extractedText: documentData.documentData.extractedText,
-      keyInfo: documentData.documentData.keyInfo,
-      metadata: documentData.documentData.extractionMetadata
-    };
-
-    caseData.documents.push(newDocument);
+      type: path.extname(req.file.originalname).toLowerCase().substring(1),
+      processingStatus: 'queued'
+    });
+    const newDocument = caseData.documents[caseData.documents.length - 1];
     await caseData.save();
 
-    res.status(201).json({
-      message: 'Document uploaded and processed successfully',
+    const job = await jobQueue.enqueue('document-process', {
+      caseId,
+      docId: newDocument._id,
+      file: toJobFile(req.file)
+    }, { createdBy: userId });
+
+    newDocument.jobId = job._id;
+    await caseData.save();
+
+    res.status(202).json({
+      message: 'Document uploaded; processing queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`,
       document: {
+        id: newDocument._id,
         filename: newDocument.filename,
         url: newDocument.url,
-        quality: newDocument.quality,
-        extractedInfo: newDocument.keyInfo,
+        processingStatus: newDocument.processingStatus,
         uploadedAt: newDocument.uploadedAt
       },
       documentCount: caseData.documents.length,
@@ -101,28 +102,23 @@ const uploadDocument = async (req, res) => {
 const getCaseDocuments = async (req, res) => {
   try {
     const { caseId } = req.params;
-    const userId = req.user.id;
-
-    const caseData = await Case.findById(caseId);
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
 
-    // Check authorization
-    if (caseData.clientId.toString() !== userId) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
+    // Access checked by requireCaseAccess
+    const caseData = req.caseData;
 
     res.status(200).json({
       caseId,
       totalDocuments: caseData.documents.length,
       documents: caseData.documents.map(doc => ({
+        id: doc._id,
         filename: doc.filename,
         url: doc.url,
         type: doc.type,
         uploadedAt: doc.uploadedAt,
         quality: doc.quality,
-        keyInfo: doc.keyInfo
+        keyInfo: doc.keyInfo,
+        processingStatus: doc.processingStatus,
+        jobId: doc.jobId
       }))
     });
 
@@ -137,17 +133,9 @@ const getCaseDocuments = async (req, res) => {
 const downloadDocument = async (req, res) => {
   try {
     const { caseId, docId } = req.params;
-    const userId = req.user.id;
 
-    const caseData = await Case.findById(caseId);
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
-
-    // Check authorization
-    if (caseData.clientId.toString() !== userId) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
+    // Access checked by requireCaseAccess
+    const caseData = req.caseData;
 
     const document = caseData.documents.find(doc => doc._id.toString() === docId);
     if (!document) {
@@ -176,17 +164,9 @@ const downloadDocument = async (req, res) => {
 const deleteDocument = async (req, res) => {
   try {
     const { caseId, docId } = req.params;
-    const userId = req.user.id;
-
-    const caseData = await Case.findById(caseId);
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
 
-    // Check authorization
-    if (caseData.clientId.toString() !== userId) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
+    // Access checked by requireCaseAccess
+    const caseData = req.caseData;
 
     const document = caseData.documents.find(doc => doc._id.toString() === docId);
     if (!document) {
@@ -220,17 +200,9 @@ const deleteDocument = async (req, res) => {
 const getDocumentAnalysis = async (req, res) => {
   try {
     const { caseId, docId } = req.params;
-    const userId = req.user.id;
-
-    const caseData = await Case.findById(caseId);
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
 
-    // Check authorization
-    if (caseData.clientId.toString() !== userId) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
+    // Access checked by requireCaseAccess
+    const caseData = req.caseData;
 
     const document = caseData.documents.find(doc => doc._id.toString() === docId);
     if (!document) {
@@ -242,6 +214,8 @@ const getDocumentAnalysis = async (req, res) => {
       type: document.type,
       uploadedAt: document.uploadedAt,
       quality: document.quality,
+      processingStatus: document.processingStatus,
+      processingError: document.processingError || null,
       analysis: {
         ipcSections: document.keyInfo?.ipcSections || [],
         courtName: document.keyInfo?.courtName || '',
@@ -266,15 +240,8 @@ const rescanDocument = async (req, res) => {
     const { caseId, docId } = req.params;
     const userId = req.user.id;
 
-    const caseData = await Case.findById(caseId);
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
-
-    // Check authorization
-    if (caseData.clientId.toString() !== userId) {
-      return res.status(403).json({ error: 'Unauthorized' });
-    }
+    // Access checked by requireCaseAccess
+    const caseData = req.caseData;
 
     const docIndex = caseData.documents.findIndex(doc => doc._id.toString() === docId);
     if (docIndex === -1) {
@@ -289,35 +256,35 @@ const rescanDocument = async (req, res) => {
       return res.status(404).json({ error: 'File not found on disk' });
     }
 
-    // Re-process document
-    const mockFile = {
-      path: filePath,
-      originalname: document.filename,
-      size: fs.statSync(filePath).size
-    };
-
-    const documentData = await DocumentService.processDocument(mockFile, caseId);
-
-    // Update document
-    const updated = {
-      ...document.toObject(),
-      quality: documentData.documentData.quality,
-      extractedText: documentData.documentData.extractedText,
-      keyInfo: documentData.documentData.keyInfo,
-      metadata: documentData.documentData.extractionMetadata,
-      lastRescanAt: new Date()
-    };
-
-    caseData.documents[docIndex] = updated;
+    if (['queued', 'processing'].includes(document.processingStatus)) {
+      return res.status(409).json({ error: 'Document is already being processed', jobId: document.jobId });
+    }
+
+    // Re-process document in the background
+    const job = await jobQueue.enqueue('document-process', {
+      caseId,
+      docId,
+      file: toJobFile({
+        path: filePath,
+        originalname: document.filename,
+        size: fs.statSync(filePath).size
+      }),
+      rescan: true
+    }, { createdBy: userId });
+
+    document.processingStatus = 'queued';
+    document.jobId = job._id;
     await caseData.save();
 
-    res.status(200).json({
-      message: 'Document rescanned successfully',
+    res.status(202).json({
+      message: 'Document rescan queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`,
       document: {
-        filename: updated.filename,
-        quality: updated.quality,
-        keyInfo: updated.keyInfo,
-        lastRescan: updated.lastRescanAt
+        id: document._id,
+        filename: document.filename,
+        processingStatus: document.processingStatus,
+        lastRescan: document.lastRescanAt || null
       }
     });
 
@@ -0,0 +1,66 @@
+jest.mock('../services/jobQueue', () => ({ jobQueue: { enqueue: jest.fn() } }));
+jest.mock('../services/notificationService', () => ({ notify: jest.fn() }));
+jest.mock('../models/Subscription', () => ({ findOne: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const { jobQueue } = require('../services/jobQueue');
+const { uploadDocument } = require('./documentController');
+
+const ownerId = new mongoose.Types.ObjectId();
+const lawyerUserId = new mongoose.Types.ObjectId();
+const PLANS = {
+  free: { tier: 'free', isActive: true, features: { documentUpload: false, maxDocuments: 0 } },
+  premium: { tier: 'premium', isActive: true, features: { documentUpload: true, maxDocuments: 5 } }
+};
+
+const respond = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Each user's plan by id
+const plans = (byUser) => Subscription.findOne.mockImplementation(async ({ userId }) => byUser[userId.toString()] || null);
+
+const upload = async (documentCount) => {
+  const documents = Array.from({ length: documentCount }, () => ({ filename: 'old.pdf' }));
+  const caseData = { _id: new mongoose.Types.ObjectId(), clientId: ownerId, documents, save: jest.fn() };
+  const res = respond();
+  await uploadDocument({
+    params: { caseId: caseData._id.toString() },
+    user: { id: lawyerUserId.toString(), userType: 'lawyer' },
+    caseData,
+    file: { originalname: 'fir.pdf', filename: 'stored.pdf', path: '/tmp/stored.pdf', size: 10 }
+  }, res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jobQueue.enqueue.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+});
+
+describe('uploadDocument', () => {
+  test('lets a lawyer on the free plan upload to a premium owner\'s case', async () => {
+    plans({ [ownerId]: PLANS.premium, [lawyerUserId]: PLANS.free });
+    const res = await upload(0);
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(Subscription.findOne).toHaveBeenCalledWith({ userId: ownerId.toString() });
+  });
+
+  test('applies the owner\'s document limit to a premium collaborator', async () => {
+    plans({ [ownerId]: PLANS.premium, [lawyerUserId]: { ...PLANS.premium, tier: 'pro', features: { documentUpload: true, maxDocuments: 50 } } });
+    const res = await upload(5);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Document limit reached (5 documents)' }));
+  });
+
+  test('refuses uploads when the owner\'s plan has none', async () => {
+    plans({ [ownerId]: PLANS.free, [lawyerUserId]: PLANS.premium });
+    const res = await upload(0);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(jobQueue.enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { jobQueue } = require('../services/jobQueue');
+
+const JOB_LIST_FIELDS = '-payload.file -history';
+
+// Jobs are visible to the user who queued them
+const findOwnJob = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Job.findOne({ _id: req.params.id, createdBy: req.user.id });
+};
+
+const toJobSummary = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  error: job.error,
+  cancelRequested: job.cancelRequested,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+// Job history for the current user, newest first
+const listJobs = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = { createdBy: req.user.id };
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const jobs = await Job.find(query)
+      .select(JOB_LIST_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      count: jobs.length,
+      jobs: jobs.map(toJobSummary)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Status, progress, result and lifecycle log of one job
+const getJob = async (req, res) => {
+  try {
+    const job = await findOwnJob(req)?.lean();
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.status(200).json({
+      ...toJobSummary(job),
+      result: job.result,
+      history: job.history
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cancel a queued job, or ask a running one to stop
+const cancelJob = async (req, res) => {
+  try {
+    const job = await findOwnJob(req)?.lean();
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const updated = await jobQueue.cancel(job._id);
+    if (!updated) {
+      return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+
+    res.status(200).json({
+      message: updated.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job: toJobSummary(updated)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listJobs,
+  getJob,
+  cancelJob
+};
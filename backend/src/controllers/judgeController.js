@@ -0,0 +1,124 @@
+const {
+  findJudge,
+  listJudges: findJudges,
+  getJudgeJudgments: findJudgeJudgments,
+  getBenchInsights
+} = require('../services/judgeAnalyticsService');
+const { jobQueue } = require('../services/jobQueue');
+
+// Judge profiles, most judgments first
+const listJudges = async (req, res) => {
+  try {
+    const { q, court } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const { judges, total } = await findJudges({ q, court, limit, skip });
+
+    res.status(200).json({ total, count: judges.length, judges });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// One judge's profile; :judge is a profile key or any form of the name
+const getJudge = async (req, res) => {
+  try {
+    const judge = await findJudge(req.params.judge);
+
+    if (!judge) {
+      return res.status(404).json({ error: 'Judge not found' });
+    }
+
+    res.status(200).json(judge);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Precedents decided by a judge
+const getJudgeJudgments = async (req, res) => {
+  try {
+    const judge = await findJudge(req.params.judge);
+
+    if (!judge) {
+      return res.status(404).json({ error: 'Judge not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const judgments = await findJudgeJudgments(judge, { limit, skip });
+
+    res.status(200).json({
+      judge: { key: judge.key, name: judge.name },
+      total: judge.judgmentCount,
+      count: judgments.length,
+      judgments
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Rebuild every judge profile from the stored precedents (background job)
+const rebuildJudgeProfiles = async (req, res) => {
+  try {
+    const job = await jobQueue.enqueue('judge-profiles', {}, { createdBy: req.user.id });
+
+    res.status(202).json({
+      message: 'Judge profile rebuild queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('Judge profile rebuild error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Record the court and bench a case is listed before
+const setCaseBench = async (req, res) => {
+  try {
+    const { court, judges } = req.body || {};
+
+    if (!Array.isArray(judges) || judges.some(name => typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'judges must be an array of judge names' });
+    }
+
+    const caseData = req.caseData;
+    caseData.bench = judges.map(name => name.trim());
+    if (court !== undefined) caseData.court = court || null;
+    caseData.updatedAt = new Date();
+    await caseData.save();
+
+    res.status(200).json({
+      court: caseData.court,
+      bench: caseData.bench,
+      benchInsights: await getBenchInsights(caseData)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Each assigned judge's record, narrowed to the case's sections
+const getCaseBenchInsights = async (req, res) => {
+  try {
+    const benchInsights = await getBenchInsights(req.caseData);
+    if (!benchInsights) {
+      return res.status(404).json({ error: 'No bench has been assigned to this case' });
+    }
+
+    res.status(200).json(benchInsights);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listJudges,
+  getJudge,
+  getJudgeJudgments,
+  rebuildJudgeProfiles,
+  setCaseBench,
+  getCaseBenchInsights
+};
@@ -1,10 +1,14 @@
 const kanoonService = require('../services/kanoonService');
 const CasePrecedent = require('../models/CasePrecedent');
 const { getVectorStore } = require('../services/vectorStoreService');
+const { jobQueue } = require('../services/jobQueue');
+const kanoonIngestion = require('../services/kanoonIngestionService');
+const kanoonCache = require('../services/kanoonCacheService');
 
 /**
  * Sync cases from IndianKanoon to our database
- * Searches for specific legal terms and indexes the results
+ * Queues a kanoon-sync job that searches for the given legal terms and
+ * indexes the results; poll /api/jobs/:jobId for progress
  */
 const syncKanoonCases = async (req, res) => {
   try {
@@ -16,40 +20,13 @@ const syncKanoonCases = async (req, res) => {
       });
     }
 
-    console.log(`Starting Kanoon sync with ${queries.length} queries`);
-
-    // Fetch and index cases
-    const result = await kanoonService.fetchAndIndexCases(queries, limit);
-
-    // Auto-index embeddings if requested
-    if (autoIndex && result.indexed > 0) {
-      const vectorStore = await getVectorStore();
-      console.log(`Auto-indexing ${result.indexed} cases into vector database...`);
-      
-      let indexedCount = 0;
-      for (const caseRecord of result.cases) {
-        try {
-          await vectorStore.indexCase(caseRecord);
-          indexedCount++;
-        } catch (error) {
-          console.error(`Failed to index embeddings for case ${caseRecord.caseNumber}:`, error.message);
-        }
-      }
-
-      result.embeddingsIndexed = indexedCount;
-    }
+    const job = await jobQueue.enqueue('kanoon-sync', { queries, limit, autoIndex }, { createdBy: req.user.id });
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: `Successfully synced ${result.indexed} cases from IndianKanoon`,
-      statistics: {
-        totalProcessed: result.indexed + result.failed,
-        indexed: result.indexed,
-        embeddingsIndexed: result.embeddingsIndexed || 0,
-        failed: result.failed,
-        queries: queries.length
-      },
-      errors: result.errors.length > 0 ? result.errors.slice(0, 5) : null
+      message: `Kanoon sync queued for ${queries.length} queries`,
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
     });
   } catch (error) {
     console.error('Kanoon sync error:', error);
@@ -93,10 +70,8 @@ const fetchSingleCase = async (req, res) => {
       });
     }
 
-    const caseData = await kanoonService.fetchCaseDetails(caseUrl);
-
-    // Save to database
-    const savedCase = await CasePrecedent.create(caseData);
+    // Fetch and save (or refresh, if already stored) with its citations
+    const { savedCase } = await kanoonService.ingestDocument(caseUrl);
 
     // Index embeddings
     const vectorStore = await getVectorStore();
@@ -156,6 +131,7 @@ const getKanoonStats = async (req, res) => {
     const kanoonCases = await CasePrecedent.countDocuments({ source: 'IndianKanoon' });
     const indexedCases = await CasePrecedent.countDocuments({ embedding: { $exists: true } });
     const ipcCoverage = await CasePrecedent.distinct('ipcSections');
+    const cache = await kanoonCache.getCacheStats();
 
     res.status(200).json({
       success: true,
@@ -165,7 +141,8 @@ const getKanoonStats = async (req, res) => {
         embeddingsIndexed: indexedCases,
         uniqueIPCSections: ipcCoverage.length,
         populationPercentage: totalCases > 0 ? ((kanoonCases / totalCases) * 100).toFixed(1) + '%' : '0%'
-      }
+      },
+      cache
     });
   } catch (error) {
     res.status(500).json({
@@ -177,47 +154,205 @@ const getKanoonStats = async (req, res) => {
 
 /**
  * Force reindex all Kanoon cases into vector database
- * Useful for updating embeddings after model changes
+ * Useful for updating embeddings after model changes. Runs as a
+ * kanoon-reindex background job.
  */
 const reindexAllKanoonCases = async (req, res) => {
   try {
-    const vectorStore = await getVectorStore();
-    const kanoonCases = await CasePrecedent.find({ source: 'IndianKanoon' });
+    const kanoonCount = await CasePrecedent.countDocuments({ source: 'IndianKanoon' });
 
-    if (kanoonCases.length === 0) {
+    if (kanoonCount === 0) {
       return res.status(400).json({
         message: 'No Kanoon cases found to reindex'
       });
     }
 
-    console.log(`Reindexing ${kanoonCases.length} Kanoon cases...`);
+    const job = await jobQueue.enqueue('kanoon-reindex', {}, { createdBy: req.user.id });
 
-    let successCount = 0;
-    let failureCount = 0;
+    res.status(202).json({
+      success: true,
+      message: `Reindexing ${kanoonCount} Kanoon cases`,
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('Reindex error:', error);
+    res.status(500).json({
+      error: 'Failed to reindex cases',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Refetch Kanoon metadata (source, URL, acts, headnotes, bench, date,
+ * parties, citations) for precedents saved before it was stored
+ */
+const backfillKanoonMetadata = async (req, res) => {
+  try {
+    const { limit = 500, matchTitles = false } = req.body;
+    const pending = await CasePrecedent.countDocuments({ sourceId: { $ne: null }, fetchedAt: null });
+
+    const job = await jobQueue.enqueue('kanoon-backfill', {
+      limit: Math.min(parseInt(limit) || 500, 5000),
+      matchTitles: matchTitles === true
+    }, { createdBy: req.user.id });
 
-    for (const caseRecord of kanoonCases) {
-      try {
-        await vectorStore.indexCase(caseRecord);
-        successCount++;
-      } catch (error) {
-        console.error(`Failed to index ${caseRecord.caseNumber}:`, error.message);
-        failureCount++;
-      }
+    res.status(202).json({
+      success: true,
+      message: `Backfill queued (${pending} precedents to refetch${matchTitles === true ? ', plus title matching' : ''})`,
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to queue backfill',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Clear cached Kanoon responses (all, or only 'search' / 'doc' responses)
+ */
+const clearKanoonCache = async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !['search', 'doc'].includes(type)) {
+      return res.status(400).json({ error: 'type must be "search" or "doc"' });
     }
 
+    const removed = await kanoonCache.clearCache(type ? `/${type}/` : null);
+
     res.status(200).json({
       success: true,
-      message: `Reindexing complete. ${successCount} succeeded, ${failureCount} failed`,
-      statistics: {
-        total: kanoonCases.length,
-        succeeded: successCount,
-        failed: failureCount
-      }
+      message: `Removed ${removed} cached responses`,
+      removed
     });
   } catch (error) {
-    console.error('Reindex error:', error);
     res.status(500).json({
-      error: 'Failed to reindex cases',
+      error: 'Failed to clear Kanoon cache',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * List saved ingestion queries with their watermarks and last run
+ */
+const getIngestionQueries = async (req, res) => {
+  try {
+    const watermarks = await kanoonIngestion.listWatermarks();
+
+    res.status(200).json({
+      success: true,
+      count: watermarks.length,
+      queries: watermarks.map(w => ({
+        id: w._id,
+        query: w.query,
+        court: w.court,
+        enabled: w.enabled,
+        lastDecisionDate: w.lastDecisionDate,
+        lastRunAt: w.lastRunAt,
+        lastRun: w.lastRun || null,
+        lastError: w.lastError,
+        totalIndexed: w.totalIndexed
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve ingestion queries',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Save a query for scheduled ingestion, one watermark per court
+ */
+const addIngestionQuery = async (req, res) => {
+  try {
+    const { query, courts } = req.body;
+
+    if (!query || query.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Missing required field: query'
+      });
+    }
+    if (courts !== undefined && !Array.isArray(courts)) {
+      return res.status(400).json({
+        error: 'courts must be an array of Kanoon doctypes (e.g. ["supremecourt", "delhi"])'
+      });
+    }
+
+    const watermarks = await kanoonIngestion.addSavedQuery(query, courts, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Saved "${query.trim()}" for ${watermarks.length} court(s)`,
+      queries: watermarks.map(w => ({ id: w._id, query: w.query, court: w.court, lastDecisionDate: w.lastDecisionDate }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to save ingestion query',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Stop ingesting a saved query (optionally for one court)
+ */
+const removeIngestionQuery = async (req, res) => {
+  try {
+    const { query, court } = req.body;
+
+    if (!query || query.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Missing required field: query'
+      });
+    }
+
+    const disabled = await kanoonIngestion.disableSavedQuery(query, court);
+    if (disabled === 0) {
+      return res.status(404).json({ error: 'Saved query not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Disabled ${disabled} saved query watermark(s)`
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to remove ingestion query',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * Run incremental ingestion now instead of waiting for the schedule
+ */
+const runIngestionNow = async (req, res) => {
+  try {
+    const { watermarkIds } = req.body;
+    const job = await kanoonIngestion.scheduleIngestion({ watermarkIds, createdBy: req.user.id });
+
+    if (!job) {
+      return res.status(409).json({
+        error: 'An ingestion run is already queued or running'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Ingestion queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to queue ingestion',
       details: error.message
     });
   }
@@ -229,5 +364,11 @@ module.exports = {
   fetchSingleCase,
   searchKanoonCases,
   getKanoonStats,
-  reindexAllKanoonCases
+  reindexAllKanoonCases,
+  backfillKanoonMetadata,
+  clearKanoonCache,
+  getIngestionQueries,
+  addIngestionQuery,
+  removeIngestionQuery,
+  runIngestionNow
 };
@@ -1,5 +1,22 @@
 const Lawyer = require('../models/Lawyer');
 const User = require('../models/User');
+const { getLawyerPerformance: buildPerformance } = require('../services/lawyerLedgerService');
+const { jobQueue } = require('../services/jobQueue');
+const { checkLicenseNumber } = require('../services/lawyerVerificationService');
+
+// Profile fields a lawyer may edit. Win/loss figures come from the outcome
+// ledger; ratings and verification are set by the platform, and the license
+// number and Bar Council are fixed at enrollment.
+const EDITABLE_PROFILE_FIELDS = [
+  'specializations',
+  'experience',
+  'bio',
+  'consultationFee',
+  'hourlyRate',
+  'languages',
+  'courts',
+  'office'
+];
 
 // Register/Create lawyer profile
 const registerLawyer = async (req, res) => {
@@ -13,6 +30,7 @@ const registerLawyer = async (req, res) => {
       hourlyRate,
       bio,
       languages,
+      courts,
       office
     } = req.body;
     
@@ -22,9 +40,14 @@ const registerLawyer = async (req, res) => {
       return res.status(400).json({ error: 'Lawyer profile already exists' });
     }
     
+    const license = checkLicenseNumber(licenseNumber, barCouncil);
+    if (!license.valid) {
+      return res.status(400).json({ error: license.error });
+    }
+    
     const lawyer = new Lawyer({
       userId: req.user.id,
-      licenseNumber,
+      licenseNumber: license.normalized,
       specializations,
       experience,
       barCouncil,
@@ -32,7 +55,9 @@ const registerLawyer = async (req, res) => {
       hourlyRate,
       bio,
       languages,
-      office
+      courts,
+      office,
+      verification: { enrollmentYear: license.enrollmentYear }
     });
     
     await lawyer.save();
@@ -49,10 +74,18 @@ const registerLawyer = async (req, res) => {
 // Update lawyer profile
 const updateLawyerProfile = async (req, res) => {
   try {
+    const rejected = Object.keys(req.body || {}).filter(field => !EDITABLE_PROFILE_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        error: `These fields cannot be edited: ${rejected.join(', ')}`,
+        editableFields: EDITABLE_PROFILE_FIELDS
+      });
+    }
+    
     const lawyer = await Lawyer.findOneAndUpdate(
       { userId: req.user.id },
-      req.body,
-      { new: true }
+      { $set: req.body },
+      { new: true, runValidators: true }
     );
     
     if (!lawyer) {
@@ -72,7 +105,8 @@ const updateLawyerProfile = async (req, res) => {
 const getLawyerProfile = async (req, res) => {
   try {
     const { lawyerId } = req.params;
-    const lawyer = await Lawyer.findById(lawyerId);
+    // Review notes and the reviewing admin are for the lawyer and admins only
+    const lawyer = await Lawyer.findById(lawyerId).select('-verification');
     
     if (!lawyer) {
       return res.status(404).json({ error: 'Lawyer not found' });
@@ -111,7 +145,7 @@ const searchLawyers = async (req, res) => {
       query.experience = { $gte: parseInt(minExperience) };
     }
     
-    const lawyers = await Lawyer.find(query).sort({ rating: -1 });
+    const lawyers = await Lawyer.find(query).select('-verification').sort({ rating: -1 });
     
     // Populate user details
     const results = await Promise.all(
@@ -143,23 +177,42 @@ const getAllLawyers = async (req, res) => {
   }
 };
 
-// Verify lawyer (admin function)
-const verifyLawyer = async (req, res) => {
+// Win rates by category, court and year from the outcome ledger
+const getLawyerPerformance = async (req, res) => {
   try {
     const { lawyerId } = req.params;
-    const { status } = req.body;
+    const lawyer = await Lawyer.findById(lawyerId).select('caseWon caseLost ledgerUpdatedAt');
     
-    const lawyer = await Lawyer.findByIdAndUpdate(
-      lawyerId,
-      { verificationStatus: status },
-      { new: true }
-    );
+    if (!lawyer) {
+      return res.status(404).json({ error: 'Lawyer not found' });
+    }
     
+    const performance = await buildPerformance(lawyer._id);
     res.status(200).json({
-      message: `Lawyer ${status} successfully`,
-      lawyer
+      lawyerId: lawyer._id,
+      ledgerUpdatedAt: lawyer.ledgerUpdatedAt || null,
+      ...performance
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Add precedent outcomes for lawyers named as counsel (background job)
+const syncLedgerFromPrecedents = async (req, res) => {
+  try {
+    const { lawyerId } = req.body || {};
+    const job = await jobQueue.enqueue('lawyer-ledger-sync', {
+      ...(lawyerId && { lawyerId })
+    }, { createdBy: req.user.id });
+    
+    res.status(202).json({
+      message: 'Ledger sync queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
     });
   } catch (error) {
+    console.error('Ledger sync error:', error);
     res.status(500).json({ error: error.message });
   }
 };
@@ -170,5 +223,6 @@ module.exports = {
   getLawyerProfile,
   searchLawyers,
   getAllLawyers,
-  verifyLawyer
+  getLawyerPerformance,
+  syncLedgerFromPrecedents
 };
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Lawyer = require('../models/Lawyer');
+const User = require('../models/User');
+const verificationService = require('../services/lawyerVerificationService');
+
+// Workflow error codes from lawyerVerificationService
+const ERROR_STATUS = {
+  INVALID_DOCUMENT_KIND: 400,
+  INVALID_ACTION: 400,
+  REASON_REQUIRED: 400,
+  INVALID_LICENSE: 400,
+  MISSING_DOCUMENTS: 400,
+  TOO_MANY_DOCUMENTS: 400,
+  UNDER_REVIEW: 409,
+  NOT_UNDER_REVIEW: 409
+};
+
+// Response messages for review decisions that do not approve
+const REVIEW_MESSAGES = {
+  reject: 'Verification rejected',
+  request_info: 'More information requested'
+};
+
+const sendError = (res, error) => {
+  const status = ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      error: error.message,
+      code: error.code,
+      ...(error.missingDocuments && { missingDocuments: error.missingDocuments })
+    });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Remove an upload the workflow did not accept
+const discardUpload = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+const findLawyerById = (lawyerId) => (mongoose.Types.ObjectId.isValid(lawyerId)
+  ? Lawyer.findById(lawyerId).select('+verificationDocuments')
+  : null);
+
+// Check a license number against its State Bar Council's format
+const checkLicense = async (req, res) => {
+  try {
+    const { licenseNumber, barCouncil } = req.query;
+    res.status(200).json(verificationService.checkLicenseNumber(licenseNumber, barCouncil));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Current lawyer's verification status, documents and history
+const getMyVerification = async (req, res) => {
+  try {
+    const lawyer = await verificationService.findLawyerForUser(req.user.id);
+    if (!lawyer) {
+      return res.status(404).json({ error: 'Lawyer profile not found' });
+    }
+
+    res.status(200).json(await verificationService.getVerificationDetail(lawyer));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Upload an enrollment certificate, identity proof or other document
+const uploadVerificationDocument = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const lawyer = await verificationService.findLawyerForUser(req.user.id);
+    if (!lawyer) {
+      discardUpload(req.file);
+      return res.status(404).json({ error: 'Lawyer profile not found' });
+    }
+
+    const doc = await verificationService.addDocument(lawyer, req.file, req.body.kind, req.user.id);
+    res.status(201).json({
+      message: 'Document uploaded',
+      document: { id: doc._id, kind: doc.kind, filename: doc.filename, size: doc.size, uploadedAt: doc.uploadedAt },
+      verificationStatus: lawyer.verificationStatus
+    });
+  } catch (error) {
+    discardUpload(req.file);
+    sendError(res, error);
+  }
+};
+
+const deleteVerificationDocument = async (req, res) => {
+  try {
+    const lawyer = await verificationService.findLawyerForUser(req.user.id);
+    if (!lawyer) {
+      return res.status(404).json({ error: 'Lawyer profile not found' });
+    }
+
+    const doc = await verificationService.removeDocument(lawyer, req.params.docId, req.user.id);
+    if (!doc) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.status(200).json({ message: 'Document removed', documentId: doc._id });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Send the uploaded documents for admin review
+const submitVerification = async (req, res) => {
+  try {
+    const lawyer = await verificationService.findLawyerForUser(req.user.id);
+    if (!lawyer) {
+      return res.status(404).json({ error: 'Lawyer profile not found' });
+    }
+
+    await verificationService.submitForReview(lawyer, req.user.id);
+    res.status(200).json({
+      message: 'Submitted for review',
+      verificationStatus: lawyer.verificationStatus,
+      verification: lawyer.verification
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Admin review queue, oldest submission first
+const getReviewQueue = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = parseInt(req.query.skip) || 0;
+
+    res.status(200).json(await verificationService.getReviewQueue({ limit, skip }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// One lawyer's verification with the full audit trail (admin)
+const getLawyerVerification = async (req, res) => {
+  try {
+    const lawyer = await findLawyerById(req.params.lawyerId);
+    if (!lawyer) {
+      return res.status(404).json({ error: 'Lawyer not found' });
+    }
+
+    res.status(200).json(await verificationService.getVerificationDetail(lawyer));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Download a verification document (admin or the lawyer themselves)
+const downloadVerificationDocument = async (req, res) => {
+  try {
+    const lawyer = await findLawyerById(req.params.lawyerId);
+    if (!lawyer) {
+      return res.status(404).json({ error: 'Lawyer not found' });
+    }
+    if (lawyer.userId.toString() !== req.user.id) {
+      // Admin access is checked against the stored account, as in requireAdmin,
+      // not the userType carried in the token
+      const user = await User.findById(req.user.id).select('userType').lean();
+      if (user?.userType !== 'admin') {
+        return res.status(403).json({ error: 'Unauthorized - Not your document' });
+      }
+    }
+
+    const doc = lawyer.verificationDocuments.id(req.params.docId);
+    const filePath = doc && verificationService.documentPath(doc);
+    if (!doc || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.download(filePath, doc.filename);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Approve, reject or request more information (admin)
+const reviewLawyer = async (req, res) => {
+  try {
+    const { action, reason } = req.body || {};
+    const lawyer = mongoose.Types.ObjectId.isValid(req.params.lawyerId)
+      ? await verificationService.reviewLawyer(req.params.lawyerId, { action, reason }, req.user.id)
+      : null;
+    if (!lawyer) {
+      return res.status(404).json({ error: 'Lawyer not found' });
+    }
+
+    res.status(200).json({
+      // A turned-down renewal leaves the lawyer verified, so report the decision
+      message: action === 'approve' ? `Verification ${lawyer.verificationStatus}` : REVIEW_MESSAGES[action],
+      verificationStatus: lawyer.verificationStatus,
+      verification: lawyer.verification
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Queue an expiry sweep now instead of waiting for the schedule (admin)
+const runExpirySweep = async (req, res) => {
+  try {
+    const job = await verificationService.scheduleExpirySweep({ createdBy: req.user.id });
+    if (!job) {
+      return res.status(409).json({ error: 'An expiry sweep is already queued or running' });
+    }
+
+    res.status(202).json({
+      message: 'Expiry sweep queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  checkLicense,
+  getMyVerification,
+  uploadVerificationDocument,
+  deleteVerificationDocument,
+  submitVerification,
+  getReviewQueue,
+  getLawyerVerification,
+  downloadVerificationDocument,
+  reviewLawyer,
+  runExpirySweep
+};
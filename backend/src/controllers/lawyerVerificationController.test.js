@@ -0,0 +1,64 @@
+jest.mock('../models/Lawyer', () => ({ findById: jest.fn() }));
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Lawyer = require('../models/Lawyer');
+const User = require('../models/User');
+const { downloadVerificationDocument } = require('./lawyerVerificationController');
+
+const lawyerUserId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+const doc = { filename: 'bar-certificate.pdf', storedName: 'stored.pdf' };
+const lawyer = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: lawyerUserId,
+  verificationDocuments: { id: () => doc }
+};
+
+const respond = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.download = jest.fn();
+  return res;
+};
+
+// The stored account type for the caller
+const storedType = (userType) => User.findById.mockReturnValue({ select: () => ({ lean: async () => userType && { userType } }) });
+
+const download = async (user) => {
+  const res = respond();
+  await downloadVerificationDocument({
+    params: { lawyerId: lawyer._id.toString(), docId: 'd1' },
+    user
+  }, res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Lawyer.findById.mockReturnValue({ select: async () => lawyer });
+  jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+});
+
+describe('downloadVerificationDocument', () => {
+  test('lets the lawyer download their own document', async () => {
+    const res = await download({ id: lawyerUserId.toString(), userType: 'lawyer' });
+    expect(res.download).toHaveBeenCalledWith(expect.any(String), 'bar-certificate.pdf');
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  test('lets a stored admin download any document', async () => {
+    storedType('admin');
+    const res = await download({ id: otherUserId.toString(), userType: 'admin' });
+    expect(res.download).toHaveBeenCalled();
+  });
+
+  test('ignores an admin userType in the token when the account is not an admin', async () => {
+    storedType('client');
+    const res = await download({ id: otherUserId.toString(), userType: 'admin' });
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.download).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const notificationService = require('../services/notificationService');
+
+// Current user's notifications, newest first
+const listNotifications = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const unreadOnly = req.query.unread === 'true';
+
+    const { notifications, unread } = await notificationService.listNotifications(req.user.id, { unreadOnly, limit });
+    res.status(200).json({ count: notifications.length, unread, notifications });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await notificationService.markRead(req.user.id, req.params.id)
+      : null;
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.status(200).json(notification);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const marked = await notificationService.markAllRead(req.user.id);
+    res.status(200).json({ message: 'Notifications marked as read', marked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,87 @@
+const OutcomeModel = require('../models/OutcomeModel');
+const { predictCaseOutcome } = require('../services/outcomePredictionService');
+const { jobQueue } = require('../services/jobQueue');
+
+// Active outcome model: version, training samples and test metrics
+const getOutcomeModel = async (req, res) => {
+  try {
+    const model = await OutcomeModel.findOne({ status: 'active' })
+      .sort({ version: -1 })
+      .select('-poolIds')
+      .lean();
+
+    if (!model) {
+      return res.status(404).json({ error: 'No outcome model has been trained yet' });
+    }
+
+    // Strongest learned features, for inspection
+    const topFeatures = model.featureNames
+      .map((feature, i) => ({ feature, weight: model.weights[i] }))
+      .filter(({ feature }) => feature !== 'bias')
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+      .slice(0, 15);
+
+    res.status(200).json({
+      version: model.version,
+      trainedAt: model.trainedAt,
+      samples: model.samples,
+      baseRate: model.baseRate,
+      featureCount: model.featureNames.length,
+      calibration: model.calibration,
+      metrics: model.metrics,
+      topFeatures
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Train a new model version from classified precedents (background job)
+const trainOutcomeModel = async (req, res) => {
+  try {
+    const { maxSamples } = req.body || {};
+    const job = await jobQueue.enqueue('outcome-train', {
+      // Omitted: OUTCOME_MAX_SAMPLES decides
+      ...(maxSamples !== undefined && { maxSamples: Math.min(parseInt(maxSamples) || 2000, 5000) })
+    }, { createdBy: req.user.id });
+
+    res.status(202).json({
+      message: 'Outcome model training queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('Outcome training error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Predict a case's outcome and store it with the case analysis
+const predictOutcomeForCase = async (req, res) => {
+  try {
+    const { side = 'appellant', court } = req.body || {};
+
+    if (!['appellant', 'respondent'].includes(side)) {
+      return res.status(400).json({ error: "side must be 'appellant' or 'respondent'" });
+    }
+
+    const caseData = req.caseData;
+    const prediction = await predictCaseOutcome(caseData, { side, court });
+    caseData.set('aiAnalysis.outcomePrediction', prediction);
+    await caseData.save();
+
+    res.status(200).json({ caseId: caseData._id, prediction });
+  } catch (error) {
+    if (error.code === 'NO_OUTCOME_MODEL') {
+      return res.status(409).json({ error: error.message, trainUrl: '/api/outcome-model/train' });
+    }
+    console.error('Outcome prediction error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getOutcomeModel,
+  trainOutcomeModel,
+  predictOutcomeForCase
+};
@@ -0,0 +1,156 @@
+const {
+  getCitations,
+  findPrecedent,
+  computeAuthorityScores
+} = require('../services/citationGraphService');
+const { classifyAllTreatments, treatmentWarning } = require('../services/precedentTreatmentService');
+const { jobQueue } = require('../services/jobQueue');
+const CasePrecedent = require('../models/CasePrecedent');
+
+const listCitations = (direction) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const result = await getCitations(id, direction, { limit });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Precedent not found' });
+    }
+
+    res.status(200).json({
+      precedent: result.precedent
+        ? { id: result.precedent._id, title: result.precedent.title, sourceId: result.sourceId }
+        : { id: null, title: null, sourceId: result.sourceId },
+      count: result.cases.length,
+      cases: result.cases
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cases that cite this precedent
+const getCitingCases = listCitations('citing');
+
+// Cases this precedent cites
+const getCitedCases = listCitations('cited');
+
+// Authority score and its rank among all precedents
+const getAuthority = async (req, res) => {
+  try {
+    const precedent = await findPrecedent(req.params.id);
+
+    if (!precedent) {
+      return res.status(404).json({ error: 'Precedent not found' });
+    }
+
+    const [higher, total] = await Promise.all([
+      CasePrecedent.countDocuments({ authorityScore: { $gt: precedent.authorityScore || 0 } }),
+      CasePrecedent.countDocuments({})
+    ]);
+
+    res.status(200).json({
+      id: precedent._id,
+      title: precedent.title,
+      sourceId: precedent.sourceId,
+      authorityScore: precedent.authorityScore || 0,
+      citedByCount: precedent.citedByCount || 0,
+      treatment: precedent.treatment?.status || 'good_law',
+      warning: treatmentWarning(precedent),
+      rank: higher + 1,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Most authoritative precedents
+const getTopAuthorities = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const precedents = await CasePrecedent.find({ authorityScore: { $gt: 0 } })
+      .sort({ authorityScore: -1 })
+      .limit(limit)
+      .select('caseNumber title year court verdict sourceId authorityScore citedByCount');
+
+    res.status(200).json({ count: precedents.length, precedents });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Recompute PageRank authority over the whole citation graph
+const recomputeAuthority = async (req, res) => {
+  try {
+    const stats = await computeAuthorityScores();
+    res.status(200).json({ message: 'Authority scores recomputed', ...stats });
+  } catch (error) {
+    console.error('Authority scoring error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Precedents flagged as overruled / per incuriam (?status=caution for doubted or distinguished)
+const getFlaggedPrecedents = async (req, res) => {
+  try {
+    const status = req.query.status === 'caution' ? 'caution' : 'negative';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const precedents = await CasePrecedent.find({ 'treatment.status': status })
+      .sort({ 'treatment.updatedAt': -1 })
+      .limit(limit)
+      .select('caseNumber title year court sourceId treatment');
+
+    res.status(200).json({
+      status,
+      count: precedents.length,
+      precedents: precedents.map(p => ({ ...p.toObject(), warning: treatmentWarning(p) }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Reclassify every citation edge whose citing judgment is stored locally
+const reclassifyTreatments = async (req, res) => {
+  try {
+    const stats = await classifyAllTreatments();
+    res.status(200).json({ message: 'Treatments reclassified', ...stats });
+  } catch (error) {
+    console.error('Treatment classification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Classify precedent verdicts from their operative orders (background job)
+const classifyVerdicts = async (req, res) => {
+  try {
+    const { limit = 500, useLLM, reclassify = false } = req.body || {};
+    const job = await jobQueue.enqueue('verdict-classify', {
+      limit: Math.min(parseInt(limit) || 500, 5000),
+      // Omitted: VERDICT_LLM_FALLBACK decides
+      ...(useLLM !== undefined && { useLLM: Boolean(useLLM) }),
+      reclassify: Boolean(reclassify)
+    }, { createdBy: req.user.id });
+
+    res.status(202).json({
+      message: 'Verdict classification queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('Verdict classification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getCitingCases,
+  getCitedCases,
+  getAuthority,
+  getTopAuthorities,
+  recomputeAuthority,
+  getFlaggedPrecedents,
+  reclassifyTreatments,
+  classifyVerdicts
+};
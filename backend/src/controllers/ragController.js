@@ -1,64 +1,29 @@
-const Case = require('../models/Case');
 const CasePrecedent = require('../models/CasePrecedent');
-const { analyzeWithRAG, compareWithPrecedents } = require('../services/ragService');
+const { compareWithPrecedents } = require('../services/ragService');
 const { getVectorStore } = require('../services/vectorStoreService');
-const Subscription = require('../models/Subscription');
+const { hybridSearch } = require('../services/searchService');
+const { treatmentWarning } = require('../services/precedentTreatmentService');
+const { jobQueue } = require('../services/jobQueue');
+const { runCaseAnalysis } = require('../services/caseAnalysisService');
+const { caseSubscription } = require('../services/caseAccessService');
 
 // RAG-powered case analysis
 const analyzeCaseWithRAG = async (req, res) => {
   try {
-    const { caseId } = req.params;
-    const caseData = await Case.findById(caseId);
+    const caseData = req.caseData;
 
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
-
-    // Check subscription
-    const subscription = await Subscription.findOne({ userId: req.user.id });
+    // The case owner's plan, whoever on the case runs the analysis
+    const subscription = await caseSubscription(caseData);
     if (!subscription?.features?.caseAnalysis) {
       return res.status(403).json({ error: 'Upgrade to premium for RAG analysis' });
     }
 
-    // Perform RAG analysis with auto-classification
-    const ragAnalysis = await analyzeWithRAG(
-      caseData.description,
-      caseData.caseType === 'General' ? null : caseData.caseType
-    );
-
-    // Update case type if auto-detected
-    if (ragAnalysis.caseType && (!caseData.caseType || caseData.caseType === 'General')) {
-      caseData.caseType = ragAnalysis.caseType;
-    }
-
-    // Update case with enhanced analysis
-    caseData.aiAnalysis = {
-      suggestedIPCs: ragAnalysis.analysis.suggestedIPCs,
-      confidence: ragAnalysis.analysis.confidence,
-      summary: ragAnalysis.analysis.summary,
-      keyPoints: ragAnalysis.analysis.analysis.split('\n').filter(p => p.trim()).slice(0, 5),
-      keyArguments: ragAnalysis.analysis.keyArguments,
-      riskLevel: ragAnalysis.analysis.riskLevel,
-      recommendations: ragAnalysis.analysis.recommendations,
-      analyzedAt: new Date()
-    };
-
-    // Store similar cases found
-    if (ragAnalysis.retrievedCases && ragAnalysis.retrievedCases.length > 0) {
-      caseData.similarCases = ragAnalysis.retrievedCases.map(rc => ({
-        caseId: rc.caseId,
-        similarity: rc.similarity,
-        outcome: rc.verdict || 'Precedent case',
-        year: new Date().getFullYear(), // Placeholder if year not in vector store
-        lawyer: 'Precedent',
-        citeReference: rc.caseNumber
-      }));
-    }
-
-    await caseData.save();
+    // Same pipeline and versioned record as POST /api/cases/:caseId/analyze
+    const { record, ragAnalysis } = await runCaseAnalysis(caseData, { trigger: 'rag', userId: req.user.id });
 
     res.status(200).json({
       message: 'RAG analysis completed successfully',
+      version: record.version,
       caseType: caseData.caseType,
       analysis: caseData.aiAnalysis,
       similarCases: caseData.similarCases,
@@ -74,13 +39,8 @@ const analyzeCaseWithRAG = async (req, res) => {
 // Get similar cases using RAG vector search
 const getSimilarCasesWithRAG = async (req, res) => {
   try {
-    const { caseId } = req.params;
     const { limit = 5 } = req.query;
-
-    const caseData = await Case.findById(caseId);
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
+    const caseData = req.caseData;
 
     // Search using vector store
     const vectorStore = await getVectorStore();
@@ -90,7 +50,7 @@ const getSimilarCasesWithRAG = async (req, res) => {
     // Fetch full case details
     const casePrecedents = await CasePrecedent.find({
       _id: { $in: similarCases.map(sc => sc.caseId) }
-    }).select('caseNumber title year court verdict ipcSections summary');
+    }).select('caseNumber title year court verdict verdictBasis ipcSections summary');
 
     res.status(200).json({
       count: casePrecedents.length,
@@ -101,6 +61,8 @@ const getSimilarCasesWithRAG = async (req, res) => {
         year: cp.year,
         court: cp.court,
         verdict: cp.verdict,
+        verdictConfidence: cp.verdictBasis?.confidence ?? null,
+        verdictBasis: cp.verdictBasis?.sentence || null,
         ipcSections: cp.ipcSections,
         similarity: similarCases[idx]?.similarity || 0.85
       }))
@@ -114,12 +76,7 @@ const getSimilarCasesWithRAG = async (req, res) => {
 // Compare case with precedents
 const compareWithPrecedentsRAG = async (req, res) => {
   try {
-    const { caseId } = req.params;
-    const caseData = await Case.findById(caseId);
-
-    if (!caseData) {
-      return res.status(404).json({ error: 'Case not found' });
-    }
+    const caseData = req.caseData;
 
     // Get similar cases first
     const vectorStore = await getVectorStore();
@@ -152,7 +109,9 @@ const compareWithPrecedentsRAG = async (req, res) => {
         caseNumber: p.caseNumber,
         title: p.title,
         year: p.year,
-        verdict: p.verdict
+        verdict: p.verdict,
+        treatment: p.treatment?.status || 'good_law',
+        warning: treatmentWarning(p)
       })),
       comparison
     });
@@ -162,6 +121,46 @@ const compareWithPrecedentsRAG = async (req, res) => {
   }
 };
 
+// Hybrid lexical + semantic precedent search
+const searchPrecedents = async (req, res) => {
+  try {
+    const { q, court, yearFrom, yearTo, verdict, section, limit = 10 } = req.query;
+
+    if (!q || q.trim().length === 0) {
+      return res.status(400).json({ error: 'Missing required query parameter: q' });
+    }
+
+    const results = await hybridSearch(q, {
+      filters: { court, yearFrom, yearTo, verdict, section },
+      limit: Math.min(parseInt(limit) || 10, 50)
+    });
+
+    res.status(200).json({
+      query: q,
+      count: results.length,
+      cases: results.map(r => ({
+        id: r.caseId,
+        caseNumber: r.caseNumber,
+        title: r.title,
+        year: r.year,
+        court: r.court,
+        verdict: r.verdict,
+        ipcSections: r.ipcSections,
+        score: r.score,
+        lexicalRank: r.lexicalRank,
+        semanticRank: r.semanticRank,
+        similarity: r.similarity,
+        treatment: r.treatment,
+        treatmentWarning: r.treatmentWarning,
+        passages: r.passages
+      }))
+    });
+  } catch (error) {
+    console.error('Hybrid search error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Index a single case for RAG
 const indexCaseForRAG = async (req, res) => {
   try {
@@ -191,15 +190,15 @@ const indexCaseForRAG = async (req, res) => {
   }
 };
 
-// Index all cases for RAG
+// Index all cases for RAG (background job)
 const indexAllCasesForRAG = async (req, res) => {
   try {
-    const vectorStore = await getVectorStore();
-    const count = await vectorStore.indexAllCases();
+    const job = await jobQueue.enqueue('rag-index-all', {}, { createdBy: req.user.id });
 
-    res.status(200).json({
-      message: 'Cases indexed successfully',
-      count
+    res.status(202).json({
+      message: 'Indexing queued',
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`
     });
   } catch (error) {
     console.error('Bulk indexing error:', error);
@@ -228,6 +227,7 @@ module.exports = {
   analyzeCaseWithRAG,
   getSimilarCasesWithRAG,
   compareWithPrecedentsRAG,
+  searchPrecedents,
   indexCaseForRAG,
   indexAllCasesForRAG,
   getRagStats
@@ -0,0 +1,90 @@
+const {
+  getSection,
+  searchSections,
+  listActs,
+  loadStatutes,
+  describeClassification
+} = require('../services/statuteService');
+const { formatDual } = require('../services/statuteConcordanceService');
+
+const toResponse = (section) => ({
+  act: section.act,
+  actName: section.actName,
+  section: section.section,
+  label: formatDual(section.act, section.section),
+  chapter: section.chapter,
+  title: section.title,
+  text: section.text,
+  punishment: section.punishment,
+  cognizable: section.cognizable,
+  bailable: section.bailable,
+  compoundable: section.compoundable,
+  triableBy: section.triableBy,
+  classification: describeClassification(section) || null
+});
+
+// List acts with loaded sections
+const getActs = async (req, res) => {
+  try {
+    const acts = await listActs();
+    res.status(200).json({ acts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Search sections: ?q=cheating&act=IPC&limit=20
+const searchStatutes = async (req, res) => {
+  try {
+    const { q, act, limit = 20 } = req.query;
+
+    if (!q && !act) {
+      return res.status(400).json({ error: 'Provide a search query (q) or an act' });
+    }
+
+    const sections = await searchSections({ q, act, limit: parseInt(limit) || 20 });
+    res.status(200).json({ count: sections.length, sections: sections.map(toResponse) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Section text, punishment and classification, with its IPC/BNS counterpart
+const getStatuteSection = async (req, res) => {
+  try {
+    const { act, section } = req.params;
+    const result = await getSection(act, section);
+
+    if (!result) {
+      return res.status(404).json({ error: `Section ${section} of ${act} not found` });
+    }
+
+    const equivalent = result.equivalent;
+    res.status(200).json({
+      ...toResponse(result),
+      equivalent: equivalent
+        ? (equivalent.text ? toResponse(equivalent) : { act: equivalent.act, section: equivalent.section })
+        : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Re-read the bare-act files into the database
+const reloadStatutes = async (req, res) => {
+  try {
+    const result = await loadStatutes();
+    res.status(200).json({ message: 'Statutes reloaded', ...result });
+  } catch (error) {
+    console.error('Statute reload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getActs,
+  searchStatutes,
+  getStatuteSection,
+  reloadStatutes
+};
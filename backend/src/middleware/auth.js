@@ -30,6 +30,24 @@ const requireClient = (req, res, next) => {
   next();
 };
 
+// Tokens last for days, so the account type is read from the database: an
+// admin who is demoted loses access at once
+const requireAdmin = async (req, res, next) => {
+  try {
+    const User = require('../models/User');
+    const user = await User.findById(req.user.id).select('userType').lean();
+
+    if (user?.userType !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can access this resource' });
+    }
+
+    req.user.userType = user.userType;
+    next();
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
 const requireSubscription = (tier) => {
   return async (req, res, next) => {
     const Subscription = require('../models/Subscription');
@@ -51,5 +69,6 @@ module.exports = {
   authMiddleware,
   requireLawyer,
   requireClient,
+  requireAdmin,
   requireSubscription
 };
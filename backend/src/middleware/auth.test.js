@@ -0,0 +1,36 @@
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+
+const User = require('../models/User');
+const { requireAdmin } = require('./auth');
+
+const respond = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const storedType = (userType) => User.findById.mockReturnValue({
+  select: () => ({ lean: async () => (userType ? { userType } : null) })
+});
+
+describe('requireAdmin', () => {
+  test('lets a current admin through', async () => {
+    storedType('admin');
+    const next = jest.fn();
+    await requireAdmin({ user: { id: 'u1', userType: 'admin' } }, respond(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test.each([
+    ['a demoted admin with an old token', 'client'],
+    ['a deleted user', null]
+  ])('refuses %s', async (_, userType) => {
+    storedType(userType);
+    const res = respond();
+    const next = jest.fn();
+    await requireAdmin({ user: { id: 'u1', userType: 'admin' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
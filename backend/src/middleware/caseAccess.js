@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const { resolveCaseRole, can, caseSubscription } = require('../services/caseAccessService');
+
+/**
+ * Load the case in req.params.caseId and check the user's permission on it
+ * (see services/caseAccessService.js). Runs after authMiddleware; sets
+ * req.caseData and req.caseRole for the controller.
+ *
+ * @param {string} permission - 'view' | 'edit' | 'manage_collaborators' | 'manage_case'
+ */
+const requireCaseAccess = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const { caseId } = req.params;
+      const caseData = mongoose.Types.ObjectId.isValid(caseId) ? await Case.findById(caseId) : null;
+      if (!caseData) {
+        return res.status(404).json({ error: 'Case not found' });
+      }
+
+      const role = await resolveCaseRole(caseData, req.user);
+      if (!role) {
+        // Same answer as a missing case, so case ids cannot be probed
+        return res.status(404).json({ error: 'Case not found' });
+      }
+      if (!can(role, permission)) {
+        return res.status(403).json({ error: `Your role on this case (${role}) does not allow this`, role });
+      }
+
+      req.caseData = caseData;
+      req.caseRole = role;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
+
+/**
+ * Check the case owner's plan (not the caller's), so an assigned lawyer or
+ * collaborator works under the client's subscription. Runs after
+ * requireCaseAccess.
+ *
+ * @param {string} tier - Plan required, e.g. 'premium'
+ */
+const requireCaseSubscription = (tier) => {
+  return async (req, res, next) => {
+    try {
+      const subscription = await caseSubscription(req.caseData);
+
+      if (!subscription || !subscription.isActive) {
+        return res.status(403).json({ error: 'The case owner needs a subscription' });
+      }
+
+      if (tier && subscription.tier !== tier && tier !== 'free') {
+        return res.status(403).json({ error: 'The case owner needs a premium subscription' });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
+
+module.exports = {
+  requireCaseAccess,
+  requireCaseSubscription
+};
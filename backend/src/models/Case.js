@@ -11,6 +11,33 @@ const caseSchema = new mongoose.Schema({
     ref: 'Lawyer',
     default: null
   },
+  // Invited users, e.g. junior associates or co-counsel; access by role is
+  // decided in services/caseAccessService.js
+  collaborators: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor'],
+      default: 'viewer'
+    },
+    relationship: {
+      type: String,
+      enum: ['junior_associate', 'co_counsel', 'other'],
+      default: 'other'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   title: {
     type: String,
     required: [true, 'Case title is required']
@@ -29,40 +56,212 @@ const caseSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'critical'],
     default: 'medium'
   },
+  // Court and bench the case is listed before, once known (bench insights)
+  court: {
+    type: String,
+    default: null
+  },
+  bench: [String],
+  // Client preferences for lawyer matching (see services/lawyerMatchingService.js)
+  preferences: {
+    languages: [String],
+    city: String,
+    // Consultation fee budget, in rupees
+    budget: Number
+  },
   documents: [{
     filename: String,
     url: String,
     uploadedAt: Date,
-    type: String
+    // Declared as { type: String }: a bare `type: String` would make
+    // documents an array of strings
+    type: { type: String },
+    quality: Number,
+    extractedText: String,
+    keyInfo: mongoose.Schema.Types.Mixed,
+    metadata: mongoose.Schema.Types.Mixed,
+    lastRescanAt: Date,
+    // Text extraction runs as a document-process background job
+    processingStatus: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed'],
+      default: 'completed'
+    },
+    processingError: String,
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    }
   }],
   aiAnalysis: {
     suggestedIPCs: [String],
+    // From retrieval similarity, precedent verdicts and citation checks (see
+    // analysisConfidence in services/ragService.js)
     confidence: Number,
+    confidenceBasis: {
+      retrieval: Number,
+      verdicts: Number,
+      grounding: Number
+    },
     summary: String,
     keyPoints: [String],
     keyArguments: String,
     riskLevel: String,
     recommendations: String,
-    analyzedAt: Date
+    possibleVerdict: String,
+    // Structured RAG output (see services/analysisSchema.js), stored as returned
+    structured: Boolean,
+    schemaVersion: Number,
+    applicableSections: [{
+      act: String,
+      section: String,
+      title: String,
+      reasoning: String,
+      // Same offence under the other code (IPC <-> BNS, CrPC <-> BNSS)
+      equivalent: {
+        act: String,
+        section: String,
+        title: String
+      }
+    }],
+    legalArguments: {
+      prosecution: [String],
+      defence: [String]
+    },
+    roadmap: [{
+      step: Number,
+      action: String,
+      details: String
+    }],
+    risk: {
+      level: String,
+      justification: String
+    },
+    verdictPrediction: {
+      outcome: String,
+      probability: Number,
+      reasoning: String
+    },
+    // Trained on local precedents (see services/outcomePredictionService.js)
+    outcomePrediction: {
+      probability: Number,
+      outcome: { type: String, enum: ['favourable', 'unfavourable', 'uncertain'] },
+      side: { type: String, enum: ['appellant', 'respondent'] },
+      confidence: Number,
+      modelVersion: Number,
+      trainedAt: Date,
+      validation: {
+        brier: Number,
+        baselineBrier: Number,
+        samples: Number
+      },
+      supportingPrecedents: [{
+        _id: false,
+        precedentId: mongoose.Schema.Types.ObjectId,
+        caseNumber: String,
+        title: String,
+        year: Number,
+        court: String,
+        verdict: String,
+        similarity: Number,
+        outcome: String
+      }],
+      factors: [{
+        _id: false,
+        feature: String,
+        effect: Number
+      }],
+      predictedAt: Date
+    },
+    citedPrecedents: [{
+      caseName: String,
+      citation: String,
+      year: Number,
+      relevance: String
+    }],
+    // Citation check (see services/citationVerificationService.js)
+    grounding: {
+      citations: [{
+        type: { type: String, enum: ['case', 'statute'] },
+        text: String,
+        caseName: String,
+        citation: String,
+        act: String,
+        section: String,
+        year: Number,
+        status: { type: String, enum: ['verified', 'not-in-context', 'unverified'] },
+        source: String,
+        precedentId: mongoose.Schema.Types.ObjectId,
+        kanoonUrl: String,
+        reason: String
+      }],
+      summary: {
+        total: Number,
+        verified: Number,
+        notInContext: Number,
+        unverified: Number
+      },
+      checkedAt: Date
+    },
+    analyzedAt: Date,
+    // CaseAnalysis record this mirrors (see services/caseAnalysisService.js)
+    version: Number,
+    analysisId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CaseAnalysis'
+    }
   },
   similarCases: [{
+    // Local precedent; live Indian Kanoon results set sourceId (the tid) instead
     caseId: mongoose.Schema.Types.ObjectId,
+    sourceId: String,
     similarity: Number,
     outcome: String,
     year: Number,
     lawyer: String,
-    citeReference: String
+    citeReference: String,
+    // Set when the precedent has been overruled, doubted or distinguished
+    warning: String
   }],
   suggestedLawyers: [{
     lawyerId: mongoose.Schema.Types.ObjectId,
     matchScore: Number,
-    reason: String
+    // Per-factor breakdown, strongest first
+    reason: String,
+    factors: [{
+      _id: false,
+      factor: String,
+      label: String,
+      score: Number,
+      weight: Number,
+      contribution: Number,
+      detail: String
+    }]
   }],
   status: {
     type: String,
     enum: ['draft', 'submitted', 'under_review', 'assigned', 'in_progress', 'resolved', 'closed'],
     default: 'draft'
   },
+  // Set when the case is closed; recorded on the assigned lawyer's ledger
+  outcome: {
+    result: {
+      type: String,
+      enum: ['won', 'lost', 'partial', 'settled', 'withdrawn']
+    },
+    court: String,
+    // Court precedent that decided the case, if reported
+    precedentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CasePrecedent'
+    },
+    notes: String,
+    closedAt: Date,
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   priority: {
     type: Boolean,
     default: false
@@ -77,4 +276,6 @@ const caseSchema = new mongoose.Schema({
   }
 });
 
+caseSchema.index({ 'collaborators.userId': 1 });
+
 module.exports = mongoose.model('Case', caseSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One run of the case analysis pipeline (see services/caseAnalysisService.js).
+// Both analyze endpoints append a new version; Case.aiAnalysis mirrors the
+// latest one.
+const caseAnalysisSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Endpoint that ran it: POST /api/cases/:id/analyze ('case') or
+  // POST /api/rag/analyze/:id ('rag')
+  trigger: {
+    type: String,
+    enum: ['case', 'rag'],
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  caseType: String,
+  // What the pipeline was given besides the description
+  inputs: {
+    descriptionSections: [String],
+    documentSections: [String],
+    documents: [{
+      _id: false,
+      docId: mongoose.Schema.Types.ObjectId,
+      filename: String
+    }]
+  },
+  // The Case.aiAnalysis record written by this run
+  analysis: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  retrievedCases: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  llm: {
+    provider: String,
+    model: String
+  },
+  // 'ok' when Indian Kanoon was searched; otherwise retrieval was local-only
+  liveSearch: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+caseAnalysisSchema.index({ caseId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('CaseAnalysis', caseAnalysisSchema);
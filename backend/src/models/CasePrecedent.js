@@ -27,15 +27,115 @@ const casePrecedentSchema = new mongoose.Schema({
   decision: String,
   verdict: {
     type: String,
-    enum: ['guilty', 'not_guilty', 'partial', 'dismissed', 'acquitted', 'unknown'],
+    enum: ['guilty', 'not_guilty', 'partial', 'dismissed', 'acquitted', 'appeal_allowed', 'appeal_dismissed', 'unknown'],
     default: 'unknown'
   },
+  // Set when the verdict was classified from the judgment text (see
+  // verdictClassifierService); hand-entered verdicts have none
+  verdictBasis: {
+    confidence: Number,
+    sentence: String,
+    method: {
+      type: String,
+      enum: ['rules', 'llm']
+    },
+    source: String,
+    classifiedAt: Date
+  },
   lawyerInvolved: [{
     name: String,
     role: String
   }],
   penalties: String,
   citations: [String],
+  // Judgment structure parsed from the Kanoon HTML (see judgmentParserService);
+  // decision holds the full plain text, operativeOrder its closing directions
+  paragraphs: [{
+    _id: false,
+    number: String,
+    text: String
+  }],
+  operativeOrder: String,
+  structure: {
+    paragraphCount: Number,
+    numberedParagraphs: Number,
+    parsedAt: Date
+  },
+  // Provenance: 'IndianKanoon' for synced judgments; hand-entered records
+  // have none
+  source: {
+    type: String,
+    default: null
+  },
+  // Indian Kanoon document id, used to link the citation graph
+  sourceId: {
+    type: String,
+    default: null
+  },
+  kanoonUrl: String,
+  docid: Number,
+  doctype: String,
+  fetchedAt: Date,
+  // Kanoon metadata
+  date: Date,
+  bench: String,
+  parties: {
+    plaintiff: String,
+    defendant: String
+  },
+  acts: [String],
+  headnotes: [String],
+  ruling: String,
+  cites: [{
+    _id: false,
+    sourceId: String,
+    title: String
+  }],
+  citedBy: [{
+    _id: false,
+    sourceId: String,
+    title: String
+  }],
+  // PageRank over the citation graph, normalised so the most authoritative
+  // precedent scores 1 (see citationGraphService)
+  authorityScore: {
+    type: Number,
+    default: 0
+  },
+  citedByCount: {
+    type: Number,
+    default: 0
+  },
+  // How later judgments treated this one: 'negative' once overruled or held
+  // per incuriam by an equal or higher court, 'caution' if doubted/distinguished
+  treatment: {
+    status: {
+      type: String,
+      enum: ['good_law', 'caution', 'negative'],
+      default: 'good_law'
+    },
+    counts: {
+      overruled: Number,
+      per_incuriam: Number,
+      doubted: Number,
+      distinguished: Number,
+      followed: Number,
+      explained: Number,
+      referred: Number
+    },
+    negativeBy: [{
+      caseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CasePrecedent'
+      },
+      sourceId: String,
+      title: String,
+      year: Number,
+      treatment: String,
+      cue: String
+    }],
+    updatedAt: Date
+  },
   keywords: [String],
   relevanceScore: Number,
   // RAG Vector Embedding
@@ -47,6 +147,11 @@ const casePrecedentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Number of PrecedentChunk embeddings for this case
+  indexedChunks: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -58,5 +163,15 @@ casePrecedentSchema.index({ ipcSections: 1 });
 casePrecedentSchema.index({ keywords: 1 });
 casePrecedentSchema.index({ caseNumber: 1 });
 casePrecedentSchema.index({ indexed: 1 });
+casePrecedentSchema.index({ sourceId: 1 }, { sparse: true });
+casePrecedentSchema.index({ source: 1 });
+// Lexical side of hybrid search (MongoDB allows one text index per collection)
+casePrecedentSchema.index(
+  { title: 'text', ipcSections: 'text', keywords: 'text', facts: 'text', decision: 'text' },
+  {
+    name: 'precedent_text',
+    weights: { ipcSections: 10, title: 5, keywords: 5, facts: 1, decision: 1 }
+  }
+);
 
 module.exports = mongoose.model('CasePrecedent', casePrecedentSchema);
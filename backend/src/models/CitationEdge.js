@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// "citing" cites "cited". Endpoints are keyed by Indian Kanoon document id so
+// edges can be stored before (or without) the other judgment being synced;
+// the ObjectId refs are filled in once both sides exist as CasePrecedents.
+const citationEdgeSchema = new mongoose.Schema({
+  citingSourceId: {
+    type: String,
+    required: true
+  },
+  citedSourceId: {
+    type: String,
+    required: true
+  },
+  citingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CasePrecedent',
+    default: null
+  },
+  citedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CasePrecedent',
+    default: null
+  },
+  citingTitle: String,
+  citedTitle: String,
+  source: {
+    type: String,
+    default: 'kanoon'
+  },
+  // How the citing judgment treats the cited one (precedentTreatmentService)
+  treatment: {
+    type: String,
+    enum: ['overruled', 'per_incuriam', 'doubted', 'distinguished', 'followed', 'explained', 'referred'],
+    default: 'referred'
+  },
+  treatmentCue: String,
+  treatmentConfidence: Number,
+  classifiedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+citationEdgeSchema.index({ citingSourceId: 1, citedSourceId: 1 }, { unique: true });
+citationEdgeSchema.index({ citedSourceId: 1 });
+citationEdgeSchema.index({ citedId: 1, treatment: 1 });
+
+module.exports = mongoose.model('CitationEdge', citationEdgeSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Progress of one saved Kanoon query against one court. Scheduled ingestion
+// only searches judgments dated after `lastDecisionDate`.
+const ingestionWatermarkSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Kanoon doctypes filter (supremecourt, delhi, bombay, ...); 'all' for no filter
+  court: {
+    type: String,
+    default: 'all',
+    lowercase: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // End of the last date window fully ingested
+  lastDecisionDate: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: Date,
+  lastJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  lastRun: {
+    windows: Number,
+    pages: Number,
+    found: Number,
+    indexed: Number,
+    skipped: Number,
+    failed: Number,
+    truncated: Number
+  },
+  totalIndexed: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ingestionWatermarkSchema.index({ query: 1, court: 1 }, { unique: true });
+
+module.exports = mongoose.model('IngestionWatermark', ingestionWatermarkSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A unit of background work run by services/jobQueue.js. Jobs are claimed
+// atomically, so several server processes can share one queue.
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  progress: {
+    current: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    message: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Not picked up before this time (retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Lifecycle log: queued, started, retry scheduled, failed, ...
+  history: [{
+    at: { type: Date, default: Date.now },
+    event: String,
+    message: String
+  }],
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ createdBy: 1, createdAt: -1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
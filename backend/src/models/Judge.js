@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Aggregated profile of a judge across stored precedents, rebuilt by the
+// judge-profiles job (see services/judgeAnalyticsService.js)
+const judgeSchema = new mongoose.Schema({
+  // "j-l-kapur" - name variants ("Hon'ble Mr. Justice J.L. Kapur",
+  // "KAPUR, J.L.") share one key
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Judge names exactly as stored on precedents
+  aliases: [String],
+  // Initials and surname ("jl-kapur"), for matching names given with initials
+  signature: String,
+  judgmentCount: {
+    type: Number,
+    default: 0
+  },
+  courts: [{
+    _id: false,
+    court: String,
+    count: Number
+  }],
+  verdicts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // For the side seeking relief, as labelled for outcome prediction
+  outcomes: {
+    favourable: { type: Number, default: 0 },
+    unfavourable: { type: Number, default: 0 },
+    mixed: { type: Number, default: 0 }
+  },
+  sections: [{
+    _id: false,
+    section: String,
+    count: Number
+  }],
+  bail: {
+    matters: { type: Number, default: 0 },
+    granted: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    // granted / (granted + rejected); null until one is decided
+    grantRate: { type: Number, default: null }
+  },
+  // Words in the judgment text
+  averageJudgmentLength: {
+    type: Number,
+    default: 0
+  },
+  citations: {
+    // Times later judgments cited this judge's judgments
+    citedBy: { type: Number, default: 0 },
+    averageCitedBy: { type: Number, default: 0 },
+    // Precedents cited per judgment
+    averageCites: { type: Number, default: 0 }
+  },
+  firstYear: Number,
+  lastYear: Number,
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+judgeSchema.index({ judgmentCount: -1 });
+judgeSchema.index({ signature: 1 });
+judgeSchema.index({ 'courts.court': 1 });
+
+module.exports = mongoose.model('Judge', judgeSchema);
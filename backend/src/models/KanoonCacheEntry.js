@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Cached Indian Kanoon API response, keyed by a hash of the endpoint and
+// request parameters. MongoDB's TTL monitor removes entries after expiresAt.
+const kanoonCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  endpoint: String,
+  params: mongoose.Schema.Types.Mixed,
+  response: mongoose.Schema.Types.Mixed,
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  }
+});
+
+kanoonCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('KanoonCacheEntry', kanoonCacheEntrySchema);
@@ -24,6 +24,8 @@ const lawyerSchema = new mongoose.Schema({
     required: true
   },
   bio: String,
+  // caseWon, caseLost and practiceRecord are derived from the LawyerOutcome
+  // ledger (see services/lawyerLedgerService.js) and cannot be edited
   caseWon: {
     type: Number,
     default: 0
@@ -32,6 +34,14 @@ const lawyerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Won/lost by case type, used for lawyer matching
+  practiceRecord: [{
+    _id: false,
+    caseType: String,
+    won: { type: Number, default: 0 },
+    lost: { type: Number, default: 0 }
+  }],
+  ledgerUpdatedAt: Date,
   rating: {
     type: Number,
     min: 0,
@@ -51,22 +61,82 @@ const lawyerSchema = new mongoose.Schema({
     required: true
   },
   languages: [String],
+  // Courts the lawyer regularly appears in, e.g. "Delhi High Court"
+  courts: [String],
   office: {
     address: String,
     city: String,
     state: String,
     pincode: String
   },
+  // Bar Council verification (see services/lawyerVerificationService.js):
+  // pending -> under_review -> verified | rejected | info_requested, and
+  // verified -> expired when the verification lapses
   verificationStatus: {
     type: String,
-    enum: ['pending', 'verified', 'rejected'],
+    enum: ['pending', 'under_review', 'info_requested', 'verified', 'rejected', 'expired'],
     default: 'pending'
   },
-  verificationDocuments: [String],
+  // Uploaded files are private to the lawyer and admins
+  verificationDocuments: {
+    type: [{
+      kind: {
+        type: String,
+        enum: ['enrollment_certificate', 'identity_proof', 'practice_certificate', 'other'],
+        required: true
+      },
+      filename: String,
+      storedName: String,
+      mimeType: String,
+      size: Number,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  verification: {
+    // From the license number, e.g. 2012 for D/1234/2012
+    enrollmentYear: Number,
+    submittedAt: Date,
+    // A verified lawyer has submitted documents to renew before expiry
+    renewalPending: {
+      type: Boolean,
+      default: false
+    },
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Reason given with the latest rejection or information request
+    reason: String,
+    verifiedAt: Date,
+    expiresAt: Date,
+    reminderSentAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// verificationDocuments used to be a list of file URLs. Those entries have no
+// kind and would fail validation on every save, so they are dropped on load
+// and removed from the database by the next save; the lawyer uploads the
+// documents again.
+lawyerSchema.pre('init', function (raw) {
+  if (!Array.isArray(raw.verificationDocuments)) return;
+  const documents = raw.verificationDocuments.filter(doc => doc && typeof doc === 'object');
+  if (documents.length < raw.verificationDocuments.length) {
+    raw.verificationDocuments = documents;
+    this.$locals.legacyDocuments = true;
+  }
+});
+
+lawyerSchema.post('init', function () {
+  if (this.$locals.legacyDocuments) this.markModified('verificationDocuments');
+});
+
 module.exports = mongoose.model('Lawyer', lawyerSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One case outcome in a lawyer's performance ledger (see
+// services/lawyerLedgerService.js). Entries are written when a Verdix case
+// closes or when a precedent names the lawyer as counsel; lawyers cannot
+// write them, and Lawyer.caseWon / caseLost / practiceRecord are derived
+// from them.
+const lawyerOutcomeSchema = new mongoose.Schema({
+  lawyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lawyer',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['verdix_case', 'precedent'],
+    required: true
+  },
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  precedentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CasePrecedent'
+  },
+  // For the lawyer's client; settled, withdrawn and partial outcomes do not
+  // count toward the win rate
+  result: {
+    type: String,
+    enum: ['won', 'lost', 'partial', 'settled', 'withdrawn'],
+    required: true
+  },
+  caseType: String,
+  court: String,
+  year: Number,
+  // Side the lawyer appeared for in the precedent
+  side: String,
+  // The lawyer's own closed Verdix case links a precedent that lists them in
+  // lawyerInvolved. Precedents matched by counsel name alone are unverified:
+  // a judgment names counsel but carries no enrollment number.
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+lawyerOutcomeSchema.index({ lawyerId: 1, recordedAt: -1 });
+lawyerOutcomeSchema.index({ lawyerId: 1, caseId: 1 }, { unique: true, partialFilterExpression: { caseId: { $exists: true } } });
+lawyerOutcomeSchema.index({ lawyerId: 1, precedentId: 1 }, { unique: true, partialFilterExpression: { source: 'precedent' } });
+
+module.exports = mongoose.model('LawyerOutcome', lawyerOutcomeSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Audit trail of a lawyer's Bar Council verification: every upload,
+// submission, review decision and expiry, with who made it and why (see
+// services/lawyerVerificationService.js). Entries are never updated.
+const lawyerVerificationEventSchema = new mongoose.Schema({
+  lawyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lawyer',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'document_uploaded',
+      'document_removed',
+      'submitted',
+      'approved',
+      'rejected',
+      'info_requested',
+      'expiry_reminder',
+      'expired'
+    ],
+    required: true
+  },
+  // null for actions taken by the expiry sweep
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorType: {
+    type: String,
+    enum: ['lawyer', 'admin', 'system'],
+    required: true
+  },
+  fromStatus: String,
+  toStatus: String,
+  reason: String,
+  // Action specifics, e.g. the document kind and filename
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+lawyerVerificationEventSchema.index({ lawyerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LawyerVerificationEvent', lawyerVerificationEventSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A trained outcome predictor (see outcomePredictionService). Training adds a
+// new version and retires the previous one, so predictions name the version
+// they came from.
+const outcomeModelSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  // Logistic regression over featureNames; featureMeans stand in for
+  // features a case does not have (court, bench size)
+  featureNames: [String],
+  weights: [Number],
+  featureMeans: [Number],
+  // Platt scaling fitted on the calibration split: p = sigmoid(a * logit + b)
+  calibration: {
+    a: Number,
+    b: Number
+  },
+  baseRate: Number,
+  neighbours: {
+    k: Number,
+    prior: Number
+  },
+  // Labelled precedents searched for similar facts at prediction time
+  poolIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CasePrecedent'
+  }],
+  samples: {
+    train: Number,
+    calibration: Number,
+    test: Number,
+    favourable: Number,
+    unfavourable: Number,
+    mixed: Number
+  },
+  // Measured after calibration on the test split, or on the training split
+  // when too few precedents are held out (evaluatedOn)
+  metrics: {
+    evaluatedOn: {
+      type: String,
+      enum: ['test', 'training']
+    },
+    brier: Number,
+    baselineBrier: Number,
+    logLoss: Number,
+    accuracy: Number,
+    calibrationBins: [{
+      _id: false,
+      from: Number,
+      to: Number,
+      count: Number,
+      predicted: Number,
+      observed: Number
+    }]
+  },
+  trainedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+outcomeModelSchema.index({ status: 1, version: -1 });
+
+module.exports = mongoose.model('OutcomeModel', outcomeModelSchema);
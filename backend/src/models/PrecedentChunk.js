@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A paragraph-aware slice of a precedent's judgment, embedded separately so
+// retrieval can quote the passage that actually matched
+const precedentChunkSchema = new mongoose.Schema({
+  precedentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CasePrecedent',
+    required: true
+  },
+  chunkIndex: {
+    type: Number,
+    required: true
+  },
+  section: {
+    type: String,
+    enum: ['summary', 'facts', 'arguments', 'ratio', 'order'],
+    default: 'facts'
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+precedentChunkSchema.index({ precedentId: 1, chunkIndex: 1 }, { unique: true });
+
+module.exports = mongoose.model('PrecedentChunk', precedentChunkSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One section of a bare act, loaded from src/data/statutes
+const statuteSectionSchema = new mongoose.Schema({
+  act: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  actName: String,
+  section: {
+    type: String,
+    required: true
+  },
+  chapter: String,
+  title: String,
+  text: {
+    type: String,
+    required: true
+  },
+  punishment: String,
+  // null where the First Schedule classification does not apply (civil
+  // statutes, definitions, procedural sections)
+  cognizable: {
+    type: Boolean,
+    default: null
+  },
+  bailable: {
+    type: Boolean,
+    default: null
+  },
+  compoundable: {
+    type: Boolean,
+    default: null
+  },
+  triableBy: String,
+  source: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+statuteSectionSchema.index({ act: 1, section: 1 }, { unique: true });
+statuteSectionSchema.index(
+  { title: 'text', text: 'text' },
+  { name: 'statute_text', weights: { title: 5, text: 1 } }
+);
+
+module.exports = mongoose.model('StatuteSection', statuteSectionSchema);
@@ -20,9 +20,10 @@ const userSchema = new mongoose.Schema({
     minlength: 6,
     select: false
   },
+  // Admins cannot self-register; see "Lawyer Verification" in the README
   userType: {
     type: String,
-    enum: ['lawyer', 'client'],
+    enum: ['lawyer', 'client', 'admin'],
     required: true
   },
   phone: {
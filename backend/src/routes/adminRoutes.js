@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const {
+  getStats,
+  listUsers,
+  getUser,
+  updateUserRole,
+  listLawyers,
+  listSubscriptions,
+  updateSubscription,
+  listPrecedents,
+  deletePrecedent,
+  listJobs,
+  cancelJob,
+  getIngestion
+} = require('../controllers/adminController');
+
+/**
+ * Admin Console Routes
+ * Base path: /api/admin
+ *
+ * Every route requires an admin token. Lawyer verification review lives
+ * under /api/lawyers/verification; Kanoon sync, ingestion queries and
+ * reindexing under /api/kanoon and /api/rag.
+ */
+router.use(authMiddleware, requireAdmin);
+
+// GET /api/admin/stats - Platform statistics
+router.get('/stats', getStats);
+
+// GET /api/admin/users?q=&userType=&limit=&skip= - Search users
+router.get('/users', listUsers);
+
+// GET /api/admin/users/:userId - User with subscription, lawyer profile and case counts
+router.get('/users/:userId', getUser);
+
+// PATCH /api/admin/users/:userId/role - { userType }
+router.patch('/users/:userId/role', updateUserRole);
+
+// GET /api/admin/lawyers?q=&status=&limit=&skip= - Lawyers by verification status
+router.get('/lawyers', listLawyers);
+
+// GET /api/admin/subscriptions?tier=&active=&limit=&skip=
+router.get('/subscriptions', listSubscriptions);
+
+// PATCH /api/admin/subscriptions/:userId - { tier, isActive, endDate }
+router.patch('/subscriptions/:userId', updateSubscription);
+
+// GET /api/admin/precedents?q=&verdict=&source=&indexed=&limit=&skip=
+router.get('/precedents', listPrecedents);
+
+// DELETE /api/admin/precedents/:id - Remove a precedent and its chunks
+router.delete('/precedents/:id', deletePrecedent);
+
+// GET /api/admin/jobs?type=&status=&limit=&skip= - Jobs from every user
+router.get('/jobs', listJobs);
+
+// POST /api/admin/jobs/:id/cancel - Cancel any job
+router.post('/jobs/:id/cancel', cancelJob);
+
+// GET /api/admin/ingestion - Saved ingestion queries and watermarks
+router.get('/ingestion', getIngestion);
+
+module.exports = router;
@@ -5,14 +5,40 @@ const {
   getUserCases,
   getCaseDetails,
   analyzeCase,
-  getLawyerSuggestions
+  getCaseAnalyses,
+  getCaseAnalysisVersion,
+  getLawyerSuggestions,
+  closeCase,
+  getSharedCases,
+  getCaseCollaborators,
+  addCaseCollaborator,
+  updateCaseCollaborator,
+  removeCaseCollaborator,
+  assignCaseLawyer
 } = require('../controllers/caseController');
-const { authMiddleware, requireClient, requireSubscription } = require('../middleware/auth');
+const { predictOutcomeForCase } = require('../controllers/outcomeController');
+const { setCaseBench, getCaseBenchInsights } = require('../controllers/judgeController');
+const { authMiddleware, requireClient } = require('../middleware/auth');
+const { requireCaseAccess, requireCaseSubscription } = require('../middleware/caseAccess');
 
 router.post('/', authMiddleware, requireClient, createCase);
 router.get('/my-cases', authMiddleware, requireClient, getUserCases);
-router.get('/:caseId', authMiddleware, getCaseDetails);
-router.post('/:caseId/analyze', authMiddleware, requireSubscription('premium'), analyzeCase);
-router.get('/:caseId/lawyer-suggestions', authMiddleware, requireClient, getLawyerSuggestions);
+router.get('/shared', authMiddleware, getSharedCases);
+router.get('/:caseId', authMiddleware, requireCaseAccess('view'), getCaseDetails);
+router.post('/:caseId/analyze', authMiddleware, requireCaseAccess('edit'), requireCaseSubscription('premium'), analyzeCase);
+router.get('/:caseId/analyses', authMiddleware, requireCaseAccess('view'), getCaseAnalyses);
+router.get('/:caseId/analyses/:version', authMiddleware, requireCaseAccess('view'), getCaseAnalysisVersion);
+router.get('/:caseId/lawyer-suggestions', authMiddleware, requireClient, requireCaseAccess('manage_case'), getLawyerSuggestions);
+router.put('/:caseId/lawyer', authMiddleware, requireCaseAccess('manage_case'), assignCaseLawyer);
+router.post('/:caseId/close', authMiddleware, requireClient, requireCaseAccess('manage_case'), closeCase);
+router.post('/:caseId/outcome-prediction', authMiddleware, requireCaseAccess('edit'), predictOutcomeForCase);
+router.put('/:caseId/bench', authMiddleware, requireCaseAccess('edit'), setCaseBench);
+router.get('/:caseId/bench-insights', authMiddleware, requireCaseAccess('view'), getCaseBenchInsights);
+
+// Collaborators; anyone on the case may remove themselves
+router.get('/:caseId/collaborators', authMiddleware, requireCaseAccess('view'), getCaseCollaborators);
+router.post('/:caseId/collaborators', authMiddleware, requireCaseAccess('manage_collaborators'), addCaseCollaborator);
+router.patch('/:caseId/collaborators/:userId', authMiddleware, requireCaseAccess('manage_collaborators'), updateCaseCollaborator);
+router.delete('/:caseId/collaborators/:userId', authMiddleware, requireCaseAccess('view'), removeCaseCollaborator);
 
 module.exports = router;
@@ -5,7 +5,8 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const auth = require('../middleware/auth');
+const { authMiddleware } = require('../middleware/auth');
+const { requireCaseAccess } = require('../middleware/caseAccess');
 const {
   uploadDocument,
   getCaseDocuments,
@@ -53,44 +54,44 @@ const upload = multer({
 /**
  * POST /api/documents/:caseId/upload
  * Upload and scan a document for a case
- * Required: JWT token
+ * Required: JWT token, edit access to the case
  * Multipart form: file
  */
-router.post('/:caseId/upload', auth, upload.single('document'), uploadDocument);
+router.post('/:caseId/upload', authMiddleware, requireCaseAccess('edit'), upload.single('document'), uploadDocument);
 
 /**
  * GET /api/documents/:caseId
  * Get all documents for a case
- * Required: JWT token
+ * Required: JWT token, view access to the case
  */
-router.get('/:caseId', auth, getCaseDocuments);
+router.get('/:caseId', authMiddleware, requireCaseAccess('view'), getCaseDocuments);
 
 /**
  * GET /api/documents/:caseId/:docId/analysis
  * Get document analysis (extracted text, key information)
- * Required: JWT token
+ * Required: JWT token, view access to the case
  */
-router.get('/:caseId/:docId/analysis', auth, getDocumentAnalysis);
+router.get('/:caseId/:docId/analysis', authMiddleware, requireCaseAccess('view'), getDocumentAnalysis);
 
 /**
  * GET /api/documents/:caseId/:docId/download
  * Download a document
- * Required: JWT token
+ * Required: JWT token, view access to the case
  */
-router.get('/:caseId/:docId/download', auth, downloadDocument);
+router.get('/:caseId/:docId/download', authMiddleware, requireCaseAccess('view'), downloadDocument);
 
 /**
  * POST /api/documents/:caseId/:docId/rescan
  * Re-scan and re-analyze a document
- * Required: JWT token
+ * Required: JWT token, edit access to the case
  */
-router.post('/:caseId/:docId/rescan', auth, rescanDocument);
+router.post('/:caseId/:docId/rescan', authMiddleware, requireCaseAccess('edit'), rescanDocument);
 
 /**
  * DELETE /api/documents/:caseId/:docId
  * Delete a document from a case
- * Required: JWT token
+ * Required: JWT token, edit access to the case
  */
-router.delete('/:caseId/:docId', auth, deleteDocument);
+router.delete('/:caseId/:docId', authMiddleware, requireCaseAccess('edit'), deleteDocument);
 
 module.exports = router;
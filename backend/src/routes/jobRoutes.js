@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const {
+  listJobs,
+  getJob,
+  cancelJob
+} = require('../controllers/jobController');
+
+/**
+ * Background Job Routes
+ * Base path: /api/jobs
+ *
+ * Kanoon sync/reindex, RAG index-all and document processing return a
+ * job id (202 Accepted); poll these routes for progress and results.
+ */
+
+// GET /api/jobs?status=running&type=kanoon-sync&limit=20 - Job history
+router.get('/', authMiddleware, listJobs);
+
+// GET /api/jobs/:id - Status, progress and result
+router.get('/:id', authMiddleware, getJob);
+
+// POST /api/jobs/:id/cancel - Cancel a queued or running job
+router.post('/:id/cancel', authMiddleware, cancelJob);
+
+module.exports = router;
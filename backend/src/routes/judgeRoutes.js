@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const {
+  listJudges,
+  getJudge,
+  getJudgeJudgments,
+  rebuildJudgeProfiles
+} = require('../controllers/judgeController');
+
+/**
+ * Judge Analytics Routes
+ * Base path: /api/judges
+ *
+ * :judge is a profile key ("j-l-kapur") or a name in any form
+ * ("Hon'ble Mr. Justice J.L. Kapur"). Bench insights for a case:
+ * GET /api/cases/:caseId/bench-insights
+ */
+
+// GET /api/judges?q=kapur&court=Delhi&limit=20&skip=0
+router.get('/', listJudges);
+
+// POST /api/judges/rebuild - Queue a rebuild of every profile from the precedents
+router.post('/rebuild', authMiddleware, requireAdmin, rebuildJudgeProfiles);
+
+// GET /api/judges/:judge - Profile: courts, sections, verdicts, bail, citations
+router.get('/:judge', getJudge);
+
+// GET /api/judges/:judge/judgments?limit=20&skip=0
+router.get('/:judge/judgments', getJudgeJudgments);
+
+module.exports = router;
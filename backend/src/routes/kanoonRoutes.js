@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
 const {
   syncKanoonCases,
   getRecommendedQueries,
   fetchSingleCase,
   searchKanoonCases,
   getKanoonStats,
-  reindexAllKanoonCases
+  reindexAllKanoonCases,
+  backfillKanoonMetadata,
+  clearKanoonCache,
+  getIngestionQueries,
+  addIngestionQuery,
+  removeIngestionQuery,
+  runIngestionNow
 } = require('../controllers/kanoonController');
 
 /**
@@ -15,7 +21,8 @@ const {
  * Base path: /api/kanoon
  *
  * These routes enable integration with IndianKanoon.org
- * to fetch and index legal cases for RAG system
+ * to fetch and index legal cases for RAG system. Routes that
+ * change the precedent database require an admin token.
  */
 
 /**
@@ -29,7 +36,7 @@ const {
  *   "autoIndex": true
  * }
  */
-router.post('/sync', authMiddleware, syncKanoonCases);
+router.post('/sync', authMiddleware, requireAdmin, syncKanoonCases);
 
 /**
  * GET /api/kanoon/recommended-queries
@@ -58,7 +65,7 @@ router.post('/search', searchKanoonCases);
  *   "caseUrl": "https://indiankanoon.org/doc/123456/"
  * }
  */
-router.post('/fetch-single', authMiddleware, fetchSingleCase);
+router.post('/fetch-single', authMiddleware, requireAdmin, fetchSingleCase);
 
 /**
  * GET /api/kanoon/stats
@@ -70,6 +77,60 @@ router.get('/stats', getKanoonStats);
  * POST /api/kanoon/reindex
  * Force reindex all Kanoon cases into vector database
  */
-router.post('/reindex', authMiddleware, reindexAllKanoonCases);
+router.post('/reindex', authMiddleware, requireAdmin, reindexAllKanoonCases);
+
+/**
+ * POST /api/kanoon/backfill
+ * Refetch Kanoon metadata for precedents saved before it was stored
+ *
+ * Body:
+ * {
+ *   "limit": 500,
+ *   "matchTitles": false  // also look up precedents with no Kanoon id by title
+ * }
+ */
+router.post('/backfill', authMiddleware, requireAdmin, backfillKanoonMetadata);
+
+/**
+ * DELETE /api/kanoon/cache?type=search|doc
+ * Clear cached Kanoon API responses
+ */
+router.delete('/cache', authMiddleware, requireAdmin, clearKanoonCache);
+
+/**
+ * GET /api/kanoon/ingestion
+ * Saved queries for scheduled incremental ingestion, with watermarks
+ */
+router.get('/ingestion', authMiddleware, requireAdmin, getIngestionQueries);
+
+/**
+ * POST /api/kanoon/ingestion
+ * Save a query for scheduled ingestion
+ *
+ * Body:
+ * {
+ *   "query": "Section 302 IPC",
+ *   "courts": ["supremecourt", "delhi"]
+ * }
+ */
+router.post('/ingestion', authMiddleware, requireAdmin, addIngestionQuery);
+
+/**
+ * DELETE /api/kanoon/ingestion
+ * Stop ingesting a saved query
+ *
+ * Body:
+ * {
+ *   "query": "Section 302 IPC",
+ *   "court": "delhi"
+ * }
+ */
+router.delete('/ingestion', authMiddleware, requireAdmin, removeIngestionQuery);
+
+/**
+ * POST /api/kanoon/ingestion/run
+ * Run incremental ingestion now (returns a job id)
+ */
+router.post('/ingestion/run', authMiddleware, requireAdmin, runIngestionNow);
 
 module.exports = router;
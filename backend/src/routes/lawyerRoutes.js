@@ -1,4 +1,7 @@
 const express = require('express');
+const fs = require('fs');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
 const {
   registerLawyer,
@@ -6,15 +9,71 @@ const {
   getLawyerProfile,
   searchLawyers,
   getAllLawyers,
-  verifyLawyer
+  getLawyerPerformance,
+  syncLedgerFromPrecedents
 } = require('../controllers/lawyerController');
-const { authMiddleware, requireLawyer } = require('../middleware/auth');
+const {
+  checkLicense,
+  getMyVerification,
+  uploadVerificationDocument,
+  deleteVerificationDocument,
+  submitVerification,
+  getReviewQueue,
+  getLawyerVerification,
+  downloadVerificationDocument,
+  reviewLawyer,
+  runExpirySweep
+} = require('../controllers/lawyerVerificationController');
+const { DOCUMENT_DIR } = require('../services/lawyerVerificationService');
+const { authMiddleware, requireLawyer, requireAdmin } = require('../middleware/auth');
+
+// Verification documents are stored apart from case documents
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(DOCUMENT_DIR, { recursive: true }, (error) => cb(error, DOCUMENT_DIR));
+    },
+    filename: (req, file, cb) => {
+      const uniqueName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(file.originalname)}`;
+      cb(null, uniqueName);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = ['application/pdf', 'image/png', 'image/jpeg'];
+    const allowedExts = ['.pdf', '.png', '.jpg', '.jpeg'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedMimes.includes(file.mimetype) && allowedExts.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('File type not allowed. Supported: PDF, PNG, JPG'));
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || 10485760) // 10MB default
+  }
+});
 
 router.post('/register', authMiddleware, requireLawyer, registerLawyer);
 router.put('/profile', authMiddleware, requireLawyer, updateLawyerProfile);
-router.get('/:lawyerId', getLawyerProfile);
+router.post('/ledger/sync-precedents', authMiddleware, requireAdmin, syncLedgerFromPrecedents);
+
+// Bar Council verification (see services/lawyerVerificationService.js)
+router.get('/verification/license-check', checkLicense);
+router.get('/verification', authMiddleware, requireLawyer, getMyVerification);
+router.post('/verification/documents', authMiddleware, requireLawyer, upload.single('document'), uploadVerificationDocument);
+router.delete('/verification/documents/:docId', authMiddleware, requireLawyer, deleteVerificationDocument);
+router.post('/verification/submit', authMiddleware, requireLawyer, submitVerification);
+router.get('/verification/queue', authMiddleware, requireAdmin, getReviewQueue);
+router.post('/verification/expiry-sweep', authMiddleware, requireAdmin, runExpirySweep);
+
+// Literal paths go before /:lawyerId, which would otherwise match them
 router.get('/search', searchLawyers);
-router.get('/', getAllLawyers);
-router.put('/:lawyerId/verify', verifyLawyer); // Admin only
+router.get('/', authMiddleware, requireAdmin, getAllLawyers);
+router.get('/:lawyerId', getLawyerProfile);
+router.get('/:lawyerId/performance', getLawyerPerformance);
+router.get('/:lawyerId/verification', authMiddleware, requireAdmin, getLawyerVerification);
+router.get('/:lawyerId/verification/documents/:docId', authMiddleware, downloadVerificationDocument);
+router.put('/:lawyerId/verify', authMiddleware, requireAdmin, reviewLawyer);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const router = require('./lawyerRoutes');
+const { getLawyerProfile } = require('../controllers/lawyerController');
+
+// The first GET route whose path matches, as Express would pick it
+const firstGet = (url) => router.stack.find(layer => layer.route?.methods.get && layer.match(url));
+
+describe('lawyer routes', () => {
+  test.each(['/search', '/verification', '/verification/queue', '/verification/license-check'])('%s is not taken for a lawyer id', (url) => {
+    const layer = firstGet(url);
+    expect(layer.route.path).toBe(url);
+    expect(layer.route.stack.map(handler => handler.handle)).not.toContain(getLawyerProfile);
+  });
+
+  test('serves a lawyer profile by id', () => {
+    expect(firstGet('/64b7f0c2a1b2c3d4e5f60718').route.path).toBe('/:lawyerId');
+  });
+});
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+/**
+ * Notification Routes
+ * Base path: /api/notifications
+ */
+
+// GET /api/notifications?unread=true&limit=20 - Current user's notifications
+router.get('/', authMiddleware, listNotifications);
+
+// POST /api/notifications/read-all - Mark everything as read
+router.post('/read-all', authMiddleware, markAllNotificationsRead);
+
+// POST /api/notifications/:id/read - Mark one notification as read
+router.post('/:id/read', authMiddleware, markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const {
+  getOutcomeModel,
+  trainOutcomeModel
+} = require('../controllers/outcomeController');
+
+/**
+ * Outcome Prediction Model Routes
+ * Base path: /api/outcome-model
+ *
+ * Predictions for a case: POST /api/cases/:caseId/outcome-prediction
+ */
+
+// GET /api/outcome-model - Active model version and validation metrics
+router.get('/', authMiddleware, getOutcomeModel);
+
+// POST /api/outcome-model/train - Queue training { maxSamples }
+router.post('/train', authMiddleware, requireAdmin, trainOutcomeModel);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const {
+  getCitingCases,
+  getCitedCases,
+  getAuthority,
+  getTopAuthorities,
+  recomputeAuthority,
+  getFlaggedPrecedents,
+  reclassifyTreatments,
+  classifyVerdicts
+} = require('../controllers/precedentController');
+
+/**
+ * Precedent Citation Graph Routes
+ * Base path: /api/precedents
+ *
+ * :id is a CasePrecedent id or an Indian Kanoon document id
+ */
+
+// GET /api/precedents/authority/top?limit=20
+router.get('/authority/top', getTopAuthorities);
+
+// POST /api/precedents/authority/recompute - Rerun PageRank over the graph
+router.post('/authority/recompute', authMiddleware, requireAdmin, recomputeAuthority);
+
+// GET /api/precedents/flagged?status=negative|caution - Overruled or doubted precedents
+router.get('/flagged', getFlaggedPrecedents);
+
+// POST /api/precedents/treatments/classify - Reclassify overruled/distinguished/followed cues
+router.post('/treatments/classify', authMiddleware, requireAdmin, reclassifyTreatments);
+
+// POST /api/precedents/verdicts/classify - Queue verdict classification { limit, useLLM, reclassify }
+router.post('/verdicts/classify', authMiddleware, requireAdmin, classifyVerdicts);
+
+// GET /api/precedents/:id/citing - Cases citing this precedent
+router.get('/:id/citing', getCitingCases);
+
+// GET /api/precedents/:id/cited - Cases cited by this precedent
+router.get('/:id/cited', getCitedCases);
+
+// GET /api/precedents/:id/authority - Authority score and rank
+router.get('/:id/authority', getAuthority);
+
+module.exports = router;
@@ -4,20 +4,25 @@ const {
   analyzeCaseWithRAG,
   getSimilarCasesWithRAG,
   compareWithPrecedentsRAG,
+  searchPrecedents,
   indexCaseForRAG,
   indexAllCasesForRAG,
   getRagStats
 } = require('../controllers/ragController');
-const { authMiddleware, requireClient } = require('../middleware/auth');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { requireCaseAccess } = require('../middleware/caseAccess');
 
-// Client routes for RAG analysis
-router.post('/analyze/:caseId', authMiddleware, requireClient, analyzeCaseWithRAG);
-router.get('/similar/:caseId', authMiddleware, getSimilarCasesWithRAG);
-router.get('/compare/:caseId', authMiddleware, compareWithPrecedentsRAG);
+// RAG analysis for anyone on the case
+router.post('/analyze/:caseId', authMiddleware, requireCaseAccess('edit'), analyzeCaseWithRAG);
+router.get('/similar/:caseId', authMiddleware, requireCaseAccess('view'), getSimilarCasesWithRAG);
+router.get('/compare/:caseId', authMiddleware, requireCaseAccess('view'), compareWithPrecedentsRAG);
+
+// Hybrid precedent search: ?q=498A dowry&court=&yearFrom=&yearTo=&verdict=&section=
+router.get('/search', authMiddleware, searchPrecedents);
 
 // Admin routes for indexing
-router.post('/index/:caseId', authMiddleware, indexCaseForRAG);
-router.post('/index-all', authMiddleware, indexAllCasesForRAG);
+router.post('/index/:caseId', authMiddleware, requireAdmin, indexCaseForRAG);
+router.post('/index-all', authMiddleware, requireAdmin, indexAllCasesForRAG);
 router.get('/stats', getRagStats);
 
 module.exports = router;
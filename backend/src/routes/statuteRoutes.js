@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const {
+  getActs,
+  searchStatutes,
+  getStatuteSection,
+  reloadStatutes
+} = require('../controllers/statuteController');
+
+/**
+ * Statute Knowledge Base Routes
+ * Base path: /api/statutes
+ */
+
+// GET /api/statutes/acts - Acts with loaded sections
+router.get('/acts', getActs);
+
+// GET /api/statutes/search?q=cheating&act=IPC
+router.get('/search', searchStatutes);
+
+// POST /api/statutes/reload - Re-read src/data/statutes into the database
+router.post('/reload', authMiddleware, requireAdmin, reloadStatutes);
+
+// GET /api/statutes/IPC/420, /api/statutes/BNS/103(1)
+router.get('/:act/:section', getStatuteSection);
+
+module.exports = router;
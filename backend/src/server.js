@@ -29,7 +29,16 @@ const startServer = async () => {
       console.warn('⚠ Index sync warning:', e.message);
     }
 
-    // 3. Initialize RAG Vector Store (non-critical)
+    // 3. Load bare-act statute text if the collection is empty (non-critical)
+    try {
+      const { ensureStatutesLoaded } = require('./services/statuteService');
+      const statutes = await ensureStatutesLoaded();
+      if (!statutes.loaded) console.log(`✓ ${statutes.sections} statute sections available`);
+    } catch (error) {
+      console.warn('⚠ Statute load warning:', error.message);
+    }
+
+    // 4. Initialize RAG Vector Store (non-critical)
     try {
       console.log('Initializing RAG Vector Store...');
       const vectorStore = await getVectorStore();
@@ -39,26 +48,57 @@ const startServer = async () => {
       console.log('Platform will continue without RAG (non-critical)');
     }
 
-    // 4. Setup routes (only after DB is connected)
+    // 5. Start background job workers (Kanoon sync, indexing, document OCR),
+    //    the scheduled Kanoon ingestion and the lawyer verification expiry sweep
+    try {
+      const { registerJobHandlers } = require('./services/jobHandlers');
+      const { jobQueue } = require('./services/jobQueue');
+      registerJobHandlers();
+      await jobQueue.start();
+
+      const { startScheduler } = require('./services/kanoonIngestionService');
+      await startScheduler();
+
+      const { startExpiryScheduler } = require('./services/lawyerVerificationService');
+      startExpiryScheduler();
+    } catch (error) {
+      console.error('⚠ Job queue warning:', error.message);
+    }
+
+    // 6. Setup routes (only after DB is connected)
     app.use('/api/auth', require('./routes/authRoutes'));
     app.use('/api/cases', require('./routes/caseRoutes'));
     app.use('/api/rag', require('./routes/ragRoutes'));
+    app.use('/api/documents', require('./routes/documentRoutes'));
     app.use('/api/lawyers', require('./routes/lawyerRoutes'));
     app.use('/api/subscription', require('./routes/subscriptionRoutes'));
     app.use('/api/kanoon', require('./routes/kanoonRoutes'));
+    app.use('/api/statutes', require('./routes/statuteRoutes'));
+    app.use('/api/precedents', require('./routes/precedentRoutes'));
+    app.use('/api/jobs', require('./routes/jobRoutes'));
+    app.use('/api/outcome-model', require('./routes/outcomeRoutes'));
+    app.use('/api/judges', require('./routes/judgeRoutes'));
+    app.use('/api/notifications', require('./routes/notificationRoutes'));
+    app.use('/api/admin', require('./routes/adminRoutes'));
 
     // Health check
     app.get('/api/health', (req, res) => {
       res.json({ status: 'Server is running', database: 'connected' });
     });
 
+    // External API call counts, latency and circuit breaker state (admin)
+    const { authMiddleware, requireAdmin } = require('./middleware/auth');
+    app.get('/api/health/outbound', authMiddleware, requireAdmin, (req, res) => {
+      res.json(require('./services/outboundService').getMetrics());
+    });
+
     // Error handling middleware
     app.use((err, req, res, next) => {
       console.error(err);
       res.status(500).json({ error: 'Internal server error' });
     });
 
-    // 5. Start the server (only after everything is ready)
+    // 7. Start the server (only after everything is ready)
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
       console.log(`✓ Server running on port ${PORT}`);
@@ -0,0 +1,313 @@
+/**
+ * Admin Service - Platform statistics and cross-user management for the
+ * admin console (routes/adminRoutes.js)
+ */
+
+const Case = require('../models/Case');
+const CasePrecedent = require('../models/CasePrecedent');
+const CitationEdge = require('../models/CitationEdge');
+const Job = require('../models/Job');
+const Lawyer = require('../models/Lawyer');
+const LawyerOutcome = require('../models/LawyerOutcome');
+const OutcomeModel = require('../models/OutcomeModel');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const { listWatermarks } = require('./kanoonIngestionService');
+const { recomputeLawyerStats } = require('./lawyerLedgerService');
+const { getVectorStore } = require('./vectorStoreService');
+
+const RECENT_DAYS = 30;
+const RECENT_FAILURES = 5;
+
+/**
+ * { value: count } from a $group by field
+ * @private
+ */
+const countBy = async (Model, field, match = {}) => {
+  const groups = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(groups.map(group => [group._id ?? 'none', group.count]));
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive match of a search term against any of the fields
+ * @private
+ */
+const searchFilter = (q, fields) => {
+  if (!q || !q.trim()) return {};
+  const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+  return { $or: fields.map(field => ({ [field]: pattern })) };
+};
+
+/**
+ * Counts across users, lawyers, cases, subscriptions, precedents and jobs
+ */
+const getPlatformStats = async () => {
+  const since = new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000);
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const [
+    usersByType, newUsers,
+    lawyersByStatus, renewalsPending,
+    casesByStatus,
+    activeByTier,
+    precedents, indexedPrecedents, verdictsByLabel, precedentsBySource,
+    jobsByStatus, recentFailures, lastIngest, watermarks,
+    outcomeModel
+  ] = await Promise.all([
+    countBy(User, 'userType'),
+    User.countDocuments({ createdAt: { $gte: since } }),
+    countBy(Lawyer, 'verificationStatus'),
+    Lawyer.countDocuments({ verificationStatus: 'verified', 'verification.renewalPending': true }),
+    countBy(Case, 'status'),
+    countBy(Subscription, 'tier', { isActive: true }),
+    CasePrecedent.estimatedDocumentCount(),
+    CasePrecedent.countDocuments({ indexedChunks: { $gt: 0 } }),
+    countBy(CasePrecedent, 'verdict'),
+    countBy(CasePrecedent, 'source'),
+    countBy(Job, 'status', { createdAt: { $gte: dayAgo } }),
+    Job.find({ status: 'failed' }).sort({ finishedAt: -1 }).limit(RECENT_FAILURES)
+      .select('type error attempts finishedAt').lean(),
+    Job.findOne({ type: 'kanoon-ingest' }).sort({ createdAt: -1 })
+      .select('status result.indexed error createdAt finishedAt').lean(),
+    listWatermarks(),
+    OutcomeModel.findOne({ status: 'active' }).select('version samples metrics.brier trainedAt').lean()
+  ]);
+
+  const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+
+  return {
+    users: { total: sum(usersByType), byType: usersByType, newLast30Days: newUsers },
+    lawyers: {
+      total: sum(lawyersByStatus),
+      byVerificationStatus: lawyersByStatus,
+      awaitingReview: (lawyersByStatus.under_review || 0) + renewalsPending
+    },
+    cases: { total: sum(casesByStatus), byStatus: casesByStatus },
+    subscriptions: { activeByTier },
+    precedents: {
+      total: precedents,
+      indexed: indexedPrecedents,
+      bySource: precedentsBySource,
+      byVerdict: verdictsByLabel
+    },
+    jobs: { last24HoursByStatus: jobsByStatus, recentFailures },
+    ingestion: {
+      savedQueries: watermarks.length,
+      enabledQueries: watermarks.filter(watermark => watermark.enabled).length,
+      lastRun: lastIngest
+    },
+    outcomeModel,
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Users with their subscription, newest first
+ *
+ * @param {Object} options - { q, userType, limit, skip }
+ */
+const listUsers = async ({ q, userType, limit = 20, skip = 0 } = {}) => {
+  const filter = { ...searchFilter(q, ['name', 'email', 'phone']), ...(userType && { userType }) };
+  const [total, users] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean()
+  ]);
+
+  const subscriptions = await Subscription.find({ userId: { $in: users.map(user => user._id) } })
+    .select('userId tier isActive endDate')
+    .lean();
+  const byUser = new Map(subscriptions.map(subscription => [subscription.userId.toString(), subscription]));
+
+  return {
+    total,
+    users: users.map(user => ({ ...user, subscription: byUser.get(user._id.toString()) || null }))
+  };
+};
+
+/**
+ * One user with their subscription, lawyer profile and case counts
+ *
+ * @returns {Promise<Object|null>}
+ */
+const getUserDetail = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [subscription, lawyer, filedCases] = await Promise.all([
+    Subscription.findOne({ userId }).lean(),
+    Lawyer.findOne({ userId }).lean(),
+    Case.countDocuments({ clientId: userId })
+  ]);
+  const assignedCases = lawyer ? await Case.countDocuments({ lawyerId: lawyer._id }) : 0;
+
+  return { ...user, subscription, lawyer, cases: { filed: filedCases, assigned: assignedCases } };
+};
+
+/**
+ * Lawyers with their account details
+ *
+ * @param {Object} options - { q, status, limit, skip }; q matches license
+ *   number, Bar Council or city
+ */
+const listLawyers = async ({ q, status, limit = 20, skip = 0 } = {}) => {
+  const filter = {
+    ...searchFilter(q, ['licenseNumber', 'barCouncil', 'office.city']),
+    ...(status && { verificationStatus: status })
+  };
+  const [total, lawyers] = await Promise.all([
+    Lawyer.countDocuments(filter),
+    Lawyer.find(filter)
+      .populate('userId', 'name email phone')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+  ]);
+  return { total, lawyers };
+};
+
+/**
+ * Subscriptions with their user, newest first
+ *
+ * @param {Object} options - { tier, active, limit, skip }
+ */
+const listSubscriptions = async ({ tier, active, limit = 20, skip = 0 } = {}) => {
+  const filter = { ...(tier && { tier }), ...(active !== undefined && { isActive: active }) };
+  const [total, subscriptions] = await Promise.all([
+    Subscription.countDocuments(filter),
+    Subscription.find(filter)
+      .select('-paymentHistory')
+      .populate('userId', 'name email userType')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+  ]);
+  return { total, subscriptions };
+};
+
+/**
+ * Change a user's plan; features follow the tier
+ *
+ * @param {Object} changes - { tier, isActive, endDate }
+ * @returns {Promise<Object|null>} The subscription, null if the user has none
+ */
+const updateSubscription = async (userId, { tier, isActive, endDate }) => {
+  const update = {};
+  if (tier !== undefined) {
+    const features = Subscription.schema.statics.TIERS[(tier || '').toUpperCase()];
+    if (!features) {
+      throw Object.assign(new Error(`tier must be one of: ${Object.keys(Subscription.schema.statics.TIERS).map(t => t.toLowerCase()).join(', ')}`), { code: 'INVALID_TIER' });
+    }
+    Object.assign(update, { tier: tier.toLowerCase(), features });
+  }
+  if (isActive !== undefined) {
+    update.isActive = !!isActive;
+    if (!isActive) update.cancelledAt = new Date();
+  }
+  if (endDate !== undefined) {
+    update.endDate = endDate ? new Date(endDate) : null;
+    if (update.endDate && Number.isNaN(update.endDate.getTime())) {
+      throw Object.assign(new Error('endDate must be a valid date'), { code: 'INVALID_END_DATE' });
+    }
+  }
+
+  return Subscription.findOneAndUpdate({ userId }, { $set: update }, { new: true, runValidators: true });
+};
+
+/**
+ * Precedents without their text and embeddings, newest first
+ *
+ * @param {Object} options - { q, verdict, source, indexed, limit, skip }
+ */
+const listPrecedents = async ({ q, verdict, source, indexed, limit = 20, skip = 0 } = {}) => {
+  const filter = {
+    ...searchFilter(q, ['title', 'caseNumber', 'court']),
+    ...(verdict && { verdict }),
+    ...(source && { source }),
+    ...(indexed !== undefined && { indexedChunks: indexed ? { $gt: 0 } : { $in: [0, null] } })
+  };
+  const [total, precedents] = await Promise.all([
+    CasePrecedent.countDocuments(filter),
+    CasePrecedent.find(filter)
+      .select('caseNumber title year court verdict source sourceId kanoonUrl indexedChunks citedByCount authorityScore createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+  ]);
+  return { total, precedents };
+};
+
+/**
+ * Remove a precedent with its chunks. Citation edges keep their Kanoon ids
+ * so they reattach if the judgment is synced again; ledger entries that came
+ * from it are dropped.
+ *
+ * @returns {Promise<Object|null>} What was removed, null if not found
+ */
+const deletePrecedent = async (precedentId) => {
+  const precedent = await CasePrecedent.findById(precedentId).select('title');
+  if (!precedent) return null;
+
+  const vectorStore = await getVectorStore();
+  await vectorStore.deleteIndex(precedent._id);
+
+  const [citing, cited] = await Promise.all([
+    CitationEdge.updateMany({ citingId: precedent._id }, { $set: { citingId: null } }),
+    CitationEdge.updateMany({ citedId: precedent._id }, { $set: { citedId: null } })
+  ]);
+
+  const ledgerEntries = await LawyerOutcome.find({ precedentId: precedent._id, source: 'precedent' }).select('lawyerId').lean();
+  await LawyerOutcome.deleteMany({ precedentId: precedent._id, source: 'precedent' });
+  for (const lawyerId of new Set(ledgerEntries.map(entry => entry.lawyerId.toString()))) {
+    await recomputeLawyerStats(lawyerId);
+  }
+
+  await CasePrecedent.deleteOne({ _id: precedent._id });
+  console.log(`✓ Precedent ${precedent._id} deleted (${precedent.title})`);
+
+  return {
+    id: precedent._id,
+    title: precedent.title,
+    citationEdgesDetached: citing.modifiedCount + cited.modifiedCount,
+    ledgerEntriesRemoved: ledgerEntries.length
+  };
+};
+
+/**
+ * Jobs from every user, newest first
+ *
+ * @param {Object} options - { type, status, limit, skip }
+ */
+const listAllJobs = async ({ type, status, limit = 20, skip = 0 } = {}) => {
+  const filter = { ...(type && { type }), ...(status && { status }) };
+  const [total, jobs] = await Promise.all([
+    Job.countDocuments(filter),
+    Job.find(filter)
+      .select('-payload.file -history')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+  ]);
+  return { total, jobs };
+};
+
+module.exports = {
+  getPlatformStats,
+  listUsers,
+  getUserDetail,
+  listLawyers,
+  listSubscriptions,
+  updateSubscription,
+  listPrecedents,
+  deletePrecedent,
+  listAllJobs
+};
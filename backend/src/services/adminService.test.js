@@ -0,0 +1,30 @@
+const Subscription = require('../models/Subscription');
+const { updateSubscription } = require('./adminService');
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Subscription, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => ({ userId: filter.userId, ...$set }));
+});
+
+describe('updateSubscription', () => {
+  test('stores the tier in lower case with its features', async () => {
+    const subscription = await updateSubscription('u1', { tier: 'PREMIUM' });
+    expect(subscription.tier).toBe('premium');
+    expect(subscription.features).toEqual(Subscription.schema.statics.TIERS.PREMIUM);
+  });
+
+  test('rejects an unknown tier', async () => {
+    await expect(updateSubscription('u1', { tier: 'gold' })).rejects.toMatchObject({ code: 'INVALID_TIER' });
+    expect(Subscription.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('rejects an endDate that is not a date', async () => {
+    await expect(updateSubscription('u1', { endDate: 'next month' })).rejects.toMatchObject({ code: 'INVALID_END_DATE' });
+    expect(Subscription.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('clears the endDate when it is empty', async () => {
+    const subscription = await updateSubscription('u1', { endDate: null });
+    expect(subscription.endDate).toBeNull();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * JSON schema for structured RAG case analysis, plus a validator for the
+ * subset of JSON Schema it uses (type, required, properties, items, enum,
+ * minimum, maximum, minItems).
+ */
+
+const SCHEMA_VERSION = 1;
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'applicableSections', 'legalArguments', 'roadmap', 'risk', 'verdictPrediction', 'citedPrecedents'],
+  properties: {
+    summary: { type: 'string' },
+    applicableSections: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['act', 'section', 'reasoning'],
+        properties: {
+          act: { type: 'string' },
+          section: { type: 'string' },
+          title: { type: 'string' },
+          reasoning: { type: 'string' }
+        }
+      }
+    },
+    legalArguments: {
+      type: 'object',
+      required: ['prosecution', 'defence'],
+      properties: {
+        prosecution: stringArray,
+        defence: stringArray
+      }
+    },
+    roadmap: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['step', 'action'],
+        properties: {
+          step: { type: 'number' },
+          action: { type: 'string' },
+          details: { type: 'string' }
+        }
+      }
+    },
+    risk: {
+      type: 'object',
+      required: ['level', 'justification'],
+      properties: {
+        level: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+        justification: { type: 'string' }
+      }
+    },
+    verdictPrediction: {
+      type: 'object',
+      required: ['outcome', 'probability'],
+      properties: {
+        outcome: { type: 'string' },
+        probability: { type: 'number', minimum: 0, maximum: 1 },
+        reasoning: { type: 'string' }
+      }
+    },
+    citedPrecedents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['caseName'],
+        properties: {
+          caseName: { type: 'string' },
+          citation: { type: 'string' },
+          year: { type: 'number' },
+          relevance: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Example shown to the model alongside the schema
+const ANALYSIS_TEMPLATE = {
+  summary: 'Two or three sentence overview of the legal position',
+  applicableSections: [
+    { act: 'IPC', section: '420', title: 'Cheating and dishonestly inducing delivery of property', reasoning: 'Why it applies to these facts' }
+  ],
+  legalArguments: {
+    prosecution: ['Argument for the prosecution / plaintiff'],
+    defence: ['Argument for the defence / respondent']
+  },
+  roadmap: [
+    { step: 1, action: 'Short action', details: 'What to do and why' }
+  ],
+  risk: { level: 'Medium', justification: 'Why this risk level' },
+  verdictPrediction: { outcome: 'Likely outcome', probability: 0.6, reasoning: 'Basis in the precedents' },
+  citedPrecedents: [
+    { caseName: 'Party A v. Party B', citation: '(2010) 5 SCC 123', year: 2010, relevance: 'Why it matters here' }
+  ]
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+/**
+ * Validate a value against a schema node
+ *
+ * @returns {string[]} Error messages with JSON paths (empty when valid)
+ */
+const validate = (value, schema, path = '$') => {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type && actual !== schema.type) {
+    return [`${path}: expected ${schema.type}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => errors.push(...validate(item, schema.items, `${path}[${idx}]`)));
+    }
+  }
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, child]) => {
+      if (value[key] !== undefined) errors.push(...validate(value[key], child, `${path}.${key}`));
+    });
+  }
+
+  return errors;
+};
+
+const validateAnalysis = (value) => validate(value, ANALYSIS_SCHEMA);
+
+module.exports = {
+  SCHEMA_VERSION,
+  ANALYSIS_SCHEMA,
+  ANALYSIS_TEMPLATE,
+  validateAnalysis
+};
@@ -0,0 +1,230 @@
+/**
+ * Case Access Service - Who may do what on a case
+ *
+ * A user's role on a case is one of:
+ *   owner   the client who filed it (Case.clientId)
+ *   lawyer  the assigned lawyer (Case.lawyerId)
+ *   editor  an invited collaborator who can work on the case
+ *   viewer  an invited collaborator who can only read it
+ *
+ * Routes ask for a permission rather than a role (middleware/caseAccess.js),
+ * so the mapping below is the single place that decides access.
+ */
+
+const Case = require('../models/Case');
+const Lawyer = require('../models/Lawyer');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const { notify } = require('./notificationService');
+
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+const RELATIONSHIPS = ['junior_associate', 'co_counsel', 'other'];
+const MAX_COLLABORATORS = 20;
+
+const PERMISSIONS = {
+  // Read the case, its analyses, bench insights, documents and precedents
+  view: ['owner', 'lawyer', 'editor', 'viewer'],
+  // Run analyses and predictions, set the bench, upload and manage documents
+  edit: ['owner', 'lawyer', 'editor'],
+  // Invite, change and remove collaborators
+  manage_collaborators: ['owner', 'lawyer'],
+  // Choose the lawyer, see lawyer suggestions and close the case
+  manage_case: ['owner']
+};
+
+/**
+ * Error with a code the controllers map to an HTTP status
+ * @private
+ */
+const accessError = (code, message) => Object.assign(new Error(message), { code });
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+/**
+ * The user's role on a case, or null if they have none
+ *
+ * @param {Object} caseData - Case document (clientId / lawyerId may be populated)
+ * @param {Object} user - Decoded JWT ({ id, userType })
+ * @returns {Promise<string|null>}
+ */
+const resolveCaseRole = async (caseData, user) => {
+  if (idOf(caseData.clientId) === user.id) return 'owner';
+
+  if (caseData.lawyerId && user.userType === 'lawyer') {
+    const assigned = caseData.lawyerId.userId
+      ? idOf(caseData.lawyerId.userId) === user.id
+      : await Lawyer.exists({ _id: caseData.lawyerId, userId: user.id });
+    if (assigned) return 'lawyer';
+  }
+
+  const collaborator = (caseData.collaborators || []).find(entry => idOf(entry.userId) === user.id);
+  return collaborator ? collaborator.role : null;
+};
+
+const can = (role, permission) => !!role && (PERMISSIONS[permission] || []).includes(role);
+
+/**
+ * The case owner's subscription. Plan features and limits on a case follow
+ * the client who owns it, whoever on the case uses them.
+ */
+const caseSubscription = (caseData) => Subscription.findOne({ userId: idOf(caseData.clientId) });
+
+/**
+ * Permissions a role grants, for clients to show or hide actions
+ */
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+
+/**
+ * Cases the user works on without owning: assigned as lawyer or invited
+ *
+ * @returns {Promise<Object[]>} Cases with the user's role
+ */
+const listSharedCases = async (user) => {
+  const lawyer = user.userType === 'lawyer' ? await Lawyer.findOne({ userId: user.id }).select('_id').lean() : null;
+  const cases = await Case.find({
+    $or: [
+      { 'collaborators.userId': user.id },
+      ...(lawyer ? [{ lawyerId: lawyer._id }] : [])
+    ]
+  })
+    .select('-documents.extractedText')
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  return Promise.all(cases.map(async caseData => ({ ...caseData, role: await resolveCaseRole(caseData, user) })));
+};
+
+/**
+ * Invite a user to a case by email
+ *
+ * @param {Object} caseData - Case document
+ * @param {Object} invite - { email, role, relationship }
+ * @param {Object} inviter - Decoded JWT of the inviting user
+ * @returns {Promise<Object>} The collaborator entry
+ */
+const addCollaborator = async (caseData, { email, role = 'viewer', relationship = 'other' }, inviter) => {
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    throw accessError('INVALID_ROLE', `role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+  }
+  if (!RELATIONSHIPS.includes(relationship)) {
+    throw accessError('INVALID_RELATIONSHIP', `relationship must be one of: ${RELATIONSHIPS.join(', ')}`);
+  }
+  if (caseData.collaborators.length >= MAX_COLLABORATORS) {
+    throw accessError('TOO_MANY_COLLABORATORS', `A case can have at most ${MAX_COLLABORATORS} collaborators`);
+  }
+
+  const user = await User.findOne({ email: (email || '').toLowerCase().trim() }).select('name email userType');
+  if (!user) {
+    throw accessError('USER_NOT_FOUND', 'No user with that email');
+  }
+  const existingRole = await resolveCaseRole(caseData, { id: user._id.toString(), userType: user.userType });
+  if (existingRole) {
+    throw accessError('ALREADY_ON_CASE', `${user.name} is already on this case as ${existingRole}`);
+  }
+
+  caseData.collaborators.push({ userId: user._id, role, relationship, invitedBy: inviter.id });
+  caseData.updatedAt = new Date();
+  await caseData.save();
+
+  await notify(user._id, {
+    type: 'case.collaborator_added',
+    title: 'Added to a case',
+    message: `You can now ${role === 'editor' ? 'work on' : 'view'} "${caseData.title}".`,
+    link: `/cases/${caseData._id}`,
+    data: { caseId: caseData._id, role }
+  });
+
+  return caseData.collaborators[caseData.collaborators.length - 1];
+};
+
+/**
+ * Change a collaborator's role
+ *
+ * @returns {Promise<Object|null>} The entry, null if the user is not a collaborator
+ */
+const updateCollaborator = async (caseData, userId, { role }) => {
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    throw accessError('INVALID_ROLE', `role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+  }
+  const entry = caseData.collaborators.find(collaborator => idOf(collaborator.userId) === userId);
+  if (!entry) return null;
+
+  entry.role = role;
+  caseData.updatedAt = new Date();
+  await caseData.save();
+  return entry;
+};
+
+/**
+ * Remove a collaborator from a case
+ *
+ * @returns {Promise<Object|null>} The removed entry, null if not a collaborator
+ */
+const removeCollaborator = async (caseData, userId, removedBy) => {
+  const entry = caseData.collaborators.find(collaborator => idOf(collaborator.userId) === userId);
+  if (!entry) return null;
+
+  caseData.collaborators.pull(entry._id);
+  caseData.updatedAt = new Date();
+  await caseData.save();
+
+  if (removedBy !== userId) {
+    await notify(userId, {
+      type: 'case.collaborator_removed',
+      title: 'Removed from a case',
+      message: `You no longer have access to "${caseData.title}".`,
+      data: { caseId: caseData._id }
+    });
+  }
+  return entry;
+};
+
+/**
+ * Assign a verified lawyer to the case, or unassign with null
+ *
+ * @returns {Promise<Object|null>} The lawyer, null when unassigned
+ */
+const assignLawyer = async (caseData, lawyerId) => {
+  if (!lawyerId) {
+    caseData.lawyerId = null;
+    if (caseData.status === 'assigned') caseData.status = 'submitted';
+    caseData.updatedAt = new Date();
+    await caseData.save();
+    return null;
+  }
+
+  const lawyer = await Lawyer.findOne({ _id: lawyerId, verificationStatus: 'verified' }).select('userId');
+  if (!lawyer) {
+    throw accessError('LAWYER_NOT_FOUND', 'No verified lawyer with that id');
+  }
+  // A collaborator who becomes the assigned lawyer keeps only the lawyer role
+  caseData.collaborators = caseData.collaborators.filter(entry => idOf(entry.userId) !== lawyer.userId.toString());
+  caseData.lawyerId = lawyer._id;
+  if (['draft', 'submitted', 'under_review'].includes(caseData.status)) caseData.status = 'assigned';
+  caseData.updatedAt = new Date();
+  await caseData.save();
+
+  await notify(lawyer.userId, {
+    type: 'case.lawyer_assigned',
+    title: 'New case assigned',
+    message: `You have been assigned to "${caseData.title}".`,
+    link: `/cases/${caseData._id}`,
+    data: { caseId: caseData._id }
+  });
+  return lawyer;
+};
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  RELATIONSHIPS,
+  PERMISSIONS,
+  resolveCaseRole,
+  can,
+  caseSubscription,
+  permissionsFor,
+  listSharedCases,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  assignLawyer
+};
@@ -0,0 +1,88 @@
+jest.mock('./notificationService', () => ({ notify: jest.fn() }));
+jest.mock('../models/Lawyer', () => ({ exists: jest.fn() }));
+jest.mock('../models/User', () => ({ findOne: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Lawyer = require('../models/Lawyer');
+const User = require('../models/User');
+const { resolveCaseRole, can, permissionsFor, addCollaborator } = require('./caseAccessService');
+
+const id = () => new mongoose.Types.ObjectId();
+const clientId = id();
+const lawyerUserId = id();
+const editorId = id();
+const caseData = {
+  _id: id(),
+  title: 'Cheque bounce',
+  clientId,
+  lawyerId: id(),
+  collaborators: [{ userId: editorId, role: 'editor' }]
+};
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('resolveCaseRole', () => {
+  test('finds the owner, the assigned lawyer and collaborators', async () => {
+    Lawyer.exists.mockImplementation(async ({ userId }) => userId === lawyerUserId.toString());
+
+    expect(await resolveCaseRole(caseData, { id: clientId.toString(), userType: 'client' })).toBe('owner');
+    expect(await resolveCaseRole(caseData, { id: lawyerUserId.toString(), userType: 'lawyer' })).toBe('lawyer');
+    expect(await resolveCaseRole(caseData, { id: editorId.toString(), userType: 'lawyer' })).toBe('editor');
+    expect(await resolveCaseRole(caseData, { id: id().toString(), userType: 'client' })).toBeNull();
+  });
+
+  test('reads the assigned lawyer from a populated lawyerId', async () => {
+    const populated = { ...caseData, lawyerId: { _id: id(), userId: { _id: lawyerUserId } } };
+    expect(await resolveCaseRole(populated, { id: lawyerUserId.toString(), userType: 'lawyer' })).toBe('lawyer');
+    expect(Lawyer.exists).not.toHaveBeenCalled();
+  });
+
+  test('only a lawyer account can hold the lawyer role', async () => {
+    Lawyer.exists.mockResolvedValue(true);
+    expect(await resolveCaseRole(caseData, { id: lawyerUserId.toString(), userType: 'client' })).toBeNull();
+  });
+});
+
+describe('can', () => {
+  test.each([
+    ['owner', ['view', 'edit', 'manage_collaborators', 'manage_case']],
+    ['lawyer', ['view', 'edit', 'manage_collaborators']],
+    ['editor', ['view', 'edit']],
+    ['viewer', ['view']],
+    [null, []]
+  ])('%s may %p', (role, permissions) => {
+    expect(permissionsFor(role)).toEqual(permissions);
+  });
+
+  test('grants nothing for an unknown permission', () => {
+    expect(can('owner', 'delete_everything')).toBe(false);
+  });
+});
+
+describe('addCollaborator', () => {
+  const inviter = { id: clientId.toString() };
+  const withCollaborators = () => ({ ...caseData, collaborators: [...caseData.collaborators], save: jest.fn() });
+  const invitee = (fields) => User.findOne.mockReturnValue({ select: async () => ({ _id: id(), name: 'Asha', userType: 'client', ...fields }) });
+
+  test('adds a viewer by default', async () => {
+    invitee();
+    const target = withCollaborators();
+    const entry = await addCollaborator(target, { email: ' Asha@Example.com ' }, inviter);
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'asha@example.com' });
+    expect(entry).toMatchObject({ role: 'viewer', relationship: 'other' });
+    expect(target.save).toHaveBeenCalled();
+  });
+
+  test.each([
+    [{ role: 'owner' }, 'INVALID_ROLE'],
+    [{ relationship: 'friend' }, 'INVALID_RELATIONSHIP']
+  ])('rejects %p', async (invite, code) => {
+    await expect(addCollaborator(withCollaborators(), { email: 'a@b.c', ...invite }, inviter)).rejects.toMatchObject({ code });
+  });
+
+  test('refuses someone already on the case', async () => {
+    invitee({ _id: editorId, userType: 'lawyer' });
+    Lawyer.exists.mockResolvedValue(false);
+    await expect(addCollaborator(withCollaborators(), { email: 'a@b.c' }, inviter)).rejects.toMatchObject({ code: 'ALREADY_ON_CASE' });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Case Analysis Service - The analysis pipeline behind both analyze endpoints
+ *
+ * POST /api/cases/:id/analyze and POST /api/rag/analyze/:id run the same
+ * steps:
+ *   1. gather the sections named in the description and in the key details
+ *      extracted from uploaded documents
+ *   2. classify the case type when it is missing, retrieve similar
+ *      precedents and generate the structured analysis (ragService)
+ *   3. predict the outcome once a model is trained (outcomePredictionService)
+ *   4. store the run as the next CaseAnalysis version and mirror it on
+ *      Case.aiAnalysis / Case.similarCases
+ *
+ * Earlier versions stay in CaseAnalysis, so re-running either endpoint adds
+ * history instead of overwriting the other's result.
+ */
+
+const mongoose = require('mongoose');
+const CaseAnalysis = require('../models/CaseAnalysis');
+const { analyzeWithRAG } = require('./ragService');
+const { getLLMProvider } = require('./llmService');
+const { predictIfTrained } = require('./outcomePredictionService');
+const { caseMatchContext } = require('./lawyerMatchingService');
+const statuteConcordance = require('./statuteConcordanceService');
+const { getSection } = require('./statuteService');
+
+// Attempts to claim the next version number when two runs race
+const MAX_VERSION_ATTEMPTS = 3;
+
+/**
+ * Dual labels for the sections named in free text. References without an
+ * act ("Rs. 50000", "section 12") are skipped, and so are sections found
+ * in neither the concordance tables nor the statute collection.
+ * @private
+ */
+const sectionLabels = async (texts) => {
+  const refs = texts.filter(Boolean).flatMap(text => statuteConcordance.extractSectionReferences(text.toString()));
+  const labels = new Set();
+  for (const ref of refs) {
+    const known = statuteConcordance.lookup(ref.act, ref.section) ||
+      await getSection(ref.act, ref.section, { withEquivalent: false });
+    if (known) labels.add(statuteConcordance.formatDual(ref.act, ref.section));
+  }
+  return [...labels];
+};
+
+/**
+ * Local precedent ids only; live Kanoon results carry a numeric tid
+ * @private
+ */
+const isLocalId = (id) => id instanceof mongoose.Types.ObjectId || /^[0-9a-f]{24}$/i.test(String(id ?? ''));
+
+/**
+ * Sections and document details to feed the analysis
+ *
+ * @param {Object} caseData - Case document
+ * @returns {Promise<{sections: string[], descriptionSections: string[], documentSections: string[], documents: Object[]}>}
+ */
+const collectCaseContext = async (caseData) => {
+  const descriptionSections = await sectionLabels([caseData.title, caseData.description]);
+
+  // Documents still queued or failed have no extracted details yet
+  const documents = await Promise.all((caseData.documents || [])
+    .filter(doc => doc.keyInfo && (doc.processingStatus || 'completed') === 'completed')
+    .map(async doc => ({
+      docId: doc._id,
+      filename: doc.filename,
+      caseNumber: doc.keyInfo.caseNumber || null,
+      courtName: doc.keyInfo.courtName || null,
+      parties: doc.keyInfo.parties || [],
+      dates: doc.keyInfo.dates || [],
+      sections: await sectionLabels(doc.keyInfo.ipcSections || [])
+    })));
+  const documentSections = [...new Set(documents.flatMap(doc => doc.sections))];
+
+  return {
+    sections: [...new Set([...descriptionSections, ...documentSections])],
+    descriptionSections,
+    documentSections,
+    documents
+  };
+};
+
+/**
+ * Append a CaseAnalysis version, retrying if another run claimed the number
+ * @private
+ */
+const saveVersion = async (record) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await CaseAnalysis.findOne({ caseId: record.caseId })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+    try {
+      return await CaseAnalysis.create({ ...record, version: (latest?.version || 0) + 1 });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Run the analysis pipeline for a case and store the result
+ *
+ * @param {Object} caseData - Case document (saved by this function)
+ * @param {Object} options - { trigger: 'case' | 'rag', userId }
+ * @returns {Promise<Object>} { record, caseData, ragAnalysis }
+ */
+const runCaseAnalysis = async (caseData, { trigger, userId = null } = {}) => {
+  const caseFile = await collectCaseContext(caseData);
+  console.log(`Analyzing case ${caseData._id} (${trigger}): ${caseFile.sections.length} sections, ${caseFile.documents.length} documents`);
+
+  const ragAnalysis = await analyzeWithRAG(
+    caseData.description,
+    caseData.caseType === 'General' ? null : caseData.caseType,
+    { caseFile, matchContext: caseMatchContext(caseData) }
+  );
+
+  if (ragAnalysis.caseType && (!caseData.caseType || caseData.caseType === 'General')) {
+    caseData.caseType = ragAnalysis.caseType;
+  }
+
+  const { analysis: fullText, ...analysisRecord } = ragAnalysis.analysis;
+  const aiAnalysis = {
+    ...analysisRecord,
+    // Sections the case file names are suggested even if the LLM left them out
+    suggestedIPCs: [...new Set([...(analysisRecord.suggestedIPCs || []), ...caseFile.sections])],
+    keyPoints: analysisRecord.keyPoints || (fullText || '').split('\n').filter(p => p.trim()).slice(0, 5),
+    analyzedAt: new Date()
+  };
+
+  caseData.aiAnalysis = aiAnalysis;
+  const outcomePrediction = await predictIfTrained(caseData);
+  if (outcomePrediction) {
+    aiAnalysis.outcomePrediction = outcomePrediction;
+  }
+
+  const provider = getLLMProvider();
+  const record = await saveVersion({
+    caseId: caseData._id,
+    trigger,
+    requestedBy: userId,
+    caseType: ragAnalysis.caseType,
+    inputs: {
+      descriptionSections: caseFile.descriptionSections,
+      documentSections: caseFile.documentSections,
+      documents: caseFile.documents.map(({ docId, filename }) => ({ docId, filename }))
+    },
+    analysis: aiAnalysis,
+    retrievedCases: ragAnalysis.retrievedCases || [],
+    llm: { provider: provider.name, model: provider.chatModel },
+    liveSearch: ragAnalysis.liveSearch
+  });
+
+  caseData.aiAnalysis = {
+    ...aiAnalysis,
+    version: record.version,
+    analysisId: record._id
+  };
+  caseData.similarCases = (ragAnalysis.retrievedCases || []).map(rc => ({
+    caseId: isLocalId(rc.caseId) ? rc.caseId : null,
+    sourceId: isLocalId(rc.caseId) ? null : String(rc.caseId),
+    similarity: rc.similarity,
+    outcome: rc.verdict || 'Precedent case',
+    year: rc.year || null,
+    lawyer: 'Precedent',
+    citeReference: rc.caseNumber,
+    warning: rc.treatmentWarning || null
+  }));
+  caseData.updatedAt = new Date();
+  try {
+    await caseData.save();
+  } catch (error) {
+    // Do not leave a version the case does not point to
+    await CaseAnalysis.deleteOne({ _id: record._id });
+    throw error;
+  }
+
+  console.log(`✓ Case ${caseData._id} analysis v${record.version} stored`);
+  return { record, caseData, ragAnalysis };
+};
+
+/**
+ * Stored analysis versions of a case, newest first (without the full records)
+ */
+const listCaseAnalyses = (caseId) => CaseAnalysis.find({ caseId })
+  .sort({ version: -1 })
+  .select('version trigger requestedBy caseType inputs llm liveSearch createdAt analysis.confidence analysis.riskLevel analysis.suggestedIPCs')
+  .lean();
+
+/**
+ * One stored analysis version ('latest' or a number)
+ */
+const getCaseAnalysis = (caseId, version) => {
+  const query = CaseAnalysis.findOne(version === 'latest' ? { caseId } : { caseId, version: parseInt(version) });
+  return query.sort({ version: -1 }).lean();
+};
+
+module.exports = {
+  collectCaseContext,
+  runCaseAnalysis,
+  listCaseAnalyses,
+  getCaseAnalysis
+};
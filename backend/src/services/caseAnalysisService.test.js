@@ -0,0 +1,95 @@
+jest.mock('./ragService', () => ({ analyzeWithRAG: jest.fn() }));
+jest.mock('./llmService', () => ({ getLLMProvider: () => ({ name: 'mock', chatModel: 'mock-chat' }) }));
+jest.mock('./outcomePredictionService', () => ({ predictIfTrained: jest.fn().mockResolvedValue(null) }));
+jest.mock('./lawyerMatchingService', () => ({ caseMatchContext: () => ({}) }));
+jest.mock('./statuteService', () => ({ getSection: jest.fn().mockResolvedValue(null) }));
+jest.mock('../models/CaseAnalysis', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const CaseAnalysis = require('../models/CaseAnalysis');
+const { analyzeWithRAG } = require('./ragService');
+const { getSection } = require('./statuteService');
+const { collectCaseContext, runCaseAnalysis } = require('./caseAnalysisService');
+
+beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+const newCase = (fields = {}) => new Case({
+  title: 'Cheque bounce',
+  description: 'I paid Rs. 50000 and the cheque bounced.',
+  caseType: 'Civil',
+  clientId: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+describe('collectCaseContext', () => {
+  test('skips references without an act', async () => {
+    const context = await collectCaseContext(newCase({ description: 'I paid Rs. 50000 ... see section 138 of the NI Act' }));
+    expect(context.descriptionSections).toEqual([]);
+  });
+
+  test('keeps sections from the concordance tables as dual labels', async () => {
+    const context = await collectCaseContext(newCase({ description: 'Charged under Section 420 IPC' }));
+    expect(context.descriptionSections).toEqual(['IPC 420 / BNS 318(4)']);
+  });
+
+  test('drops sections that are in no statute table', async () => {
+    const context = await collectCaseContext(newCase({ description: 'Charged under Section 9999 IPC' }));
+    expect(getSection).toHaveBeenCalledWith('IPC', '9999', { withEquivalent: false });
+    expect(context.sections).toEqual([]);
+  });
+
+  test('keeps sections found only in the statute collection', async () => {
+    getSection.mockResolvedValueOnce({ act: 'ITA', section: '66A' });
+    const context = await collectCaseContext(newCase({
+      documents: [{ filename: 'fir.pdf', keyInfo: { ipcSections: ['BNS 999'] }, processingStatus: 'completed' }]
+    }));
+    expect(context.documentSections).toEqual(['BNS 999']);
+  });
+});
+
+describe('runCaseAnalysis', () => {
+  const localId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CaseAnalysis.findOne.mockReturnValue({ sort: () => ({ select: () => ({ lean: async () => null }) }) });
+    CaseAnalysis.create.mockImplementation(async (record) => ({ ...record, _id: new mongoose.Types.ObjectId() }));
+    analyzeWithRAG.mockResolvedValue({
+      caseType: 'Civil',
+      analysis: { analysis: 'Full text', suggestedIPCs: [], confidence: 0.5 },
+      retrievedCases: [
+        { caseId: localId, caseNumber: 'CA 1/2020', similarity: 0.8, verdict: 'dismissed' },
+        { caseId: 1234567, caseNumber: '1234567', similarity: 0.9, verdict: 'acquitted' }
+      ]
+    });
+  });
+
+  test('stores Kanoon tids as sourceId so the case validates', async () => {
+    const caseData = newCase();
+    caseData.save = jest.fn(async () => caseData.validateSync());
+
+    await runCaseAnalysis(caseData, { trigger: 'case' });
+
+    expect(caseData.save).toHaveBeenCalled();
+    expect(caseData.validateSync()).toBeUndefined();
+    const [local, live] = caseData.similarCases;
+    expect(local.caseId.toString()).toBe(localId.toString());
+    expect(local.sourceId).toBeNull();
+    expect(live.caseId).toBeNull();
+    expect(live.sourceId).toBe('1234567');
+  });
+
+  test('removes the stored version when the case cannot be saved', async () => {
+    const caseData = newCase();
+    caseData.save = jest.fn().mockRejectedValue(new Error('save failed'));
+
+    await expect(runCaseAnalysis(caseData, { trigger: 'rag' })).rejects.toThrow('save failed');
+    const created = await CaseAnalysis.create.mock.results[0].value;
+    expect(CaseAnalysis.deleteOne).toHaveBeenCalledWith({ _id: created._id });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Chunking Service - Split judgments into paragraph-aware, labelled chunks
+ *
+ * Each paragraph is labelled facts / arguments / ratio / order from textual
+ * cues; unlabelled paragraphs inherit the previous label, since judgments
+ * move through those parts in sequence. Consecutive paragraphs with the same
+ * label are merged up to MAX_CHUNK_CHARS.
+ */
+
+const MAX_CHUNK_CHARS = 1500;
+const MIN_CHUNK_CHARS = 200;
+
+// Checked in this order; the first matching label wins
+const SECTION_CUES = {
+  order: [
+    /\b(appeal|appeals|petition|writ petition|revision|suit)\s+(is|are|stands?)\s+(hereby\s+|accordingly\s+)?(allowed|dismissed|disposed|partly allowed|rejected)/i,
+    /\bwe (accordingly |therefore )?(order|direct)\b/i,
+    /\b(conviction|sentence|order of acquittal)\b.{0,80}\b(set aside|upheld|maintained|confirmed|restored)\b/i,
+    /^\s*O\s*R\s*D\s*E\s*R\b/
+  ],
+  ratio: [
+    /\bin (our|my) (considered )?(opinion|view)\b/i,
+    /\bwe are (of the (considered )?view|of the opinion|unable to|inclined)\b/i,
+    /\bit is (well[- ])?settled\b/i,
+    /\bwe (hold|find|conclude)\b/i,
+    /\bthe (question|issue|point) (that arises|for (our )?(consideration|determination))\b/i,
+    /\b(ratio|principle) (laid down|enunciated)\b/i
+  ],
+  arguments: [
+    /\blearned (senior |additional )?(counsel|advocate|public prosecutor|solicitor general|amicus)\b/i,
+    /\b(submitted|contended|argued|urged|canvassed) (that|before)\b/i,
+    /\bon behalf of the (appellant|respondent|petitioner|accused|state|prosecution)\b/i
+  ],
+  facts: [
+    /\bfacts? (of the case|in brief|giving rise|leading to)\b/i,
+    /\bbrief(ly)? (stated|put|the facts)\b/i,
+    /\b(prosecution case|case of the prosecution)\b/i,
+    /\b(F\.?I\.?R\.?|first information report)\b/i
+  ]
+};
+
+/**
+ * Label a single paragraph, or null if no cue matches
+ */
+const detectSection = (paragraph) => {
+  for (const [section, patterns] of Object.entries(SECTION_CUES)) {
+    if (patterns.some(pattern => pattern.test(paragraph))) {
+      return section;
+    }
+  }
+  return null;
+};
+
+/**
+ * Break text into paragraphs (blank lines, numbered paragraphs, or single
+ * newlines as a fallback); overlong paragraphs are split at sentence ends
+ */
+const splitParagraphs = (text) => {
+  if (!text) return [];
+
+  const normalized = text.replace(/\r\n/g, '\n').trim();
+  let paragraphs = normalized.split(/\n\s*\n|\n(?=\s*\(?\d{1,3}[.)]\s)/);
+  if (paragraphs.length === 1) {
+    paragraphs = normalized.split(/\n/);
+  }
+
+  const result = [];
+  paragraphs
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .forEach(paragraph => {
+      if (paragraph.length <= MAX_CHUNK_CHARS) {
+        result.push(paragraph);
+        return;
+      }
+
+      let current = '';
+      paragraph.split(/(?<=[.?!])\s+/).forEach(sentence => {
+        if (current && current.length + sentence.length + 1 > MAX_CHUNK_CHARS) {
+          result.push(current);
+          current = '';
+        }
+        current = current ? `${current} ${sentence}` : sentence;
+        // A single sentence longer than the limit is hard-cut
+        while (current.length > MAX_CHUNK_CHARS) {
+          result.push(current.substring(0, MAX_CHUNK_CHARS));
+          current = current.substring(MAX_CHUNK_CHARS);
+        }
+      });
+      if (current) result.push(current);
+    });
+
+  return result;
+};
+
+/**
+ * Merge labelled paragraphs into chunks
+ *
+ * @param {Array<{section: string, text: string}>} paragraphs
+ * @returns {Array<{section: string, text: string}>}
+ */
+const mergeParagraphs = (paragraphs) => {
+  const chunks = [];
+
+  paragraphs.forEach(({ section, text }) => {
+    const last = chunks[chunks.length - 1];
+    const fits = last && last.text.length + text.length + 1 <= MAX_CHUNK_CHARS;
+
+    if (last && last.section === section && (fits || last.text.length < MIN_CHUNK_CHARS)) {
+      last.text = `${last.text}\n${text}`;
+    } else {
+      chunks.push({ section, text });
+    }
+  });
+
+  return chunks;
+};
+
+/**
+ * Chunk a judgment body, labelling each paragraph
+ *
+ * @param {string} text - Judgment text
+ * @param {string} initialSection - Label used until the first cue
+ */
+const chunkJudgment = (text, initialSection = 'facts') => {
+  let current = initialSection;
+  const labelled = splitParagraphs(text).map(paragraph => {
+    current = detectSection(paragraph) || current;
+    return { section: current, text: paragraph };
+  });
+  return mergeParagraphs(labelled);
+};
+
+/**
+ * Build all chunks for a CasePrecedent: one summary chunk describing the
+ * case, the facts field, then the labelled judgment text
+ *
+ * @returns {Array<{chunkIndex: number, section: string, text: string}>}
+ */
+const chunkPrecedent = (caseData) => {
+  const header = [
+    `Case Number: ${caseData.caseNumber}`,
+    `Title: ${caseData.title}`,
+    `Year: ${caseData.year}`,
+    `Court: ${caseData.court}`,
+    `IPC Sections: ${caseData.ipcSections?.join(', ') || ''}`,
+    `Summary: ${caseData.summary || ''}`,
+    `Keywords: ${caseData.keywords?.join(', ') || ''}`
+  ].join('\n');
+
+  const chunks = [{ section: 'summary', text: header.substring(0, MAX_CHUNK_CHARS * 2) }];
+
+  // Parsed Kanoon judgments take facts from the judgment text itself
+  if (caseData.facts && !caseData.decision?.includes(caseData.facts)) {
+    mergeParagraphs(splitParagraphs(caseData.facts).map(text => ({ section: 'facts', text })))
+      .forEach(chunk => chunks.push(chunk));
+  }
+
+  if (caseData.decision && caseData.decision !== caseData.facts) {
+    chunkJudgment(caseData.decision).forEach(chunk => chunks.push(chunk));
+  }
+
+  return chunks.map((chunk, chunkIndex) => ({ chunkIndex, ...chunk }));
+};
+
+module.exports = {
+  chunkPrecedent,
+  chunkJudgment,
+  splitParagraphs,
+  detectSection,
+  MAX_CHUNK_CHARS
+};
@@ -0,0 +1,261 @@
+/**
+ * Citation Graph Service - Precedent-to-precedent citations and authority
+ *
+ * Edges come from the cites / citedBy lists Indian Kanoon returns with each
+ * document. Authority is PageRank over that graph: a judgment cited by many
+ * (and by well-cited) judgments ranks higher. Judgments we have not synced
+ * still take part as nodes, so a precedent's score does not depend on which
+ * of its citers happen to be in the database.
+ */
+
+const mongoose = require('mongoose');
+const CasePrecedent = require('../models/CasePrecedent');
+const CitationEdge = require('../models/CitationEdge');
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-6;
+
+const PRECEDENT_FIELDS = '_id sourceId title caseNumber year court authorityScore citedByCount treatment';
+
+// Weight of authority when re-ranking retrieved precedents (0 disables it)
+const AUTHORITY_WEIGHT = parseFloat(process.env.AUTHORITY_WEIGHT || '0.15');
+
+/**
+ * Normalise one cites / citedBy entry: Kanoon returns {tid, title}; older
+ * payloads carry bare ids or {docid}, stored precedents {sourceId, title}
+ */
+const toCitationRef = (entry) => {
+  if (entry === null || entry === undefined) return null;
+  if (typeof entry !== 'object') return { sourceId: entry.toString(), title: null };
+
+  const id = entry.tid ?? entry.docid ?? entry.sourceId ?? entry.id;
+  return id === undefined || id === null ? null : { sourceId: id.toString(), title: entry.title || null };
+};
+
+/**
+ * Store the citations of one synced judgment
+ *
+ * @param {Object} precedent - Saved CasePrecedent (needs sourceId)
+ * @param {Object} caseData - Parsed Kanoon document with cites / citedBy
+ * @returns {Promise<number>} Edges written
+ */
+const recordCitations = async (precedent, caseData) => {
+  const sourceId = (precedent.sourceId || caseData.sourceId)?.toString();
+  if (!sourceId) return 0;
+
+  const operations = [];
+  const addEdge = (citing, cited) => {
+    if (citing.sourceId === cited.sourceId) return;
+    operations.push({
+      updateOne: {
+        filter: { citingSourceId: citing.sourceId, citedSourceId: cited.sourceId },
+        update: {
+          $set: {
+            ...(citing.title && { citingTitle: citing.title }),
+            ...(cited.title && { citedTitle: cited.title })
+          },
+          $setOnInsert: { source: 'kanoon', createdAt: new Date() }
+        },
+        upsert: true
+      }
+    });
+  };
+
+  const self = { sourceId, title: precedent.title };
+  (caseData.cites || []).map(toCitationRef).filter(Boolean).forEach(cited => addEdge(self, cited));
+  (caseData.citedBy || []).map(toCitationRef).filter(Boolean).forEach(citing => addEdge(citing, self));
+
+  if (operations.length === 0) return 0;
+  await CitationEdge.bulkWrite(operations, { ordered: false });
+
+  // Link the endpoints (this precedent included) that exist locally
+  await resolveEdges(operations.flatMap(op => [op.updateOne.filter.citingSourceId, op.updateOne.filter.citedSourceId]));
+
+  return operations.length;
+};
+
+/**
+ * Fill in CasePrecedent refs for edges whose endpoints are in the database
+ *
+ * @param {string[]} sourceIds - Limit to these Kanoon ids (all when omitted)
+ */
+const resolveEdges = async (sourceIds = null) => {
+  const query = { sourceId: sourceIds ? { $in: [...new Set(sourceIds)] } : { $ne: null } };
+  const precedents = await CasePrecedent.find(query).select('_id sourceId').lean();
+  if (precedents.length === 0) return 0;
+
+  const operations = precedents.flatMap(p => [
+    { updateMany: { filter: { citingSourceId: p.sourceId, citingId: null }, update: { $set: { citingId: p._id } } } },
+    { updateMany: { filter: { citedSourceId: p.sourceId, citedId: null }, update: { $set: { citedId: p._id } } } }
+  ]);
+  const result = await CitationEdge.bulkWrite(operations, { ordered: false });
+  return result.modifiedCount;
+};
+
+/**
+ * PageRank over an edge list
+ *
+ * @param {Array<[string, string]>} edges - [citing, cited] pairs
+ * @returns {Map<string, number>} Score per node (sums to 1)
+ */
+const pageRank = (edges, { damping = DAMPING, maxIterations = MAX_ITERATIONS, tolerance = TOLERANCE } = {}) => {
+  const outLinks = new Map();
+  const nodes = new Set();
+  edges.forEach(([citing, cited]) => {
+    nodes.add(citing);
+    nodes.add(cited);
+    if (!outLinks.has(citing)) outLinks.set(citing, []);
+    outLinks.get(citing).push(cited);
+  });
+
+  const n = nodes.size;
+  if (n === 0) return new Map();
+
+  let ranks = new Map(Array.from(nodes, node => [node, 1 / n]));
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    // Judgments that cite nothing we know of spread their rank evenly
+    let danglingRank = 0;
+    nodes.forEach(node => {
+      if (!outLinks.has(node)) danglingRank += ranks.get(node);
+    });
+
+    const base = (1 - damping) / n + (damping * danglingRank) / n;
+    const next = new Map(Array.from(nodes, node => [node, base]));
+    outLinks.forEach((targets, node) => {
+      const share = (damping * ranks.get(node)) / targets.length;
+      targets.forEach(target => next.set(target, next.get(target) + share));
+    });
+
+    let delta = 0;
+    nodes.forEach(node => { delta += Math.abs(next.get(node) - ranks.get(node)); });
+    ranks = next;
+    if (delta < tolerance) break;
+  }
+
+  return ranks;
+};
+
+/**
+ * Recompute authorityScore and citedByCount for every precedent
+ *
+ * @returns {Promise<{nodes: number, edges: number, scored: number}>}
+ */
+const computeAuthorityScores = async () => {
+  const edges = await CitationEdge.find().select('citingSourceId citedSourceId').lean();
+  const ranks = pageRank(edges.map(e => [e.citingSourceId, e.citedSourceId]));
+
+  const citedBy = new Map();
+  edges.forEach(e => citedBy.set(e.citedSourceId, (citedBy.get(e.citedSourceId) || 0) + 1));
+
+  // Scale so the top node is 1; raw PageRank shrinks as the graph grows
+  let maxRank = 0;
+  ranks.forEach(rank => { if (rank > maxRank) maxRank = rank; });
+  const precedents = await CasePrecedent.find({ sourceId: { $ne: null } }).select('_id sourceId').lean();
+
+  const operations = precedents.map(p => ({
+    updateOne: {
+      filter: { _id: p._id },
+      update: {
+        $set: {
+          authorityScore: maxRank > 0 && ranks.has(p.sourceId) ? ranks.get(p.sourceId) / maxRank : 0,
+          citedByCount: citedBy.get(p.sourceId) || 0
+        }
+      }
+    }
+  }));
+  if (operations.length > 0) {
+    await CasePrecedent.bulkWrite(operations, { ordered: false });
+  }
+
+  console.log(`✓ Authority scores computed (${ranks.size} nodes, ${edges.length} edges, ${operations.length} precedents)`);
+  return { nodes: ranks.size, edges: edges.length, scored: operations.length };
+};
+
+/**
+ * Resolve a precedent by ObjectId or Kanoon document id
+ * @private
+ */
+const findPrecedent = async (id) => {
+  if (mongoose.Types.ObjectId.isValid(id) && id.toString().length === 24) {
+    const byId = await CasePrecedent.findById(id).select(PRECEDENT_FIELDS).lean();
+    if (byId) return byId;
+  }
+  return CasePrecedent.findOne({ sourceId: id.toString() }).select(PRECEDENT_FIELDS).lean();
+};
+
+/**
+ * Edges pointing at / away from a precedent, with local details where known
+ *
+ * @param {string} id - CasePrecedent _id or Kanoon document id
+ * @param {'citing'|'cited'} direction - 'citing': cases citing this one;
+ *   'cited': cases this one cites
+ */
+const getCitations = async (id, direction, { limit = 50 } = {}) => {
+  const precedent = await findPrecedent(id);
+  const sourceId = precedent?.sourceId || (/^\d+$/.test(id) ? id.toString() : null);
+  if (!sourceId) return null;
+
+  const citing = direction === 'citing';
+  const edges = await CitationEdge.find(citing ? { citedSourceId: sourceId } : { citingSourceId: sourceId })
+    .limit(limit)
+    .lean();
+
+  const otherIds = edges.map(e => (citing ? e.citingId : e.citedId)).filter(Boolean);
+  const others = await CasePrecedent.find({ _id: { $in: otherIds } })
+    .select('caseNumber title year court verdict authorityScore')
+    .lean();
+  const othersById = new Map(others.map(o => [o._id.toString(), o]));
+
+  const cases = edges.map(e => {
+    const otherId = citing ? e.citingId : e.citedId;
+    const local = otherId ? othersById.get(otherId.toString()) : null;
+    return {
+      caseId: local?._id || null,
+      sourceId: citing ? e.citingSourceId : e.citedSourceId,
+      kanoonUrl: `https://indiankanoon.org/doc/${citing ? e.citingSourceId : e.citedSourceId}/`,
+      title: local?.title || (citing ? e.citingTitle : e.citedTitle) || null,
+      caseNumber: local?.caseNumber || null,
+      year: local?.year || null,
+      court: local?.court || null,
+      verdict: local?.verdict || null,
+      authorityScore: local?.authorityScore ?? null,
+      treatment: e.treatment || 'referred',
+      treatmentCue: e.treatmentCue || null
+    };
+  }).sort((a, b) => (b.authorityScore || 0) - (a.authorityScore || 0));
+
+  return { precedent, sourceId, cases };
+};
+
+/**
+ * Re-rank retrieved precedents by similarity blended with authority:
+ *   rankScore = (1 - w) * similarity + w * authorityScore
+ * Overruled precedents (treatment 'negative') count as authority -1 so they
+ * sink below comparable good law; they are kept, with a warning, since an
+ * overruled judgment can still explain how the law developed.
+ *
+ * @param {Array} results - Search results with similarity and authorityScore
+ * @param {number} k - Results to keep
+ */
+const rerankByAuthority = (results, k = results.length, weight = AUTHORITY_WEIGHT) => {
+  return results
+    .map(r => ({
+      ...r,
+      rankScore: (1 - weight) * (r.similarity || 0) + weight * (r.treatment === 'negative' ? -1 : (r.authorityScore || 0))
+    }))
+    .sort((a, b) => b.rankScore - a.rankScore)
+    .slice(0, k);
+};
+
+module.exports = {
+  AUTHORITY_WEIGHT,
+  toCitationRef,
+  recordCitations,
+  resolveEdges,
+  pageRank,
+  computeAuthorityScores,
+  findPrecedent,
+  getCitations,
+  rerankByAuthority
+};
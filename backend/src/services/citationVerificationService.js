@@ -0,0 +1,313 @@
+const CasePrecedent = require('../models/CasePrecedent');
+const kanoonService = require('./kanoonService');
+const statuteConcordance = require('./statuteConcordanceService');
+
+/**
+ * Citation Verification Service - Ground LLM analyses against real precedents
+ *
+ * Every case citation and statutory section in an analysis is resolved and
+ * given a status:
+ *   verified       - exists, and was part of the retrieved context given to the model
+ *   not-in-context - exists (local DB or Indian Kanoon), but the model cited it from memory
+ *   unverified     - could not be resolved; possibly fabricated
+ *
+ * Kanoon lookups are opt-in (CITATION_VERIFY_KANOON=true) since they cost API credits.
+ */
+
+const STATUS = {
+  VERIFIED: 'verified',
+  NOT_IN_CONTEXT: 'not-in-context',
+  UNVERIFIED: 'unverified'
+};
+
+const MAX_KANOON_LOOKUPS = 5;
+
+// Words that say nothing about which case a party name refers to
+const PARTY_STOPWORDS = new Set([
+  'state', 'union', 'india', 'of', 'the', 'and', 'ors', 'others', 'anr', 'another',
+  'etc', 'mr', 'mrs', 'ms', 'dr', 'smt', 'shri', 'sri', 'ltd', 'pvt', 'co', 'govt', 'government'
+]);
+
+// Sentence words the case-name pattern can pick up before the first party
+const LEADING_WORDS = /^(?:(?:In|See|Per|Also|As|Following|Cf|Under|Relying on|Applying)\s+)+/;
+
+// Largest section number per act, to catch impossible sections
+const SECTION_LIMITS = { IPC: 511, CRPC: 484, BNS: 358, BNSS: 531 };
+
+// "(2010) 5 SCC 123", "AIR 1973 SC 1461", "2005 Cri LJ 123", "[1950] 1 SCR 88"
+const REPORTER_PATTERN = /\(\d{4}\)\s*\d+\s*SCC\s*\d+|AIR\s+\d{4}\s+[A-Z][A-Za-z]*\s+\d+|\d{4}\s+Cri\.?\s*L\.?\s*J\.?\s+\d+|\[\d{4}\]\s*\d+\s*S\.?C\.?R\.?\s*\d+/g;
+const CASE_NAME_PATTERN = /\b((?:[A-Z][\w.&']*\s+(?:(?:of|and|the)\s+)?){0,5}[A-Z][\w.&']*)\s+(?:v\.|vs\.?|versus)\s+((?:[A-Z][\w.&']*(?:\s+(?:of|and|the))?\s*){1,6})/g;
+const SECTION_PATTERN = /(?:Section|Sec\.?|S\.)\s+(\d+[A-Z]?)\s+(?:of\s+(?:the\s+)?)?(IPC|I\.P\.C\.?|Indian Penal Code|CrPC|Cr\.P\.C\.?|Code of Criminal Procedure|BNS|BNSS)\b/gi;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeAct = (act) => {
+  return statuteConcordance.normalizeAct(act) || (act || '').replace(/[.\s]/g, '').toUpperCase();
+};
+
+/**
+ * Distinctive tokens of a party name, e.g. "State of Maharashtra" -> ["maharashtra"]
+ */
+const partyTokens = (party) => {
+  return (party || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !PARTY_STOPWORDS.has(word));
+};
+
+/**
+ * True if a title mentions distinctive words from both sides of a case name
+ */
+const titleMatchesCaseName = (title, caseName) => {
+  const [first, second] = (caseName || '').split(/\s+(?:v\.|vs\.?|versus)\s+/i);
+  if (!first || !second) return false;
+
+  const titleLower = (title || '').toLowerCase();
+  const sideMatches = (party) => {
+    const tokens = partyTokens(party);
+    return tokens.length > 0 && tokens.some(token => titleLower.includes(token));
+  };
+  return sideMatches(first) && sideMatches(second);
+};
+
+/**
+ * Collect every string inside a structured analysis
+ * @private
+ */
+const collectText = (value, out = []) => {
+  if (typeof value === 'string') out.push(value);
+  else if (Array.isArray(value)) value.forEach(item => collectText(item, out));
+  else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.values(value).forEach(item => collectText(item, out));
+  }
+  return out;
+};
+
+/**
+ * Extract case and statute citations from an analysis
+ *
+ * @param {Object} analysis - Record produced by ragService (structured or fallback)
+ * @returns {{cases: Array, statutes: Array}}
+ */
+const extractCitations = (analysis) => {
+  const cases = [];
+  const statutes = new Map();
+
+  const addCase = (entry) => {
+    const duplicate = cases.find(c =>
+      (entry.citation && c.citation === entry.citation) ||
+      (entry.caseName && c.caseName && c.caseName.toLowerCase() === entry.caseName.toLowerCase())
+    );
+    if (duplicate) {
+      duplicate.citation = duplicate.citation || entry.citation;
+      duplicate.year = duplicate.year || entry.year;
+    } else {
+      cases.push(entry);
+    }
+  };
+  const addStatute = (act, section) => {
+    const key = `${normalizeAct(act)} ${section.toUpperCase()}`;
+    if (!statutes.has(key)) {
+      statutes.set(key, { act: normalizeAct(act), section: section.toUpperCase(), text: `${act} Section ${section}` });
+    }
+  };
+
+  (analysis.citedPrecedents || []).forEach(p => {
+    addCase({ caseName: p.caseName, citation: p.citation || null, year: p.year || null, text: p.caseName });
+  });
+  (analysis.applicableSections || []).forEach(s => addStatute(s.act, s.section));
+
+  // Structured fields are scanned for citations buried in reasoning text;
+  // the raw response would repeat them
+  const text = collectText(analysis.structured
+    ? { ...analysis, analysis: undefined, citedPrecedents: undefined, grounding: undefined }
+    : analysis.analysis || '').join('\n');
+
+  for (const match of text.matchAll(CASE_NAME_PATTERN)) {
+    const caseName = `${match[1].replace(LEADING_WORDS, '').trim()} v. ${match[2].trim().replace(/\s+(?:of|and|the)$/, '')}`;
+    addCase({ caseName, citation: null, year: null, text: caseName });
+  }
+  for (const match of text.matchAll(REPORTER_PATTERN)) {
+    const citation = match[0].replace(/\s+/g, ' ');
+    if (!cases.some(c => c.citation && c.citation.replace(/\s+/g, ' ') === citation)) {
+      addCase({ caseName: null, citation, year: parseInt(citation.match(/\d{4}/)[0]), text: citation });
+    }
+  }
+  for (const match of text.matchAll(SECTION_PATTERN)) {
+    addStatute(match[2], match[1]);
+  }
+
+  return { cases, statutes: Array.from(statutes.values()) };
+};
+
+/**
+ * Find a CasePrecedent for a cited case
+ * @private
+ */
+const findLocalPrecedent = async (citation) => {
+  if (citation.citation) {
+    const pattern = new RegExp(`^${escapeRegex(citation.citation).replace(/\s+/g, '\\s*')}$`, 'i');
+    const byCitation = await CasePrecedent.findOne({
+      $or: [{ citations: pattern }, { caseNumber: pattern }]
+    }).select('_id title year caseNumber');
+    if (byCitation) return byCitation;
+  }
+
+  if (citation.caseName) {
+    const tokens = citation.caseName.split(/\s+(?:v\.|vs\.?|versus)\s+/i).map(partyTokens);
+    if (tokens.length === 2 && tokens[0].length > 0 && tokens[1].length > 0) {
+      const candidates = await CasePrecedent.find({
+        $and: tokens.map(side => ({ title: { $regex: side.map(escapeRegex).join('|'), $options: 'i' } }))
+      }).select('_id title year caseNumber').limit(5);
+
+      return candidates.find(c => !citation.year || !c.year || Math.abs(c.year - citation.year) <= 1) || null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Look a cited case up on Indian Kanoon
+ * @private
+ */
+const findOnKanoon = async (citation) => {
+  const query = citation.caseName || citation.citation;
+  const results = await kanoonService.searchCases(query, { maxpages: 1 });
+  const hit = (results.docs || []).find(doc =>
+    citation.caseName ? titleMatchesCaseName(doc.title, citation.caseName) : true
+  );
+  if (!hit) return null;
+
+  const details = await kanoonService.fetchCaseDetails(hit.tid);
+  if (citation.year && details.year && Math.abs(details.year - citation.year) > 1) {
+    return null;
+  }
+  return { tid: hit.tid.toString(), title: details.title, kanoonUrl: details.kanoonUrl };
+};
+
+/**
+ * Was this case among the cases retrieved into the prompt?
+ * @private
+ */
+const inRetrievedContext = (citation, resolved, retrievedCases) => {
+  return retrievedCases.some(rc => {
+    if (resolved?.precedentId && rc.caseId && rc.caseId.toString() === resolved.precedentId.toString()) return true;
+    if (resolved?.tid && rc.caseId && rc.caseId.toString() === resolved.tid) return true;
+    if (citation.citation && rc.caseNumber && rc.caseNumber === citation.citation) return true;
+    return citation.caseName ? titleMatchesCaseName(rc.title, citation.caseName) : false;
+  });
+};
+
+/**
+ * Verify a single statutory section
+ * @private
+ */
+const verifyStatute = async (statute, retrievedCases, caseDescription) => {
+  const limit = SECTION_LIMITS[statute.act];
+  const number = parseInt(statute.section);
+
+  if (limit && (!number || number > limit)) {
+    return { ...statute, type: 'statute', status: STATUS.UNVERIFIED, reason: `${statute.act} has no section ${statute.section}` };
+  }
+
+  // Precedents decided under the predecessor code discuss the equivalent
+  // section, e.g. IPC 302 for BNS 103(1)
+  const equivalent = statuteConcordance.toEquivalent(statute.act, statute.section);
+  const numbers = [statute.section, equivalent?.section].filter(Boolean).map(escapeRegex);
+  const sectionPattern = new RegExp(`(^|[^0-9A-Z])${escapeRegex(statute.section)}([^0-9A-Z]|$)`, 'i');
+  const contextPattern = new RegExp(`(^|[^0-9A-Z])(${numbers.join('|')})([^0-9A-Z]|$)`, 'i');
+  const passagePattern = new RegExp(`Section\\s+(${numbers.join('|')})(?![0-9A-Z])`, 'i');
+  const inContext = sectionPattern.test(caseDescription || '') || retrievedCases.some(rc =>
+    (rc.ipcSections || []).some(s => contextPattern.test(s)) ||
+    (rc.passages || []).some(p => passagePattern.test(p.text))
+  );
+  if (inContext) {
+    return { ...statute, type: 'statute', status: STATUS.VERIFIED, source: 'context' };
+  }
+
+  const known = await CasePrecedent.exists({ ipcSections: sectionPattern });
+  return {
+    ...statute,
+    type: 'statute',
+    status: known || limit ? STATUS.NOT_IN_CONTEXT : STATUS.UNVERIFIED,
+    source: known ? 'local' : null,
+    reason: known || limit ? 'Not discussed in the retrieved precedents' : 'Unknown act; could not be checked'
+  };
+};
+
+/**
+ * Verify every citation in an analysis
+ *
+ * @param {Object} analysis - Analysis record from ragService
+ * @param {Array} retrievedCases - Cases placed in the prompt context
+ * @param {Object} options
+ * @param {string} options.caseDescription - The user's case text (sections mentioned there count as context)
+ * @param {boolean} options.useKanoon - Fall back to Indian Kanoon for cases not in the local DB
+ * @returns {Promise<Object>} { citations, summary, checkedAt }
+ */
+const verifyCitations = async (analysis, retrievedCases = [], options = {}) => {
+  const useKanoon = options.useKanoon ?? (process.env.CITATION_VERIFY_KANOON === 'true' && !!process.env.KANOON_API_TOKEN);
+  const { cases, statutes } = extractCitations(analysis);
+  const citations = [];
+  let kanoonLookups = 0;
+
+  for (const citation of cases) {
+    const entry = { type: 'case', ...citation, status: STATUS.UNVERIFIED, source: null };
+    let resolved = null;
+
+    try {
+      const local = await findLocalPrecedent(citation);
+      if (local) {
+        resolved = { precedentId: local._id };
+        entry.source = 'local';
+        entry.precedentId = local._id;
+      } else if (useKanoon && kanoonLookups < MAX_KANOON_LOOKUPS) {
+        kanoonLookups++;
+        const remote = await findOnKanoon(citation);
+        if (remote) {
+          resolved = remote;
+          entry.source = 'kanoon';
+          entry.kanoonUrl = remote.kanoonUrl;
+        }
+      }
+    } catch (error) {
+      console.warn(`Citation lookup failed for "${citation.text}":`, error.message);
+    }
+
+    if (inRetrievedContext(citation, resolved, retrievedCases)) {
+      entry.status = STATUS.VERIFIED;
+      entry.source = entry.source || 'context';
+    } else if (resolved) {
+      entry.status = STATUS.NOT_IN_CONTEXT;
+      entry.reason = 'Exists, but was not among the retrieved precedents';
+    } else {
+      entry.reason = 'No matching judgment found';
+    }
+
+    citations.push(entry);
+  }
+
+  for (const statute of statutes) {
+    citations.push(await verifyStatute(statute, retrievedCases, options.caseDescription));
+  }
+
+  return {
+    citations,
+    summary: {
+      total: citations.length,
+      verified: citations.filter(c => c.status === STATUS.VERIFIED).length,
+      notInContext: citations.filter(c => c.status === STATUS.NOT_IN_CONTEXT).length,
+      unverified: citations.filter(c => c.status === STATUS.UNVERIFIED).length
+    },
+    checkedAt: new Date()
+  };
+};
+
+module.exports = {
+  verifyCitations,
+  extractCitations,
+  titleMatchesCaseName,
+  STATUS
+};
@@ -7,6 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const pdfParse = require('pdf-parse');
 const Tesseract = require('tesseract.js');
+const { extractSectionReferences, formatDual } = require('./statuteConcordanceService');
 
 class DocumentService {
   /**
@@ -74,12 +75,11 @@ class DocumentService {
       if (matches) keyInfo.caseNumber = matches[0];
     });
 
-    // Extract IPC sections
-    const ipcPattern = /Section\s+(\d+)\s*(?:IPC|of\s+IPC)?/gi;
-    let ipcMatch;
-    while ((ipcMatch = ipcPattern.exec(text)) !== null) {
-      keyInfo.ipcSections.push(`Section ${ipcMatch[1]} IPC`);
-    }
+    // Extract IPC / BNS sections as dual labels ("IPC 420 / BNS 318(4)");
+    // sections with no act named are read as IPC
+    keyInfo.ipcSections = [...new Set(
+      extractSectionReferences(text, 'IPC').map(ref => formatDual(ref.act, ref.section))
+    )];
 
     // Extract court names
     const courtNames = [
@@ -1,32 +1,16 @@
-const axios = require('axios');
-
-const XAI_BASE_URL = 'https://api.x.ai/v1';
+const { getEmbeddingProvider } = require('./llmService');
 
 /**
- * Create embedding using xAI (Grok) API
- * xAI's API is OpenAI-compatible, so we use the same /v1/embeddings endpoint
+ * Create embedding using the configured embedding provider
+ * (xAI, OpenAI-compatible, local server or mock - see llmService)
  */
 const createEmbedding = async (text) => {
   try {
-    if (!process.env.XAI_API_KEY) {
-      throw new Error('XAI_API_KEY is not set. Embedding features are disabled.');
-    }
-
     // Truncate text to avoid token limits
     const truncatedText = text.substring(0, 8000);
 
-    const response = await axios.post(`${XAI_BASE_URL}/embeddings`, {
-      model: process.env.EMBEDDING_MODEL || 'v1',
-      input: truncatedText
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.XAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
-    });
-
-    return response.data.data[0].embedding;
+    const [embedding] = await getEmbeddingProvider().embed([truncatedText]);
+    return embedding;
   } catch (error) {
     console.error('Embedding error:', error.response?.data || error.message);
     throw new Error(`Failed to create embedding: ${error.response?.data?.error?.message || error.message}`);
@@ -38,24 +22,9 @@ const createEmbedding = async (text) => {
  */
 const createEmbeddings = async (texts) => {
   try {
-    if (!process.env.XAI_API_KEY) {
-      throw new Error('XAI_API_KEY is not set. Embedding features are disabled.');
-    }
-
     const truncatedTexts = texts.map(t => t.substring(0, 8000));
 
-    const response = await axios.post(`${XAI_BASE_URL}/embeddings`, {
-      model: process.env.EMBEDDING_MODEL || 'v1',
-      input: truncatedTexts
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.XAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000
-    });
-
-    return response.data.data.map(d => d.embedding);
+    return await getEmbeddingProvider().embed(truncatedTexts);
   } catch (error) {
     console.error('Embeddings error:', error.response?.data || error.message);
     throw new Error(`Failed to create embeddings: ${error.response?.data?.error?.message || error.message}`);
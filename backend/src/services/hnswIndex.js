@@ -0,0 +1,313 @@
+/**
+ * HNSW (Hierarchical Navigable Small World) index for approximate
+ * nearest-neighbour search over embeddings.
+ *
+ * Vectors are L2-normalised on insert, so similarity is a dot product
+ * (equivalent to cosine similarity). Ids are strings (CasePrecedent _id).
+ *
+ * Reference: Malkov & Yashunin, "Efficient and robust approximate nearest
+ * neighbor search using Hierarchical Navigable Small World graphs" (2016)
+ */
+
+const normalize = (vector) => {
+  const magnitude = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  const out = new Float32Array(vector.length);
+  if (magnitude === 0) return out;
+  for (let i = 0; i < vector.length; i++) {
+    out[i] = vector[i] / magnitude;
+  }
+  return out;
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+};
+
+/**
+ * Insert into an array kept sorted by similarity (descending)
+ */
+const insertSorted = (list, item) => {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].similarity > item.similarity) lo = mid + 1;
+    else hi = mid;
+  }
+  list.splice(lo, 0, item);
+};
+
+class HNSWIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimensions - Vector length (set from the first insert if omitted)
+   * @param {number} options.M - Max links per node on upper layers (layer 0 uses 2M)
+   * @param {number} options.efConstruction - Candidate list size while building
+   * @param {number} options.efSearch - Candidate list size while querying
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || null;
+    this.M = options.M || 16;
+    this.maxM0 = this.M * 2;
+    this.efConstruction = options.efConstruction || 200;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    // id -> { vector: Float32Array, level: number, neighbors: string[][] }
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(id) {
+    return this.nodes.has(id.toString());
+  }
+
+  _randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  _maxLinks(level) {
+    return level === 0 ? this.maxM0 : this.M;
+  }
+
+  /**
+   * Greedy beam search on one layer
+   * @private
+   * @returns {Array<{id: string, similarity: number}>} sorted best-first
+   */
+  _searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = [];
+    const results = [];
+
+    entryIds.forEach(id => {
+      const item = { id, similarity: dot(query, this.nodes.get(id).vector) };
+      insertSorted(candidates, item);
+      insertSorted(results, item);
+    });
+
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      const worst = results[results.length - 1];
+      if (results.length >= ef && current.similarity < worst.similarity) break;
+
+      const neighbors = this.nodes.get(current.id).neighbors[level] || [];
+      for (const neighborId of neighbors) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const node = this.nodes.get(neighborId);
+        if (!node) continue;
+
+        const similarity = dot(query, node.vector);
+        if (results.length < ef || similarity > results[results.length - 1].similarity) {
+          const item = { id: neighborId, similarity };
+          insertSorted(candidates, item);
+          insertSorted(results, item);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Trim a node's links on one layer to the closest maxLinks
+   * @private
+   */
+  _shrinkLinks(id, level) {
+    const node = this.nodes.get(id);
+    const links = node.neighbors[level];
+    const maxLinks = this._maxLinks(level);
+    if (links.length <= maxLinks) return;
+
+    node.neighbors[level] = links
+      .filter(linkId => this.nodes.has(linkId))
+      .map(linkId => ({ id: linkId, similarity: dot(node.vector, this.nodes.get(linkId).vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, maxLinks)
+      .map(item => item.id);
+  }
+
+  /**
+   * Add (or replace) a vector
+   */
+  add(id, vector) {
+    const key = id.toString();
+
+    if (!this.dimensions) this.dimensions = vector.length;
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector dimension mismatch: expected ${this.dimensions}, got ${vector.length}`);
+    }
+
+    if (this.nodes.has(key)) {
+      this.remove(key);
+    }
+
+    const level = this._randomLevel();
+    const node = {
+      vector: normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => [])
+    };
+    this.nodes.set(key, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = key;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Descend greedily through layers above the new node's level
+    let entryIds = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entryIds = [this._searchLayer(node.vector, entryIds, 1, l)[0].id];
+    }
+
+    // Link on every layer the node lives on
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const nearest = this._searchLayer(node.vector, entryIds, this.efConstruction, l)
+        .filter(item => item.id !== key);
+      const selected = nearest.slice(0, this.M).map(item => item.id);
+
+      node.neighbors[l] = selected;
+      selected.forEach(neighborId => {
+        const neighbor = this.nodes.get(neighborId);
+        neighbor.neighbors[l].push(key);
+        this._shrinkLinks(neighborId, l);
+      });
+
+      entryIds = nearest.map(item => item.id);
+      if (entryIds.length === 0) entryIds = [this.entryPoint];
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = key;
+    }
+  }
+
+  /**
+   * Remove a vector and repair the links of its former neighbours
+   */
+  remove(id) {
+    const key = id.toString();
+    const node = this.nodes.get(key);
+    if (!node) return false;
+
+    this.nodes.delete(key);
+
+    for (let l = 0; l <= node.level; l++) {
+      const orphans = node.neighbors[l].filter(neighborId => this.nodes.has(neighborId));
+
+      // Anything that linked to the removed node gets offered its other neighbours
+      for (const [otherId, other] of this.nodes) {
+        if (other.level < l) continue;
+        const links = other.neighbors[l];
+        const idx = links.indexOf(key);
+        if (idx === -1) continue;
+
+        links.splice(idx, 1);
+        orphans.forEach(candidateId => {
+          if (candidateId !== otherId && !links.includes(candidateId)) {
+            links.push(candidateId);
+          }
+        });
+        this._shrinkLinks(otherId, l);
+      }
+    }
+
+    if (this.entryPoint === key) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const [otherId, other] of this.nodes) {
+        if (other.level > this.maxLevel) {
+          this.maxLevel = other.level;
+          this.entryPoint = otherId;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the k most similar vectors
+   *
+   * @returns {Array<{id: string, similarity: number}>}
+   */
+  search(vector, k = 5) {
+    if (this.entryPoint === null) return [];
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Query dimension mismatch: expected ${this.dimensions}, got ${vector.length}`);
+    }
+
+    const query = normalize(vector);
+    let entryIds = [this.entryPoint];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entryIds = [this._searchLayer(query, entryIds, 1, l)[0].id];
+    }
+
+    return this._searchLayer(query, entryIds, Math.max(this.efSearch, k), 0).slice(0, k);
+  }
+
+  /**
+   * Serialize to a plain object (vectors as base64 Float32 buffers)
+   */
+  toJSON() {
+    const nodes = [];
+    for (const [id, node] of this.nodes) {
+      nodes.push({
+        id,
+        level: node.level,
+        neighbors: node.neighbors,
+        vector: Buffer.from(node.vector.buffer, node.vector.byteOffset, node.vector.byteLength).toString('base64')
+      });
+    }
+
+    return {
+      version: 1,
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new HNSWIndex({
+      dimensions: data.dimensions,
+      M: data.M,
+      efConstruction: data.efConstruction,
+      efSearch: data.efSearch
+    });
+
+    data.nodes.forEach(node => {
+      const buffer = Buffer.from(node.vector, 'base64');
+      index.nodes.set(node.id, {
+        vector: new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4).slice(),
+        level: node.level,
+        neighbors: node.neighbors
+      });
+    });
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+
+    return index;
+  }
+}
+
+module.exports = HNSWIndex;
@@ -0,0 +1,192 @@
+/**
+ * Job Handlers - Background work registered with the job queue
+ *
+ *   kanoon-sync      { queries, limit, autoIndex }   Fetch, save and embed Kanoon cases
+ *   kanoon-reindex   {}                              Re-embed every Kanoon precedent
+ *   rag-index-all    {}                              Embed precedents missing embeddings
+ *   document-process { caseId, docId, file, rescan } Extract text / OCR an uploaded document
+ *   kanoon-ingest    { watermarkIds }                Incremental sync of saved queries
+ *   kanoon-backfill  { limit, matchTitles }          Refetch metadata for older precedents
+ *   verdict-classify { limit, useLLM, reclassify }   Classify precedent verdicts
+ *   outcome-train    { maxSamples }                  Train a new outcome prediction model
+ *   judge-profiles   {}                              Rebuild judge profiles from precedents
+ *   lawyer-ledger-sync { lawyerId }                  Add precedent outcomes to lawyer ledgers
+ *   lawyer-verification-expiry {}                    Remind and expire lapsed lawyer verifications
+ */
+
+const { jobQueue, JobCancelledError } = require('./jobQueue');
+const kanoonService = require('./kanoonService');
+const { getVectorStore } = require('./vectorStoreService');
+const { computeAuthorityScores } = require('./citationGraphService');
+const { runIngestion } = require('./kanoonIngestionService');
+const { backfillKanoonMetadata } = require('./kanoonBackfillService');
+const { classifyAllVerdicts } = require('./verdictClassifierService');
+const { trainOutcomeModel } = require('./outcomePredictionService');
+const { rebuildJudgeProfiles } = require('./judgeAnalyticsService');
+const { syncPrecedentOutcomes } = require('./lawyerLedgerService');
+const { sweepExpiredVerifications } = require('./lawyerVerificationService');
+const CasePrecedent = require('../models/CasePrecedent');
+const Case = require('../models/Case');
+
+/**
+ * Sync cases from IndianKanoon, embed them and rescore the citation graph
+ */
+const kanoonSync = async ({ queries, limit = 5, autoIndex = true }, ctx) => {
+  console.log(`Starting Kanoon sync with ${queries.length} queries`);
+
+  const result = await kanoonService.fetchAndIndexCases(queries, limit, {
+    onProgress: (current, total, message) => ctx.progress(current, total, message),
+    isCancelled: ctx.isCancelled
+  });
+
+  // Auto-index embeddings if requested
+  let embeddingsIndexed = 0;
+  if (autoIndex && result.indexed > 0) {
+    const vectorStore = await getVectorStore();
+    console.log(`Auto-indexing ${result.indexed} cases into vector database...`);
+
+    for (const [i, caseRecord] of result.cases.entries()) {
+      await ctx.throwIfCancelled();
+      await ctx.progress(i, result.cases.length, `Embedding ${caseRecord.caseNumber}`);
+      try {
+        await vectorStore.indexCase(caseRecord);
+        embeddingsIndexed++;
+      } catch (error) {
+        console.error(`Failed to index embeddings for case ${caseRecord.caseNumber}:`, error.message);
+      }
+    }
+  }
+
+  // New citations change every precedent's authority, so rescore the graph
+  if (result.indexed > 0) {
+    try {
+      await computeAuthorityScores();
+    } catch (error) {
+      console.error('Authority scoring failed (non-critical):', error.message);
+    }
+  }
+
+  if (result.cancelled) throw new JobCancelledError();
+
+  return {
+    message: `Successfully synced ${result.indexed} cases from IndianKanoon`,
+    statistics: {
+      totalProcessed: result.indexed + result.failed,
+      indexed: result.indexed,
+      embeddingsIndexed,
+      failed: result.failed,
+      queries: queries.length
+    },
+    errors: result.errors.length > 0 ? result.errors.slice(0, 5) : null
+  };
+};
+
+/**
+ * Re-embed every Kanoon precedent (e.g. after an embedding model change)
+ */
+const kanoonReindex = async (payload, ctx) => {
+  const vectorStore = await getVectorStore();
+  const kanoonCases = await CasePrecedent.find({ source: 'IndianKanoon' });
+  console.log(`Reindexing ${kanoonCases.length} Kanoon cases...`);
+
+  let succeeded = 0;
+  let failed = 0;
+  for (const [i, caseRecord] of kanoonCases.entries()) {
+    await ctx.throwIfCancelled();
+    await ctx.progress(i, kanoonCases.length, `Indexing ${caseRecord.caseNumber}`);
+    try {
+      await vectorStore.indexCase(caseRecord);
+      succeeded++;
+    } catch (error) {
+      console.error(`Failed to index ${caseRecord.caseNumber}:`, error.message);
+      failed++;
+    }
+  }
+
+  return {
+    message: `Reindexing complete. ${succeeded} succeeded, ${failed} failed`,
+    statistics: { total: kanoonCases.length, succeeded, failed }
+  };
+};
+
+/**
+ * Embed every precedent that has not been indexed yet
+ */
+const ragIndexAll = async (payload, ctx) => {
+  const vectorStore = await getVectorStore();
+  const count = await vectorStore.indexAllCases({
+    onProgress: (current, total, message) => ctx.progress(current, total, message),
+    isCancelled: ctx.isCancelled
+  });
+  await ctx.throwIfCancelled();
+  return { message: 'Cases indexed successfully', count };
+};
+
+/**
+ * Extract text (PDF parsing / OCR) from an uploaded case document and store
+ * the analysis on the Case.documents entry
+ */
+const documentProcess = async ({ caseId, docId, file, rescan = false }, ctx) => {
+  // documentService pulls in the PDF / OCR libraries; load them only when a
+  // document job actually runs
+  const DocumentService = require('./documentService');
+  const setDocument = (fields) => Case.updateOne(
+    { _id: caseId, 'documents._id': docId },
+    { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`documents.$.${key}`, value])) }
+  );
+
+  await setDocument({ processingStatus: 'processing', processingError: null });
+  await ctx.progress(0, 1, `Extracting text from ${file.originalname}`);
+
+  let documentData;
+  try {
+    ({ documentData } = await DocumentService.processDocument(file, caseId));
+  } catch (error) {
+    // Later attempts may still succeed; only the last one marks the document failed
+    const finalAttempt = ctx.attempt >= ctx.maxAttempts;
+    await setDocument({
+      processingStatus: finalAttempt ? 'failed' : 'queued',
+      processingError: error.message
+    });
+    throw error;
+  }
+
+  await setDocument({
+    processingStatus: 'completed',
+    quality: documentData.quality,
+    extractedText: documentData.extractedText,
+    keyInfo: documentData.keyInfo,
+    metadata: documentData.extractionMetadata,
+    ...(rescan && { lastRescanAt: new Date() })
+  });
+  await ctx.progress(1, 1, 'Done');
+
+  return {
+    caseId,
+    docId,
+    filename: documentData.filename,
+    quality: documentData.quality,
+    keyInfo: documentData.keyInfo
+  };
+};
+
+const registerJobHandlers = () => {
+  jobQueue.registerHandler('kanoon-sync', kanoonSync, { maxAttempts: 2 });
+  jobQueue.registerHandler('kanoon-reindex', kanoonReindex);
+  jobQueue.registerHandler('rag-index-all', ragIndexAll);
+  jobQueue.registerHandler('document-process', documentProcess);
+  // A failed run is picked up by the next scheduled one from its watermarks
+  jobQueue.registerHandler('kanoon-ingest', runIngestion, { maxAttempts: 1 });
+  // Safe to rerun: only precedents still missing metadata are refetched
+  jobQueue.registerHandler('kanoon-backfill', backfillKanoonMetadata, { maxAttempts: 2 });
+  jobQueue.registerHandler('verdict-classify', classifyAllVerdicts, { maxAttempts: 2 });
+  jobQueue.registerHandler('outcome-train', trainOutcomeModel, { maxAttempts: 1 });
+  jobQueue.registerHandler('judge-profiles', rebuildJudgeProfiles, { maxAttempts: 2 });
+  // Safe to rerun: precedents already on a ledger are skipped
+  jobQueue.registerHandler('lawyer-ledger-sync', syncPrecedentOutcomes, { maxAttempts: 2 });
+  jobQueue.registerHandler('lawyer-verification-expiry', sweepExpiredVerifications, { maxAttempts: 2 });
+};
+
+module.exports = {
+  registerJobHandlers
+};
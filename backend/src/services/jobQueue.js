@@ -0,0 +1,274 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+/**
+ * Job Queue - Persistent background jobs backed by the Job collection
+ *
+ * Long-running work (Kanoon sync, re-embedding, document OCR) is enqueued by
+ * the HTTP handlers and run here by polling workers. Workers claim jobs with
+ * an atomic findOneAndUpdate, failed jobs are retried with exponential
+ * backoff, and handlers report progress and observe cancellation through the
+ * context they are given:
+ *
+ *   jobQueue.registerHandler('kanoon-sync', async (payload, ctx) => {
+ *     await ctx.progress(1, 10, 'Fetching...');
+ *     await ctx.throwIfCancelled();
+ *     return { indexed: 10 };
+ *   });
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000');
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '1');
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS || '5000');
+// Running jobs whose lock is older than this are assumed orphaned (process died)
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || '600000');
+const MAX_HISTORY = 50;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+const historyEntry = (event, message = null) => ({
+  $push: { history: { $each: [{ at: new Date(), event, message }], $slice: -MAX_HISTORY } }
+});
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, ctx) => result
+   * @param {Object} options - { maxAttempts } default for jobs of this type
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, { handler, maxAttempts: options.maxAttempts || 3 });
+  }
+
+  /**
+   * Queue a job
+   *
+   * @returns {Promise<Object>} The created Job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = await Job.create({
+      type,
+      payload,
+      createdBy: options.createdBy || null,
+      maxAttempts: options.maxAttempts || this.handlers.get(type).maxAttempts,
+      runAt: options.runAt || new Date(),
+      history: [{ event: 'queued' }]
+    });
+
+    console.log(`[Jobs] Queued ${type} job ${job._id}`);
+    // Pick it up now rather than at the next poll
+    if (this.running) setImmediate(() => this._poll());
+    return job;
+  }
+
+  /**
+   * Cancel a job: queued jobs stop immediately, running jobs at their next
+   * cancellation check
+   *
+   * @returns {Promise<Object|null>} Updated job, or null if already finished
+   */
+  async cancel(jobId) {
+    const queued = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'cancelled', finishedAt: new Date() }, ...historyEntry('cancelled') },
+      { new: true }
+    );
+    if (queued) return queued;
+
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: 'running' },
+      { $set: { cancelRequested: true }, ...historyEntry('cancel requested') },
+      { new: true }
+    );
+  }
+
+  /**
+   * Start polling for work
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    await this._recoverOrphans();
+
+    this.timer = setInterval(() => this._poll(), POLL_INTERVAL_MS);
+    this.timer.unref?.();
+    console.log(`✓ Job queue started (${CONCURRENCY} worker${CONCURRENCY === 1 ? '' : 's'}, ${this.handlers.size} job types)`);
+    this._poll();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Requeue jobs left "running" by a process that died
+   * @private
+   */
+  async _recoverOrphans() {
+    const result = await Job.updateMany(
+      { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+      {
+        $set: { status: 'queued', lockedBy: null, lockedAt: null, runAt: new Date() },
+        ...historyEntry('requeued', 'Worker lock expired')
+      }
+    );
+    if (result.modifiedCount > 0) {
+      console.warn(`[Jobs] Requeued ${result.modifiedCount} orphaned job(s)`);
+    }
+  }
+
+  /**
+   * Claim and run jobs while worker slots are free
+   * @private
+   */
+  async _poll() {
+    while (this.running && this.active < CONCURRENCY) {
+      // Reserve the slot before the claim: polls started by enqueue and the
+      // timer run side by side, and each would otherwise see the slot free
+      this.active++;
+      let job;
+      try {
+        job = await Job.findOneAndUpdate(
+          { status: 'queued', runAt: { $lte: new Date() }, type: { $in: Array.from(this.handlers.keys()) } },
+          {
+            $set: { status: 'running', lockedBy: this.workerId, lockedAt: new Date(), startedAt: new Date() },
+            $inc: { attempts: 1 },
+            ...historyEntry('started', this.workerId)
+          },
+          { new: true, sort: { runAt: 1, createdAt: 1 } }
+        );
+      } catch (error) {
+        this.active--;
+        console.error('[Jobs] Poll error:', error.message);
+        return;
+      }
+
+      if (!job) {
+        this.active--;
+        return;
+      }
+
+      this._run(job)
+        .catch(error => console.error(`[Jobs] Unexpected error in job ${job._id}:`, error))
+        .finally(() => {
+          this.active--;
+          if (this.running) setImmediate(() => this._poll());
+        });
+    }
+  }
+
+  /**
+   * Run one claimed job and record its outcome
+   * @private
+   */
+  async _run(job) {
+    const { handler } = this.handlers.get(job.type);
+    const ctx = this._createContext(job);
+    console.log(`[Jobs] Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      const result = await handler(job.payload, ctx);
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: 'completed', result: result ?? null, error: null, finishedAt: new Date(), lockedBy: null, lockedAt: null },
+          ...historyEntry('completed')
+        }
+      );
+      console.log(`[Jobs] ✓ ${job.type} job ${job._id} completed`);
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        await Job.updateOne(
+          { _id: job._id },
+          {
+            $set: { status: 'cancelled', finishedAt: new Date(), lockedBy: null, lockedAt: null },
+            ...historyEntry('cancelled')
+          }
+        );
+        console.log(`[Jobs] ${job.type} job ${job._id} cancelled`);
+        return;
+      }
+
+      const retry = job.attempts < job.maxAttempts && !error.permanent;
+      if (retry) {
+        // 5s, 10s, 20s, ... with up to 20% jitter
+        const delay = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1) * (1 + Math.random() * 0.2);
+        await Job.updateOne(
+          { _id: job._id },
+          {
+            $set: { status: 'queued', error: error.message, runAt: new Date(Date.now() + delay), lockedBy: null, lockedAt: null },
+            ...historyEntry('retry scheduled', `${error.message} (retrying in ${Math.round(delay / 1000)}s)`)
+          }
+        );
+        console.warn(`[Jobs] ${job.type} job ${job._id} failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      } else {
+        await Job.updateOne(
+          { _id: job._id },
+          {
+            $set: { status: 'failed', error: error.message, finishedAt: new Date(), lockedBy: null, lockedAt: null },
+            ...historyEntry('failed', error.message)
+          }
+        );
+        console.error(`[Jobs] ✗ ${job.type} job ${job._id} failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Progress / cancellation hooks passed to handlers
+   * @private
+   */
+  _createContext(job) {
+    return {
+      jobId: job._id,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      createdBy: job.createdBy,
+
+      // Also refreshes the worker lock, so long jobs are not treated as orphaned
+      progress: async (current, total, message) => {
+        await Job.updateOne(
+          { _id: job._id },
+          { $set: { progress: { current, total, message }, lockedAt: new Date() } }
+        );
+      },
+
+      isCancelled: async () => {
+        const latest = await Job.findById(job._id).select('cancelRequested').lean();
+        return !!latest?.cancelRequested;
+      },
+
+      throwIfCancelled: async () => {
+        const latest = await Job.findById(job._id).select('cancelRequested').lean();
+        if (latest?.cancelRequested) throw new JobCancelledError();
+      }
+    };
+  }
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = {
+  jobQueue,
+  JobQueue,
+  JobCancelledError
+};
@@ -0,0 +1,153 @@
+jest.mock('../models/Job', () => ({
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  findById: jest.fn()
+}));
+
+const Job = require('../models/Job');
+const { JobQueue } = require('./jobQueue');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const claimed = (fields = {}) => ({ _id: 'job1', type: 'sync', payload: { q: 'bail' }, attempts: 1, maxAttempts: 3, ...fields });
+
+// The $set of the last updateOne for the job
+const lastSet = () => Job.updateOne.mock.calls[Job.updateOne.mock.calls.length - 1][1].$set;
+
+let queue;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Job.updateOne.mockResolvedValue({});
+  Job.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  Job.findOneAndUpdate.mockResolvedValue(null);
+  queue = new JobQueue();
+  queue.running = true;
+});
+
+afterEach(() => queue.stop());
+
+describe('claiming', () => {
+  test('claims a queued job of a registered type and records its result', async () => {
+    const handler = jest.fn(async () => ({ indexed: 4 }));
+    queue.registerHandler('sync', handler);
+    Job.findOneAndUpdate.mockResolvedValueOnce(claimed());
+
+    await queue._poll();
+    await settle();
+
+    const [filter, update] = Job.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ status: 'queued', type: { $in: ['sync'] } });
+    expect(update.$set).toMatchObject({ status: 'running', lockedBy: queue.workerId });
+    expect(update.$inc).toEqual({ attempts: 1 });
+    expect(handler).toHaveBeenCalledWith({ q: 'bail' }, expect.objectContaining({ jobId: 'job1', attempt: 1 }));
+    expect(lastSet()).toMatchObject({ status: 'completed', result: { indexed: 4 }, lockedBy: null });
+  });
+
+  test('reserves the worker slot before the claim returns', async () => {
+    queue.registerHandler('sync', async () => {});
+    let finishClaim;
+    Job.findOneAndUpdate.mockReturnValueOnce(new Promise(resolve => { finishClaim = resolve; }));
+
+    const first = queue._poll();
+    const second = queue._poll();
+    expect(Job.findOneAndUpdate).toHaveBeenCalledTimes(1);
+
+    finishClaim(null);
+    await Promise.all([first, second]);
+    expect(queue.active).toBe(0);
+  });
+
+  test('releases the slot when the claim fails', async () => {
+    queue.registerHandler('sync', async () => {});
+    Job.findOneAndUpdate.mockRejectedValueOnce(new Error('connection reset'));
+
+    await queue._poll();
+    expect(queue.active).toBe(0);
+  });
+});
+
+describe('retries', () => {
+  beforeEach(() => jest.spyOn(Math, 'random').mockReturnValue(0));
+  afterEach(() => Math.random.mockRestore());
+
+  test.each([
+    [1, 5000],
+    [2, 10000]
+  ])('requeues attempt %i with a %ims backoff', async (attempts, delay) => {
+    queue.registerHandler('sync', async () => { throw new Error('Kanoon timed out'); });
+    const before = Date.now();
+
+    await queue._run(claimed({ attempts }));
+
+    const set = lastSet();
+    expect(set).toMatchObject({ status: 'queued', error: 'Kanoon timed out', lockedBy: null });
+    expect(set.runAt.getTime() - before).toBeGreaterThanOrEqual(delay);
+    expect(set.runAt.getTime() - Date.now()).toBeLessThanOrEqual(delay);
+  });
+
+  test('fails the job on its last attempt', async () => {
+    queue.registerHandler('sync', async () => { throw new Error('Kanoon timed out'); });
+    await queue._run(claimed({ attempts: 3 }));
+    expect(lastSet()).toMatchObject({ status: 'failed', error: 'Kanoon timed out' });
+  });
+
+  test('does not retry a permanent error', async () => {
+    queue.registerHandler('sync', async () => { throw Object.assign(new Error('Bad payload'), { permanent: true }); });
+    await queue._run(claimed({ attempts: 1 }));
+    expect(lastSet()).toMatchObject({ status: 'failed', error: 'Bad payload' });
+  });
+});
+
+describe('cancellation', () => {
+  test('cancels a queued job at once', async () => {
+    Job.findOneAndUpdate.mockResolvedValueOnce({ _id: 'job1', status: 'cancelled' });
+    expect(await queue.cancel('job1')).toMatchObject({ status: 'cancelled' });
+    expect(Job.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('asks a running job to stop', async () => {
+    Job.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'job1', cancelRequested: true });
+    await queue.cancel('job1');
+    const [filter, update] = Job.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ _id: 'job1', status: 'running' });
+    expect(update.$set).toEqual({ cancelRequested: true });
+  });
+
+  test('stops a running job at its next check without retrying', async () => {
+    Job.findById.mockReturnValue({ select: () => ({ lean: async () => ({ cancelRequested: true }) }) });
+    const after = jest.fn();
+    queue.registerHandler('sync', async (payload, ctx) => {
+      await ctx.throwIfCancelled();
+      after();
+    });
+
+    await queue._run(claimed());
+
+    expect(after).not.toHaveBeenCalled();
+    expect(lastSet()).toMatchObject({ status: 'cancelled', lockedBy: null });
+  });
+});
+
+describe('orphaned jobs', () => {
+  test('requeues running jobs whose lock has expired on start', async () => {
+    Job.updateMany.mockResolvedValue({ modifiedCount: 2 });
+    queue.running = false;
+    const before = Date.now();
+
+    await queue.start();
+
+    const [filter, update] = Job.updateMany.mock.calls[0];
+    expect(filter.status).toBe('running');
+    expect(filter.lockedAt.$lt.getTime()).toBeLessThanOrEqual(before - 600000 + 1000);
+    expect(update.$set).toMatchObject({ status: 'queued', lockedBy: null, lockedAt: null });
+  });
+});
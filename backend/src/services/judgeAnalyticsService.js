@@ -0,0 +1,410 @@
+/**
+ * Judge Analytics Service - Judge profiles aggregated from stored precedents
+ *
+ * Judge names on precedents come in many forms ("Hon'ble Mr. Justice J.L.
+ * Kapur", "KAPUR, J.L.", "J. L. Kapur, J."). Each is normalised to a display
+ * name and a key, and a name given only with initials is merged into the
+ * full name with the same initials and surname when there is exactly one.
+ * A profile counts judgments by court, section and verdict, and records bail
+ * grant rates, average judgment length and citation frequency.
+ *
+ * Profiles are rebuilt from scratch by the 'judge-profiles' job and feed the
+ * bench insights shown on a case once its bench is known.
+ */
+
+const CasePrecedent = require('../models/CasePrecedent');
+const Judge = require('../models/Judge');
+const { formatJudgeName } = require('./judgmentParserService');
+const statuteConcordance = require('./statuteConcordanceService');
+const { outcomeLabel, sectionKeys } = require('./outcomePredictionService');
+
+const MAX_SECTIONS = 25;
+const PROGRESS_EVERY = 200;
+const BATCH_SIZE = 500;
+
+const HONORIFICS = /^(?:(?:hon'?ble|honourable|the|mr|mrs|ms|dr|shri|smt|sri|kumari|acting|chief|justice)(?:\.?\s+|\.?$))+/i;
+// The office after a name: "S.A. Bobde, Chief Justice of India"
+const OFFICE_SUFFIX = /\s*,\s*(?:the\s+)?(?:acting\s+)?chief\s+justice\b.*$/i;
+// The court of a "Chief Justice of ..." left once HONORIFICS are stripped
+const OFFICE_COURT = /^of\s+(?:the\s+)?(?:india\b|(?:[\w&]+\s+)*?high\s+court\b)[\s,]*/i;
+
+// Bail is decided under CrPC 436-439 / BNSS 478-483
+const BAIL_SECTIONS = {
+  CRPC: ['436', '436A', '437', '438', '439'],
+  BNSS: ['478', '479', '480', '481', '482', '483']
+};
+const BAIL_GRANTED = /\b(?:bail\s+(?:application\s+|petition\s+)?(?:is\s+|stands\s+)?(?:hereby\s+)?(?:granted|allowed)|(?:released|enlarged)\s+on\s+(?:regular\s+|anticipatory\s+|interim\s+)?bail|(?:grant|granted|allow)\s+(?:(?:him|her|them|the\s+\w+)\s+)?(?:regular\s+|anticipatory\s+|interim\s+)?bail)\b/gi;
+const BAIL_REJECTED = /\b(?:bail\s+(?:application\s+|petition\s+)?(?:is\s+|stands\s+)?(?:hereby\s+)?(?:rejected|refused|dismissed|declined|denied)|(?:rejected|refused|declined|denied)\s+(?:the\s+)?(?:prayer\s+for\s+)?bail|not\s+(?:inclined|entitled)\s+to\s+(?:grant\s+)?bail)\b/gi;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Display name, key and initials signature for a judge name
+ *
+ * @param {string} raw - e.g. "Hon'ble Mr. Justice J.L. Kapur"
+ * @returns {{name: string, key: string, signature: string, initialsOnly: boolean}|null}
+ */
+const judgeIdentity = (raw) => {
+  if (!raw) return null;
+  const stripped = raw.toString()
+    .replace(/\((?:retd|retired)\.?\)/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(OFFICE_SUFFIX, '')
+    .replace(HONORIFICS, '')
+    .replace(OFFICE_COURT, '');
+  // "Chief Justice of Kerala": an office whose holder is not named
+  if (/^of\s/i.test(stripped)) return null;
+  const name = stripped && formatJudgeName(stripped);
+  if (!name) return null;
+
+  const tokens = name.toLowerCase()
+    .replace(/[^a-z.\s'-]/g, '')
+    .split(/[\s.]+/)
+    .map(token => token.replace(/^['-]+|['-]+$/g, ''))
+    .filter(Boolean);
+  if (tokens.join('').length < 3) return null;
+
+  const surname = tokens[tokens.length - 1];
+  const given = tokens.slice(0, -1);
+  return {
+    name,
+    key: tokens.join('-'),
+    signature: given.length ? `${given.map(token => token[0]).join('')}-${surname}` : surname,
+    initialsOnly: given.length > 0 && given.every(token => token.length === 1)
+  };
+};
+
+const isInitialsKey = (key) => {
+  const given = key.split('-').slice(0, -1);
+  return given.length > 0 && given.every(token => token.length === 1);
+};
+
+/**
+ * Judge names on a precedent; the bench string is split when the judges list
+ * is empty ("A.K. Sikri, Ashok Bhushan")
+ * @private
+ */
+const precedentJudges = (precedent) => {
+  if (precedent.judges?.length) return precedent.judges;
+  if (!precedent.bench) return [];
+
+  return precedent.bench.split(/\s*(?:;|&|\band\b)\s*/i).flatMap(part => {
+    const pieces = part.split(/\s*,\s*/);
+    // "KAPUR, J.L." is one surname-first name, not two
+    return pieces.length === 2 && /^(?:[A-Z]\.?\s*)+$/.test(pieces[1]) ? [part] : pieces;
+  }).filter(Boolean);
+};
+
+/**
+ * 'granted', 'rejected' or null for a bail matter, else undefined
+ * @private
+ */
+const bailOutcome = (precedent) => {
+  const sectionRefs = (precedent.ipcSections || [])
+    .flatMap(label => statuteConcordance.extractSectionReferences(label));
+  const isBail = /\bbail\b/i.test(precedent.title || '') ||
+    (precedent.keywords || []).some(keyword => /\bbail\b/i.test(keyword)) ||
+    sectionRefs.some(ref => BAIL_SECTIONS[ref.act]?.includes(ref.section));
+  if (!isBail) return undefined;
+
+  // The cue that ends last wins: "the order refusing bail is set aside and the
+  // appellant is released on bail"; a tie is "not inclined to grant bail"
+  const text = precedent.operativeOrder || (precedent.decision || '').slice(-2000) || precedent.summary || '';
+  const lastEnd = (pattern) => Array.from(text.matchAll(pattern)).reduce((end, match) => Math.max(end, match.index + match[0].length), -1);
+  const granted = lastEnd(BAIL_GRANTED);
+  const rejected = lastEnd(BAIL_REJECTED);
+  if (granted > rejected) return 'granted';
+  if (rejected >= 0) return 'rejected';
+
+  if (precedent.verdict === 'appeal_allowed') return 'granted';
+  if (['appeal_dismissed', 'dismissed'].includes(precedent.verdict)) return 'rejected';
+  return null;
+};
+
+const emptyProfile = (identity) => ({
+  ...identity,
+  aliases: new Set(),
+  judgmentCount: 0,
+  courts: new Map(),
+  verdicts: new Map(),
+  outcomes: { favourable: 0, unfavourable: 0, mixed: 0 },
+  sections: new Map(),
+  bail: { matters: 0, granted: 0, rejected: 0 },
+  words: 0,
+  citedBy: 0,
+  cites: 0,
+  firstYear: null,
+  lastYear: null
+});
+
+const increment = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+
+const addPrecedent = (profile, facts, alias) => {
+  profile.aliases.add(alias);
+  profile.judgmentCount++;
+  if (facts.court) increment(profile.courts, facts.court);
+  increment(profile.verdicts, facts.verdict);
+  if (facts.outcome) profile.outcomes[facts.outcome]++;
+  facts.sections.forEach(section => increment(profile.sections, section));
+  if (facts.bail !== undefined) {
+    profile.bail.matters++;
+    if (facts.bail) profile.bail[facts.bail]++;
+  }
+  profile.words += facts.words;
+  profile.citedBy += facts.citedBy;
+  profile.cites += facts.cites;
+  if (facts.year) {
+    profile.firstYear = Math.min(profile.firstYear || facts.year, facts.year);
+    profile.lastYear = Math.max(profile.lastYear || facts.year, facts.year);
+  }
+};
+
+const mergeProfile = (into, from) => {
+  from.aliases.forEach(alias => into.aliases.add(alias));
+  into.judgmentCount += from.judgmentCount;
+  from.courts.forEach((count, court) => increment(into.courts, court, count));
+  from.verdicts.forEach((count, verdict) => increment(into.verdicts, verdict, count));
+  Object.keys(into.outcomes).forEach(outcome => { into.outcomes[outcome] += from.outcomes[outcome]; });
+  from.sections.forEach((count, section) => increment(into.sections, section, count));
+  Object.keys(into.bail).forEach(field => { into.bail[field] += from.bail[field]; });
+  into.words += from.words;
+  into.citedBy += from.citedBy;
+  into.cites += from.cites;
+  [from.firstYear, from.lastYear].filter(Boolean).forEach(year => {
+    into.firstYear = Math.min(into.firstYear || year, year);
+    into.lastYear = Math.max(into.lastYear || year, year);
+  });
+};
+
+const sortedCounts = (map, field, limit = Infinity) => Array.from(map.entries())
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, limit)
+  .map(([value, count]) => ({ [field]: value, count }));
+
+const toDocument = (profile, computedAt) => {
+  const decidedBail = profile.bail.granted + profile.bail.rejected;
+  return {
+    key: profile.key,
+    name: profile.name,
+    aliases: Array.from(profile.aliases),
+    signature: profile.signature,
+    judgmentCount: profile.judgmentCount,
+    courts: sortedCounts(profile.courts, 'court'),
+    verdicts: Object.fromEntries(profile.verdicts),
+    outcomes: profile.outcomes,
+    sections: sortedCounts(profile.sections, 'section', MAX_SECTIONS),
+    bail: {
+      ...profile.bail,
+      grantRate: decidedBail ? round(profile.bail.granted / decidedBail) : null
+    },
+    averageJudgmentLength: Math.round(profile.words / profile.judgmentCount),
+    citations: {
+      citedBy: profile.citedBy,
+      averageCitedBy: round(profile.citedBy / profile.judgmentCount, 2),
+      averageCites: round(profile.cites / profile.judgmentCount, 2)
+    },
+    firstYear: profile.firstYear,
+    lastYear: profile.lastYear,
+    computedAt
+  };
+};
+
+/**
+ * Rebuild every judge profile from the stored precedents (job handler for
+ * 'judge-profiles')
+ *
+ * @param {Object} payload - {}
+ * @param {Object} ctx - Job context (progress / cancellation)
+ * @returns {Promise<Object>} Precedents read, profiles written and names merged
+ */
+const rebuildJudgeProfiles = async (payload, ctx) => {
+  const computedAt = new Date();
+  const filter = { $or: [{ 'judges.0': { $exists: true } }, { bench: { $nin: [null, ''] } }] };
+  const total = await CasePrecedent.countDocuments(filter);
+  const profiles = new Map();
+  let processed = 0;
+
+  const cursor = CasePrecedent.find(filter)
+    .select('title judges bench court year ipcSections keywords verdict decision operativeOrder summary citedByCount cites')
+    .lean()
+    .cursor();
+
+  for await (const precedent of cursor) {
+    const label = outcomeLabel(precedent);
+    const facts = {
+      court: precedent.court && !/^unknown/i.test(precedent.court) ? precedent.court : null,
+      verdict: precedent.verdict || 'unknown',
+      outcome: label === undefined ? null : label === 0.5 ? 'mixed' : label === 1 ? 'favourable' : 'unfavourable',
+      sections: sectionKeys(precedent.ipcSections || []),
+      bail: bailOutcome(precedent),
+      words: (precedent.decision || '').split(/\s+/).filter(Boolean).length,
+      citedBy: precedent.citedByCount || 0,
+      cites: precedent.cites?.length || 0,
+      year: precedent.year || null
+    };
+
+    const seen = new Set();
+    precedentJudges(precedent).forEach(alias => {
+      const identity = judgeIdentity(alias);
+      if (!identity || seen.has(identity.key)) return;
+      seen.add(identity.key);
+      if (!profiles.has(identity.key)) profiles.set(identity.key, emptyProfile(identity));
+      addPrecedent(profiles.get(identity.key), facts, alias);
+    });
+
+    processed++;
+    if (processed % PROGRESS_EVERY === 0) {
+      await ctx.throwIfCancelled();
+      await ctx.progress(processed, total, `Read ${processed}/${total} precedents`);
+    }
+  }
+
+  // "J.L. Kapur" joins "Jagan Lal Kapur" only if no other full name shares
+  // the initials and surname
+  const bySignature = new Map();
+  profiles.forEach(profile => {
+    if (!bySignature.has(profile.signature)) bySignature.set(profile.signature, []);
+    bySignature.get(profile.signature).push(profile);
+  });
+  let merged = 0;
+  bySignature.forEach(group => {
+    const fullNames = group.filter(profile => !profile.initialsOnly && profile.key.includes('-'));
+    if (fullNames.length !== 1) return;
+    group.filter(profile => profile.initialsOnly).forEach(profile => {
+      mergeProfile(fullNames[0], profile);
+      profiles.delete(profile.key);
+      merged++;
+    });
+  });
+
+  await ctx.progress(total, total, `Saving ${profiles.size} judge profiles`);
+  const documents = Array.from(profiles.values()).map(profile => toDocument(profile, computedAt));
+  for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+    await Judge.bulkWrite(documents.slice(i, i + BATCH_SIZE).map(doc => ({
+      replaceOne: { filter: { key: doc.key }, replacement: doc, upsert: true }
+    })));
+  }
+  // Judges no longer on any precedent (or since merged)
+  const removed = await Judge.deleteMany({ computedAt: { $lt: computedAt } });
+
+  console.log(`✓ Rebuilt ${documents.length} judge profiles from ${processed} precedents (${merged} name variants merged)`);
+  return {
+    precedents: processed,
+    judges: documents.length,
+    merged,
+    removed: removed.deletedCount || 0
+  };
+};
+
+/**
+ * Find a judge profile by key or by any form of the name
+ */
+const findJudge = async (nameOrKey) => {
+  if (!nameOrKey) return null;
+  const byKey = await Judge.findOne({ key: nameOrKey.toString().toLowerCase() });
+  if (byKey) return byKey;
+
+  const identity = judgeIdentity(nameOrKey);
+  if (!identity) return null;
+  const exact = await Judge.findOne({ key: identity.key });
+  if (exact) return exact;
+
+  // Initials on one side only: "J.L. Kapur" <-> "Jagan Lal Kapur"
+  const candidates = (await Judge.find({ signature: identity.signature }).limit(3))
+    .filter(judge => identity.initialsOnly || isInitialsKey(judge.key));
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+/**
+ * List judge profiles
+ *
+ * @param {Object} options - { q (name), court, limit, skip }
+ */
+const listJudges = async ({ q, court, limit = 20, skip = 0 } = {}) => {
+  const filter = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [{ name: pattern }, { aliases: pattern }];
+  }
+  if (court) filter['courts.court'] = new RegExp(escapeRegex(court), 'i');
+
+  const [judges, total] = await Promise.all([
+    Judge.find(filter)
+      .sort({ judgmentCount: -1, name: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-aliases -signature'),
+    Judge.countDocuments(filter)
+  ]);
+  return { judges, total };
+};
+
+/**
+ * Precedents decided by a judge, newest first
+ */
+const getJudgeJudgments = (judge, { limit = 20, skip = 0 } = {}) => CasePrecedent.find({
+  $or: [
+    { judges: { $in: judge.aliases } },
+    // Precedents with only a bench string
+    { 'judges.0': { $exists: false }, bench: { $in: judge.aliases.map(alias => new RegExp(escapeRegex(alias))) } }
+  ]
+})
+  .sort({ year: -1, date: -1 })
+  .skip(skip)
+  .limit(limit)
+  .select('caseNumber title year court verdict ipcSections citedByCount kanoonUrl');
+
+/**
+ * Bench insights for a case whose bench is known: each judge's record,
+ * narrowed to the sections the case involves
+ *
+ * @param {Object} caseData - Case document
+ * @returns {Promise<Object|null>} null when no bench is assigned
+ */
+const getBenchInsights = async (caseData) => {
+  if (!caseData.bench?.length) return null;
+
+  const caseSections = sectionKeys([...(caseData.aiAnalysis?.suggestedIPCs || []), caseData.description || '']);
+  let computedAt = null;
+
+  const judges = await Promise.all(caseData.bench.map(async (name) => {
+    const profile = await findJudge(name);
+    if (!profile) return { name, matched: false };
+
+    if (!computedAt || profile.computedAt > computedAt) computedAt = profile.computedAt;
+    const { favourable, unfavourable, mixed } = profile.outcomes;
+    const decided = favourable + unfavourable + mixed;
+    return {
+      name: profile.name,
+      key: profile.key,
+      matched: true,
+      judgmentCount: profile.judgmentCount,
+      courts: profile.courts.slice(0, 3),
+      verdicts: Object.fromEntries(profile.verdicts),
+      // Share of judgments favouring the appellant / petitioner (partial = half)
+      favourableRate: decided ? round((favourable + mixed / 2) / decided) : null,
+      bail: profile.bail,
+      averageJudgmentLength: profile.averageJudgmentLength,
+      averageCitedBy: profile.citations.averageCitedBy,
+      relevantSections: profile.sections.filter(entry => caseSections.has(entry.section))
+    };
+  }));
+
+  return {
+    court: caseData.court || null,
+    judges,
+    profilesComputedAt: computedAt
+  };
+};
+
+module.exports = {
+  judgeIdentity,
+  rebuildJudgeProfiles,
+  findJudge,
+  listJudges,
+  getJudgeJudgments,
+  getBenchInsights
+};
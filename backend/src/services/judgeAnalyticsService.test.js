@@ -0,0 +1,119 @@
+jest.mock('../models/CasePrecedent', () => ({ countDocuments: jest.fn(), find: jest.fn() }));
+jest.mock('../models/Judge', () => ({ bulkWrite: jest.fn(), deleteMany: jest.fn() }));
+
+const CasePrecedent = require('../models/CasePrecedent');
+const Judge = require('../models/Judge');
+const { judgeIdentity, rebuildJudgeProfiles } = require('./judgeAnalyticsService');
+
+const ctx = { progress: jest.fn(), throwIfCancelled: jest.fn() };
+
+// Rebuild from the given precedents; the saved profiles by key
+const rebuild = async (precedents) => {
+  CasePrecedent.countDocuments.mockResolvedValue(precedents.length);
+  CasePrecedent.find.mockReturnValue({ select: () => ({ lean: () => ({ cursor: () => precedents }) }) });
+  const result = await rebuildJudgeProfiles({}, ctx);
+  const documents = Judge.bulkWrite.mock.calls.flatMap(([ops]) => ops.map(op => op.replaceOne.replacement));
+  return { result, judges: Object.fromEntries(documents.map(doc => [doc.key, doc])) };
+};
+
+beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Judge.bulkWrite.mockResolvedValue({});
+  Judge.deleteMany.mockResolvedValue({ deletedCount: 0 });
+});
+
+describe('judgeIdentity', () => {
+  test.each([
+    ["Hon'ble Mr. Justice J.L. Kapur", 'J.L. Kapur', 'j-l-kapur'],
+    ['KAPUR, J.L.', 'J.L. Kapur', 'j-l-kapur'],
+    ['Jagan Lal Kapur (Retd.)', 'Jagan Lal Kapur', 'jagan-lal-kapur'],
+    ["Hon'ble Chief Justice A.K. Sikri", 'A.K. Sikri', 'a-k-sikri'],
+    ['S.A. Bobde, Chief Justice of India', 'S.A. Bobde', 's-a-bobde'],
+    ['Chief Justice of India S.A. Bobde', 'S.A. Bobde', 's-a-bobde']
+  ])('%s is %s', (raw, name, key) => {
+    expect(judgeIdentity(raw)).toMatchObject({ name, key });
+  });
+
+  test.each([
+    'Chief Justice of India',
+    "Hon'ble the Chief Justice of India",
+    'Chief Justice of the Delhi High Court',
+    'Chief Justice of Kerala',
+    'The Chief Justice',
+    ''
+  ])('%p names no judge', (raw) => {
+    expect(judgeIdentity(raw)).toBeNull();
+  });
+
+  test('signs a name by its initials and surname', () => {
+    expect(judgeIdentity('Jagan Lal Kapur')).toMatchObject({ signature: 'jl-kapur', initialsOnly: false });
+    expect(judgeIdentity('J. L. Kapur, J.')).toMatchObject({ signature: 'jl-kapur', initialsOnly: true });
+  });
+});
+
+describe('rebuildJudgeProfiles', () => {
+  test('merges initials into the one full name with the same signature', async () => {
+    const { result, judges } = await rebuild([
+      { judges: ['Jagan Lal Kapur'], year: 1958 },
+      { judges: ['J.L. Kapur'], year: 1962 },
+      { bench: 'KAPUR, J.L.', year: 1960 }
+    ]);
+
+    expect(Object.keys(judges)).toEqual(['jagan-lal-kapur']);
+    expect(judges['jagan-lal-kapur']).toMatchObject({ judgmentCount: 3, firstYear: 1958, lastYear: 1962 });
+    expect(judges['jagan-lal-kapur'].aliases).toEqual(expect.arrayContaining(['Jagan Lal Kapur', 'J.L. Kapur', 'KAPUR, J.L.']));
+    expect(result.merged).toBe(1);
+  });
+
+  test('keeps initials apart when two full names share them', async () => {
+    const { judges } = await rebuild([
+      { judges: ['Ravi Sharma'] },
+      { judges: ['Rakesh Sharma'] },
+      { judges: ['R. Sharma'] }
+    ]);
+    expect(Object.keys(judges).sort()).toEqual(['r-sharma', 'rakesh-sharma', 'ravi-sharma']);
+  });
+
+  test('does not make a judge of the office named beside one', async () => {
+    const { judges } = await rebuild([
+      { bench: 'S.A. Bobde, Chief Justice of India' },
+      { judges: ['Chief Justice of India', 'A.S. Bopanna'] }
+    ]);
+    expect(Object.keys(judges).sort()).toEqual(['a-s-bopanna', 's-a-bobde']);
+  });
+});
+
+describe('bail outcomes', () => {
+  test.each([
+    ['granted', { title: 'Ram v. State (Bail Application)', operativeOrder: 'The applicant is released on bail on furnishing a bond.' }],
+    ['rejected', { ipcSections: ['Section 439 CrPC'], operativeOrder: 'The bail application is rejected.' }],
+    ['granted', { keywords: ['anticipatory bail'], operativeOrder: 'The order refusing bail is set aside and the appellant is released on bail.' }],
+    ['rejected', { title: 'Bail matter', operativeOrder: 'We are not inclined to grant bail.' }],
+    ['rejected', { ipcSections: ['Section 483 BNSS'], operativeOrder: 'Disposed of.', verdict: 'dismissed' }],
+    [null, { title: 'Bail matter', operativeOrder: 'List after four weeks.' }]
+  ])('%s: %p', async (outcome, precedent) => {
+    const { judges } = await rebuild([{ judges: ['A.S. Bopanna'], ...precedent }]);
+    const { bail } = judges['a-s-bopanna'];
+
+    expect(bail.matters).toBe(1);
+    expect(bail.granted).toBe(outcome === 'granted' ? 1 : 0);
+    expect(bail.rejected).toBe(outcome === 'rejected' ? 1 : 0);
+  });
+
+  test('does not count other matters', async () => {
+    const { judges } = await rebuild([{ judges: ['A.S. Bopanna'], title: 'State v. Ram', ipcSections: ['Section 302 IPC'], operativeOrder: 'The appeal is dismissed.' }]);
+    expect(judges['a-s-bopanna'].bail).toMatchObject({ matters: 0, grantRate: null });
+  });
+
+  test('rates grants over decided bail matters', async () => {
+    const { judges } = await rebuild([
+      { judges: ['A.S. Bopanna'], title: 'Bail matter', operativeOrder: 'Bail is granted.' },
+      { judges: ['A.S. Bopanna'], title: 'Bail matter', operativeOrder: 'Bail is refused.' },
+      { judges: ['A.S. Bopanna'], title: 'Bail matter', operativeOrder: 'Bail is granted.' },
+      { judges: ['A.S. Bopanna'], title: 'Bail matter', operativeOrder: 'Adjourned.' }
+    ]);
+    expect(judges['a-s-bopanna'].bail).toEqual({ matters: 4, granted: 2, rejected: 1, grantRate: 0.667 });
+  });
+});
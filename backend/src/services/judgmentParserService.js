@@ -0,0 +1,400 @@
+/**
+ * Judgment Parser Service - Plain text and structure from Kanoon judgment HTML
+ *
+ * The /doc/ endpoint returns the judgment as HTML: older Supreme Court
+ * reports are one <pre> block with labelled headers (PETITIONER:, BENCH:,
+ * HEADNOTE:, JUDGMENT:), newer judgments are numbered <p> paragraphs after a
+ * cause-title. The parser strips the markup, splits the header from the body
+ * and extracts:
+ *
+ *   paragraphs      Body paragraphs with their number ("12", "(3)") if any
+ *   headnotes       HEADNOTE: section paragraphs
+ *   bench           Judges from "Bench:", BENCH: or CORAM / HON'BLE lines
+ *   counsel         Advocates and the side they appeared for, from
+ *                   "For the Appellant:" lines and "Mr. X, learned counsel
+ *                   for the respondent" in the body
+ *   operativeOrder  Paragraphs from the last order cue (or ORDER heading) to
+ *                   the end, without the signature block
+ *   facts           The leading paragraphs labelled facts (see chunkingService)
+ */
+
+const { detectSection } = require('./chunkingService');
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  hellip: '…', sect: '§', para: '¶'
+};
+
+const BLOCK_TAGS = 'p|div|blockquote|h[1-6]|li|ul|ol|tr|table|section|article|center|title';
+
+// Lines that start the judgment body; everything above is the cause-title
+const BODY_MARKERS = [
+  /^\s*(?:common\s+)?j\s*u\s*d\s*g\s*(?:e\s*)?m\s*e\s*n\s*t\s*(?:&|and)?\s*(?:o\s*r\s*d\s*e\s*r)?\s*:?\s*$/i,
+  /^\s*(?:final\s+)?o\s*r\s*d\s*e\s*r\s*:?\s*$/i
+];
+
+// Labels of the older Supreme Court report format ("BENCH:")
+const HEADER_LABELS = [
+  'PETITIONER', 'RESPONDENT', 'DATE OF JUDGMENT', 'BENCH', 'CITATION',
+  'CITATOR INFO', 'ACT', 'HEADNOTE', 'JUDGMENT'
+];
+const HEADER_LABEL_PATTERN = new RegExp(`^\\s*(${HEADER_LABELS.join('|')})\\s*:\\s*(.*)$`);
+
+const SIDES = 'appellants?|respondents?|petitioners?|state|complainants?|accused|prosecution|interveners?|caveators?|applicants?|plaintiffs?|defendants?|amicus';
+
+const COUNSEL_LINE = new RegExp(
+  `^\\s*(?:counsel\\s+|advocates?\\s+)?for\\s+(?:the\\s+)?(${SIDES})(?:\\s*\\(s\\))?(?:\\s+nos?\\.?\\s*[\\d,\\s&-]+)?\\s*[:\\-–]?\\s*(.*)$`,
+  'i'
+);
+
+const HONORIFIC = '(?:Mr|Ms|Mrs|Dr|Shri|Smt|Sri|Kumari)\\.?';
+const PERSON = `${HONORIFIC}\\s+(?:[A-Z]\\.\\s*)*[A-Z][A-Za-z'-]+(?:\\s+(?:[A-Z]\\.\\s*)*[A-Z][A-Za-z'-]+){0,3}`;
+// "G. S. Pathak, Rajni Patel for the appellant." (older reports)
+const APPEARANCE_LINE = new RegExp(`^(.+?),?\\s+for\\s+(?:the\\s+)?(${SIDES})(?:\\s+nos?\\.?\\s*[\\d,\\s&-]+)?\\.?$`, 'i');
+
+const COUNSEL_IN_TEXT = new RegExp(
+  `(${PERSON}),?\\s+(?:the\\s+)?(?:learned\\s+)?(?:senior\\s+|sr\\.\\s*|additional\\s+|addl\\.\\s*)?` +
+  `(?:counsel|advocate|adv\\.|amicus curiae|public prosecutor|solicitor general|advocate general|standing counsel)` +
+  `[^.;]{0,40}?\\b(?:for|on behalf of)\\s+(?:the\\s+)?(${SIDES})`,
+  'g'
+);
+
+// A name in an appearance list: every word capitalised
+const COUNSEL_NAME = new RegExp(`^(?:${HONORIFIC}\\s+)?(?:[A-Z]\\.\\s*)*[A-Z][A-Za-z'-]+(?:\\s+(?:[A-Z]\\.\\s*)*[A-Z][A-Za-z.'-]*){0,4}$`);
+
+// Designations that follow an advocate's name in appearance lists
+const DESIGNATIONS = /\b(?:sr\.?\s*adv(?:ocate)?s?\.?|senior\s+advocates?|adv(?:ocate)?s?\.?|a\.?o\.?r\.?|counsel|learned|with\s+him|with\s+her|in\s+person)\b/gi;
+
+const SIGNATURE_LINES = [
+  /^[.…\s]{3,}.*$/, // "..........................J."
+  /^[[(]?[A-Z][A-Za-z .'-]*[\])]?\s*,?\s*(?:C\.?\s*J\.?(?:\s*I\.?)?|J\.?)$/, // "(DIPAK MISRA) J."
+  /^new\s+delhi\b/i,
+  /^(?:dated?\s*:?\s*)?\d{1,2}(?:st|nd|rd|th)?[\s./-]+(?:\d{1,2}|[a-z]+)[\s.,/-]+\d{4}\.?$/i,
+  /^(?:january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2},?\s*\d{4}\.?$/i
+];
+
+// Page furniture left by PDF-to-HTML conversion
+const NOISE_LINES = [
+  /^page\s+\d+(?:\s+of\s+\d+)?$/i,
+  /^signature\s+not\s+verified/i,
+  /^digitally\s+signed\s+by/i,
+  /^reason\s*:\s*$/i
+];
+
+const PARAGRAPH_NUMBER = /^(?:\((\d{1,3})\)|(\d{1,3})[.)])\s+(?=\S)/;
+
+const SUMMARY_CHARS = 500;
+const MAX_FACTS_PARAGRAPHS = 12;
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, ''));
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Whether a stored text is still raw HTML
+ */
+const looksLikeHtml = (text) => typeof text === 'string' && /<\/?(?:p|div|pre|br|a|b|span|blockquote)\b[^>]*>/i.test(text);
+
+/**
+ * Convert judgment HTML to text: blocks are separated by blank lines, and
+ * <pre> blocks keep their line breaks
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToText = (html) => {
+  if (!html) return '';
+  if (!looksLikeHtml(html)) return decodeEntities(html.toString()).replace(/\r\n?/g, '\n').trim();
+
+  const preBlocks = [];
+  const text = html.toString()
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, content) => {
+      preBlocks.push(stripTags(content.replace(/<br\s*\/?>/gi, '\n')).replace(/\r\n?/g, '\n'));
+      return `\u0000${preBlocks.length - 1}\u0000`;
+    })
+    // Outside <pre>, source line breaks are not meaningful
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(new RegExp(`</?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<\/t[dh]>/gi, ' ');
+
+  return stripTags(text)
+    .replace(/\u0000(\d+)\u0000/g, (match, i) => `\n\n${preBlocks[i]}\n\n`)
+    .replace(/[ \t\u00a0]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Markup-free single-line text (titles, search snippets)
+ */
+const toPlainText = (html) => collapse(htmlToText(html || ''));
+
+/**
+ * Split text into blank-line separated blocks, whitespace collapsed and page
+ * furniture dropped
+ * @private
+ */
+const toBlocks = (lines) => lines.join('\n')
+  .split(/\n\s*\n/)
+  .map(collapse)
+  .filter(block => block && !NOISE_LINES.some(pattern => pattern.test(block)));
+
+/**
+ * "KAPUR, J.L." -> "J.L. Kapur"; other names are returned title-cased. A
+ * trailing ", J." or " CJI" is dropped only after a separator, so "M. NAGRAJ"
+ * keeps its J.
+ */
+const formatJudgeName = (name) => {
+  const surnameFirst = collapse(name).match(/^([A-Za-z'-]+),\s*((?:[A-Z]\.?\s*)+)$/);
+  const cleaned = (surnameFirst ? `${surnameFirst[2].replace(/[\s.]+/g, '.')}. ${surnameFirst[1]}`.replace(/\.+/g, '.') : collapse(name))
+    .replace(/^(?:hon'?ble\s+)?(?:the\s+)?(?:mr\.?|mrs\.?|ms\.?|dr\.?)?\s*(?:chief\s+)?justice\s+/i, '')
+    .replace(/(?:,|\s)\s*(?:C\.?J\.?I?|J)\.?$/, '')
+    .replace(/[,;.\s]+$/, '');
+  if (!cleaned) return null;
+  if (cleaned !== cleaned.toUpperCase()) return cleaned;
+  return cleaned.toLowerCase().replace(/(^|[\s.'-])([a-z])/g, (match, sep, letter) => sep + letter.toUpperCase());
+};
+
+/**
+ * Find where the judgment body starts
+ * @private
+ */
+const findBodyStart = (lines) => {
+  for (const marker of BODY_MARKERS) {
+    const index = lines.findIndex(line => marker.test(line));
+    // An ORDER heading near the end is the operative part, not the start
+    if (index >= 0 && index < lines.length * 0.6) return { index, inline: '' };
+  }
+
+  const labelled = lines.findIndex(line => HEADER_LABEL_PATTERN.exec(line)?.[1] === 'JUDGMENT');
+  if (labelled >= 0) {
+    return { index: labelled, inline: HEADER_LABEL_PATTERN.exec(lines[labelled])[2] };
+  }
+
+  return null;
+};
+
+/**
+ * Group header lines under their "LABEL:" (older report format)
+ * @private
+ */
+const parseHeaderLabels = (lines) => {
+  const sections = {};
+  let current = null;
+
+  lines.forEach(line => {
+    const match = HEADER_LABEL_PATTERN.exec(line);
+    if (match) {
+      current = match[1];
+      sections[current] = sections[current] || [];
+      if (match[2].trim()) sections[current].push(match[2]);
+    } else if (current) {
+      sections[current].push(line);
+    }
+  });
+
+  return sections;
+};
+
+/**
+ * Judges from the header
+ * @private
+ */
+const extractBench = (headerLines, labels) => {
+  const names = [];
+  const add = (name) => {
+    const formatted = formatJudgeName(name);
+    if (formatted && formatted.length > 2 && !names.includes(formatted)) names.push(formatted);
+  };
+
+  headerLines.forEach(line => {
+    const bench = line.match(/^\s*(?:bench|coram)\s*:\s*(.+)$/i);
+    if (bench && !/^\s*BENCH:/.test(line)) {
+      bench[1].split(/,(?!\s*(?:[A-Z]\.\s*)+(?:,|$))|\band\b|&/).forEach(add);
+    }
+    const honble = line.match(/hon'?ble\s+(?:the\s+)?(?:mr\.?|mrs\.?|ms\.?|dr\.?)?\s*(?:chief\s+)?justice\s+(.+)$/i);
+    if (honble) add(honble[1]);
+  });
+
+  // BENCH: repeats the presiding judge before listing the full bench
+  (labels.BENCH || []).map(collapse).filter(Boolean).forEach(add);
+
+  return names;
+};
+
+/**
+ * Advocates named in a "For the Appellant:" list
+ * @private
+ */
+const splitCounselNames = (text) => text
+  .split(/,|;|\band\b|&/i)
+  .map(name => collapse(name.replace(DESIGNATIONS, ' ').replace(/[()[\]]/g, ' ')))
+  .filter(name => name.length > 3 && COUNSEL_NAME.test(name));
+
+// "appellants" -> "appellant"
+const normalizeSide = (side) => side.toLowerCase().replace(/(?<!accused|amicus)s$/, '');
+
+/**
+ * Counsel appearances from the header lists and the argument paragraphs
+ * @private
+ */
+const extractCounsel = (headerLines, paragraphs) => {
+  const counsel = [];
+  const seen = new Set();
+  const add = (name, side) => {
+    const key = name.replace(new RegExp(`^${HONORIFIC}\\s+`), '').toLowerCase().replace(/[^a-z]/g, '');
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    counsel.push({ name, role: normalizeSide(side) });
+  };
+
+  headerLines.forEach((line, i) => {
+    const match = COUNSEL_LINE.exec(line);
+    if (!match) return;
+    // The names are often on the following lines
+    let names = match[2];
+    for (let next = i + 1; next < headerLines.length && next <= i + 4; next++) {
+      const following = headerLines[next];
+      if (!following.trim() || COUNSEL_LINE.test(following) || /:\s*$/.test(following)) break;
+      names += `, ${following}`;
+    }
+    splitCounselNames(names).forEach(name => add(name, match[1]));
+  });
+
+  // Appearances listed before the first numbered paragraph
+  const firstNumbered = paragraphs.findIndex(p => p.number);
+  paragraphs.slice(0, firstNumbered >= 0 ? firstNumbered : 10).forEach(({ text }) => {
+    const match = text.length <= 300 && APPEARANCE_LINE.exec(text);
+    if (match) splitCounselNames(match[1]).forEach(name => add(name, match[2]));
+  });
+
+  paragraphs.forEach(({ text }) => {
+    for (const match of text.matchAll(COUNSEL_IN_TEXT)) {
+      add(collapse(match[1]), match[2]);
+    }
+  });
+
+  return counsel;
+};
+
+/**
+ * Number and text of each body paragraph
+ * @private
+ */
+const toParagraphs = (blocks) => blocks.map(block => {
+  const match = PARAGRAPH_NUMBER.exec(block);
+  return match
+    ? { number: match[1] || match[2], text: block.slice(match[0].length) }
+    : { number: null, text: block };
+});
+
+const isSignature = (text) => text.length <= 80 && SIGNATURE_LINES.some(pattern => pattern.test(text));
+
+/**
+ * Operative order: after an ORDER heading in the last part of the body, or
+ * from the last paragraph with an order cue; signature lines are dropped
+ * @private
+ */
+const extractOperativeOrder = (paragraphs) => {
+  let end = paragraphs.length;
+  while (end > 0 && isSignature(paragraphs[end - 1].text)) end--;
+  const body = paragraphs.slice(0, end);
+  if (body.length === 0) return null;
+
+  const tailStart = Math.floor(body.length * 0.6);
+  const heading = body.findIndex((p, i) => i >= tailStart && BODY_MARKERS[1].test(p.text));
+  let start = heading >= 0 ? heading + 1 : -1;
+
+  if (start < 0) {
+    for (let i = body.length - 1; i >= Math.max(0, body.length - 5); i--) {
+      if (detectSection(body[i].text) === 'order') {
+        start = i;
+        break;
+      }
+    }
+  }
+  if (start < 0 || start >= body.length) return null;
+
+  return body.slice(start)
+    .filter(p => !isSignature(p.text))
+    .map(p => (p.number ? `${p.number}. ${p.text}` : p.text))
+    .join('\n\n') || null;
+};
+
+/**
+ * Leading run of paragraphs labelled facts
+ * @private
+ */
+const extractFacts = (paragraphs) => {
+  // Cause-title remnants and appearances come before the first numbered paragraph
+  const firstNumbered = paragraphs.findIndex(p => p.number);
+  const facts = [];
+  for (const paragraph of paragraphs.slice(Math.max(0, firstNumbered))) {
+    const section = detectSection(paragraph.text);
+    if ((section && section !== 'facts') || facts.length >= MAX_FACTS_PARAGRAPHS) break;
+    facts.push(paragraph);
+  }
+  return facts;
+};
+
+const joinParagraphs = (paragraphs) => paragraphs
+  .map(p => (p.number ? `${p.number}. ${p.text}` : p.text))
+  .join('\n\n');
+
+/**
+ * Parse a judgment
+ *
+ * @param {string} html - Judgment HTML (plain text is accepted too)
+ * @returns {Object} { text, paragraphs, numberedParagraphs, headnotes, bench,
+ *   counsel, operativeOrder, facts, summary }
+ */
+const parseJudgment = (html) => {
+  const text = htmlToText(html);
+  const lines = text.split('\n');
+
+  const bodyStart = findBodyStart(lines);
+  const headerLines = bodyStart ? lines.slice(0, bodyStart.index) : lines.slice(0, 60);
+  const bodyLines = bodyStart ? [bodyStart.inline, ...lines.slice(bodyStart.index + 1)] : lines;
+  const labels = bodyStart ? parseHeaderLabels(headerLines) : {};
+
+  // Without a body marker, skip the "Bench:" / "Author:" lines at the top
+  const blocks = toBlocks(bodyLines).filter(block => bodyStart || !/^(?:bench|author|coram)\s*:/i.test(block));
+  const paragraphs = toParagraphs(blocks);
+  const headnotes = toBlocks(labels.HEADNOTE || []);
+  const facts = joinParagraphs(extractFacts(paragraphs));
+  const decision = joinParagraphs(paragraphs);
+
+  const summarySource = headnotes.join(' ') || facts || decision;
+
+  return {
+    text: decision,
+    paragraphs,
+    numberedParagraphs: paragraphs.filter(p => p.number).length,
+    headnotes,
+    bench: extractBench(headerLines, labels),
+    counsel: extractCounsel(headerLines, paragraphs),
+    operativeOrder: extractOperativeOrder(paragraphs),
+    facts,
+    summary: collapse(summarySource).substring(0, SUMMARY_CHARS)
+  };
+};
+
+module.exports = {
+  parseJudgment,
+  htmlToText,
+  toPlainText,
+  looksLikeHtml,
+  formatJudgeName
+};
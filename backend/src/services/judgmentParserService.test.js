@@ -0,0 +1,45 @@
+const { formatJudgeName, parseJudgment, toPlainText } = require('./judgmentParserService');
+
+describe('formatJudgeName', () => {
+  test.each([
+    ['KAPUR, J.L.', 'J.L. Kapur'],
+    ['M. NAGRAJ', 'M. Nagraj'],
+    ['HANSARAJ', 'Hansaraj'],
+    ['M. NAGRAJ, J.', 'M. Nagraj'],
+    ['Sanjay Kishan Kaul J', 'Sanjay Kishan Kaul'],
+    ["HON'BLE MR. JUSTICE DIPAK MISRA", 'Dipak Misra'],
+    ['S.H. KAPADIA, CJI', 'S.H. Kapadia'],
+    ['HON\'BLE THE CHIEF JUSTICE N.V. RAMANA', 'N.V. Ramana'],
+    ['Dhananjaya Y. Chandrachud', 'Dhananjaya Y. Chandrachud'],
+    ['', null]
+  ])('%s -> %s', (name, expected) => {
+    expect(formatJudgeName(name)).toBe(expected);
+  });
+});
+
+describe('toPlainText', () => {
+  test('strips markup and decodes entities', () => {
+    expect(toPlainText('<b>Ram &amp; Ors.</b> vs <i>State</i>')).toBe('Ram & Ors. vs State');
+  });
+});
+
+describe('parseJudgment', () => {
+  const html = [
+    '<div>Bench: M. NAGRAJ, HANSARAJ</div>',
+    '<p>JUDGMENT</p>',
+    '<p>1. The appellant was convicted by the trial court.</p>',
+    '<p>2. Mr. R. K. Sharma, learned counsel for the appellant, argued the case.</p>',
+    '<p>3. In the result, the appeal is dismissed.</p>'
+  ].join('\n');
+
+  test('keeps a trailing J that is part of a judge\'s name', () => {
+    expect(parseJudgment(html).bench).toEqual(['M. Nagraj', 'Hansaraj']);
+  });
+
+  test('numbers paragraphs and finds counsel and the operative order', () => {
+    const parsed = parseJudgment(html);
+    expect(parsed.numberedParagraphs).toBe(3);
+    expect(parsed.counsel).toEqual([expect.objectContaining({ name: 'Mr. R. K. Sharma', role: 'appellant' })]);
+    expect(parsed.operativeOrder).toBe('3. In the result, the appeal is dismissed.');
+  });
+});
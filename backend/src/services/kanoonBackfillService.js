@@ -0,0 +1,161 @@
+/**
+ * Kanoon Backfill Service - Migration for precedents saved before the
+ * schema kept Kanoon metadata
+ *
+ * Earlier syncs lost source, kanoonUrl, docid, acts, headnotes, bench, date,
+ * parties and cites to Mongoose strict mode. This refetches each affected
+ * precedent and stores the missing fields:
+ *
+ *   1. Precedents with a Kanoon document id (sourceId) but no fetchedAt are
+ *      refetched by id.
+ *   2. With `matchTitles`, precedents with no document id at all are looked
+ *      up by title search and updated only when exactly one result has the
+ *      same title and year.
+ *   3. Precedents that have the metadata but whose judgment was stored as
+ *      raw HTML are parsed in place, without refetching.
+ *
+ * It also renames the legacy source 'IndianKanoon-Official-API'. Precedents
+ * that cannot be matched are left alone, so the backfill is safe to rerun.
+ */
+
+const kanoonService = require('./kanoonService');
+const { recordCitations, computeAuthorityScores } = require('./citationGraphService');
+const { classifyForPrecedent } = require('./precedentTreatmentService');
+const CasePrecedent = require('../models/CasePrecedent');
+
+const LEGACY_SOURCES = ['IndianKanoon-Official-API'];
+
+// Kanoon titles end with the judgment date: "Ramesh Kumar vs State Of Haryana on 14 March, 2019"
+const TITLE_DATE = /\s+on\s+\d{1,2}\s+[a-z]+,?\s+(\d{4})\s*$/i;
+
+// Without the date suffix, and with "v.", "vs" and "versus" read alike
+const normalizeTitle = (title) => (title || '')
+  .replace(TITLE_DATE, '')
+  .toLowerCase()
+  .replace(/\b(?:vs?|versus)\b\.?/g, ' v ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Find the Kanoon document id for a precedent saved without one
+ * @private
+ */
+const matchByTitle = async (precedent) => {
+  const results = await kanoonService.searchCases(precedent.title, {
+    title: precedent.title,
+    expandStatutes: false
+  });
+
+  const wanted = normalizeTitle(precedent.title);
+  const matches = (results.docs || []).filter(doc => {
+    if (normalizeTitle(doc.title) !== wanted) return false;
+    const year = doc.date?.match(/(\d{4})/)?.[1] || doc.title?.match(TITLE_DATE)?.[1];
+    return !precedent.year || !year || parseInt(year) === precedent.year;
+  });
+
+  // Common titles ("State v. Ramesh") are ambiguous; only accept a unique hit
+  return matches.length === 1 ? matches[0].tid.toString() : null;
+};
+
+/**
+ * Run the backfill (job handler for 'kanoon-backfill')
+ *
+ * @param {Object} payload - { limit, matchTitles }
+ * @param {Object} ctx - Job context (progress / cancellation)
+ * @returns {Promise<Object>} Counts of updated, unmatched and failed precedents
+ */
+const backfillKanoonMetadata = async ({ limit = 500, matchTitles = false } = {}, ctx) => {
+  const renamed = await CasePrecedent.updateMany(
+    { source: { $in: LEGACY_SOURCES } },
+    { $set: { source: 'IndianKanoon' } }
+  );
+
+  const byId = await CasePrecedent.find({ sourceId: { $ne: null }, fetchedAt: null }).limit(limit);
+  const byTitle = matchTitles
+    ? await CasePrecedent.find({ sourceId: null, source: null }).limit(Math.max(0, limit - byId.length))
+    : [];
+  const precedents = [...byId, ...byTitle];
+  const unparsed = await CasePrecedent.find({
+    source: 'IndianKanoon',
+    fetchedAt: { $ne: null },
+    'structure.parsedAt': null,
+    decision: { $nin: [null, ''] }
+  }).limit(Math.max(0, limit - precedents.length));
+
+  const stats = {
+    renamedSources: renamed.modifiedCount,
+    candidates: precedents.length + unparsed.length,
+    updated: 0,
+    reparsed: 0,
+    matchedByTitle: 0,
+    unmatched: 0,
+    failed: 0,
+    errors: []
+  };
+  console.log(`[Kanoon Backfill] ${byId.length} precedents to refetch, ${byTitle.length} to match by title, ${unparsed.length} to reparse`);
+
+  for (const [i, precedent] of precedents.entries()) {
+    await ctx.throwIfCancelled();
+    await ctx.progress(i, precedents.length, `Backfilling ${precedent.caseNumber}`);
+
+    try {
+      let docid = precedent.sourceId;
+      if (!docid) {
+        docid = await matchByTitle(precedent);
+        if (!docid) {
+          stats.unmatched++;
+          continue;
+        }
+        // Another precedent may already hold this judgment
+        if (await CasePrecedent.exists({ sourceId: docid, _id: { $ne: precedent._id } })) {
+          stats.unmatched++;
+          continue;
+        }
+        stats.matchedByTitle++;
+      }
+
+      const caseData = await kanoonService.fetchCaseDetails(docid, { maxcites: 5, maxcitedby: 5 });
+      await kanoonService.refreshMetadata(precedent, caseData);
+      if (await recordCitations(precedent, caseData) > 0) {
+        await classifyForPrecedent(precedent);
+      }
+      stats.updated++;
+    } catch (error) {
+      console.error(`  ✗ Backfill failed for ${precedent.caseNumber}:`, error.message);
+      stats.failed++;
+      if (stats.errors.length < 10) {
+        stats.errors.push({ caseNumber: precedent.caseNumber, error: error.message });
+      }
+    }
+  }
+
+  for (const [i, precedent] of unparsed.entries()) {
+    await ctx.throwIfCancelled();
+    await ctx.progress(precedents.length + i, stats.candidates, `Parsing ${precedent.caseNumber}`);
+
+    try {
+      if (await kanoonService.reparseStoredJudgment(precedent)) stats.reparsed++;
+    } catch (error) {
+      console.error(`  ✗ Reparse failed for ${precedent.caseNumber}:`, error.message);
+      stats.failed++;
+      if (stats.errors.length < 10) {
+        stats.errors.push({ caseNumber: precedent.caseNumber, error: error.message });
+      }
+    }
+  }
+
+  if (stats.updated > 0) {
+    try {
+      await computeAuthorityScores();
+    } catch (error) {
+      console.error('Authority scoring failed (non-critical):', error.message);
+    }
+  }
+
+  console.log(`✓ Kanoon backfill complete: ${stats.updated} updated, ${stats.reparsed} reparsed, ${stats.unmatched} unmatched, ${stats.failed} failed`);
+  return stats;
+};
+
+module.exports = {
+  backfillKanoonMetadata
+};
@@ -0,0 +1,105 @@
+jest.mock('./kanoonService', () => ({
+  searchCases: jest.fn(),
+  fetchCaseDetails: jest.fn(),
+  refreshMetadata: jest.fn(),
+  reparseStoredJudgment: jest.fn()
+}));
+jest.mock('./citationGraphService', () => ({
+  recordCitations: jest.fn().mockResolvedValue(0),
+  computeAuthorityScores: jest.fn()
+}));
+jest.mock('./precedentTreatmentService', () => ({ classifyForPrecedent: jest.fn() }));
+jest.mock('../models/CasePrecedent', () => ({
+  updateMany: jest.fn(),
+  find: jest.fn(),
+  exists: jest.fn()
+}));
+
+const kanoonService = require('./kanoonService');
+const CasePrecedent = require('../models/CasePrecedent');
+const { backfillKanoonMetadata } = require('./kanoonBackfillService');
+
+const ctx = { progress: jest.fn(), throwIfCancelled: jest.fn() };
+
+// One precedent saved without a document id, matched by title
+const backfillByTitle = async (precedent, docs) => {
+  const precedents = { byId: [], byTitle: [{ _id: 'p1', caseNumber: 'LEGACY-1', sourceId: null, ...precedent }], unparsed: [] };
+  CasePrecedent.find.mockImplementation((filter) => {
+    const list = filter['structure.parsedAt'] === null ? precedents.unparsed
+      : filter.sourceId === null ? precedents.byTitle
+        : precedents.byId;
+    return { limit: async () => list };
+  });
+  kanoonService.searchCases.mockResolvedValue({ docs });
+  return backfillKanoonMetadata({ matchTitles: true }, ctx);
+};
+
+// The document id the precedent was refetched with, if any
+const fetchedId = () => kanoonService.fetchCaseDetails.mock.calls[0]?.[0] ?? null;
+
+beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CasePrecedent.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  CasePrecedent.exists.mockResolvedValue(null);
+  kanoonService.fetchCaseDetails.mockResolvedValue({ tid: 'fetched' });
+});
+
+describe('title matching', () => {
+  test('matches the one result with the same title and year', async () => {
+    const stats = await backfillByTitle({ title: 'Ramesh Kumar v. State of Haryana', year: 2019 }, [
+      { tid: 1001, title: 'Ramesh Kumar vs State Of Haryana on 14 March, 2019' },
+      { tid: 1002, title: 'Ramesh Kumar vs State Of Punjab on 2 May, 2019' }
+    ]);
+
+    expect(fetchedId()).toBe('1001');
+    expect(stats).toMatchObject({ matchedByTitle: 1, updated: 1, unmatched: 0 });
+  });
+
+  test.each([
+    ['Ramesh Kumar Versus State of Haryana', 'Ramesh Kumar vs State Of Haryana'],
+    ['RAMESH KUMAR V. STATE OF HARYANA', 'Ramesh Kumar vs. State of Haryana'],
+    ['Ramesh Kumar vs State Of Haryana on 14 March, 2019', 'Ramesh Kumar v State of Haryana']
+  ])('reads %p and %p as the same title', async (stored, found) => {
+    await backfillByTitle({ title: stored }, [{ tid: 1001, title: found }]);
+    expect(fetchedId()).toBe('1001');
+  });
+
+  test('takes the year from the result date when there is one', async () => {
+    const stats = await backfillByTitle({ title: 'State v. Mohan Lal', year: 2021 }, [
+      { tid: 2001, title: 'State vs Mohan Lal', date: '1998-04-02' },
+      { tid: 2002, title: 'State vs Mohan Lal', date: '2021-08-02' }
+    ]);
+    expect(fetchedId()).toBe('2002');
+    expect(stats.matchedByTitle).toBe(1);
+  });
+
+  test('leaves an ambiguous title unmatched', async () => {
+    const stats = await backfillByTitle({ title: 'State v. Ramesh' }, [
+      { tid: 3001, title: 'State vs Ramesh on 3 June, 2004' },
+      { tid: 3002, title: 'State vs Ramesh on 9 July, 2011' }
+    ]);
+    expect(fetchedId()).toBeNull();
+    expect(stats).toMatchObject({ matchedByTitle: 0, unmatched: 1, updated: 0 });
+  });
+
+  test('leaves a title whose only match has another year unmatched', async () => {
+    const stats = await backfillByTitle({ title: 'Ramesh Kumar v. State of Haryana', year: 2015 }, [
+      { tid: 1001, title: 'Ramesh Kumar vs State Of Haryana on 14 March, 2019' }
+    ]);
+    expect(fetchedId()).toBeNull();
+    expect(stats.unmatched).toBe(1);
+  });
+
+  test('does not give one judgment to two precedents', async () => {
+    CasePrecedent.exists.mockResolvedValue({ _id: 'p0' });
+    const stats = await backfillByTitle({ title: 'Ramesh Kumar v. State of Haryana' }, [
+      { tid: 1001, title: 'Ramesh Kumar vs State Of Haryana on 14 March, 2019' }
+    ]);
+
+    expect(CasePrecedent.exists).toHaveBeenCalledWith({ sourceId: '1001', _id: { $ne: 'p1' } });
+    expect(fetchedId()).toBeNull();
+    expect(stats.unmatched).toBe(1);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Kanoon Cache Service - Response cache and record/replay fixtures for the
+ * Indian Kanoon API
+ *
+ * Responses are content-addressed: the key is a SHA-256 of the endpoint and
+ * its (sorted) request parameters, so identical searches and document
+ * fetches share one entry. KANOON_MODE selects where responses come from:
+ *
+ *   live    (default) Call the API, caching responses in MongoDB
+ *   record  As live, and also write every response to KANOON_FIXTURES_DIR
+ *   replay  Serve responses only from KANOON_FIXTURES_DIR; no network and no
+ *           KANOON_API_TOKEN needed. A missing fixture is an error.
+ *
+ * Fixtures are plain JSON files named <key>.json holding
+ * { endpoint, params, response }, so they can be committed and reviewed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const KanoonCacheEntry = require('../models/KanoonCacheEntry');
+
+const MODES = ['live', 'record', 'replay'];
+const MODE = MODES.includes((process.env.KANOON_MODE || '').toLowerCase())
+  ? process.env.KANOON_MODE.toLowerCase()
+  : 'live';
+const FIXTURES_DIR = process.env.KANOON_FIXTURES_DIR || path.join(__dirname, '../../fixtures/kanoon');
+const CACHE_ENABLED = (process.env.KANOON_CACHE || 'on').toLowerCase() !== 'off';
+
+// Search results change as judgments are published; documents rarely do
+// (only their cited-by lists grow)
+const TTL_MS = {
+  search: parseFloat(process.env.KANOON_CACHE_SEARCH_TTL_HOURS || '24') * 60 * 60 * 1000,
+  doc: parseFloat(process.env.KANOON_CACHE_DOC_TTL_DAYS || '30') * 24 * 60 * 60 * 1000
+};
+
+const stats = { hits: 0, misses: 0, replayed: 0, recorded: 0, errors: 0 };
+
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, canonicalize(value[k])]));
+  }
+  return value === undefined || value === null ? value : value.toString();
+};
+
+/**
+ * Cache key for a request
+ *
+ * @param {string} endpoint - API path, e.g. '/search/' or '/doc/123/'
+ * @param {Object} params - Form parameters
+ */
+const cacheKey = (endpoint, params = {}) => {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ endpoint, params: canonicalize(params) }))
+    .digest('hex');
+};
+
+const ttlFor = (endpoint) => (endpoint.startsWith('/search') ? TTL_MS.search : TTL_MS.doc);
+
+const fixturePath = (key) => path.join(FIXTURES_DIR, `${key}.json`);
+
+const isReplay = () => MODE === 'replay';
+
+// Skip the database cache when Mongo is not connected (e.g. replaying in a
+// script) rather than waiting on mongoose's command buffer
+const dbReady = () => CACHE_ENABLED && mongoose.connection.readyState === 1;
+
+/**
+ * Read a recorded response
+ * @private
+ */
+const readFixture = (endpoint, params, key) => {
+  const file = fixturePath(key);
+  if (!fs.existsSync(file)) {
+    const error = new Error(`Kanoon replay: no fixture for ${endpoint} ${JSON.stringify(params)} (${key}.json)`);
+    error.code = 'KANOON_FIXTURE_MISSING';
+    throw error;
+  }
+  stats.replayed++;
+  return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+};
+
+/**
+ * Write a response as a fixture
+ * @private
+ */
+const writeFixture = (endpoint, params, key, response) => {
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(fixturePath(key), JSON.stringify({ endpoint, params, response }, null, 2));
+  stats.recorded++;
+};
+
+/**
+ * Return the response for a Kanoon request from fixtures, the cache or the
+ * API (via `fetcher`)
+ *
+ * @param {string} endpoint - API path
+ * @param {Object} params - Request parameters (part of the key)
+ * @param {Function} fetcher - async () => response data
+ * @param {Object} options - { refresh: true } skips the cache read (the
+ *   fresh response is still stored)
+ */
+const cached = async (endpoint, params, fetcher, { refresh = false } = {}) => {
+  const key = cacheKey(endpoint, params);
+
+  if (isReplay()) {
+    return readFixture(endpoint, params, key);
+  }
+
+  if (!refresh && dbReady()) {
+    try {
+      const entry = await KanoonCacheEntry.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { new: true }
+      ).lean();
+      if (entry) {
+        stats.hits++;
+        return entry.response;
+      }
+    } catch (error) {
+      stats.errors++;
+      console.warn('[Kanoon Cache] Read failed:', error.message);
+    }
+  }
+
+  stats.misses++;
+  const response = await fetcher();
+
+  if (dbReady()) {
+    try {
+      const now = new Date();
+      await KanoonCacheEntry.updateOne(
+        { key },
+        {
+          $set: { endpoint, params, response, fetchedAt: now, expiresAt: new Date(now.getTime() + ttlFor(endpoint)) },
+          $setOnInsert: { hits: 0 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      stats.errors++;
+      console.warn('[Kanoon Cache] Write failed:', error.message);
+    }
+  }
+
+  if (MODE === 'record') {
+    try {
+      writeFixture(endpoint, params, key, response);
+    } catch (error) {
+      console.warn('[Kanoon Cache] Fixture write failed:', error.message);
+    }
+  }
+
+  return response;
+};
+
+/**
+ * Remove cached responses (all, or one endpoint prefix such as '/search/')
+ */
+const clearCache = async (endpointPrefix = null) => {
+  const filter = endpointPrefix
+    ? { endpoint: { $regex: `^${endpointPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } }
+    : {};
+  const result = await KanoonCacheEntry.deleteMany(filter);
+  return result.deletedCount;
+};
+
+const getCacheStats = async () => {
+  const entries = dbReady() ? await KanoonCacheEntry.estimatedDocumentCount() : 0;
+  return {
+    mode: MODE,
+    enabled: CACHE_ENABLED,
+    entries,
+    fixturesDir: MODE === 'live' ? null : FIXTURES_DIR,
+    ...stats
+  };
+};
+
+module.exports = {
+  MODE,
+  cacheKey,
+  isReplay,
+  cached,
+  clearCache,
+  getCacheStats
+};
@@ -0,0 +1,317 @@
+/**
+ * Kanoon Ingestion Service - Scheduled, incremental precedent sync
+ *
+ * Each saved query is tracked per court by an IngestionWatermark. A run
+ * searches Kanoon from the watermark to today in date windows of
+ * KANOON_INGEST_WINDOW_DAYS, walks up to KANOON_INGEST_MAX_PAGES result pages
+ * per window, skips judgments already stored (by Kanoon document id), saves
+ * and embeds the rest, then moves the watermark to the end of the last window
+ * that was ingested completely and without errors. A window with more results
+ * than the page cap is split in half and searched again; a single day that
+ * still has more is left for the next run. Runs execute as 'kanoon-ingest'
+ * jobs, queued every KANOON_INGEST_INTERVAL_HOURS by the scheduler.
+ */
+
+const kanoonService = require('./kanoonService');
+const { jobQueue, JobCancelledError } = require('./jobQueue');
+const { getVectorStore } = require('./vectorStoreService');
+const { computeAuthorityScores } = require('./citationGraphService');
+const IngestionWatermark = require('../models/IngestionWatermark');
+const CasePrecedent = require('../models/CasePrecedent');
+const Job = require('../models/Job');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTERVAL_HOURS = parseFloat(process.env.KANOON_INGEST_INTERVAL_HOURS || '24');
+const WINDOW_DAYS = parseInt(process.env.KANOON_INGEST_WINDOW_DAYS || '7');
+const MAX_PAGES = parseInt(process.env.KANOON_INGEST_MAX_PAGES || '5');
+// How far back the first run of a new query reaches
+const LOOKBACK_DAYS = parseInt(process.env.KANOON_INGEST_LOOKBACK_DAYS || '30');
+
+// Saved queries created on startup: KANOON_INGEST_QUERIES="Section 302 IPC|dowry death"
+const DEFAULT_QUERIES = (process.env.KANOON_INGEST_QUERIES || '').split('|').map(q => q.trim()).filter(Boolean);
+const DEFAULT_COURTS = (process.env.KANOON_INGEST_COURTS || 'supremecourt').split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Format a date as Kanoon's DD-MM-YYYY
+ */
+const toKanoonDate = (date) => {
+  const d = new Date(date);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${pad(d.getUTCDate())}-${pad(d.getUTCMonth() + 1)}-${d.getUTCFullYear()}`;
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Split [from, to] into consecutive windows of `days` days
+ *
+ * @returns {Array<{from: Date, to: Date}>} Inclusive day ranges
+ */
+const dateWindows = (from, to, days = WINDOW_DAYS) => {
+  const windows = [];
+  let start = startOfDay(from);
+  const end = startOfDay(to);
+
+  while (start <= end) {
+    const windowEnd = new Date(Math.min(start.getTime() + (days - 1) * DAY_MS, end.getTime()));
+    windows.push({ from: start, to: windowEnd });
+    start = new Date(windowEnd.getTime() + DAY_MS);
+  }
+
+  return windows;
+};
+
+/**
+ * Create (or re-enable) a saved query for each court
+ *
+ * @returns {Promise<Object[]>} The watermarks
+ */
+const addSavedQuery = async (query, courts = DEFAULT_COURTS, createdBy = null) => {
+  const list = (courts.length > 0 ? courts : ['all']).map(c => c.toLowerCase());
+  return Promise.all(list.map(court => IngestionWatermark.findOneAndUpdate(
+    { query: query.trim(), court },
+    { $set: { enabled: true }, $setOnInsert: { createdBy } },
+    { upsert: true, new: true }
+  )));
+};
+
+/**
+ * Stop ingesting a saved query (watermarks are kept, so re-adding resumes)
+ */
+const disableSavedQuery = async (query, court = null) => {
+  const filter = { query: query.trim() };
+  if (court) filter.court = court.toLowerCase();
+  const result = await IngestionWatermark.updateMany(filter, { $set: { enabled: false } });
+  return result.modifiedCount;
+};
+
+const listWatermarks = () => IngestionWatermark.find().sort({ query: 1, court: 1 }).lean();
+
+/**
+ * Ingest one window of one saved query
+ * @private
+ */
+const ingestWindow = async (watermark, window, seen, ctx, vectorStore) => {
+  const stats = { pages: 0, found: 0, indexed: 0, skipped: 0, failed: 0, truncated: false };
+
+  for (let pagenum = 0; pagenum < MAX_PAGES; pagenum++) {
+    await ctx.throwIfCancelled();
+
+    const results = await kanoonService.searchCases(watermark.query, {
+      pagenum,
+      doctypes: watermark.court === 'all' ? undefined : watermark.court,
+      fromdate: toKanoonDate(window.from),
+      todate: toKanoonDate(window.to),
+      // A cached page would hide judgments published since it was fetched
+      refresh: true
+    });
+    stats.pages++;
+
+    const docs = results.docs || [];
+    if (docs.length === 0) break;
+    stats.found += docs.length;
+
+    // Skip judgments already stored, or seen earlier in this run
+    const tids = [...new Set(docs.map(doc => doc.tid?.toString()).filter(Boolean))];
+    const stored = await CasePrecedent.find({ sourceId: { $in: tids } }).select('sourceId').lean();
+    const known = new Set(stored.map(p => p.sourceId));
+
+    for (const tid of tids) {
+      if (known.has(tid) || seen.has(tid)) {
+        stats.skipped++;
+        continue;
+      }
+      seen.add(tid);
+
+      try {
+        const { savedCase } = await kanoonService.ingestDocument(tid);
+        stats.indexed++;
+
+        if (vectorStore) {
+          try {
+            await vectorStore.indexCase(savedCase);
+          } catch (error) {
+            console.error(`  Failed to embed ${savedCase.caseNumber}:`, error.message);
+          }
+        }
+      } catch (error) {
+        console.error(`  ✗ Failed to ingest document ${tid}:`, error.message);
+        seen.delete(tid);
+        stats.failed++;
+      }
+    }
+
+    // Page cap reached with results left over
+    if (pagenum === MAX_PAGES - 1 && results.found > stats.found) {
+      stats.truncated = true;
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Bring one saved query up to date
+ *
+ * @returns {Promise<Object>} Run statistics
+ */
+const ingestWatermark = async (watermark, ctx, { jobId = null, vectorStore = null, seen = new Set() } = {}) => {
+  const now = new Date();
+  // Re-search the watermark day itself: judgments are often published late
+  const from = watermark.lastDecisionDate || new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS);
+  const windows = dateWindows(from, now);
+  const run = { windows: 0, pages: 0, found: 0, indexed: 0, skipped: 0, failed: 0, truncated: 0 };
+  let lastDecisionDate = watermark.lastDecisionDate;
+  let lastError = null;
+
+  console.log(`[Kanoon Ingest] "${watermark.query}" (${watermark.court}) from ${toKanoonDate(from)}: ${windows.length} window(s)`);
+
+  try {
+    const pending = [...windows];
+    while (pending.length > 0) {
+      const window = pending.shift();
+      const stats = await ingestWindow(watermark, window, seen, ctx, vectorStore);
+      run.windows++;
+      run.pages += stats.pages;
+      run.found += stats.found;
+      run.indexed += stats.indexed;
+      run.skipped += stats.skipped;
+      run.failed += stats.failed;
+
+      if (stats.truncated) {
+        run.truncated++;
+        const days = Math.round((window.to - window.from) / DAY_MS) + 1;
+        // Results past the page cap were not seen: search each half again
+        // (documents already ingested are skipped)
+        if (days > 1) {
+          pending.unshift(...dateWindows(window.from, window.to, Math.ceil(days / 2)));
+          continue;
+        }
+        // One day with more results than the cap cannot be split, so the
+        // watermark stays before it
+        lastError = `More than ${MAX_PAGES} pages on ${toKanoonDate(window.from)}; raise KANOON_INGEST_MAX_PAGES`;
+        console.warn(`[Kanoon Ingest] ⚠ More than ${MAX_PAGES} pages for "${watermark.query}" on ${toKanoonDate(window.from)}; raise KANOON_INGEST_MAX_PAGES`);
+        break;
+      }
+
+      // Failed documents are retried next run, so stop advancing here
+      if (stats.failed > 0) {
+        lastError = `${stats.failed} document(s) failed in window starting ${toKanoonDate(window.from)}`;
+        break;
+      }
+      lastDecisionDate = window.to;
+    }
+  } catch (error) {
+    if (error instanceof JobCancelledError) throw error;
+    lastError = error.message;
+    console.error(`[Kanoon Ingest] ✗ "${watermark.query}" (${watermark.court}):`, error.message);
+  } finally {
+    await IngestionWatermark.updateOne(
+      { _id: watermark._id },
+      {
+        $set: { lastDecisionDate, lastRunAt: now, lastJobId: jobId, lastRun: run, lastError },
+        $inc: { totalIndexed: run.indexed }
+      }
+    );
+  }
+
+  return { query: watermark.query, court: watermark.court, ...run, error: lastError };
+};
+
+/**
+ * Ingest every enabled saved query (job handler for 'kanoon-ingest')
+ *
+ * @param {Object} payload - { watermarkIds } to limit the run
+ */
+const runIngestion = async ({ watermarkIds = null } = {}, ctx) => {
+  const filter = { enabled: true };
+  if (watermarkIds?.length) filter._id = { $in: watermarkIds };
+  const watermarks = await IngestionWatermark.find(filter).sort({ lastRunAt: 1 }).lean();
+
+  let vectorStore = null;
+  try {
+    vectorStore = await getVectorStore();
+  } catch (error) {
+    console.warn('[Kanoon Ingest] Vector store unavailable; new cases will not be embedded:', error.message);
+  }
+
+  const seen = new Set();
+  const results = [];
+  for (const [i, watermark] of watermarks.entries()) {
+    await ctx.progress(i, watermarks.length, `Ingesting "${watermark.query}" (${watermark.court})`);
+    results.push(await ingestWatermark(watermark, ctx, { jobId: ctx.jobId, vectorStore, seen }));
+  }
+
+  const indexed = results.reduce((sum, r) => sum + r.indexed, 0);
+  if (indexed > 0) {
+    try {
+      await computeAuthorityScores();
+    } catch (error) {
+      console.error('Authority scoring failed (non-critical):', error.message);
+    }
+  }
+
+  console.log(`✓ Kanoon ingestion complete: ${indexed} new cases from ${watermarks.length} saved queries`);
+  return { queries: watermarks.length, indexed, results };
+};
+
+/**
+ * Queue an ingestion run unless one is already queued or running
+ *
+ * @returns {Promise<Object|null>} The new job, or null if one is pending
+ */
+const scheduleIngestion = async (options = {}) => {
+  const pending = await Job.exists({ type: 'kanoon-ingest', status: { $in: ['queued', 'running'] } });
+  if (pending) return null;
+  return jobQueue.enqueue('kanoon-ingest', { watermarkIds: options.watermarkIds || null }, { createdBy: options.createdBy || null });
+};
+
+let schedulerTimer = null;
+
+/**
+ * Create the KANOON_INGEST_QUERIES saved queries and queue a run every
+ * KANOON_INGEST_INTERVAL_HOURS (0 disables the schedule)
+ */
+const startScheduler = async () => {
+  if (!kanoonService.apiToken || INTERVAL_HOURS <= 0) {
+    console.log('Kanoon ingestion scheduler disabled');
+    return false;
+  }
+
+  for (const query of DEFAULT_QUERIES) {
+    await addSavedQuery(query);
+  }
+
+  const tick = () => scheduleIngestion().catch(error => {
+    console.error('[Kanoon Ingest] Failed to schedule run:', error.message);
+  });
+  schedulerTimer = setInterval(tick, INTERVAL_HOURS * 60 * 60 * 1000);
+  schedulerTimer.unref?.();
+  tick();
+
+  console.log(`✓ Kanoon ingestion scheduled every ${INTERVAL_HOURS}h`);
+  return true;
+};
+
+const stopScheduler = () => {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  toKanoonDate,
+  dateWindows,
+  addSavedQuery,
+  disableSavedQuery,
+  listWatermarks,
+  ingestWatermark,
+  runIngestion,
+  scheduleIngestion,
+  startScheduler,
+  stopScheduler
+};
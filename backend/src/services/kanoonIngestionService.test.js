@@ -0,0 +1,92 @@
+jest.mock('./kanoonService', () => ({ searchCases: jest.fn(), ingestDocument: jest.fn() }));
+jest.mock('./jobQueue', () => ({ jobQueue: {}, JobCancelledError: class JobCancelledError extends Error {} }));
+jest.mock('./vectorStoreService', () => ({ getVectorStore: jest.fn() }));
+jest.mock('./citationGraphService', () => ({ computeAuthorityScores: jest.fn() }));
+jest.mock('../models/IngestionWatermark', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/CasePrecedent', () => ({ find: jest.fn() }));
+jest.mock('../models/Job', () => ({}));
+
+const kanoonService = require('./kanoonService');
+const IngestionWatermark = require('../models/IngestionWatermark');
+const CasePrecedent = require('../models/CasePrecedent');
+const { dateWindows, ingestWatermark } = require('./kanoonIngestionService');
+
+const PAGE_SIZE = 10;
+const NOW = new Date('2024-03-10T12:00:00Z');
+const day = (n) => new Date(Date.UTC(2024, 2, n));
+const fromKanoonDate = (value) => {
+  const [d, m, y] = value.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+
+// Kanoon search over `perDay` judgments decided on each day
+const kanoonWith = (perDay) => {
+  const docs = [];
+  Object.entries(perDay).forEach(([date, count]) => {
+    for (let i = 0; i < count; i++) docs.push({ tid: `${date}-${i}`, date: day(Number(date)) });
+  });
+  kanoonService.searchCases.mockImplementation(async (query, { pagenum, fromdate, todate }) => {
+    const matches = docs.filter(doc => doc.date >= fromKanoonDate(fromdate) && doc.date <= fromKanoonDate(todate));
+    return { found: matches.length, docs: matches.slice(pagenum * PAGE_SIZE, (pagenum + 1) * PAGE_SIZE) };
+  });
+};
+
+const ctx = { throwIfCancelled: jest.fn() };
+const watermark = { _id: 'w1', query: 'Section 302 IPC', court: 'supremecourt', lastDecisionDate: day(6) };
+const stored = () => IngestionWatermark.updateOne.mock.calls[0][1].$set;
+
+beforeAll(() => {
+  jest.useFakeTimers({ now: NOW });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterAll(() => jest.useRealTimers());
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CasePrecedent.find.mockReturnValue({ select: () => ({ lean: async () => [] }) });
+  kanoonService.ingestDocument.mockImplementation(async (tid) => ({ savedCase: { caseNumber: tid } }));
+});
+
+describe('dateWindows', () => {
+  test('splits a range into inclusive windows', () => {
+    expect(dateWindows(day(1), day(10), 4)).toEqual([
+      { from: day(1), to: day(4) },
+      { from: day(5), to: day(8) },
+      { from: day(9), to: day(10) }
+    ]);
+  });
+});
+
+describe('ingestWatermark', () => {
+  test('splits a window with more results than the page cap', async () => {
+    // 75 judgments in one five-day window; five pages hold 50
+    kanoonWith({ 6: 15, 7: 15, 8: 15, 9: 15, 10: 15 });
+
+    const result = await ingestWatermark(watermark, ctx);
+
+    expect(kanoonService.ingestDocument).toHaveBeenCalledTimes(75);
+    expect(result).toMatchObject({ indexed: 75, truncated: 1, error: null });
+    expect(stored().lastDecisionDate).toEqual(day(10));
+  });
+
+  test('keeps the watermark before a day it could not ingest completely', async () => {
+    kanoonWith({ 6: 5, 7: 5, 8: 60, 9: 5 });
+
+    const result = await ingestWatermark(watermark, ctx);
+
+    expect(result.error).toMatch(/More than 5 pages on 08-03-2024/);
+    expect(stored().lastDecisionDate).toEqual(day(7));
+  });
+
+  test('does not advance past a window with failed documents', async () => {
+    kanoonWith({ 6: 2, 7: 2 });
+    kanoonService.ingestDocument.mockRejectedValueOnce(new Error('timeout'));
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    const result = await ingestWatermark(watermark, ctx);
+
+    expect(result.failed).toBe(1);
+    expect(stored().lastDecisionDate).toEqual(day(6));
+  });
+});
@@ -1,5 +1,12 @@
 const axios = require('axios');
 const CasePrecedent = require('../models/CasePrecedent');
+const statuteConcordance = require('./statuteConcordanceService');
+const { recordCitations, toCitationRef } = require('./citationGraphService');
+const { classifyForPrecedent } = require('./precedentTreatmentService');
+const kanoonCache = require('./kanoonCacheService');
+const outbound = require('./outboundService');
+const { parseJudgment, toPlainText } = require('./judgmentParserService');
+const { classifyVerdict } = require('./verdictClassifierService');
 
 /**
  * Service for Official Indian Kanoon API Integration
@@ -18,12 +25,34 @@ const CasePrecedent = require('../models/CasePrecedent');
 
 const KANOON_API_BASE_URL = 'https://api.indiankanoon.org';
 
+// CasePrecedent.source for judgments synced from Indian Kanoon
+const KANOON_SOURCE = 'IndianKanoon';
+
+// Fields refreshed from Kanoon when a stored judgment is fetched again
+const KANOON_METADATA_FIELDS = [
+  'source', 'sourceId', 'kanoonUrl', 'docid', 'doctype', 'date', 'bench',
+  'parties', 'acts', 'headnotes', 'ruling', 'cites', 'citedBy', 'fetchedAt'
+];
+
+// Fields derived from the judgment text; replaced only on records whose
+// text was never parsed (stored as raw HTML by earlier syncs)
+const KANOON_CONTENT_FIELDS = [
+  'facts', 'decision', 'summary', 'lawyerInvolved', 'paragraphs', 'operativeOrder', 'structure',
+  'verdict', 'verdictBasis'
+];
+
 class KanoonService {
   constructor() {
     this.apiToken = process.env.KANOON_API_TOKEN;
-    this.rateLimitDelay = 1000; // API best practice: 1 second between requests
-    this.maxRetries = 3;
     this.timeout = 30000;
+    // API best practice: 1 request per second; KANOON_RATE_PER_SEC etc. override
+    outbound.configure('kanoon', {
+      envPrefix: 'KANOON',
+      ratePerSecond: 1,
+      burst: 1,
+      maxRetries: 3,
+      retryDelayMs: 1000
+    });
     this.acceptHeader = 'application/json'; // Request JSON format
   }
 
@@ -31,7 +60,8 @@ class KanoonService {
    * Verify API token is configured
    */
   validateConfiguration() {
-    if (!this.apiToken) {
+    // Replayed responses come from fixtures, so no token is needed
+    if (!this.apiToken && !kanoonCache.isReplay()) {
       throw new Error([
         'KANOON_API_TOKEN not configured!',
         '',
@@ -73,6 +103,8 @@ class KanoonService {
    * @param {string} options.cite - Filter by citation
    * @param {string} options.author - Filter by judge author
    * @param {number} options.maxcites - Max citations to include (1-50)
+   * @param {boolean} options.expandStatutes - Also search the IPC/BNS equivalent of cited sections (default true)
+   * @param {boolean} options.refresh - Bypass the response cache (the result is still cached)
    * @returns {Promise<Object>} Search results
    */
   async searchCases(query, options = {}) {
@@ -86,7 +118,7 @@ class KanoonService {
 
       // Build query parameters
       const params = {
-        formInput: query,
+        formInput: options.expandStatutes === false ? query : statuteConcordance.expandQuery(query),
         pagenum: pagenum,
         maxpages: maxpages
       };
@@ -100,33 +132,20 @@ class KanoonService {
       if (options.author) params.author = options.author;
       if (options.maxcites) params.maxcites = Math.min(options.maxcites, 50);
 
-      // Call official API endpoint (Kanoon API requires POST with form data)
-      const url = `${KANOON_API_BASE_URL}/search/`;
-      const formData = new URLSearchParams(params).toString();
-      const response = await axios.post(url, formData, {
-        headers: {
-          ...this.getAuthHeaders(),
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        timeout: this.timeout
-      });
+      const data = await this._post('/search/', params, { refresh: options.refresh });
 
-      if (response.status === 200 && response.data) {
-        const searchResults = {
-          success: true,
-          query: query,
-          found: response.data.found || 0,
-          pagenum: response.data.pagenum || 0,
-          docs: this._parseSearchDocs(response.data.docs || []),
-          categories: response.data.categories || [],
-          totalDocuments: response.data.found || 0
-        };
-
-        console.log(`[Kanoon API] Found ${searchResults.found} results`);
-        return searchResults;
-      }
+      const searchResults = {
+        success: true,
+        query: query,
+        found: data.found || 0,
+        pagenum: data.pagenum || 0,
+        docs: this._parseSearchDocs(data.docs || []),
+        categories: data.categories || [],
+        totalDocuments: data.found || 0
+      };
 
-      throw new Error('Invalid response from Kanoon API');
+      console.log(`[Kanoon API] Found ${searchResults.found} results`);
+      return searchResults;
     } catch (error) {
       console.error(`[Kanoon API] Search error:`, error.message);
 
@@ -138,6 +157,33 @@ class KanoonService {
     }
   }
 
+  /**
+   * POST to an API endpoint (the Kanoon API requires POST with form data),
+   * going through the response cache / fixtures and the outbound rate
+   * limiter, retries and circuit breaker
+   * @private
+   */
+  async _post(endpoint, params, options = {}) {
+    return kanoonCache.cached(endpoint, params, async () => {
+      const response = await outbound.call('kanoon', () => axios.post(
+        `${KANOON_API_BASE_URL}${endpoint}`,
+        new URLSearchParams(params).toString(),
+        {
+          headers: {
+            ...this.getAuthHeaders(),
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          timeout: this.timeout
+        }
+      ), { label: endpoint });
+
+      if (response.status === 200 && response.data) {
+        return response.data;
+      }
+      throw new Error('Invalid response from Kanoon API');
+    }, options);
+  }
+
   /**
    * Parse search documents from API response
    * @private
@@ -145,9 +191,10 @@ class KanoonService {
   _parseSearchDocs(docs) {
     return docs.map(doc => ({
       tid: doc.tid || doc.id,
-      title: doc.title || 'Unknown',
+      // Titles and headlines carry <b> highlighting of the query terms
+      title: toPlainText(doc.title) || 'Unknown',
       docsource: doc.docsource || doc.court || 'Unknown Court',
-      headline: doc.headline || doc.snippet || '',
+      headline: toPlainText(doc.headline || doc.snippet),
       docsize: doc.docsize || 0,
       date: doc.date || null,
       casetype: doc.casetype || 'Unknown',
@@ -162,6 +209,7 @@ class KanoonService {
    * @param {Object} options - Additional options
    * @param {number} options.maxcites - Max citations to fetch (1-50)
    * @param {number} options.maxcitedby - Max cited-by documents (1-50)
+   * @param {boolean} options.refresh - Bypass the response cache
    * @returns {Promise<Object>} Detailed case data
    */
   async fetchCaseDetails(docid, options = {}) {
@@ -177,24 +225,11 @@ class KanoonService {
       if (options.maxcites) params.maxcites = Math.min(options.maxcites, 50);
       if (options.maxcitedby) params.maxcitedby = Math.min(options.maxcitedby, 50);
 
-      // Call official API endpoint (Kanoon API requires POST)
-      const url = `${KANOON_API_BASE_URL}/doc/${numericId}/`;
-      const formData = new URLSearchParams(params).toString();
-      const response = await axios.post(url, formData, {
-        headers: {
-          ...this.getAuthHeaders(),
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        timeout: this.timeout
-      });
+      const data = await this._post(`/doc/${numericId}/`, params, { refresh: options.refresh });
 
-      if (response.status === 200 && response.data) {
-        const caseData = this._parseCaseResponse(response.data);
-        console.log(`[Kanoon API] ✓ Fetched: ${caseData.title}`);
-        return caseData;
-      }
-
-      throw new Error('Invalid response from Kanoon API');
+      const caseData = this._parseCaseResponse(data);
+      console.log(`[Kanoon API] ✓ Fetched: ${caseData.title}`);
+      return caseData;
     } catch (error) {
       console.error(`[Kanoon API] Fetch error:`, error.message);
 
@@ -231,42 +266,70 @@ class KanoonService {
    * @private
    */
   _parseCaseResponse(data) {
+    const parties = this._extractParties(data);
+    // The judgment itself arrives as HTML in `doc`
+    const judgment = parseJudgment(data.doc || data.judgment || data.decision || '');
+    const apiJudges = this._extractJudges(data);
+    const headnotes = this._toStringList(data.headnotes);
+    const verdict = classifyVerdict({ operativeOrder: judgment.operativeOrder, decision: judgment.text });
+
     return {
       // Source info
       kanoonUrl: `https://indiankanoon.org/doc/${data.id}/`,
-      source: 'IndianKanoon-Official-API',
+      source: KANOON_SOURCE,
       sourceId: data.id?.toString(),
 
       // Document info
-      docid: data.id,
-      title: data.title || 'Unknown Case',
-      caseNumber: data.caseid || data.caseNumber || 'N/A',
+      docid: data.id !== undefined && data.id !== null ? Number(data.id) : null,
+      title: toPlainText(data.title) || 'Unknown Case',
+      // caseNumber is unique, so judgments without a case id fall back to the document id
+      caseNumber: data.caseid || data.caseNumber || `Kanoon-${data.id}`,
       year: this._extractYear(data),
-      court: data.court_name || data.court || 'Unknown Court',
+      court: data.court_name || data.court || data.docsource || 'Unknown Court',
       doctype: data.doctype || 'judgment',
 
       // Parties & judges
-      judges: this._extractJudges(data),
-      parties: this._extractParties(data),
+      judges: apiJudges.length > 0 ? apiJudges : judgment.bench,
+      parties,
+      plaintiffName: parties.plaintiff || undefined,
+      defendantName: parties.defendant || undefined,
 
       // Legal content
-      ipcSections: this._extractIPCSections(data),
-      keywords: this._extractKeywords(data),
-      acts: data.acts || [], // Statutory references
+      ipcSections: this._extractIPCSections(data, judgment.text),
+      keywords: this._extractKeywords(data, judgment.text),
+      acts: this._toStringList(data.acts), // Statutory references
 
       // Case content
-      facts: data.facts || '',
-      decision: data.judgment || data.decision || '',
-      summary: data.summary || data.judgment?.substring(0, 500) || '',
-      headnotes: data.headnotes || [],
+      facts: data.facts || judgment.facts,
+      decision: judgment.text,
+      summary: toPlainText(data.summary) || judgment.summary,
+      headnotes: headnotes.length > 0 ? headnotes : judgment.headnotes,
+      lawyerInvolved: judgment.counsel,
+      verdict: verdict.verdict,
+      verdictBasis: {
+        confidence: verdict.confidence,
+        sentence: verdict.sentence,
+        method: verdict.method,
+        source: verdict.source,
+        classifiedAt: new Date()
+      },
+
+      // Judgment structure
+      paragraphs: judgment.paragraphs,
+      operativeOrder: judgment.operativeOrder,
+      structure: {
+        paragraphCount: judgment.paragraphs.length,
+        numberedParagraphs: judgment.numberedParagraphs,
+        parsedAt: new Date()
+      },
 
       // Citations
-      cites: data.citeList || [],
-      citedBy: data.citedbyList || [],
+      cites: (data.citeList || []).map(toCitationRef).filter(Boolean),
+      citedBy: (data.citedbyList || []).map(toCitationRef).filter(Boolean),
 
       // Metadata
-      date: data.date || data.judgement_date || null,
-      bench: data.bench_name || null,
+      date: this._parseDate(data.date || data.publishdate || data.judgement_date),
+      bench: data.bench_name || judgment.bench.join(', ') || null,
       ruling: data.ruling || null,
 
       // API metadata
@@ -274,6 +337,36 @@ class KanoonService {
     };
   }
 
+  /**
+   * Kanoon dates come as YYYY-MM-DD, DD-MM-YYYY or "12 March, 2019"
+   * @private
+   */
+  _parseDate(value) {
+    if (!value) return null;
+    const text = value.toString().trim();
+
+    const dmy = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    const date = dmy
+      ? new Date(Date.UTC(parseInt(dmy[3]), parseInt(dmy[2]) - 1, parseInt(dmy[1])))
+      : new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : `${text.replace(',', '')} UTC`);
+
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Acts / headnotes arrive as a string, a list of strings or a list of
+   * {title} objects
+   * @private
+   */
+  _toStringList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list
+      .map(item => (typeof item === 'object' && item !== null ? item.title || item.name || item.text : item))
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim());
+  }
+
   /**
    * Extract year from various possible date formats
    * @private
@@ -327,19 +420,23 @@ class KanoonService {
   }
 
   /**
-   * Extract IPC sections from document
+   * Extract IPC / BNS sections from document as dual labels
+   * ("IPC 302 / BNS 103(1)"), so precedents match under either code
    * @private
    */
-  _extractIPCSections(data) {
+  _extractIPCSections(data, judgmentText = data.judgment) {
     const sections = new Set();
+    const addRef = (ref) => {
+      if (ref) sections.add(statuteConcordance.formatDual(ref.act, ref.section));
+    };
 
     // Method 1: Direct IPC sections array
     if (data.ipc_sections && Array.isArray(data.ipc_sections)) {
       data.ipc_sections.forEach(s => {
         if (typeof s === 'string') {
-          sections.add(s);
+          addRef(statuteConcordance.parseSectionReference(s, 'IPC'));
         } else if (s.section) {
-          sections.add(s.section);
+          addRef(statuteConcordance.parseSectionReference(s.section.toString(), s.act || 'IPC'));
         }
       });
     }
@@ -347,24 +444,22 @@ class KanoonService {
     // Method 2: Parse from text content
     const textToSearch = [
       data.title || '',
-      data.judgment || '',
+      judgmentText || '',
       data.facts || '',
       data.summary || ''
     ].join(' ');
 
-    // Match patterns like "Section 302", "S. 307", "IPC 420"
-    const patterns = [
-      /Section\s+(\d+[A-Z]?)\s+(?:IPC|I\.P\.C|of the IPC)/gi,
-      /S\.\s+(\d+[A-Z]?)\s+(?:IPC|I\.P\.C)/gi,
-      /IPC\s+Section\s+(\d+[A-Z]?)/gi,
-      /Article\s+(\d+)/gi
-    ];
-
-    for (const pattern of patterns) {
-      let match;
-      while ((match = pattern.exec(textToSearch)) && sections.size < 20) {
-        sections.add(match[1].toString());
-      }
+    // Match patterns like "Section 302 IPC", "S. 307 I.P.C.", "IPC 420", "BNS 103(1)";
+    // only penal-code sections are kept, and only when the act is named
+    statuteConcordance.extractSectionReferences(textToSearch)
+      .filter(ref => ref.act === 'IPC' || ref.act === 'BNS')
+      .slice(0, 20)
+      .forEach(addRef);
+
+    const articlePattern = /Article\s+(\d+[A-Z]?)/gi;
+    let match;
+    while ((match = articlePattern.exec(textToSearch)) && sections.size < 20) {
+      sections.add(`Article ${match[1]}`);
     }
 
     return Array.from(sections).slice(0, 15);
@@ -374,12 +469,16 @@ class KanoonService {
    * Extract keywords
    * @private
    */
-  _extractKeywords(data) {
+  _extractKeywords(data, judgmentText) {
     const keywords = new Set();
 
-    // Add IPC sections as keywords
-    const ipcSections = this._extractIPCSections(data);
-    ipcSections.forEach(s => keywords.add(`IPC-${s}`));
+    // Add IPC sections as keywords, under both codes ("IPC-302", "BNS-103(1)")
+    const ipcSections = this._extractIPCSections(data, judgmentText);
+    ipcSections.forEach(label => {
+      const refs = statuteConcordance.extractSectionReferences(label);
+      if (refs.length === 0) keywords.add(label);
+      refs.forEach(ref => keywords.add(`${ref.act}-${ref.section}`));
+    });
 
     // Add case type if available
     if (data.casetype) keywords.add(data.casetype);
@@ -401,6 +500,9 @@ class KanoonService {
   /**
    * Fetch and index cases from Kanoon API
    * Uses official API to search and fetch cases in bulk
+   *
+   * @param {Object} options - onProgress(current, total, message) and
+   *   isCancelled() hooks, checked between queries (used by background jobs)
    */
   async fetchAndIndexCases(queries, limit = 5, options = {}) {
     const indexedCases = [];
@@ -413,7 +515,18 @@ class KanoonService {
       errors: 0
     };
 
-    for (const query of queries) {
+    let cancelled = false;
+
+    for (const [queryIndex, query] of queries.entries()) {
+      if (options.isCancelled && await options.isCancelled()) {
+        console.log('[Kanoon Sync] Cancelled');
+        cancelled = true;
+        break;
+      }
+      if (options.onProgress) {
+        await options.onProgress(queryIndex, queries.length, `Searching "${query}"`);
+      }
+
       try {
         console.log(`\n[Kanoon Sync] Processing query: "${query}"`);
         stats.searchedQueries++;
@@ -436,19 +549,9 @@ class KanoonService {
           const doc = searchResults.docs[i];
 
           try {
-            // Add rate limiting delay
-            await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-
-            // Fetch full document
-            const caseData = await this.fetchCaseDetails(doc.tid, {
-              maxcites: 5,
-              maxcitedby: 5
-            });
+            const { caseData, savedCase } = await this.ingestDocument(doc.tid);
 
             stats.casesFetched++;
-
-            // Save to database
-            const savedCase = await this._saveCaseToDatabase(caseData);
             indexedCases.push(savedCase);
             stats.casesIndexed++;
 
@@ -476,6 +579,7 @@ class KanoonService {
 
     return {
       success: indexedCases.length > 0,
+      cancelled,
       stats: stats,
       indexed: indexedCases.length,
       failed: failedCases.length,
@@ -484,6 +588,22 @@ class KanoonService {
     };
   }
 
+  /**
+   * Fetch one document and save it with its citations
+   *
+   * @param {string} docid - Kanoon document id
+   * @returns {Promise<{caseData: Object, savedCase: Object}>}
+   */
+  async ingestDocument(docid) {
+    const caseData = await this.fetchCaseDetails(docid, {
+      maxcites: 5,
+      maxcitedby: 5
+    });
+
+    const savedCase = await this._saveCaseToDatabase(caseData);
+    return { caseData, savedCase };
+  }
+
   /**
    * Save case data to MongoDB
    * @private
@@ -500,6 +620,8 @@ class KanoonService {
 
       if (existingCase) {
         console.log(`    [Already indexed: ${caseData.caseNumber}]`);
+        await this.refreshMetadata(existingCase, caseData);
+        await this._recordCitations(existingCase, caseData);
         return existingCase;
       }
 
@@ -511,6 +633,7 @@ class KanoonService {
 
       const savedCase = await newCase.save();
       console.log(`    [Saved to DB]`);
+      await this._recordCitations(savedCase, caseData);
       return savedCase;
     } catch (error) {
       console.error('Error saving case to database:', error.message);
@@ -519,7 +642,89 @@ class KanoonService {
   }
 
   /**
-   * Get recommended search queries based on popular IPC sections
+   * Overwrite a stored precedent's provenance and Kanoon metadata with a
+   * freshly fetched copy (content fields such as facts are kept unless the
+   * stored judgment was never parsed; an unknown verdict is filled in)
+   *
+   * @param {Object} precedent - CasePrecedent document
+   * @param {Object} caseData - Parsed Kanoon document
+   */
+  async refreshMetadata(precedent, caseData) {
+    const update = this._contentUpdate(precedent, caseData);
+    KANOON_METADATA_FIELDS.forEach(field => {
+      if (caseData[field] !== undefined && caseData[field] !== null) update[field] = caseData[field];
+    });
+    if (!precedent.plaintiffName && caseData.plaintiffName) update.plaintiffName = caseData.plaintiffName;
+    if (!precedent.defendantName && caseData.defendantName) update.defendantName = caseData.defendantName;
+    if (precedent.verdict === 'unknown' && caseData.verdict && caseData.verdict !== 'unknown') {
+      update.verdict = caseData.verdict;
+      update.verdictBasis = caseData.verdictBasis;
+    }
+
+    precedent.set(update);
+    return precedent.save();
+  }
+
+  /**
+   * Parse the judgment already stored in a precedent's decision (raw HTML
+   * from earlier syncs) without refetching it
+   *
+   * @param {Object} precedent - CasePrecedent document
+   * @returns {Promise<boolean>} Whether anything changed
+   */
+  async reparseStoredJudgment(precedent) {
+    const caseData = this._parseCaseResponse({
+      id: precedent.sourceId,
+      title: precedent.title,
+      doc: precedent.decision
+    });
+    const update = this._contentUpdate(precedent, caseData);
+    if (Object.keys(update).length === 0) return false;
+
+    precedent.set(update);
+    await precedent.save();
+    return true;
+  }
+
+  /**
+   * Content fields to replace on a precedent whose judgment was never parsed
+   * @private
+   */
+  _contentUpdate(precedent, caseData) {
+    if (precedent.structure?.parsedAt || !caseData.structure?.parsedAt) return {};
+
+    const update = {};
+    KANOON_CONTENT_FIELDS.forEach(field => {
+      update[field] = caseData[field];
+    });
+    if (!precedent.judges?.length && caseData.judges?.length) update.judges = caseData.judges;
+    if (!precedent.bench && caseData.bench) update.bench = caseData.bench;
+    // Existing embeddings were built from the raw HTML
+    update.embedding = null;
+    update.indexedChunks = 0;
+    return update;
+  }
+
+  /**
+   * Add the document's cites / citedBy lists to the citation graph and
+   * classify how the linked judgments treat each other (non-critical)
+   * @private
+   */
+  async _recordCitations(precedent, caseData) {
+    try {
+      const edges = await recordCitations(precedent, caseData);
+      if (edges > 0) {
+        await classifyForPrecedent(precedent);
+        console.log(`    [Citation graph: ${edges} edges]`);
+      }
+    } catch (error) {
+      console.warn('    [Citation graph update failed]', error.message);
+    }
+  }
+
+  /**
+   * Get recommended search queries based on popular IPC sections (searches
+   * are expanded to the BNS equivalents) and offences new in the BNS
    */
   static getPopularQueries() {
     return [
@@ -535,6 +740,11 @@ class KanoonService {
       'Section 294 IPC',
       'Section 377 IPC',
 
+      // Offences with no IPC counterpart
+      'Section 111 BNS organised crime',
+      'Section 113 BNS terrorist act',
+      'Section 69 BNS deceitful means',
+
       // Civil/Family law
       'divorce',
       'custody children',
@@ -0,0 +1,62 @@
+// Served from the committed fixtures in backend/fixtures/kanoon
+process.env.KANOON_MODE = 'replay';
+delete process.env.KANOON_API_TOKEN;
+
+jest.mock('./citationGraphService', () => ({
+  recordCitations: jest.fn().mockResolvedValue(0),
+  toCitationRef: jest.requireActual('./citationGraphService').toCitationRef
+}));
+jest.mock('../models/CasePrecedent', () => {
+  const CasePrecedent = jest.fn(function CasePrecedent(data) {
+    Object.assign(this, data);
+    this.save = jest.fn(async () => this);
+  });
+  CasePrecedent.findOne = jest.fn();
+  return CasePrecedent;
+});
+
+const CasePrecedent = require('../models/CasePrecedent');
+const { recordCitations } = require('./citationGraphService');
+const kanoonService = require('./kanoonService');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CasePrecedent.findOne.mockResolvedValue(null);
+});
+
+describe('kanoonService in replay mode', () => {
+  test('searches from fixtures without an API token', async () => {
+    const results = await kanoonService.searchCases('Section 302 IPC');
+    expect(results.found).toBe(2);
+    expect(results.docs.map(doc => doc.tid)).toEqual([1000001, 1000002]);
+    expect(results.docs[0].headline).toBe('convicted under Section 302 of the IPC on circumstantial evidence');
+  });
+
+  test('syncs a query end to end: search, fetch, parse, classify and save', async () => {
+    const result = await kanoonService.fetchAndIndexCases(['Section 302 IPC'], 2);
+
+    expect(result.stats).toMatchObject({ casesFound: 2, casesIndexed: 2, errors: 0 });
+    const [allowed, dismissed] = result.cases;
+    expect(allowed).toMatchObject({
+      sourceId: '1000001',
+      caseNumber: 'Kanoon-1000001',
+      year: 2019,
+      judges: ['A.K. Sikri', 'S. Abdul Nazeer'],
+      verdict: 'acquitted',
+      lawyerInvolved: [expect.objectContaining({ name: 'Mr. Vikas Mehta', role: 'appellant' })]
+    });
+    expect(allowed.ipcSections).toContain('IPC 302 / BNS 103(1)');
+    expect(allowed.operativeOrder).toMatch(/^4\. In the result, the appeal is allowed/);
+    expect(dismissed).toMatchObject({ sourceId: '1000002', verdict: 'appeal_dismissed' });
+    expect(recordCitations).toHaveBeenCalledWith(allowed, expect.objectContaining({ cites: [{ sourceId: '1000002', title: expect.any(String) }] }));
+  });
+
+  test('fails on a request that was never recorded', async () => {
+    await expect(kanoonService.fetchCaseDetails('999')).rejects.toMatchObject({ code: 'KANOON_FIXTURE_MISSING' });
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Lawyer Ledger Service - Lawyer performance from recorded case outcomes
+ *
+ * Lawyer win/loss figures come from the LawyerOutcome ledger, not from the
+ * profile:
+ *   - closing a Verdix case records the outcome for its assigned lawyer,
+ *     optionally linked to the court precedent that decided it
+ *   - the 'lawyer-ledger-sync' job adds precedents that list a Verdix lawyer
+ *     in lawyerInvolved and have a classified verdict. Counsel are matched by
+ *     name only, so these entries are unverified
+ *
+ * After every change the lawyer's caseWon, caseLost and practiceRecord are
+ * recomputed from the ledger. Win rates count won and lost outcomes only.
+ */
+
+const Lawyer = require('../models/Lawyer');
+const LawyerOutcome = require('../models/LawyerOutcome');
+const CasePrecedent = require('../models/CasePrecedent');
+const User = require('../models/User');
+const { LABELLED_VERDICTS, isProsecutionAppeal, outcomeLabel } = require('./outcomePredictionService');
+const statuteConcordance = require('./statuteConcordanceService');
+
+const RESULTS = ['won', 'lost', 'partial', 'settled', 'withdrawn'];
+// Counsel roles for the appellant / petitioner, whose view outcomeLabel takes,
+// and against it
+const RELIEF_SIDES = ['appellant', 'petitioner', 'applicant', 'plaintiff'];
+const OPPOSING_SIDES = ['respondent', 'defendant', 'caveator'];
+// Roles naming a party to a criminal case, which may be on either side of the appeal
+const PROSECUTION_ROLES = ['state', 'prosecution', 'complainant'];
+const DEFENCE_ROLES = ['accused'];
+const RECENT_ENTRIES = 20;
+const PROGRESS_EVERY = 100;
+
+const HONORIFIC = /^(?:(?:mr|ms|mrs|dr|shri|smt|sri|kumari|adv|advocate)\.?\s+)+/i;
+
+const nameKey = (name) => (name || '')
+  .replace(HONORIFIC, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const winRate = ({ won, lost }) => (won + lost > 0 ? Math.round((won / (won + lost)) * 1000) / 1000 : null);
+
+/**
+ * Result for counsel on `side` of a precedent, or null. State counsel who
+ * appealed an acquittal lose when the acquittal stands.
+ * @private
+ */
+const precedentResult = (precedent, side) => {
+  const label = outcomeLabel(precedent);
+  if (label === undefined) return null;
+  if (label === 0.5) return 'partial';
+
+  let forSide;
+  if (RELIEF_SIDES.includes(side)) {
+    forSide = label;
+  } else if (OPPOSING_SIDES.includes(side)) {
+    forSide = 1 - label;
+  } else if (PROSECUTION_ROLES.includes(side) || DEFENCE_ROLES.includes(side)) {
+    const forProsecution = isProsecutionAppeal(precedent) ? label : 1 - label;
+    forSide = PROSECUTION_ROLES.includes(side) ? forProsecution : 1 - forProsecution;
+  } else {
+    return null;
+  }
+  return forSide === 1 ? 'won' : 'lost';
+};
+
+/**
+ * Case type of a precedent from the statutes it cites
+ * @private
+ */
+const precedentCaseType = (precedent) => {
+  const labels = precedent.ipcSections || [];
+  if (labels.some(label => statuteConcordance.extractSectionReferences(label).length > 0)) return 'Criminal';
+  if (labels.some(label => /\bArticle\s+\d+/i.test(label))) return 'Constitutional';
+  return null;
+};
+
+/**
+ * Group ledger entries by a field into won / lost / other counts
+ * @private
+ */
+const tally = (entries, field) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = entry[field] ?? null;
+    if (!groups.has(key)) groups.set(key, { [field]: key, won: 0, lost: 0, other: 0 });
+    const group = groups.get(key);
+    if (entry.result === 'won' || entry.result === 'lost') group[entry.result]++;
+    else group.other++;
+  });
+  return Array.from(groups.values()).map(group => ({ ...group, winRate: winRate(group) }));
+};
+
+/**
+ * Rebuild a lawyer's derived counters from the ledger
+ *
+ * @returns {Promise<Object|null>} The updated Lawyer, null if not found
+ */
+const recomputeLawyerStats = async (lawyerId) => {
+  const entries = await LawyerOutcome.find({ lawyerId }).select('result caseType').lean();
+  const overall = tally(entries.map(e => ({ ...e, all: true })), 'all')[0] || { won: 0, lost: 0 };
+
+  return Lawyer.findByIdAndUpdate(lawyerId, {
+    $set: {
+      caseWon: overall.won,
+      caseLost: overall.lost,
+      practiceRecord: tally(entries.filter(e => e.caseType), 'caseType')
+        .map(({ caseType, won, lost }) => ({ caseType, won, lost })),
+      ledgerUpdatedAt: new Date()
+    }
+  }, { new: true });
+};
+
+/**
+ * Does the precedent list this lawyer as counsel? Returns the side, or null
+ * @private
+ */
+const findAppearance = async (precedent, lawyer) => {
+  const user = await User.findById(lawyer.userId).select('name').lean();
+  const key = nameKey(user?.name);
+  if (!key) return null;
+  const appearance = (precedent.lawyerInvolved || []).find(counsel => nameKey(counsel.name) === key);
+  return appearance ? (appearance.role || 'unknown') : null;
+};
+
+/**
+ * Record the outcome of a closed Verdix case for its assigned lawyer
+ *
+ * @param {Object} caseData - Case document, with outcome already set
+ * @param {Object} options - { precedentId, userId }
+ * @returns {Promise<Object|null>} The ledger entry, null when no lawyer is assigned
+ */
+const recordCaseOutcome = async (caseData, { precedentId = null, userId = null } = {}) => {
+  if (!caseData.lawyerId) return null;
+
+  const lawyer = await Lawyer.findById(caseData.lawyerId);
+  if (!lawyer) return null;
+
+  let precedent = null;
+  let side = null;
+  if (precedentId) {
+    precedent = await CasePrecedent.findById(precedentId).select('court year lawyerInvolved');
+    if (!precedent) {
+      const error = new Error('Precedent not found');
+      error.code = 'PRECEDENT_NOT_FOUND';
+      throw error;
+    }
+    side = await findAppearance(precedent, lawyer);
+  }
+
+  const entry = await LawyerOutcome.findOneAndUpdate(
+    { lawyerId: lawyer._id, caseId: caseData._id },
+    {
+      $set: {
+        source: 'verdix_case',
+        ...(precedent && { precedentId: precedent._id }),
+        result: caseData.outcome.result,
+        caseType: caseData.caseType,
+        court: caseData.outcome.court || precedent?.court || caseData.court || null,
+        year: precedent?.year || caseData.outcome.closedAt.getFullYear(),
+        side,
+        verified: !!side,
+        recordedBy: userId,
+        recordedAt: new Date()
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  await recomputeLawyerStats(lawyer._id);
+  return entry;
+};
+
+/**
+ * Add ledger entries for precedents that name Verdix lawyers as counsel (job
+ * handler for 'lawyer-ledger-sync')
+ *
+ * @param {Object} payload - { lawyerId } to sync one verified lawyer, else all of them
+ * @param {Object} ctx - Job context (progress / cancellation)
+ */
+const syncPrecedentOutcomes = async ({ lawyerId } = {}, ctx) => {
+  const lawyers = await Lawyer.find({ verificationStatus: 'verified' })
+    .populate('userId', 'name')
+    .lean();
+
+  // Names shared by two Verdix lawyers cannot be told apart on a judgment
+  const byName = new Map();
+  lawyers.forEach(lawyer => {
+    const key = nameKey(lawyer.userId?.name);
+    if (!key) return;
+    byName.set(key, byName.has(key) ? null : lawyer);
+  });
+
+  const filter = { verdict: { $in: LABELLED_VERDICTS }, 'lawyerInvolved.0': { $exists: true } };
+  const total = await CasePrecedent.countDocuments(filter);
+  const touched = new Set();
+  let processed = 0;
+  let added = 0;
+  let ambiguous = 0;
+
+  const cursor = CasePrecedent.find(filter)
+    .select('title verdict court year ipcSections lawyerInvolved')
+    .lean()
+    .cursor();
+
+  for await (const precedent of cursor) {
+    for (const counsel of precedent.lawyerInvolved) {
+      const key = nameKey(counsel.name);
+      if (!byName.has(key)) continue;
+      const lawyer = byName.get(key);
+      if (!lawyer) {
+        ambiguous++;
+        continue;
+      }
+      if (lawyerId && lawyer._id.toString() !== lawyerId.toString()) continue;
+
+      const result = precedentResult(precedent, counsel.role);
+      if (!result) continue;
+      // Already on the ledger, from this sync or a closed Verdix case
+      if (await LawyerOutcome.exists({ lawyerId: lawyer._id, precedentId: precedent._id })) continue;
+
+      await LawyerOutcome.create({
+        lawyerId: lawyer._id,
+        source: 'precedent',
+        precedentId: precedent._id,
+        result,
+        caseType: precedentCaseType(precedent),
+        court: precedent.court,
+        year: precedent.year,
+        side: counsel.role,
+        // A name on a judgment may be another advocate of the same name
+        verified: false,
+        recordedBy: ctx.createdBy || null
+      });
+      touched.add(lawyer._id.toString());
+      added++;
+    }
+
+    processed++;
+    if (processed % PROGRESS_EVERY === 0) {
+      await ctx.throwIfCancelled();
+      await ctx.progress(processed, total, `Checked ${processed}/${total} precedents`);
+    }
+  }
+
+  for (const id of touched) {
+    await recomputeLawyerStats(id);
+  }
+
+  console.log(`✓ Ledger sync: ${added} precedent outcomes added for ${touched.size} lawyers`);
+  return { precedents: processed, added, lawyers: touched.size, ambiguousNames: ambiguous };
+};
+
+/**
+ * Win rates by category, court and year, with the latest ledger entries
+ */
+const getLawyerPerformance = async (lawyerId) => {
+  const entries = await LawyerOutcome.find({ lawyerId })
+    .sort({ recordedAt: -1 })
+    .populate('precedentId', 'caseNumber title kanoonUrl')
+    .lean();
+  const overall = tally(entries.map(e => ({ ...e, all: true })), 'all')[0] || { won: 0, lost: 0, other: 0, winRate: null };
+
+  return {
+    overall: { won: overall.won, lost: overall.lost, other: overall.other, winRate: overall.winRate },
+    verifiedEntries: entries.filter(e => e.verified).length,
+    byCategory: tally(entries, 'caseType'),
+    byCourt: tally(entries, 'court'),
+    byYear: tally(entries, 'year').sort((a, b) => (b.year || 0) - (a.year || 0)),
+    recent: entries.slice(0, RECENT_ENTRIES).map(e => ({
+      id: e._id,
+      source: e.source,
+      result: e.result,
+      caseType: e.caseType,
+      court: e.court,
+      year: e.year,
+      verified: e.verified,
+      precedent: e.precedentId || null,
+      recordedAt: e.recordedAt
+    }))
+  };
+};
+
+module.exports = {
+  RESULTS,
+  recordCaseOutcome,
+  recomputeLawyerStats,
+  syncPrecedentOutcomes,
+  getLawyerPerformance
+};
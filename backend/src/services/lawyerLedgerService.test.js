@@ -0,0 +1,56 @@
+jest.mock('./embeddingService', () => ({ createEmbedding: jest.fn() }));
+jest.mock('../models/Lawyer', () => ({ find: jest.fn(), findByIdAndUpdate: jest.fn() }));
+jest.mock('../models/LawyerOutcome', () => ({ find: jest.fn(), exists: jest.fn(), create: jest.fn() }));
+jest.mock('../models/CasePrecedent', () => ({ find: jest.fn(), countDocuments: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Lawyer = require('../models/Lawyer');
+const LawyerOutcome = require('../models/LawyerOutcome');
+const CasePrecedent = require('../models/CasePrecedent');
+const { syncPrecedentOutcomes } = require('./lawyerLedgerService');
+
+beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+const lawyer = { _id: new mongoose.Types.ObjectId(), userId: { name: 'Adv. Meera Nair' } };
+const ctx = { progress: jest.fn(), throwIfCancelled: jest.fn(), createdBy: null };
+
+const sync = async (precedents) => {
+  Lawyer.find.mockReturnValue({ populate: () => ({ lean: async () => [lawyer] }) });
+  CasePrecedent.countDocuments.mockResolvedValue(precedents.length);
+  CasePrecedent.find.mockReturnValue({ select: () => ({ lean: () => ({ cursor: () => precedents }) }) });
+  return syncPrecedentOutcomes({}, ctx);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  LawyerOutcome.exists.mockResolvedValue(false);
+  LawyerOutcome.find.mockReturnValue({ select: () => ({ lean: async () => [] }) });
+});
+
+describe('syncPrecedentOutcomes', () => {
+  test.each([
+    ['Ramesh vs State', 'acquitted', 'appellant', 'won'],
+    ['Ramesh vs State', 'acquitted', 'respondent', 'lost'],
+    ['Ramesh vs State', 'acquitted', 'accused', 'won'],
+    ['State of Kerala vs Ramesh', 'acquitted', 'appellant', 'lost'],
+    ['State of Kerala vs Ramesh', 'acquitted', 'state', 'lost'],
+    ['State of Kerala vs Ramesh', 'acquitted', 'accused', 'won'],
+    ['State of Kerala vs Ramesh', 'guilty', 'state', 'won'],
+    ['Ramesh vs Suresh', 'appeal_dismissed', 'petitioner', 'lost'],
+    ['Ramesh vs Suresh', 'appeal_allowed', 'defendant', 'lost'],
+    ['Ramesh vs Suresh', 'partial', 'respondent', 'partial']
+  ])('%s, %s, counsel for the %s -> %s', async (title, verdict, role, result) => {
+    await sync([{ _id: new mongoose.Types.ObjectId(), title, verdict, lawyerInvolved: [{ name: 'Meera Nair', role }] }]);
+    expect(LawyerOutcome.create).toHaveBeenCalledWith(expect.objectContaining({ result, side: role }));
+  });
+
+  test('marks name-only matches unverified', async () => {
+    await sync([{ _id: new mongoose.Types.ObjectId(), title: 'A vs B', verdict: 'appeal_allowed', lawyerInvolved: [{ name: 'MEERA NAIR', role: 'appellant' }] }]);
+    expect(LawyerOutcome.create).toHaveBeenCalledWith(expect.objectContaining({ verified: false }));
+  });
+
+  test('skips counsel whose side is unknown', async () => {
+    await sync([{ _id: new mongoose.Types.ObjectId(), title: 'A vs B', verdict: 'appeal_allowed', lawyerInvolved: [{ name: 'Meera Nair', role: 'unknown' }] }]);
+    expect(LawyerOutcome.create).not.toHaveBeenCalled();
+  });
+});
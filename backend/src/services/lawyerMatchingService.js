@@ -0,0 +1,314 @@
+/**
+ * Lawyer Matching Service - Explainable lawyer scores for a case
+ *
+ * Each verified lawyer gets a 0-1 score per factor:
+ *
+ *   specialization  practises the case type (or a related one)
+ *   record          cases won in the case type, else overall (smoothed)
+ *   experience      years of practice, with diminishing returns
+ *   language        speaks one of the client's languages
+ *   location        practises in the case's court / office in the client's city
+ *   fee             consultation fee within the client's budget
+ *   caseload        active cases already assigned
+ *   reviews         rating, shrunk toward the average when reviews are few
+ *
+ * The match score is the weighted mean of the factors that can be judged -
+ * with no client budget, fee is left out and the other weights rescale.
+ * Clients can re-weight factors; every suggestion carries its breakdown.
+ */
+
+const Lawyer = require('../models/Lawyer');
+const Case = require('../models/Case');
+
+const DEFAULT_WEIGHTS = {
+  specialization: 0.25,
+  record: 0.15,
+  experience: 0.1,
+  language: 0.1,
+  location: 0.1,
+  fee: 0.1,
+  caseload: 0.08,
+  reviews: 0.12
+};
+
+const FACTOR_LABELS = {
+  specialization: 'Specialization',
+  record: 'Track record',
+  experience: 'Experience',
+  language: 'Language',
+  location: 'Location',
+  fee: 'Fee',
+  caseload: 'Availability',
+  reviews: 'Reviews'
+};
+
+// Practice areas close enough to count for part of the specialization score
+const RELATED_TYPES = {
+  Criminal: ['Constitutional'],
+  Civil: ['Property', 'Family', 'Corporate'],
+  Corporate: ['Civil', 'Intellectual Property', 'Labour'],
+  Family: ['Civil'],
+  Property: ['Civil'],
+  'Intellectual Property': ['Corporate', 'Civil'],
+  Labour: ['Corporate', 'Civil'],
+  Constitutional: ['Civil', 'Criminal']
+};
+
+const ACTIVE_STATUSES = ['assigned', 'in_progress', 'under_review'];
+// Active cases at which availability scores zero
+const MAX_ACTIVE_CASES = 20;
+// Years of practice that score 1
+const FULL_EXPERIENCE_YEARS = 25;
+// Prior for ratings: REVIEW_PRIOR_COUNT reviews of REVIEW_PRIOR_RATING stars
+const REVIEW_PRIOR_RATING = 3;
+const REVIEW_PRIOR_COUNT = 5;
+const MAX_CANDIDATES = 300;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+const percent = (value) => `${Math.round(value * 100)}%`;
+const sameText = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Client weights from an object or a "specialization:2,fee:0.5" string,
+ * merged over the defaults
+ *
+ * @throws {Error} code 'INVALID_WEIGHTS' for unknown factors or bad values
+ */
+const parseWeights = (input) => {
+  if (!input) return { ...DEFAULT_WEIGHTS };
+
+  const entries = typeof input === 'string'
+    ? input.split(',').filter(Boolean).map(pair => pair.split(':').map(part => part.trim()))
+    : Object.entries(input);
+
+  const weights = { ...DEFAULT_WEIGHTS };
+  const problems = [];
+  entries.forEach(([factor, value]) => {
+    const weight = Number(value);
+    if (!Object.hasOwn(DEFAULT_WEIGHTS, factor)) problems.push(`unknown factor '${factor}'`);
+    else if (value === undefined || value === '' || !Number.isFinite(weight) || weight < 0) problems.push(`weight for '${factor}' must be a number >= 0`);
+    else weights[factor] = weight;
+  });
+
+  if (problems.length === 0 && Object.values(weights).every(weight => weight === 0)) {
+    problems.push('at least one weight must be above 0');
+  }
+  if (problems.length > 0) {
+    const error = new Error(`Invalid weights: ${problems.join('; ')}. Factors: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`);
+    error.code = 'INVALID_WEIGHTS';
+    throw error;
+  }
+  return weights;
+};
+
+// Each scorer returns { score: 0-1, detail } or null when it cannot be judged
+
+const scoreSpecialization = (lawyer, { caseType }) => {
+  const areas = lawyer.specializations || [];
+  if (!caseType) return null;
+  if (areas.includes(caseType)) {
+    return { score: 1, detail: `${caseType} specialist` };
+  }
+  const related = areas.filter(area => (RELATED_TYPES[caseType] || []).includes(area));
+  if (related.length > 0) {
+    return { score: 0.4, detail: `Practises ${related.join(', ')}, related to ${caseType}` };
+  }
+  return { score: 0, detail: `No ${caseType} practice listed` };
+};
+
+const scoreRecord = (lawyer, { caseType }) => {
+  const inType = (lawyer.practiceRecord || []).find(entry => entry.caseType === caseType);
+  if (inType && inType.won + inType.lost > 0) {
+    const rate = (inType.won + 1) / (inType.won + inType.lost + 2);
+    return { score: rate, detail: `${inType.won} of ${inType.won + inType.lost} ${caseType} cases won` };
+  }
+
+  const won = lawyer.caseWon || 0;
+  const lost = lawyer.caseLost || 0;
+  if (won + lost === 0) {
+    return { score: 0.5, detail: 'No recorded case outcomes' };
+  }
+  // An overall record says less about this case type, so it counts half
+  const rate = (won + 1) / (won + lost + 2);
+  return { score: 0.5 + (rate - 0.5) / 2, detail: `${won} of ${won + lost} cases won overall${caseType ? ` (no ${caseType} record)` : ''}` };
+};
+
+const scoreExperience = (lawyer) => {
+  const years = Math.max(lawyer.experience || 0, 0);
+  return {
+    score: Math.min(1, Math.log1p(years) / Math.log1p(FULL_EXPERIENCE_YEARS)),
+    detail: `${years} years of practice`
+  };
+};
+
+const scoreLanguage = (lawyer, { languages }) => {
+  if (!languages?.length) return null;
+  const spoken = lawyer.languages || [];
+  if (spoken.length === 0) {
+    return { score: 0.3, detail: 'No languages listed' };
+  }
+  const shared = spoken.filter(language => languages.some(wanted => sameText(wanted, language)));
+  return shared.length > 0
+    ? { score: 1, detail: `Speaks ${shared.join(', ')}` }
+    : { score: 0, detail: `Speaks ${spoken.join(', ')}` };
+};
+
+const scoreLocation = (lawyer, { court, city }) => {
+  const office = lawyer.office || {};
+  const signals = [];
+
+  if (court) {
+    const practised = (lawyer.courts || []).find(name => {
+      const a = name.toLowerCase();
+      const b = court.toLowerCase();
+      return a.includes(b) || b.includes(a);
+    });
+    if (practised) signals.push({ score: 1, detail: `Practises in ${practised}` });
+    else if (office.city && court.toLowerCase().includes(office.city.toLowerCase())) signals.push({ score: 0.9, detail: `Office in ${office.city}, where the court sits` });
+    else if (office.state && court.toLowerCase().includes(office.state.toLowerCase())) signals.push({ score: 0.6, detail: `Office in ${office.state}, where the court sits` });
+  }
+  if (city) {
+    if (sameText(office.city, city)) signals.push({ score: 0.8, detail: `Office in ${office.city}` });
+    else signals.push({ score: 0.2, detail: office.city ? `Office in ${office.city}, not ${city}` : 'No office city listed' });
+  }
+
+  if (signals.length === 0) {
+    return court && office.city ? { score: 0.2, detail: `Office in ${office.city}, away from ${court}` } : null;
+  }
+  return signals.sort((a, b) => b.score - a.score)[0];
+};
+
+const scoreFee = (lawyer, { budget }) => {
+  if (!budget || budget <= 0) return null;
+  const fee = lawyer.consultationFee || 0;
+  if (fee <= budget) {
+    return { score: 1, detail: `Consultation fee ₹${fee} within ₹${budget} budget` };
+  }
+  // Falls to 0 at twice the budget
+  return { score: Math.max(0, 1 - (fee - budget) / budget), detail: `Consultation fee ₹${fee} over ₹${budget} budget` };
+};
+
+const scoreCaseload = (lawyer, context, activeCases) => {
+  const active = activeCases.get(lawyer._id.toString()) || 0;
+  return {
+    score: Math.max(0, 1 - active / MAX_ACTIVE_CASES),
+    detail: `${active} active case${active === 1 ? '' : 's'}`
+  };
+};
+
+const scoreReviews = (lawyer) => {
+  const count = lawyer.totalReviews || 0;
+  if (count === 0) {
+    return { score: REVIEW_PRIOR_RATING / 5, detail: 'No reviews yet' };
+  }
+  const smoothed = ((lawyer.rating || 0) * count + REVIEW_PRIOR_RATING * REVIEW_PRIOR_COUNT) / (count + REVIEW_PRIOR_COUNT);
+  return { score: smoothed / 5, detail: `Rated ${lawyer.rating}/5 from ${count} review${count === 1 ? '' : 's'}` };
+};
+
+const SCORERS = {
+  specialization: scoreSpecialization,
+  record: scoreRecord,
+  experience: scoreExperience,
+  language: scoreLanguage,
+  location: scoreLocation,
+  fee: scoreFee,
+  caseload: scoreCaseload,
+  reviews: scoreReviews
+};
+
+/**
+ * Score one lawyer
+ *
+ * @returns {{matchScore: number, factors: Object[], reason: string}}
+ */
+const scoreLawyer = (lawyer, context, weights, activeCases = new Map()) => {
+  const judged = Object.entries(SCORERS)
+    .map(([factor, scorer]) => ({ factor, result: scorer(lawyer, context, activeCases) }))
+    .filter(({ factor, result }) => result && weights[factor] > 0);
+  const totalWeight = judged.reduce((sum, { factor }) => sum + weights[factor], 0);
+
+  const factors = judged.map(({ factor, result }) => {
+    const weight = totalWeight > 0 ? weights[factor] / totalWeight : 0;
+    return {
+      factor,
+      label: FACTOR_LABELS[factor],
+      score: round(result.score),
+      weight: round(weight),
+      contribution: round(result.score * weight),
+      detail: result.detail
+    };
+  }).sort((a, b) => b.contribution - a.contribution);
+
+  return {
+    matchScore: round(factors.reduce((sum, f) => sum + f.contribution, 0)),
+    factors,
+    reason: factors.map(f => `${f.label} ${percent(f.score)} (${f.detail})`).join('; ')
+  };
+};
+
+/**
+ * Rank verified lawyers for a case
+ *
+ * @param {Object} context - { caseType, court, city, languages, budget }
+ * @param {Object} options - { weights (object or "factor:weight,..." string), limit }
+ * @returns {Promise<{weights: Object, matches: Object[]}>} matches carry the
+ *   lawyer document (user populated), matchScore, factors and reason
+ */
+const matchLawyers = async (context, { weights: weightInput, limit = 10 } = {}) => {
+  const weights = parseWeights(weightInput);
+
+  // Specialists and related practices first; top-rated others fill the pool
+  const areas = context.caseType ? [context.caseType, ...(RELATED_TYPES[context.caseType] || [])] : [];
+  let lawyers = areas.length > 0
+    ? await Lawyer.find({ verificationStatus: 'verified', specializations: { $in: areas } })
+      .sort({ rating: -1 })
+      .limit(MAX_CANDIDATES)
+      .populate('userId', 'name email')
+    : [];
+  if (lawyers.length < limit) {
+    const others = await Lawyer.find({ verificationStatus: 'verified', _id: { $nin: lawyers.map(l => l._id) } })
+      .sort({ rating: -1, caseWon: -1 })
+      .limit(limit * 3)
+      .populate('userId', 'name email');
+    lawyers = [...lawyers, ...others];
+  }
+
+  const counts = lawyers.length > 0
+    ? await Case.aggregate([
+      { $match: { lawyerId: { $in: lawyers.map(l => l._id) }, status: { $in: ACTIVE_STATUSES } } },
+      { $group: { _id: '$lawyerId', count: { $sum: 1 } } }
+    ])
+    : [];
+  const activeCases = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  const matches = lawyers
+    .map(lawyer => ({ lawyer, ...scoreLawyer(lawyer, context, weights, activeCases) }))
+    .sort((a, b) => b.matchScore - a.matchScore || (b.lawyer.rating || 0) - (a.lawyer.rating || 0))
+    .slice(0, limit);
+
+  return { weights, matches };
+};
+
+/**
+ * Matching context for a case; explicit preferences override the ones saved
+ * on the case
+ */
+const caseMatchContext = (caseData, overrides = {}) => {
+  const saved = caseData.preferences || {};
+  const languages = overrides.languages ?? saved.languages;
+  return {
+    caseType: caseData.caseType,
+    court: overrides.court || caseData.court || null,
+    city: overrides.city || saved.city || null,
+    languages: (typeof languages === 'string' ? languages.split(',') : languages || []).map(l => l.trim()).filter(Boolean),
+    budget: Number(overrides.budget ?? saved.budget) || null
+  };
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  parseWeights,
+  scoreLawyer,
+  matchLawyers,
+  caseMatchContext
+};
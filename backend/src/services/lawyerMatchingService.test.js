@@ -0,0 +1,56 @@
+const { DEFAULT_WEIGHTS, parseWeights, scoreLawyer } = require('./lawyerMatchingService');
+
+describe('parseWeights', () => {
+  test('returns the defaults without input', () => {
+    expect(parseWeights()).toEqual(DEFAULT_WEIGHTS);
+    expect(parseWeights('')).toEqual(DEFAULT_WEIGHTS);
+  });
+
+  test.each([
+    ['specialization:2, fee:0.5', { specialization: 2, fee: 0.5 }],
+    [{ reviews: '0', caseload: 1 }, { reviews: 0, caseload: 1 }]
+  ])('merges %p over the defaults', (input, expected) => {
+    expect(parseWeights(input)).toEqual({ ...DEFAULT_WEIGHTS, ...expected });
+  });
+
+  test.each([
+    ['charisma:1', /unknown factor 'charisma'/],
+    ['constructor:1', /unknown factor 'constructor'/],
+    ['toString:2', /unknown factor 'toString'/],
+    [JSON.parse('{"__proto__": 1}'), /unknown factor '__proto__'/],
+    ['fee:-1', /weight for 'fee' must be a number >= 0/],
+    ['fee:', /weight for 'fee'/],
+    ['fee', /weight for 'fee'/],
+    [{ fee: 'cheap' }, /weight for 'fee'/],
+    [Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(factor => [factor, 0])), /at least one weight must be above 0/]
+  ])('rejects %p', (input, message) => {
+    expect(() => parseWeights(input)).toThrow(message);
+    expect(() => parseWeights(input)).toThrow(expect.objectContaining({ code: 'INVALID_WEIGHTS' }));
+  });
+});
+
+describe('scoreLawyer', () => {
+  const lawyer = {
+    _id: 'l1',
+    specializations: ['Criminal'],
+    experience: 10,
+    languages: ['Hindi'],
+    consultationFee: 2000,
+    rating: 4.5,
+    totalReviews: 20
+  };
+
+  test('leaves out factors that cannot be judged and rescales the rest', () => {
+    const { factors, matchScore } = scoreLawyer(lawyer, { caseType: 'Criminal' }, DEFAULT_WEIGHTS);
+    expect(factors.map(f => f.factor)).not.toContain('fee');
+    expect(factors.reduce((sum, f) => sum + f.weight, 0)).toBeCloseTo(1, 2);
+    expect(matchScore).toBeCloseTo(factors.reduce((sum, f) => sum + f.contribution, 0), 2);
+  });
+
+  test('drops factors weighted 0 by the client', () => {
+    const weights = parseWeights('specialization:1,record:0,experience:0,language:0,location:0,fee:0,caseload:0,reviews:0');
+    const { factors, matchScore } = scoreLawyer(lawyer, { caseType: 'Criminal' }, weights);
+    expect(factors.map(f => f.factor)).toEqual(['specialization']);
+    expect(matchScore).toBe(1);
+  });
+});
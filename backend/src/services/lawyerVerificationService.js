@@ -0,0 +1,578 @@
+/**
+ * Lawyer Verification Service - Bar Council license verification workflow
+ *
+ *   1. The lawyer uploads an enrollment certificate and identity proof
+ *      (verificationDocuments) and submits them: pending -> under_review
+ *   2. An admin approves, rejects or requests more information, with a
+ *      reason for the last two: -> verified | rejected | info_requested
+ *   3. After info_requested, rejected or expired the lawyer uploads again
+ *      and resubmits
+ *   4. Verification lapses LAWYER_VERIFICATION_VALID_YEARS (default 5) after
+ *      approval, in line with the Bar Council's Certificate of Practice
+ *      renewal. The expiry sweep reminds lawyers REMINDER_DAYS ahead and
+ *      then marks them expired. A verified lawyer can submit renewal documents before then
+ *      and stays verified while they are reviewed.
+ *
+ * Every step is written to LawyerVerificationEvent and notifies the lawyer.
+ * Only verified lawyers appear in search and lawyer matching.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Job = require('../models/Job');
+const Lawyer = require('../models/Lawyer');
+const LawyerVerificationEvent = require('../models/LawyerVerificationEvent');
+const { notify } = require('./notificationService');
+const { jobQueue } = require('./jobQueue');
+
+const VALID_YEARS = parseFloat(process.env.LAWYER_VERIFICATION_VALID_YEARS || '5');
+const REMINDER_DAYS = parseFloat(process.env.LAWYER_VERIFICATION_REMINDER_DAYS || '30');
+const SWEEP_HOURS = parseFloat(process.env.LAWYER_VERIFICATION_SWEEP_HOURS || '24');
+const DOCUMENT_DIR = path.join(process.env.UPLOAD_DIR || './uploads', 'verification');
+
+const DOCUMENT_KINDS = ['enrollment_certificate', 'identity_proof', 'practice_certificate', 'other'];
+const REQUIRED_DOCUMENTS = ['enrollment_certificate', 'identity_proof'];
+const MAX_DOCUMENTS = 10;
+const REVIEW_ACTIONS = {
+  approve: { status: 'verified', event: 'approved' },
+  reject: { status: 'rejected', event: 'rejected' },
+  request_info: { status: 'info_requested', event: 'info_requested' }
+};
+// Statuses from which the lawyer may change documents and (re)submit
+const OPEN_STATUSES = ['pending', 'info_requested', 'rejected', 'expired'];
+const ENROLLMENT_FROM = 1961; // Advocates Act
+
+/**
+ * State Bar Councils and the prefixes of their enrollment numbers, which
+ * read PREFIX/SERIAL/YEAR (e.g. D/1234/2012, MAH/567/2015)
+ */
+const BAR_COUNCILS = [
+  { name: 'Bar Council of Andhra Pradesh', aliases: ['andhra pradesh'], prefixes: ['AP'] },
+  { name: 'Bar Council of Assam, Nagaland, Meghalaya, Manipur, Tripura, Mizoram and Arunachal Pradesh', aliases: ['assam', 'gauhati'], prefixes: ['AS', 'ASM'] },
+  { name: 'Bar Council of Bihar', aliases: ['bihar'], prefixes: ['B', 'BR'] },
+  { name: 'Bar Council of Chhattisgarh', aliases: ['chhattisgarh'], prefixes: ['CG'] },
+  { name: 'Bar Council of Delhi', aliases: ['delhi'], prefixes: ['D'] },
+  { name: 'Bar Council of Gujarat', aliases: ['gujarat'], prefixes: ['G', 'GUJ'] },
+  { name: 'Bar Council of Himachal Pradesh', aliases: ['himachal pradesh'], prefixes: ['HP'] },
+  { name: 'Bar Council of Jammu & Kashmir and Ladakh', aliases: ['jammu and kashmir', 'jammu kashmir', 'ladakh'], prefixes: ['JK'] },
+  { name: 'Bar Council of Jharkhand', aliases: ['jharkhand'], prefixes: ['JH'] },
+  { name: 'Bar Council of Karnataka', aliases: ['karnataka'], prefixes: ['KAR'] },
+  { name: 'Bar Council of Kerala', aliases: ['kerala'], prefixes: ['K', 'KER'] },
+  { name: 'Bar Council of Madhya Pradesh', aliases: ['madhya pradesh'], prefixes: ['MP'] },
+  { name: 'Bar Council of Maharashtra and Goa', aliases: ['maharashtra', 'goa'], prefixes: ['MAH'] },
+  { name: 'Bar Council of Odisha', aliases: ['odisha', 'orissa'], prefixes: ['O', 'OD', 'OR'] },
+  { name: 'Bar Council of Punjab and Haryana', aliases: ['punjab', 'haryana'], prefixes: ['P', 'PH'] },
+  { name: 'Bar Council of Rajasthan', aliases: ['rajasthan'], prefixes: ['R', 'RAJ'] },
+  { name: 'Bar Council of Tamil Nadu and Puducherry', aliases: ['tamil nadu', 'puducherry', 'madras'], prefixes: ['MS', 'TN'] },
+  { name: 'Bar Council of Telangana', aliases: ['telangana'], prefixes: ['TS', 'TG'] },
+  { name: 'Bar Council of Uttar Pradesh', aliases: ['uttar pradesh'], prefixes: ['UP'] },
+  { name: 'Bar Council of Uttarakhand', aliases: ['uttarakhand', 'uttaranchal'], prefixes: ['UK', 'UA'] },
+  { name: 'Bar Council of West Bengal', aliases: ['west bengal'], prefixes: ['WB', 'F'] }
+];
+
+const councilKey = (name) => (name || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/\b(?:state\s+)?bar\s+council\s+(?:of\s+)?/g, '')
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * The State Bar Council a free-text barCouncil value refers to
+ *
+ * @returns {Object|null} Entry of BAR_COUNCILS
+ */
+const findBarCouncil = (name) => {
+  const key = councilKey(name);
+  if (!key) return null;
+  return BAR_COUNCILS.find(council => councilKey(council.name) === key || council.aliases.includes(key)) || null;
+};
+
+/**
+ * Check a license (enrollment) number against its State Bar Council's format
+ *
+ * @param {string} licenseNumber - e.g. "D/1234/2012" or "mah-567-2015"
+ * @param {string} barCouncil - e.g. "Bar Council of Delhi" or "Delhi"
+ * @returns {{valid: boolean, error?: string, council?: string, normalized?: string, enrollmentYear?: number}}
+ */
+const checkLicenseNumber = (licenseNumber, barCouncil) => {
+  const council = findBarCouncil(barCouncil);
+  if (!council) {
+    return { valid: false, error: `Unknown State Bar Council: ${barCouncil || '(none)'}` };
+  }
+
+  const match = (licenseNumber || '').toUpperCase().trim()
+    .match(/^([A-Z]{1,3})\s*[/\-.\s]\s*(\d{1,6})(?:\s*-?\s*([A-Z]))?\s*[/\-.\s]\s*(\d{4})$/);
+  const format = `${council.prefixes[0]}/<number>/<year of enrollment>`;
+  if (!match) {
+    return { valid: false, council: council.name, error: `License number should look like ${format}` };
+  }
+
+  const [, prefix, serial, suffix, year] = match;
+  if (!council.prefixes.includes(prefix)) {
+    return {
+      valid: false,
+      council: council.name,
+      error: `${council.name} enrollment numbers start with ${council.prefixes.join(' or ')}, e.g. ${format}`
+    };
+  }
+
+  const enrollmentYear = parseInt(year);
+  if (enrollmentYear < ENROLLMENT_FROM || enrollmentYear > new Date().getFullYear()) {
+    return { valid: false, council: council.name, error: `Enrollment year ${enrollmentYear} is not plausible` };
+  }
+
+  return {
+    valid: true,
+    council: council.name,
+    normalized: `${prefix}/${serial}${suffix ? `-${suffix}` : ''}/${enrollmentYear}`,
+    enrollmentYear
+  };
+};
+
+/**
+ * Error with a code the controllers map to an HTTP status
+ * @private
+ */
+const workflowError = (code, message, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+
+/**
+ * Append to the audit trail and notify the lawyer
+ * @private
+ */
+const recordStep = async (lawyer, { action, actor = null, actorType, fromStatus, reason, details = {} }, notification) => {
+  const event = await LawyerVerificationEvent.create({
+    lawyerId: lawyer._id,
+    action,
+    actor,
+    actorType,
+    fromStatus,
+    toStatus: lawyer.verificationStatus,
+    reason,
+    details
+  });
+
+  if (notification) {
+    await notify(lawyer.userId, {
+      type: `verification.${action}`,
+      link: '/api/lawyers/verification',
+      data: { lawyerId: lawyer._id, status: lawyer.verificationStatus, reason: reason || null },
+      ...notification
+    });
+  }
+  return event;
+};
+
+/**
+ * Reviewer checks shown alongside a submission
+ * @private
+ */
+const reviewChecks = (lawyer) => {
+  const license = checkLicenseNumber(lawyer.licenseNumber, lawyer.barCouncil);
+  const kinds = new Set((lawyer.verificationDocuments || []).map(doc => doc.kind));
+  const maxExperience = license.valid ? new Date().getFullYear() - license.enrollmentYear + 1 : null;
+
+  return {
+    licenseFormat: license,
+    missingDocuments: REQUIRED_DOCUMENTS.filter(kind => !kinds.has(kind)),
+    // Claimed years of practice cannot exceed the years since enrollment
+    experienceConsistent: maxExperience === null ? null : (lawyer.experience || 0) <= maxExperience
+  };
+};
+
+const canEditDocuments = (lawyer) => OPEN_STATUSES.includes(lawyer.verificationStatus)
+  || (lawyer.verificationStatus === 'verified' && !lawyer.verification?.renewalPending);
+
+/**
+ * The lawyer's own profile with verification documents, or null
+ */
+const findLawyerForUser = (userId) => Lawyer.findOne({ userId }).select('+verificationDocuments');
+
+/**
+ * Path of a stored verification document on disk
+ */
+const documentPath = (doc) => path.join(DOCUMENT_DIR, doc.storedName);
+
+/**
+ * Add an uploaded file to the lawyer's verification documents
+ *
+ * @param {Object} lawyer - Lawyer with verificationDocuments selected
+ * @param {Object} file - multer file (stored in DOCUMENT_DIR)
+ * @param {string} kind - One of DOCUMENT_KINDS
+ * @returns {Promise<Object>} The document entry
+ */
+const addDocument = async (lawyer, file, kind, userId) => {
+  if (!DOCUMENT_KINDS.includes(kind)) {
+    throw workflowError('INVALID_DOCUMENT_KIND', `kind must be one of: ${DOCUMENT_KINDS.join(', ')}`);
+  }
+  if (!canEditDocuments(lawyer)) {
+    throw workflowError('UNDER_REVIEW', 'Documents cannot be changed while they are under review');
+  }
+  if (lawyer.verificationDocuments.length >= MAX_DOCUMENTS) {
+    throw workflowError('TOO_MANY_DOCUMENTS', `At most ${MAX_DOCUMENTS} verification documents can be uploaded`);
+  }
+
+  lawyer.verificationDocuments.push({
+    kind,
+    filename: file.originalname,
+    storedName: file.filename,
+    mimeType: file.mimetype,
+    size: file.size
+  });
+  const doc = lawyer.verificationDocuments[lawyer.verificationDocuments.length - 1];
+  await lawyer.save();
+
+  await recordStep(lawyer, {
+    action: 'document_uploaded',
+    actor: userId,
+    actorType: 'lawyer',
+    fromStatus: lawyer.verificationStatus,
+    details: { docId: doc._id, kind, filename: doc.filename }
+  });
+  return doc;
+};
+
+/**
+ * Remove one of the lawyer's verification documents and its file
+ *
+ * @returns {Promise<Object|null>} The removed entry, null if not found
+ */
+const removeDocument = async (lawyer, docId, userId) => {
+  const doc = lawyer.verificationDocuments.id(docId);
+  if (!doc) return null;
+  if (!canEditDocuments(lawyer)) {
+    throw workflowError('UNDER_REVIEW', 'Documents cannot be changed while they are under review');
+  }
+
+  lawyer.verificationDocuments.pull(doc._id);
+  await lawyer.save();
+  fs.promises.unlink(documentPath(doc)).catch(error => {
+    console.warn(`⚠ Could not delete verification document ${doc.storedName}:`, error.message);
+  });
+
+  await recordStep(lawyer, {
+    action: 'document_removed',
+    actor: userId,
+    actorType: 'lawyer',
+    fromStatus: lawyer.verificationStatus,
+    details: { docId: doc._id, kind: doc.kind, filename: doc.filename }
+  });
+  return doc;
+};
+
+/**
+ * Send the lawyer's documents for review; a verified lawyer submits a renewal
+ *
+ * @returns {Promise<Object>} The updated Lawyer
+ */
+const submitForReview = async (lawyer, userId) => {
+  const renewal = lawyer.verificationStatus === 'verified';
+  if (!canEditDocuments(lawyer)) {
+    throw workflowError('UNDER_REVIEW', 'Verification is already under review');
+  }
+
+  const checks = reviewChecks(lawyer);
+  if (checks.missingDocuments.length > 0) {
+    throw workflowError('MISSING_DOCUMENTS', `Upload these documents first: ${checks.missingDocuments.join(', ')}`, {
+      missingDocuments: checks.missingDocuments
+    });
+  }
+  if (!checks.licenseFormat.valid) {
+    throw workflowError('INVALID_LICENSE', checks.licenseFormat.error);
+  }
+
+  const fromStatus = lawyer.verificationStatus;
+  if (!renewal) lawyer.verificationStatus = 'under_review';
+  lawyer.set({
+    'verification.enrollmentYear': checks.licenseFormat.enrollmentYear,
+    'verification.submittedAt': new Date(),
+    'verification.renewalPending': renewal
+  });
+  await lawyer.save();
+
+  await recordStep(lawyer, {
+    action: 'submitted',
+    actor: userId,
+    actorType: 'lawyer',
+    fromStatus,
+    details: { renewal, documents: lawyer.verificationDocuments.map(doc => doc.kind) }
+  }, {
+    title: renewal ? 'Renewal submitted' : 'Verification submitted',
+    message: 'Your documents are with our team for review.'
+  });
+  return lawyer;
+};
+
+/**
+ * Approve, reject or request more information on a submission
+ *
+ * @param {string} lawyerId
+ * @param {Object} decision - { action: 'approve' | 'reject' | 'request_info', reason }
+ * @param {string} adminId - Reviewing admin's user id
+ * @returns {Promise<Object|null>} The updated Lawyer, null if not found
+ */
+const reviewLawyer = async (lawyerId, { action, reason } = {}, adminId) => {
+  const outcome = REVIEW_ACTIONS[action];
+  if (!outcome) {
+    throw workflowError('INVALID_ACTION', `action must be one of: ${Object.keys(REVIEW_ACTIONS).join(', ')}`);
+  }
+  reason = (reason || '').trim();
+  if (action !== 'approve' && !reason) {
+    throw workflowError('REASON_REQUIRED', 'A reason is required to reject or request more information');
+  }
+
+  const lawyer = await Lawyer.findById(lawyerId);
+  if (!lawyer) return null;
+
+  const renewal = lawyer.verificationStatus === 'verified' && lawyer.verification?.renewalPending;
+  if (lawyer.verificationStatus !== 'under_review' && !renewal) {
+    throw workflowError('NOT_UNDER_REVIEW', `Lawyer verification is ${lawyer.verificationStatus}, not under review`);
+  }
+
+  const fromStatus = lawyer.verificationStatus;
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + VALID_YEARS * 365.25 * 24 * 60 * 60 * 1000);
+  // A turned-down renewal leaves the current verification standing until the
+  // expiry sweep lapses it; only the pending renewal is closed
+  const keepsVerification = renewal && action !== 'approve';
+  const update = {
+    verificationStatus: keepsVerification ? fromStatus : outcome.status,
+    'verification.renewalPending': false,
+    'verification.reviewedAt': now,
+    'verification.reviewedBy': adminId,
+    'verification.reason': reason || null
+  };
+  if (action === 'approve') {
+    Object.assign(update, {
+      'verification.verifiedAt': now,
+      'verification.expiresAt': expiresAt,
+      'verification.reminderSentAt': null
+    });
+  }
+
+  // Conditional on the submission read above so two reviewers cannot both decide
+  const updated = await Lawyer.findOneAndUpdate(
+    {
+      _id: lawyer._id,
+      verificationStatus: fromStatus,
+      'verification.submittedAt': lawyer.verification?.submittedAt || null
+    },
+    { $set: update },
+    { new: true }
+  );
+  if (!updated) {
+    throw workflowError('NOT_UNDER_REVIEW', 'This submission was reviewed by someone else');
+  }
+
+  const currentExpiry = updated.verification?.expiresAt;
+  const stillValid = keepsVerification && currentExpiry
+    ? ` Your current verification stays valid until ${currentExpiry.toDateString()}.`
+    : '';
+  const messages = {
+    approve: {
+      title: renewal ? 'Verification renewed' : 'You are verified',
+      message: `Your Bar Council verification is valid until ${expiresAt.toDateString()}.`
+    },
+    reject: { title: renewal ? 'Renewal rejected' : 'Verification rejected', message: reason + stillValid },
+    request_info: { title: 'More information needed', message: reason + stillValid }
+  };
+  await recordStep(updated, {
+    action: outcome.event,
+    actor: adminId,
+    actorType: 'admin',
+    fromStatus,
+    reason: reason || undefined,
+    details: { renewal, ...(renewal && { outcome: outcome.status }) }
+  }, messages[action]);
+
+  console.log(`✓ Lawyer ${updated._id} verification: ${outcome.event}${renewal ? ' (renewal)' : ''}`);
+  return updated;
+};
+
+/**
+ * Submissions awaiting review, oldest first, with reviewer checks
+ *
+ * @param {Object} options - { limit, skip }
+ * @returns {Promise<{total: number, lawyers: Object[]}>}
+ */
+const getReviewQueue = async ({ limit = 20, skip = 0 } = {}) => {
+  const filter = {
+    $or: [
+      { verificationStatus: 'under_review' },
+      { verificationStatus: 'verified', 'verification.renewalPending': true }
+    ]
+  };
+  const [total, lawyers] = await Promise.all([
+    Lawyer.countDocuments(filter),
+    Lawyer.find(filter)
+      .select('+verificationDocuments')
+      .populate('userId', 'name email phone')
+      .sort({ 'verification.submittedAt': 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+  ]);
+
+  return {
+    total,
+    lawyers: lawyers.map(lawyer => ({
+      id: lawyer._id,
+      user: lawyer.userId,
+      licenseNumber: lawyer.licenseNumber,
+      barCouncil: lawyer.barCouncil,
+      experience: lawyer.experience,
+      verificationStatus: lawyer.verificationStatus,
+      renewal: !!lawyer.verification?.renewalPending,
+      submittedAt: lawyer.verification?.submittedAt,
+      documents: lawyer.verificationDocuments.map(({ _id, kind, filename, mimeType, size, uploadedAt }) => ({
+        id: _id, kind, filename, mimeType, size, uploadedAt
+      })),
+      checks: reviewChecks(lawyer)
+    }))
+  };
+};
+
+/**
+ * A lawyer's verification state, documents and audit trail
+ *
+ * @param {Object} lawyer - Lawyer with verificationDocuments selected
+ */
+const getVerificationDetail = async (lawyer) => {
+  const history = await LawyerVerificationEvent.find({ lawyerId: lawyer._id })
+    .sort({ createdAt: -1 })
+    .populate('actor', 'name userType')
+    .lean();
+
+  return {
+    lawyerId: lawyer._id,
+    licenseNumber: lawyer.licenseNumber,
+    barCouncil: lawyer.barCouncil,
+    verificationStatus: lawyer.verificationStatus,
+    verification: lawyer.verification || {},
+    requiredDocuments: REQUIRED_DOCUMENTS,
+    documents: lawyer.verificationDocuments.map(({ _id, kind, filename, mimeType, size, uploadedAt }) => ({
+      id: _id, kind, filename, mimeType, size, uploadedAt
+    })),
+    checks: reviewChecks(lawyer),
+    history
+  };
+};
+
+/**
+ * Remind lawyers whose verification expires soon and expire the lapsed ones
+ * (job handler for 'lawyer-verification-expiry')
+ */
+const sweepExpiredVerifications = async (payload, ctx) => {
+  const now = new Date();
+  const remindBefore = new Date(now.getTime() + REMINDER_DAYS * 24 * 60 * 60 * 1000);
+  let reminded = 0;
+  let expired = 0;
+
+  const expiring = await Lawyer.find({
+    verificationStatus: 'verified',
+    'verification.renewalPending': { $ne: true },
+    'verification.expiresAt': { $gt: now, $lte: remindBefore },
+    'verification.reminderSentAt': null
+  });
+  for (const lawyer of expiring) {
+    await ctx.throwIfCancelled();
+    lawyer.verification.reminderSentAt = now;
+    await lawyer.save();
+    await recordStep(lawyer, {
+      action: 'expiry_reminder',
+      actorType: 'system',
+      fromStatus: lawyer.verificationStatus,
+      details: { expiresAt: lawyer.verification.expiresAt }
+    }, {
+      title: 'Verification expiring soon',
+      message: `Your Bar Council verification expires on ${lawyer.verification.expiresAt.toDateString()}. Upload your current Certificate of Practice and submit it for renewal.`
+    });
+    reminded++;
+  }
+
+  // Lapsed even with a renewal pending: the lawyer stays listed only while valid
+  const lapsed = await Lawyer.find({ verificationStatus: 'verified', 'verification.expiresAt': { $lte: now } });
+  for (const lawyer of lapsed) {
+    await ctx.throwIfCancelled();
+    const renewalPending = !!lawyer.verification.renewalPending;
+    lawyer.verificationStatus = renewalPending ? 'under_review' : 'expired';
+    lawyer.verification.renewalPending = false;
+    await lawyer.save();
+    await recordStep(lawyer, {
+      action: 'expired',
+      actorType: 'system',
+      fromStatus: 'verified',
+      details: { expiresAt: lawyer.verification.expiresAt, renewalPending }
+    }, {
+      title: 'Verification expired',
+      message: renewalPending
+        ? 'Your verification has expired. Your renewal is still under review; you will not appear in search until it is approved.'
+        : 'Your verification has expired. Upload your current documents and submit them to be verified again.'
+    });
+    expired++;
+  }
+
+  await ctx.progress(reminded + expired, expiring.length + lapsed.length, 'Expiry sweep complete');
+  console.log(`✓ Verification sweep: ${reminded} reminders, ${expired} expired`);
+  return { reminded, expired };
+};
+
+/**
+ * Queue an expiry sweep unless one is already queued or running
+ *
+ * @returns {Promise<Object|null>} The new job, or null if one is pending
+ */
+const scheduleExpirySweep = async (options = {}) => {
+  const pending = await Job.exists({ type: 'lawyer-verification-expiry', status: { $in: ['queued', 'running'] } });
+  if (pending) return null;
+  return jobQueue.enqueue('lawyer-verification-expiry', {}, { createdBy: options.createdBy || null });
+};
+
+let sweepTimer = null;
+
+/**
+ * Queue an expiry sweep every LAWYER_VERIFICATION_SWEEP_HOURS (0 disables it)
+ */
+const startExpiryScheduler = () => {
+  if (SWEEP_HOURS <= 0) {
+    console.log('Lawyer verification expiry sweep disabled');
+    return false;
+  }
+
+  const tick = () => scheduleExpirySweep().catch(error => {
+    console.error('[Verification] Failed to schedule expiry sweep:', error.message);
+  });
+  sweepTimer = setInterval(tick, SWEEP_HOURS * 60 * 60 * 1000);
+  sweepTimer.unref?.();
+  tick();
+
+  console.log(`✓ Lawyer verification expiry sweep scheduled every ${SWEEP_HOURS}h`);
+  return true;
+};
+
+const stopExpiryScheduler = () => {
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  DOCUMENT_DIR,
+  DOCUMENT_KINDS,
+  REQUIRED_DOCUMENTS,
+  BAR_COUNCILS,
+  findBarCouncil,
+  checkLicenseNumber,
+  findLawyerForUser,
+  documentPath,
+  addDocument,
+  removeDocument,
+  submitForReview,
+  reviewLawyer,
+  getReviewQueue,
+  getVerificationDetail,
+  sweepExpiredVerifications,
+  scheduleExpirySweep,
+  startExpiryScheduler,
+  stopExpiryScheduler
+};
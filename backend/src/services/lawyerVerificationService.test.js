@@ -0,0 +1,119 @@
+jest.mock('./notificationService', () => ({ notify: jest.fn() }));
+jest.mock('./jobQueue', () => ({ jobQueue: { registerHandler: jest.fn(), enqueue: jest.fn() } }));
+
+const mongoose = require('mongoose');
+const Lawyer = require('../models/Lawyer');
+const LawyerVerificationEvent = require('../models/LawyerVerificationEvent');
+const { notify } = require('./notificationService');
+const { checkLicenseNumber, reviewLawyer } = require('./lawyerVerificationService');
+
+describe('checkLicenseNumber', () => {
+  test.each([
+    ['D/1234/2012', 'Bar Council of Delhi', 'D/1234/2012', 2012],
+    ['mah-567-2015', 'Maharashtra', 'MAH/567/2015', 2015],
+    ['KAR 89 A 2001', 'State Bar Council of Karnataka', 'KAR/89-A/2001', 2001],
+    ['MS/1020/1998', 'Madras', 'MS/1020/1998', 1998],
+    ['F/45/1975', 'Bar Council of West Bengal', 'F/45/1975', 1975]
+  ])('accepts %s (%s)', (licenseNumber, barCouncil, normalized, enrollmentYear) => {
+    expect(checkLicenseNumber(licenseNumber, barCouncil)).toMatchObject({ valid: true, normalized, enrollmentYear });
+  });
+
+  test.each([
+    ['D/1234/2012', 'Bar Council of Atlantis', /Unknown State Bar Council/],
+    ['D/1234/2012', undefined, /Unknown State Bar Council: \(none\)/],
+    ['1234', 'Delhi', /should look like D\/<number>\/<year of enrollment>/],
+    ['MAH/1234/2012', 'Delhi', /start with D/],
+    ['D/1234/1950', 'Delhi', /1950 is not plausible/],
+    [`D/1234/${new Date().getFullYear() + 1}`, 'Delhi', /not plausible/]
+  ])('rejects %s (%s)', (licenseNumber, barCouncil, error) => {
+    const result = checkLicenseNumber(licenseNumber, barCouncil);
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(error);
+  });
+});
+
+describe('Lawyer.verificationDocuments', () => {
+  test('drops legacy file URLs on load and rewrites the list on the next save', () => {
+    const lawyer = Lawyer.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      licenseNumber: 'D/1234/2012',
+      experience: 10,
+      barCouncil: 'Delhi',
+      consultationFee: 1000,
+      hourlyRate: 2000,
+      verificationDocuments: ['/uploads/enrollment.pdf', { kind: 'identity_proof', filename: 'id.pdf' }]
+    });
+
+    expect(lawyer.verificationDocuments.map(doc => doc.kind)).toEqual(['identity_proof']);
+    expect(lawyer.validateSync()).toBeUndefined();
+    expect(lawyer.isModified('verificationDocuments')).toBe(true);
+  });
+});
+
+describe('reviewLawyer', () => {
+  const expiresAt = new Date('2027-03-01T00:00:00Z');
+  const adminId = new mongoose.Types.ObjectId();
+
+  // A lawyer in the given status; findOneAndUpdate applies the $set to it
+  const stored = (verificationStatus, verification) => {
+    const lawyer = Lawyer.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      licenseNumber: 'D/1234/2012',
+      experience: 10,
+      barCouncil: 'Delhi',
+      consultationFee: 1000,
+      hourlyRate: 2000,
+      verificationStatus,
+      verification: { submittedAt: new Date('2026-09-01T00:00:00Z'), ...verification }
+    });
+    jest.spyOn(Lawyer, 'findById').mockResolvedValue(lawyer);
+    jest.spyOn(Lawyer, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => lawyer.set($set));
+    return lawyer;
+  };
+
+  beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(LawyerVerificationEvent, 'create').mockImplementation(async (event) => event);
+  });
+
+  test.each(['reject', 'request_info'])('keeps a renewing lawyer verified on %s', async (action) => {
+    const lawyer = stored('verified', { renewalPending: true, expiresAt });
+
+    const updated = await reviewLawyer(lawyer._id, { action, reason: 'Certificate of Practice is illegible' }, adminId);
+
+    expect(updated.verificationStatus).toBe('verified');
+    expect(updated.verification.renewalPending).toBe(false);
+    expect(updated.verification.expiresAt).toEqual(expiresAt);
+    expect(updated.verification.reason).toBe('Certificate of Practice is illegible');
+    expect(LawyerVerificationEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: action === 'reject' ? 'rejected' : 'info_requested',
+      fromStatus: 'verified',
+      toStatus: 'verified',
+      reason: 'Certificate of Practice is illegible',
+      details: { renewal: true, outcome: action === 'reject' ? 'rejected' : 'info_requested' }
+    }));
+    expect(notify.mock.calls[0][1].message).toMatch(/stays valid until/);
+  });
+
+  test('extends the expiry when a renewal is approved', async () => {
+    const lawyer = stored('verified', { renewalPending: true, expiresAt });
+
+    const updated = await reviewLawyer(lawyer._id, { action: 'approve' }, adminId);
+
+    expect(updated.verificationStatus).toBe('verified');
+    expect(updated.verification.renewalPending).toBe(false);
+    expect(updated.verification.expiresAt.getTime()).toBeGreaterThan(expiresAt.getTime());
+  });
+
+  test('rejects a first submission outright', async () => {
+    const lawyer = stored('under_review', {});
+
+    const updated = await reviewLawyer(lawyer._id, { action: 'reject', reason: 'License number does not match' }, adminId);
+
+    expect(updated.verificationStatus).toBe('rejected');
+    expect(notify.mock.calls[0][1]).toMatchObject({ title: 'Verification rejected', message: 'License number does not match' });
+  });
+});
@@ -0,0 +1,347 @@
+const axios = require('axios');
+const outbound = require('./outboundService');
+
+/**
+ * LLM Provider Layer
+ *
+ * Chat completions and embeddings go through a provider selected by config,
+ * so the RAG pipeline can run against xAI (Grok), any OpenAI-compatible API,
+ * a local Ollama / llama.cpp HTTP server, or a deterministic mock provider
+ * (no network, for staging and CI).
+ *
+ * Environment:
+ *   LLM_PROVIDER        - xai | openai | local | mock (default: xai)
+ *   EMBEDDING_PROVIDER  - same values, defaults to LLM_PROVIDER
+ *
+ * Per-provider settings use the provider's env prefix (XAI_, OPENAI_, LOCAL_LLM_):
+ *   <PREFIX>_BASE_URL, <PREFIX>_MODEL, <PREFIX>_EMBEDDING_MODEL,
+ *   <PREFIX>_TIMEOUT_MS, <PREFIX>_MAX_RETRIES, <PREFIX>_RETRY_DELAY_MS
+ * and the outboundService limits (<PREFIX>_RATE_PER_SEC, <PREFIX>_CIRCUIT_THRESHOLD, ...)
+ */
+
+const PROVIDER_DEFAULTS = {
+  xai: {
+    envPrefix: 'XAI',
+    baseUrl: 'https://api.x.ai/v1',
+    apiKeyEnv: 'XAI_API_KEY',
+    // GROK_MODEL / EMBEDDING_MODEL predate the provider layer and are still honoured
+    chatModel: () => process.env.GROK_MODEL || 'grok-3-mini',
+    embeddingModel: () => process.env.EMBEDDING_MODEL || 'v1',
+    timeout: 60000,
+    maxRetries: 2,
+    retryDelay: 1000
+  },
+  openai: {
+    envPrefix: 'OPENAI',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    chatModel: () => 'gpt-4o-mini',
+    embeddingModel: () => 'text-embedding-3-small',
+    timeout: 60000,
+    maxRetries: 2,
+    retryDelay: 1000
+  },
+  // Ollama and llama.cpp's server both expose an OpenAI-compatible /v1 API
+  local: {
+    envPrefix: 'LOCAL_LLM',
+    baseUrl: 'http://localhost:11434/v1',
+    apiKeyEnv: null,
+    chatModel: () => 'llama3.1',
+    embeddingModel: () => 'nomic-embed-text',
+    timeout: 180000, // CPU inference is slow
+    maxRetries: 1,
+    retryDelay: 2000
+  }
+};
+
+const CASE_CATEGORIES = {
+  'Cyber Law': ['cyber', 'hack', 'deepfake', 'online', 'phishing', 'it act', 'social media'],
+  Family: ['divorce', 'custody', 'dowry', 'marriage', 'maintenance', 'husband', 'wife'],
+  Property: ['property', 'land', 'tenant', 'rent', 'evict', 'vacate', 'possession', 'farm'],
+  Corporate: ['company', 'business partner', 'shareholder', 'director', 'client database'],
+  'Intellectual Property': ['trademark', 'copyright', 'patent', 'design infringement'],
+  Labour: ['employer', 'employee', 'wages', 'salary', 'termination', 'gratuity'],
+  Consumer: ['consumer', 'defective', 'refund', 'warranty'],
+  Constitutional: ['fundamental right', 'article 14', 'article 21', 'writ'],
+  Criminal: ['murder', 'assault', 'theft', 'stole', 'fraud', 'cheat', 'rape', 'kidnap', 'unauthorized transaction']
+};
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Provider for any API that speaks the OpenAI /chat/completions and /embeddings protocol
+ */
+class OpenAICompatibleProvider {
+  constructor(name) {
+    const defaults = PROVIDER_DEFAULTS[name];
+    const prefix = defaults.envPrefix;
+
+    this.name = name;
+    this.apiKeyEnv = defaults.apiKeyEnv;
+    this.apiKey = defaults.apiKeyEnv ? process.env[defaults.apiKeyEnv] : null;
+    this.baseUrl = process.env[`${prefix}_BASE_URL`] || defaults.baseUrl;
+    this.chatModel = process.env[`${prefix}_MODEL`] || defaults.chatModel();
+    this.embeddingModel = process.env[`${prefix}_EMBEDDING_MODEL`] || defaults.embeddingModel();
+    this.timeout = envNumber(`${prefix}_TIMEOUT_MS`, envNumber('LLM_TIMEOUT_MS', defaults.timeout));
+    this.maxRetries = envNumber(`${prefix}_MAX_RETRIES`, envNumber('LLM_MAX_RETRIES', defaults.maxRetries));
+    this.retryDelay = envNumber(`${prefix}_RETRY_DELAY_MS`, envNumber('LLM_RETRY_DELAY_MS', defaults.retryDelay));
+
+    outbound.configure(name, {
+      envPrefix: prefix,
+      maxRetries: this.maxRetries,
+      retryDelayMs: this.retryDelay
+    });
+  }
+
+  /**
+   * Verify credentials are configured for providers that need them
+   */
+  validateConfiguration() {
+    if (this.apiKeyEnv && !this.apiKey) {
+      throw new Error(`${this.apiKeyEnv} is not set. RAG features are disabled.`);
+    }
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * POST through the outbound limiter (rate limit, retry with jitter on
+   * network errors / 429 / 5xx, circuit breaker)
+   * @private
+   */
+  async _post(path, body) {
+    return outbound.call(this.name, () => axios.post(`${this.baseUrl}${path}`, body, {
+      headers: this.getHeaders(),
+      timeout: this.timeout
+    }), { label: path });
+  }
+
+  /**
+   * Generate a chat completion
+   *
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {Object} options
+   * @param {number} options.temperature
+   * @param {number} options.maxTokens
+   * @param {boolean} options.json - Request a JSON object response (JSON mode)
+   * @returns {Promise<string>} Assistant message content
+   */
+  async chat(messages, options = {}) {
+    this.validateConfiguration();
+
+    const body = {
+      model: this.chatModel,
+      messages,
+      temperature: options.temperature ?? 0.2,
+      max_tokens: options.maxTokens || 2500
+    };
+    if (options.json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const response = await this._post('/chat/completions', body);
+
+    return response.data.choices[0].message.content;
+  }
+
+  /**
+   * Create embeddings for one or more texts
+   *
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts) {
+    this.validateConfiguration();
+
+    const response = await this._post('/embeddings', {
+      model: this.embeddingModel,
+      input: texts.length === 1 ? texts[0] : texts
+    });
+
+    return response.data.data.map(d => d.embedding);
+  }
+}
+
+/**
+ * Deterministic offline provider
+ *
+ * Answers are derived from the prompt text only, so the same input always
+ * yields the same output. Embeddings are hashed bag-of-words vectors, which
+ * keeps similarity search meaningful without a model.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.chatModel = 'mock-chat';
+    this.embeddingModel = 'mock-embedding';
+    this.dimensions = envNumber('MOCK_EMBEDDING_DIMENSIONS', 256);
+  }
+
+  validateConfiguration() {}
+
+  async chat(messages) {
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+
+    if (/verdict classifier/i.test(system)) {
+      return this._verdict(prompt);
+    }
+    if (/classifier/i.test(system)) {
+      return this._classify(prompt);
+    }
+    if (/search expert/i.test(system)) {
+      return this._searchQueries(prompt);
+    }
+    return this._analysis(prompt);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this._hashEmbedding(text));
+  }
+
+  _classify(prompt) {
+    const description = this._extractQuoted(prompt).toLowerCase();
+    for (const [category, terms] of Object.entries(CASE_CATEGORIES)) {
+      if (terms.some(term => description.includes(term))) {
+        return category;
+      }
+    }
+    return 'Civil';
+  }
+
+  _verdict(prompt) {
+    const text = (prompt.match(/JUDGMENT TEXT:\s*([\s\S]*?)\n\s*\nReturn/) || [])[1] || '';
+    const sentence = text.replace(/\s+/g, ' ').split(/(?<=[.?!])\s+/).find(s => /\b(?:allowed|dismissed)\b/i.test(s));
+    if (!sentence) {
+      return JSON.stringify({ verdict: 'unknown', confidence: 0, sentence: '' });
+    }
+    const verdict = /\ballowed\b/i.test(sentence) ? 'appeal_allowed' : 'appeal_dismissed';
+    return JSON.stringify({ verdict, confidence: 0.6, sentence });
+  }
+
+  _searchQueries(prompt) {
+    const description = this._extractQuoted(prompt);
+    const sections = this._extractSections(description);
+    const words = description
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(w => w.length > 4)
+      .slice(0, 6)
+      .join(' ');
+
+    const first = sections.length > 0 ? `Section ${sections[0]} IPC ${words}` : `${words} precedent`;
+    return `${first} | ${words} judgment`;
+  }
+
+  _analysis(prompt) {
+    const details = prompt.match(/USER'S CASE DETAILS:\s*([\s\S]*?)\n\s*\n(?:STATUTORY PROVISIONS|SIMILAR PRECEDENT|REQUIRED)/);
+    const sections = this._extractSections(details ? details[1] : prompt);
+
+    return JSON.stringify({
+      summary: 'Mock analysis generated offline from the case description.',
+      applicableSections: sections.length > 0
+        ? sections.map(s => ({ act: 'IPC', section: s, title: '', reasoning: 'Referenced in the case facts.' }))
+        : [{ act: 'IPC', section: '420', title: 'Cheating', reasoning: 'Default section used by the mock provider.' }],
+      legalArguments: {
+        prosecution: ['Each ingredient of the offence can be established from the record.'],
+        defence: ['The evidence and the chain of events are open to challenge.']
+      },
+      roadmap: [
+        { step: 1, action: 'Collect evidence', details: 'Gather documents and record witness statements.' },
+        { step: 2, action: 'File proceedings', details: 'File the appropriate complaint or petition.' }
+      ],
+      risk: { level: 'Medium', justification: 'Outcome depends on the strength of the evidence.' },
+      verdictPrediction: { outcome: 'Uncertain', probability: 0.5, reasoning: 'Comparable precedents are mixed.' },
+      citedPrecedents: []
+    });
+  }
+
+  _extractQuoted(prompt) {
+    const match = prompt.match(/Case Description:\s*"([\s\S]*?)"/);
+    return match ? match[1] : prompt;
+  }
+
+  _extractSections(text) {
+    const sections = new Set();
+    const pattern = /(?:Section|Sec\.?)\s+(\d+[A-Z]?)/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      sections.add(match[1]);
+    }
+    return Array.from(sections);
+  }
+
+  _hashEmbedding(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+    tokens.forEach(token => {
+      // FNV-1a
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+      }
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+    });
+
+    const magnitude = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return magnitude === 0 ? vector : vector.map(x => x / magnitude);
+  }
+}
+
+const createProvider = (name) => {
+  if (name === 'mock') {
+    return new MockProvider();
+  }
+  if (!PROVIDER_DEFAULTS[name]) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${[...Object.keys(PROVIDER_DEFAULTS), 'mock'].join(', ')}`);
+  }
+  return new OpenAICompatibleProvider(name);
+};
+
+// Singleton instances (config is read on first use, after dotenv has loaded)
+let chatProvider = null;
+let embeddingProvider = null;
+
+const getLLMProvider = () => {
+  if (!chatProvider) {
+    chatProvider = createProvider((process.env.LLM_PROVIDER || 'xai').toLowerCase());
+  }
+  return chatProvider;
+};
+
+const getEmbeddingProvider = () => {
+  if (!embeddingProvider) {
+    const name = process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'xai';
+    embeddingProvider = createProvider(name.toLowerCase());
+  }
+  return embeddingProvider;
+};
+
+/**
+ * Drop cached providers so the next call re-reads the environment
+ */
+const resetProviders = () => {
+  chatProvider = null;
+  embeddingProvider = null;
+};
+
+module.exports = {
+  getLLMProvider,
+  getEmbeddingProvider,
+  resetProviders,
+  createProvider,
+  OpenAICompatibleProvider,
+  MockProvider
+};
@@ -0,0 +1,73 @@
+/**
+ * Notification Service - In-app notifications for users
+ *
+ * Other services call notify() when something happens that a user should
+ * hear about. Delivery failures are logged and never fail the action that
+ * triggered them.
+ */
+
+const Notification = require('../models/Notification');
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Create a notification for a user
+ *
+ * @param {ObjectId|string} userId - Recipient
+ * @param {Object} notification - { type, title, message, link, data }
+ * @returns {Promise<Object|null>} The notification, null if it could not be stored
+ */
+const notify = async (userId, { type, title, message = '', link = null, data = {} }) => {
+  try {
+    return await Notification.create({ userId, type, title, message, link, data });
+  } catch (error) {
+    console.error(`⚠ Notification ${type} for user ${userId} failed:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * A user's notifications, newest first
+ *
+ * @param {Object} options - { unreadOnly, limit }
+ * @returns {Promise<{notifications: Object[], unread: number}>}
+ */
+const listNotifications = async (userId, { unreadOnly = false, limit = DEFAULT_LIMIT } = {}) => {
+  const filter = { userId, ...(unreadOnly && { readAt: null }) };
+  const [notifications, unread] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+    Notification.countDocuments({ userId, readAt: null })
+  ]);
+  return { notifications, unread };
+};
+
+/**
+ * Mark one of the user's notifications as read
+ *
+ * @returns {Promise<Object|null>} The notification, null if it is not the user's
+ */
+const markRead = async (userId, notificationId) => {
+  const notification = await Notification.findOne({ _id: notificationId, userId });
+  if (notification && !notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return notification;
+};
+
+/**
+ * Mark all of the user's notifications as read
+ *
+ * @returns {Promise<number>} How many were unread
+ */
+const markAllRead = async (userId) => {
+  const result = await Notification.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  notify,
+  listNotifications,
+  markRead,
+  markAllRead
+};
@@ -0,0 +1,328 @@
+/**
+ * Outbound Service - Shared guard for calls to external APIs
+ *
+ * Every call to Indian Kanoon or an LLM provider goes through `call()`,
+ * which applies, per provider:
+ *   - a token-bucket rate limit (RATE_PER_SEC sustained, BURST at once)
+ *   - retries with exponential backoff and jitter on network errors, 429
+ *     and 5xx responses (honouring Retry-After)
+ *   - a circuit breaker: after CIRCUIT_THRESHOLD consecutive failures the
+ *     provider is skipped for CIRCUIT_RESET_MS, then one trial call decides
+ *     whether it is back
+ *   - call, failure and latency metrics
+ *
+ * Settings come from configure() defaults, overridden by the provider's env
+ * prefix: <PREFIX>_RATE_PER_SEC, <PREFIX>_BURST, <PREFIX>_MAX_RETRIES,
+ * <PREFIX>_RETRY_DELAY_MS, <PREFIX>_CIRCUIT_THRESHOLD, <PREFIX>_CIRCUIT_RESET_MS
+ */
+
+const DEFAULTS = {
+  ratePerSecond: 5,
+  burst: 5,
+  maxRetries: 2,
+  retryDelayMs: 1000,
+  maxRetryDelayMs: 30000,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+const ENV_KEYS = {
+  ratePerSecond: 'RATE_PER_SEC',
+  burst: 'BURST',
+  maxRetries: 'MAX_RETRIES',
+  retryDelayMs: 'RETRY_DELAY_MS',
+  failureThreshold: 'CIRCUIT_THRESHOLD',
+  resetTimeoutMs: 'CIRCUIT_RESET_MS'
+};
+
+// Latencies kept per provider for percentiles
+const LATENCY_SAMPLES = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CircuitOpenError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider} is unavailable (circuit open until ${retryAt.toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.provider = provider;
+  }
+}
+
+/**
+ * Token bucket; waiters are served in arrival order
+ */
+class TokenBucket {
+  constructor(ratePerSecond, burst) {
+    this.rate = ratePerSecond;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Resolve once a token is available
+   */
+  take() {
+    if (!(this.rate > 0)) return Promise.resolve();
+
+    const turn = this.queue.then(async () => {
+      this._refill();
+      if (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.rate) * 1000);
+        this._refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+/**
+ * closed -> (threshold consecutive failures) -> open -> (reset timeout) ->
+ * half_open -> one trial call -> closed or open
+ */
+class CircuitBreaker {
+  constructor(failureThreshold, resetTimeoutMs) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get retryAt() {
+    return new Date((this.openedAt || 0) + this.resetTimeoutMs);
+  }
+
+  /**
+   * Whether a call may go out now (claims the half-open trial slot)
+   */
+  allow() {
+    if (this.state === 'open' && Date.now() >= this.retryAt.getTime()) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether a call would be allowed, without claiming anything
+   */
+  isAvailable() {
+    if (this.state === 'open') return Date.now() >= this.retryAt.getTime();
+    return this.state === 'closed' || !this.trialInFlight;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+const providers = new Map();
+
+const readEnv = (prefix, key) => {
+  if (!prefix) return undefined;
+  const value = parseFloat(process.env[`${prefix}_${ENV_KEYS[key]}`]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+/**
+ * Register (or reconfigure) a provider
+ *
+ * @param {string} name - Provider name used with call()
+ * @param {Object} options - Overrides of DEFAULTS, plus envPrefix
+ */
+const configure = (name, options = {}) => {
+  const settings = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && key !== 'envPrefix') settings[key] = value;
+  });
+  Object.keys(ENV_KEYS).forEach(key => {
+    const value = readEnv(options.envPrefix, key);
+    if (value !== undefined) settings[key] = value;
+  });
+
+  const existing = providers.get(name);
+  const provider = {
+    name,
+    settings,
+    bucket: new TokenBucket(settings.ratePerSecond, settings.burst),
+    breaker: new CircuitBreaker(settings.failureThreshold, settings.resetTimeoutMs),
+    metrics: existing?.metrics || {
+      calls: 0,
+      successes: 0,
+      failures: 0,
+      retries: 0,
+      rateLimited: 0,
+      rejected: 0,
+      latencies: [],
+      lastError: null,
+      lastErrorAt: null
+    }
+  };
+  providers.set(name, provider);
+  return provider;
+};
+
+const getProvider = (name) => providers.get(name) || configure(name);
+
+/**
+ * Network errors, timeouts, 429 and 5xx are worth retrying and count
+ * against the circuit breaker; other 4xx mean the service is up
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+const retryDelay = (settings, attempt, error) => {
+  const base = Math.min(settings.retryDelayMs * Math.pow(2, attempt), settings.maxRetryDelayMs);
+  // Equal jitter: half fixed, half random, so concurrent callers spread out
+  const delay = base / 2 + Math.random() * (base / 2);
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  return Number.isNaN(retryAfter) ? delay : Math.max(delay, Math.min(retryAfter * 1000, settings.maxRetryDelayMs));
+};
+
+const recordLatency = (metrics, ms) => {
+  metrics.latencies.push(ms);
+  if (metrics.latencies.length > LATENCY_SAMPLES) metrics.latencies.shift();
+};
+
+/**
+ * Run an outbound request under the provider's limits
+ *
+ * @param {string} name - Provider name
+ * @param {Function} request - async () => response; called once per attempt
+ * @param {Object} options - { label } for logs
+ * @returns {Promise<*>} The request's result
+ * @throws {CircuitOpenError} When the provider is unavailable
+ */
+const call = async (name, request, { label = '' } = {}) => {
+  const provider = getProvider(name);
+  const { settings, bucket, breaker, metrics } = provider;
+
+  if (!breaker.allow()) {
+    metrics.rejected++;
+    throw new CircuitOpenError(name, breaker.retryAt);
+  }
+
+  let attempt = 0;
+  while (true) {
+    await bucket.take();
+    metrics.calls++;
+    const startedAt = Date.now();
+
+    try {
+      const result = await request();
+      recordLatency(metrics, Date.now() - startedAt);
+      metrics.successes++;
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      recordLatency(metrics, Date.now() - startedAt);
+      const status = error.response?.status;
+      if (status === 429) metrics.rateLimited++;
+
+      const retryable = isRetryable(error);
+      if (retryable && attempt < settings.maxRetries) {
+        const delay = retryDelay(settings, attempt, error);
+        metrics.retries++;
+        attempt++;
+        console.warn(`[Outbound:${name}] ${label} failed (${status || error.code || error.message}), retry ${attempt}/${settings.maxRetries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      metrics.failures++;
+      metrics.lastError = status ? `HTTP ${status}` : (error.code || error.message);
+      metrics.lastErrorAt = new Date();
+      if (retryable) {
+        breaker.recordFailure();
+        if (breaker.state === 'open') {
+          console.warn(`[Outbound:${name}] ⚠ Circuit open after ${breaker.consecutiveFailures} failures; retrying after ${breaker.retryAt.toISOString()}`);
+        }
+      } else {
+        breaker.recordSuccess();
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Whether calls to the provider are currently allowed
+ */
+const isAvailable = (name) => getProvider(name).breaker.isAvailable();
+
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+
+/**
+ * Per-provider call counts, latency and circuit state
+ */
+const getMetrics = () => {
+  return Object.fromEntries(Array.from(providers.values(), ({ name, settings, breaker, metrics }) => {
+    const sorted = [...metrics.latencies].sort((a, b) => a - b);
+    return [name, {
+      calls: metrics.calls,
+      successes: metrics.successes,
+      failures: metrics.failures,
+      retries: metrics.retries,
+      rateLimited: metrics.rateLimited,
+      rejected: metrics.rejected,
+      latencyMs: {
+        avg: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        max: sorted.length ? sorted[sorted.length - 1] : null
+      },
+      circuit: {
+        state: breaker.state === 'open' && breaker.isAvailable() ? 'half_open' : breaker.state,
+        consecutiveFailures: breaker.consecutiveFailures,
+        retryAt: breaker.state === 'open' ? breaker.retryAt : null
+      },
+      lastError: metrics.lastError,
+      lastErrorAt: metrics.lastErrorAt,
+      limits: {
+        ratePerSecond: settings.ratePerSecond,
+        burst: settings.burst,
+        maxRetries: settings.maxRetries
+      }
+    }];
+  }));
+};
+
+module.exports = {
+  CircuitOpenError,
+  TokenBucket,
+  CircuitBreaker,
+  configure,
+  call,
+  isAvailable,
+  getMetrics
+};
@@ -0,0 +1,166 @@
+const { TokenBucket, CircuitBreaker, CircuitOpenError, configure, call, getMetrics } = require('./outboundService');
+
+// An axios-style HTTP error
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+
+beforeEach(() => jest.useFakeTimers({ now: new Date('2026-10-01T00:00:00Z') }));
+afterEach(() => jest.useRealTimers());
+
+describe('TokenBucket', () => {
+  test('serves the burst at once, then one token per 1/rate seconds', async () => {
+    const bucket = new TokenBucket(2, 2);
+    const served = [];
+    [1, 2, 3, 4].forEach(n => bucket.take().then(() => served.push(n)));
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(served).toEqual([1, 2]);
+
+    await jest.advanceTimersByTimeAsync(499);
+    expect(served).toEqual([1, 2]);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(served).toEqual([1, 2, 3]);
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(served).toEqual([1, 2, 3, 4]);
+  });
+
+  test('refills up to its capacity while idle', async () => {
+    const bucket = new TokenBucket(1, 3);
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+
+    jest.advanceTimersByTime(60000);
+    bucket._refill();
+    expect(bucket.tokens).toBe(3);
+  });
+
+  test('does not limit a rate of 0', async () => {
+    const bucket = new TokenBucket(0, 1);
+    await expect(Promise.all([bucket.take(), bucket.take(), bucket.take()])).resolves.toBeDefined();
+  });
+});
+
+describe('CircuitBreaker', () => {
+  const opened = () => {
+    const breaker = new CircuitBreaker(2, 1000);
+    breaker.recordFailure();
+    breaker.recordFailure();
+    return breaker;
+  };
+
+  test('opens after the threshold of consecutive failures', () => {
+    const breaker = opened();
+    expect(breaker.state).toBe('open');
+    expect(breaker.allow()).toBe(false);
+  });
+
+  test('lets one trial call through once the reset timeout has passed', () => {
+    const breaker = opened();
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.allow()).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.allow()).toBe(false);
+    expect(breaker.isAvailable()).toBe(false);
+  });
+
+  test('closes when the trial succeeds', () => {
+    const breaker = opened();
+    jest.advanceTimersByTime(1000);
+    breaker.allow();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allow()).toBe(true);
+    expect(breaker.allow()).toBe(true);
+  });
+
+  test('reopens for another reset timeout when the trial fails', () => {
+    const breaker = opened();
+    jest.advanceTimersByTime(1000);
+    breaker.allow();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allow()).toBe(false);
+    jest.advanceTimersByTime(999);
+    expect(breaker.allow()).toBe(false);
+    jest.advanceTimersByTime(1);
+    expect(breaker.allow()).toBe(true);
+  });
+});
+
+describe('call', () => {
+  beforeEach(() => jest.spyOn(Math, 'random').mockReturnValue(0));
+  afterEach(() => Math.random.mockRestore());
+
+  test('waits at least Retry-After before retrying a 429', async () => {
+    configure('retry-after', { ratePerSecond: 0, maxRetries: 1, retryDelayMs: 100 });
+    const request = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '3' }))
+      .mockResolvedValueOnce('ok');
+
+    const result = call('retry-after', request);
+    await jest.advanceTimersByTimeAsync(2999);
+    expect(request).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(result).resolves.toBe('ok');
+    expect(getMetrics()['retry-after']).toMatchObject({ calls: 2, retries: 1, rateLimited: 1, successes: 1 });
+  });
+
+  test('caps Retry-After at the maximum retry delay', async () => {
+    configure('retry-after-cap', { ratePerSecond: 0, maxRetries: 1, retryDelayMs: 100, maxRetryDelayMs: 2000 });
+    const request = jest.fn()
+      .mockRejectedValueOnce(httpError(503, { 'retry-after': '3600' }))
+      .mockResolvedValueOnce('ok');
+
+    const result = call('retry-after-cap', request);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    await expect(result).resolves.toBe('ok');
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test('uses the backoff when Retry-After is missing', async () => {
+    configure('backoff', { ratePerSecond: 0, maxRetries: 1, retryDelayMs: 1000 });
+    const request = jest.fn()
+      .mockRejectedValueOnce(httpError(500))
+      .mockResolvedValueOnce('ok');
+
+    const result = call('backoff', request);
+    // Equal jitter with Math.random() = 0: half the 1000ms base
+    await jest.advanceTimersByTimeAsync(500);
+
+    await expect(result).resolves.toBe('ok');
+  });
+
+  test('does not retry or trip the breaker on other 4xx responses', async () => {
+    configure('not-found', { ratePerSecond: 0, maxRetries: 2, failureThreshold: 1 });
+    const request = jest.fn().mockRejectedValue(httpError(404));
+
+    await expect(call('not-found', request)).rejects.toThrow('HTTP 404');
+    await expect(call('not-found', request)).rejects.toThrow('HTTP 404');
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects calls while open and sends a single trial once half-open', async () => {
+    configure('flaky', { ratePerSecond: 0, maxRetries: 0, failureThreshold: 1, resetTimeoutMs: 1000 });
+    await expect(call('flaky', () => Promise.reject(httpError(502)))).rejects.toThrow('HTTP 502');
+
+    const request = jest.fn(() => new Promise(resolve => setTimeout(() => resolve('back'), 100)));
+    await expect(call('flaky', request)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(request).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    const trial = call('flaky', request);
+    await expect(call('flaky', request)).rejects.toBeInstanceOf(CircuitOpenError);
+    await jest.advanceTimersByTimeAsync(100);
+
+    await expect(trial).resolves.toBe('back');
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(getMetrics().flaky.circuit.state).toBe('closed');
+  });
+});
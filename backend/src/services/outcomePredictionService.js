@@ -0,0 +1,575 @@
+/**
+ * Outcome Prediction Service - Probability that a case succeeds, learned from
+ * local precedents
+ *
+ * Precedents with a classified verdict (see verdictClassifierService) are
+ * labelled from the appellant's (or petitioner's) side, 1 favourable, 0
+ * unfavourable and 0.5 for partial:
+ *   - appeal_allowed is 1; appeal_dismissed and dismissed are 0
+ *   - acquitted, not_guilty and guilty are outcomes for the accused. They
+ *     are 1, 1 and 0 when the accused appealed, and the other way round when
+ *     the prosecution did (the cause title names the State, CBI, ...)
+ *
+ * A logistic regression is trained on
+ *
+ *   - the statute sections cited (the MAX_SECTION_FEATURES most common)
+ *   - court tier, decision year, bench size and whether the prosecution appealed
+ *   - the similarity-weighted outcome of the NEIGHBOURS most similar
+ *     precedents by embedding (similarity of facts)
+ *
+ * Precedents are split by id into training, calibration and test sets. Platt
+ * scaling is fitted on the calibration set, and the Brier score and
+ * reliability bins stored with the model are measured on the test set.
+ * Training is plain JavaScript gradient descent over at most
+ * OUTCOME_MAX_SAMPLES precedents - no GPU or native dependencies - and runs
+ * as an 'outcome-train' job that yields to the event loop while it searches
+ * for neighbours.
+ */
+
+const crypto = require('crypto');
+const CasePrecedent = require('../models/CasePrecedent');
+const OutcomeModel = require('../models/OutcomeModel');
+const { createEmbedding } = require('./embeddingService');
+const statuteConcordance = require('./statuteConcordanceService');
+const { courtRank } = require('./precedentTreatmentService');
+
+// Results of the appeal or petition, for the appellant / petitioner
+const APPEAL_OUTCOMES = {
+  appeal_allowed: 1,
+  partial: 0.5,
+  dismissed: 0,
+  appeal_dismissed: 0
+};
+// Results for the accused, whichever side appealed
+const ACCUSED_OUTCOMES = {
+  acquitted: 1,
+  not_guilty: 1,
+  guilty: 0
+};
+const LABELLED_VERDICTS = [...Object.keys(APPEAL_OUTCOMES), ...Object.keys(ACCUSED_OUTCOMES)];
+
+// First party of a cause title when the prosecution is the appellant
+const PROSECUTION_PARTY = /^(?:the\s+)?(?:state\b|union\s+of\s+india|central\s+bureau\s+of\s+investigation|c\.?\s?b\.?\s?i\b|directorate\s+of\s+enforcement|enforcement\s+directorate|narcotics\s+control\s+bureau|national\s+investigation\s+agency|public\s+prosecutor)/i;
+
+const MIN_TRAINING_SAMPLES = parseInt(process.env.OUTCOME_MIN_SAMPLES || '30');
+// Nearest-neighbour features are brute force, so training is O(n^2) in this
+const MAX_TRAINING_SAMPLES = parseInt(process.env.OUTCOME_MAX_SAMPLES || '2000');
+const MAX_SECTION_FEATURES = 100;
+const MIN_SECTION_COUNT = 3;
+// Held out by id: calibration fits Platt scaling, test measures the result
+const CALIBRATION_SHARE = 0.15;
+const TEST_SHARE = 0.15;
+const MIN_HELD_OUT_SAMPLES = 10;
+// Samples searched for neighbours between yields to the event loop
+const NEIGHBOUR_BATCH = 25;
+const NEIGHBOURS = 10;
+// Pseudo-count pulling the neighbours' outcome rate toward the base rate
+const NEIGHBOUR_PRIOR = 2;
+const EPOCHS = 400;
+const LEARNING_RATE = 0.5;
+const L2 = 0.01;
+// Probabilities this close to 0.5 are reported as 'uncertain'
+const UNCERTAIN_MARGIN = 0.1;
+const SUPPORTING_PRECEDENTS = 5;
+const TOP_FACTORS = 5;
+
+const FIXED_FEATURES = ['court:supreme', 'court:high', 'year', 'bench:2', 'bench:3+', 'appeal:prosecution', 'neighbours:outcome', 'neighbours:similarity'];
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Unit-length Float32Array copy of an embedding (cosine similarity becomes
+ * a dot product)
+ * @private
+ */
+const toUnitVector = (embedding) => {
+  const vector = Float32Array.from(embedding);
+  const magnitude = Math.sqrt(dot(vector, vector));
+  if (magnitude > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= magnitude;
+  }
+  return vector;
+};
+
+/**
+ * Canonical statute keys ("IPC 302 / BNS 103(1)", "Article 21") in section
+ * labels or free text, so either code maps to the same feature
+ */
+const sectionKeys = (texts) => {
+  const keys = new Set();
+  texts.filter(Boolean).forEach(text => {
+    statuteConcordance.extractSectionReferences(text).forEach(ref => keys.add(statuteConcordance.formatDual(ref.act, ref.section)));
+    for (const match of text.matchAll(/\bArticle\s+(\d+[A-Z]?)/gi)) {
+      keys.add(`Article ${match[1].toUpperCase()}`);
+    }
+  });
+  return keys;
+};
+
+const knownCourt = (court) => (court && !/^unknown/i.test(court) ? courtRank(court) : null);
+
+/**
+ * Did the prosecution appeal? Read from the first party of the cause title
+ * ("State of Maharashtra vs Ramesh on 1 May, 2010")
+ */
+const isProsecutionAppeal = (precedent) => {
+  const appellant = (precedent.title || '').split(/\s+(?:v\.|vs\.?|versus)\s+/i)[0];
+  return PROSECUTION_PARTY.test(appellant.trim());
+};
+
+/**
+ * A precedent's outcome for the appellant / petitioner: 1, 0 or 0.5, and
+ * undefined when the verdict is not classified
+ */
+const outcomeLabel = (precedent) => {
+  if (precedent.verdict in ACCUSED_OUTCOMES) {
+    const forAccused = ACCUSED_OUTCOMES[precedent.verdict];
+    return isProsecutionAppeal(precedent) ? 1 - forAccused : forAccused;
+  }
+  return APPEAL_OUTCOMES[precedent.verdict];
+};
+
+/**
+ * Model inputs for a stored precedent
+ * @private
+ */
+const precedentInput = (precedent) => ({
+  sections: sectionKeys(precedent.ipcSections || []),
+  courtTier: knownCourt(precedent.court),
+  year: precedent.year || null,
+  benchSize: precedent.judges?.length || null,
+  prosecutionAppeal: isProsecutionAppeal(precedent)
+});
+
+/**
+ * Similarity-weighted outcome of the nearest precedents in the pool
+ * @private
+ */
+const neighbourStats = (vector, pool, baseRate, excludeId = null) => {
+  const nearest = [];
+  pool.forEach(entry => {
+    if (entry.id === excludeId) return;
+    const similarity = dot(vector, entry.vector);
+    if (nearest.length < NEIGHBOURS || similarity > nearest[nearest.length - 1].similarity) {
+      nearest.push({ entry, similarity });
+      nearest.sort((a, b) => b.similarity - a.similarity);
+      if (nearest.length > NEIGHBOURS) nearest.pop();
+    }
+  });
+
+  let weighted = NEIGHBOUR_PRIOR * baseRate;
+  let totalWeight = NEIGHBOUR_PRIOR;
+  nearest.forEach(({ entry, similarity }) => {
+    const weight = Math.max(similarity, 0);
+    weighted += weight * entry.label;
+    totalWeight += weight;
+  });
+
+  return {
+    rate: weighted / totalWeight,
+    maxSimilarity: nearest[0]?.similarity || 0,
+    nearest
+  };
+};
+
+/**
+ * Feature vector; null marks a value the input does not have, replaced by the
+ * training mean
+ * @private
+ */
+const toFeatures = (featureNames, input, neighbours, baseRate) => featureNames.map(name => {
+  if (name === 'bias') return 1;
+  if (name.startsWith('section:')) return input.sections.has(name.slice('section:'.length)) ? 1 : 0;
+
+  switch (name) {
+    case 'court:supreme': return input.courtTier === null ? null : Number(input.courtTier === 3);
+    case 'court:high': return input.courtTier === null ? null : Number(input.courtTier === 2);
+    case 'year': return input.year ? (input.year - 2000) / 20 : null;
+    case 'bench:2': return input.benchSize ? Number(input.benchSize === 2) : null;
+    case 'bench:3+': return input.benchSize ? Number(input.benchSize >= 3) : null;
+    case 'appeal:prosecution': return typeof input.prosecutionAppeal === 'boolean' ? Number(input.prosecutionAppeal) : null;
+    case 'neighbours:outcome': return neighbours ? neighbours.rate - baseRate : null;
+    case 'neighbours:similarity': return neighbours ? neighbours.maxSimilarity : null;
+    default: return 0;
+  }
+});
+
+const impute = (row, means) => row.map((value, j) => (value === null ? means[j] : value));
+
+/**
+ * Weighted logistic regression by full-batch gradient descent
+ * @private
+ */
+const fitLogistic = (X, y, sampleWeights, { epochs = EPOCHS, learningRate = LEARNING_RATE, l2 = L2 } = {}) => {
+  const dimensions = X[0].length;
+  const weights = new Array(dimensions).fill(0);
+  const totalWeight = sampleWeights.reduce((sum, w) => sum + w, 0);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(dimensions).fill(0);
+    for (let i = 0; i < X.length; i++) {
+      const error = (sigmoid(dot(weights, X[i])) - y[i]) * sampleWeights[i];
+      for (let j = 0; j < dimensions; j++) gradient[j] += error * X[i][j];
+    }
+    for (let j = 0; j < dimensions; j++) {
+      // The bias (column 0) is not regularised
+      weights[j] -= learningRate * (gradient[j] / totalWeight + (j > 0 ? l2 * weights[j] : 0));
+    }
+  }
+
+  return weights;
+};
+
+/**
+ * Brier score, log loss, accuracy and reliability bins of calibrated
+ * predictions
+ * @private
+ */
+const evaluate = (predictions, y, sampleWeights, baseRate) => {
+  const totalWeight = sampleWeights.reduce((sum, w) => sum + w, 0);
+  let brier = 0;
+  let baselineBrier = 0;
+  let logLoss = 0;
+  let correct = 0;
+  let decided = 0;
+
+  predictions.forEach((p, i) => {
+    const w = sampleWeights[i];
+    const clipped = Math.min(Math.max(p, 1e-6), 1 - 1e-6);
+    brier += w * (p - y[i]) ** 2;
+    baselineBrier += w * (baseRate - y[i]) ** 2;
+    logLoss -= w * (y[i] * Math.log(clipped) + (1 - y[i]) * Math.log(1 - clipped));
+    // Mixed (partial) outcomes have no right side to predict
+    if (y[i] !== 0.5) {
+      decided++;
+      if ((p >= 0.5) === (y[i] === 1)) correct++;
+    }
+  });
+
+  const calibrationBins = [0, 0.2, 0.4, 0.6, 0.8].map(from => {
+    const to = round(from + 0.2, 1);
+    const members = predictions
+      .map((p, i) => ({ p, y: y[i] }))
+      .filter(({ p }) => p >= from && (p < to || (to === 1 && p <= 1)));
+    return {
+      from,
+      to,
+      count: members.length,
+      predicted: members.length ? round(members.reduce((sum, m) => sum + m.p, 0) / members.length) : null,
+      observed: members.length ? round(members.reduce((sum, m) => sum + m.y, 0) / members.length) : null
+    };
+  });
+
+  return {
+    brier: round(brier / totalWeight, 4),
+    baselineBrier: round(baselineBrier / totalWeight, 4),
+    logLoss: round(logLoss / totalWeight, 4),
+    accuracy: decided ? round(correct / decided) : null,
+    calibrationBins
+  };
+};
+
+// Stable split: a precedent stays in the same set across retrains
+const splitOf = (id) => {
+  const position = parseInt(crypto.createHash('sha1').update(id.toString()).digest('hex').slice(0, 8), 16) / 0xffffffff;
+  if (position < TEST_SHARE) return 'test';
+  if (position < TEST_SHARE + CALIBRATION_SHARE) return 'calibration';
+  return 'train';
+};
+
+/**
+ * Train a new model version from the classified precedents (job handler for
+ * 'outcome-train')
+ *
+ * @param {Object} payload - { maxSamples }
+ * @param {Object} ctx - Job context (progress / cancellation)
+ * @returns {Promise<Object>} Version, sample counts and test metrics
+ */
+const trainOutcomeModel = async ({ maxSamples = MAX_TRAINING_SAMPLES } = {}, ctx) => {
+  await ctx.progress(0, 4, 'Loading labelled precedents');
+  // Most confidently classified first when the cap applies
+  const precedents = await CasePrecedent.find({ verdict: { $in: LABELLED_VERDICTS } })
+    .sort({ 'verdictBasis.confidence': -1, _id: 1 })
+    .limit(maxSamples)
+    .select('title verdict verdictBasis ipcSections court year judges embedding')
+    .lean();
+
+  if (precedents.length < MIN_TRAINING_SAMPLES) {
+    const error = new Error(`Need at least ${MIN_TRAINING_SAMPLES} precedents with a classified verdict to train (found ${precedents.length})`);
+    error.permanent = true;
+    throw error;
+  }
+
+  const samples = precedents.map(p => ({
+    id: p._id.toString(),
+    label: outcomeLabel(p),
+    // Hand-entered verdicts carry no basis and count fully
+    weight: p.verdictBasis?.confidence || 1,
+    input: precedentInput(p),
+    vector: p.embedding?.length ? toUnitVector(p.embedding) : null
+  }));
+
+  // Too small a held-out set says nothing; its samples train instead
+  const bySplit = { train: [], calibration: [], test: [] };
+  samples.forEach(s => bySplit[splitOf(s.id)].push(s));
+  ['calibration', 'test'].forEach(name => {
+    if (bySplit[name].length < MIN_HELD_OUT_SAMPLES) {
+      bySplit.train.push(...bySplit[name]);
+      bySplit[name] = [];
+    }
+  });
+  const { train, calibration: calibrationSet, test } = bySplit;
+
+  const baseRate = train.reduce((sum, s) => sum + s.label * s.weight, 0) / train.reduce((sum, s) => sum + s.weight, 0);
+  const pool = train.filter(s => s.vector);
+
+  // Section vocabulary from the training split
+  const sectionCounts = new Map();
+  train.forEach(s => s.input.sections.forEach(key => sectionCounts.set(key, (sectionCounts.get(key) || 0) + 1)));
+  const sections = Array.from(sectionCounts.entries())
+    .filter(([, count]) => count >= MIN_SECTION_COUNT)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SECTION_FEATURES)
+    .map(([key]) => `section:${key}`);
+  const featureNames = ['bias', ...FIXED_FEATURES, ...sections];
+
+  await ctx.throwIfCancelled();
+  await ctx.progress(1, 4, `Finding similar precedents for ${samples.length} samples`);
+  // The neighbour search is O(n^2 * dimensions); yield between batches so the
+  // API stays responsive while it runs
+  const rows = async (split, excludeSelf) => {
+    const result = [];
+    for (let i = 0; i < split.length; i++) {
+      const s = split[i];
+      result.push(toFeatures(
+        featureNames,
+        s.input,
+        s.vector && pool.length > 1 ? neighbourStats(s.vector, pool, baseRate, excludeSelf ? s.id : null) : null,
+        baseRate
+      ));
+      if ((i + 1) % NEIGHBOUR_BATCH === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+        await ctx.throwIfCancelled();
+      }
+    }
+    return result;
+  };
+  const trainRows = await rows(train, true);
+  const calibrationRows = await rows(calibrationSet, false);
+  const testRows = await rows(test, false);
+
+  const featureMeans = featureNames.map((name, j) => {
+    const known = trainRows.map(row => row[j]).filter(value => value !== null);
+    return known.length ? known.reduce((sum, v) => sum + v, 0) / known.length : 0;
+  });
+
+  await ctx.throwIfCancelled();
+  await ctx.progress(2, 4, `Training on ${train.length} precedents (${featureNames.length} features)`);
+  const X = trainRows.map(row => impute(row, featureMeans));
+  const weights = fitLogistic(X, train.map(s => s.label), train.map(s => s.weight));
+
+  await ctx.progress(3, 4, 'Calibrating');
+  let calibration = { a: 1, b: 0 };
+  if (calibrationSet.length > 0) {
+    const logits = calibrationRows.map(row => dot(weights, impute(row, featureMeans)));
+    const [b, a] = fitLogistic(logits.map(z => [1, z]), calibrationSet.map(s => s.label), calibrationSet.map(s => s.weight), { l2: 0 });
+    calibration = { a, b };
+  }
+
+  // Measured on precedents neither the weights nor the calibration saw
+  const evaluated = test.length > 0
+    ? { rows: testRows.map(row => impute(row, featureMeans)), split: test }
+    : { rows: X, split: train };
+  const predictions = evaluated.rows.map(row => sigmoid(calibration.a * dot(weights, row) + calibration.b));
+  const metrics = {
+    ...evaluate(predictions, evaluated.split.map(s => s.label), evaluated.split.map(s => s.weight), baseRate),
+    evaluatedOn: test.length > 0 ? 'test' : 'training'
+  };
+
+  const latest = await OutcomeModel.findOne().sort({ version: -1 }).select('version').lean();
+  const model = await OutcomeModel.create({
+    version: (latest?.version || 0) + 1,
+    featureNames,
+    weights,
+    featureMeans,
+    calibration,
+    baseRate,
+    neighbours: { k: NEIGHBOURS, prior: NEIGHBOUR_PRIOR },
+    poolIds: pool.map(s => s.id),
+    samples: {
+      train: train.length,
+      calibration: calibrationSet.length,
+      test: test.length,
+      favourable: samples.filter(s => s.label === 1).length,
+      unfavourable: samples.filter(s => s.label === 0).length,
+      mixed: samples.filter(s => s.label === 0.5).length
+    },
+    metrics,
+    trainedBy: ctx.createdBy || null,
+    jobId: ctx.jobId || null
+  });
+  await OutcomeModel.updateMany({ _id: { $ne: model._id }, status: 'active' }, { $set: { status: 'retired' } });
+  await ctx.progress(4, 4, 'Done');
+
+  console.log(`✓ Outcome model v${model.version} trained on ${train.length} precedents (Brier ${metrics.brier} vs baseline ${metrics.baselineBrier})`);
+  return {
+    version: model.version,
+    samples: model.samples,
+    features: featureNames.length,
+    metrics
+  };
+};
+
+// Active model and its neighbour pool, reloaded when a new version is trained
+let active = { modelId: null, model: null, pool: [] };
+
+const getActiveModel = async () => {
+  const model = await OutcomeModel.findOne({ status: 'active' }).sort({ version: -1 }).lean();
+  if (!model) return null;
+  if (active.modelId === model._id.toString()) return active;
+
+  const precedents = await CasePrecedent.find({ _id: { $in: model.poolIds }, embedding: { $ne: null } })
+    .select('caseNumber title year court verdict embedding')
+    .lean();
+  const pool = precedents
+    .filter(p => outcomeLabel(p) !== undefined)
+    .map(p => ({
+      id: p._id.toString(),
+      label: outcomeLabel(p),
+      vector: toUnitVector(p.embedding),
+      precedent: { caseNumber: p.caseNumber, title: p.title, year: p.year, court: p.court, verdict: p.verdict }
+    }));
+
+  active = { modelId: model._id.toString(), model, pool };
+  return active;
+};
+
+const describeFeature = (name, value) => {
+  if (name.startsWith('section:')) return `${value ? 'Cites' : 'Does not cite'} ${name.slice('section:'.length)}`;
+  return {
+    'court:supreme': 'Supreme Court',
+    'court:high': 'High Court',
+    year: 'Decision year',
+    'bench:2': 'Division bench',
+    'bench:3+': 'Bench of three or more',
+    'appeal:prosecution': 'Appeal by the prosecution',
+    'neighbours:outcome': 'Outcomes of the most similar precedents',
+    'neighbours:similarity': 'Closeness of the most similar precedent'
+  }[name] || name;
+};
+
+/**
+ * Predict the outcome of a case
+ *
+ * @param {Object} input - { description, sections (Set of keys), courtTier, year, benchSize }
+ * @param {Object} options - { side: 'appellant' (default; the side seeking
+ *   relief) or 'respondent' }
+ * @returns {Promise<Object>} Calibrated probability, supporting precedents and factors
+ */
+const predictOutcome = async (input, { side = 'appellant' } = {}) => {
+  const loaded = await getActiveModel();
+  if (!loaded) {
+    const error = new Error('No outcome model has been trained yet');
+    error.code = 'NO_OUTCOME_MODEL';
+    throw error;
+  }
+  const { model, pool } = loaded;
+
+  const neighbours = input.description && pool.length > 0
+    ? neighbourStats(toUnitVector(await createEmbedding(input.description)), pool, model.baseRate)
+    : null;
+  const row = toFeatures(model.featureNames, input, neighbours, model.baseRate);
+  const x = impute(row, model.featureMeans);
+  const favourable = sigmoid(model.calibration.a * dot(model.weights, x) + model.calibration.b);
+
+  const flip = side === 'respondent' ? -1 : 1;
+  const probability = side === 'respondent' ? 1 - favourable : favourable;
+
+  // Effect of each feature relative to an average precedent, on the logit scale
+  const factors = model.featureNames
+    .map((name, j) => ({ name, j, effect: model.weights[j] * (x[j] - model.featureMeans[j]) * model.calibration.a * flip }))
+    .filter(({ name, j }) => name !== 'bias' && row[j] !== null && Math.abs(x[j] - model.featureMeans[j]) > 1e-9)
+    .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect))
+    .slice(0, TOP_FACTORS)
+    .map(({ name, j, effect }) => ({ feature: describeFeature(name, x[j]), effect: round(effect) }));
+
+  const outcomeFor = (label) => (label === 0.5 ? 'mixed' : (label === 1) === (side !== 'respondent') ? 'favourable' : 'unfavourable');
+
+  return {
+    probability: round(probability),
+    outcome: Math.abs(probability - 0.5) < UNCERTAIN_MARGIN ? 'uncertain' : probability > 0.5 ? 'favourable' : 'unfavourable',
+    side: side === 'respondent' ? 'respondent' : 'appellant',
+    confidence: round(Math.max(probability, 1 - probability)),
+    modelVersion: model.version,
+    trainedAt: model.trainedAt,
+    validation: {
+      evaluatedOn: model.metrics?.evaluatedOn || null,
+      brier: model.metrics?.brier ?? null,
+      baselineBrier: model.metrics?.baselineBrier ?? null,
+      samples: model.samples?.test || 0
+    },
+    supportingPrecedents: (neighbours?.nearest || []).slice(0, SUPPORTING_PRECEDENTS).map(({ entry, similarity }) => ({
+      precedentId: entry.id,
+      ...entry.precedent,
+      similarity: round(similarity),
+      outcome: outcomeFor(entry.label)
+    })),
+    factors,
+    predictedAt: new Date()
+  };
+};
+
+/**
+ * Predict the outcome of a client Case from its description and analysed
+ * sections
+ *
+ * @param {Object} caseData - Case document
+ * @param {Object} options - { side, court } (court name, e.g. "High Court")
+ */
+const predictCaseOutcome = async (caseData, options = {}) => {
+  const text = `${caseData.title || ''}\n${caseData.description || ''}`;
+  return predictOutcome({
+    // Same query form as retrieval (see ragService)
+    description: `${caseData.caseType} case: ${caseData.description}`,
+    sections: sectionKeys([...(caseData.aiAnalysis?.suggestedIPCs || []), text]),
+    courtTier: options.court ? knownCourt(options.court) : null,
+    year: new Date().getFullYear(),
+    benchSize: null,
+    prosecutionAppeal: null
+  }, options);
+};
+
+/**
+ * predictCaseOutcome for the analysis flow: null until a model is trained,
+ * and a failed prediction never fails the analysis
+ */
+const predictIfTrained = async (caseData, options = {}) => {
+  try {
+    return await predictCaseOutcome(caseData, options);
+  } catch (error) {
+    if (error.code !== 'NO_OUTCOME_MODEL') {
+      console.warn('⚠ Outcome prediction failed:', error.message);
+    }
+    return null;
+  }
+};
+
+module.exports = {
+  LABELLED_VERDICTS,
+  isProsecutionAppeal,
+  outcomeLabel,
+  sectionKeys,
+  trainOutcomeModel,
+  getActiveModel,
+  predictOutcome,
+  predictCaseOutcome,
+  predictIfTrained
+};
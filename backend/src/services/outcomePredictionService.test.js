@@ -0,0 +1,103 @@
+jest.mock('./embeddingService', () => ({ createEmbedding: jest.fn() }));
+jest.mock('../models/CasePrecedent', () => ({ find: jest.fn() }));
+jest.mock('../models/OutcomeModel', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const CasePrecedent = require('../models/CasePrecedent');
+const OutcomeModel = require('../models/OutcomeModel');
+const { isProsecutionAppeal, outcomeLabel, trainOutcomeModel } = require('./outcomePredictionService');
+
+beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+describe('isProsecutionAppeal', () => {
+  test.each([
+    ['State of Maharashtra vs Ramesh on 1 May, 2010', true],
+    ['The State Of Punjab v. Gurmit Singh', true],
+    ['Union of India versus Mohd. Yusuf', true],
+    ['C.B.I. vs Anil Sharma', true],
+    ['Ramesh vs State of Maharashtra on 1 May, 2010', false],
+    ['Statesman Ltd vs Union of India', false],
+    [undefined, false]
+  ])('%s -> %s', (title, expected) => {
+    expect(isProsecutionAppeal({ title })).toBe(expected);
+  });
+});
+
+describe('outcomeLabel', () => {
+  test.each([
+    ['Ramesh vs State', 'acquitted', 1],
+    ['Ramesh vs State', 'guilty', 0],
+    ['State of Maharashtra vs Ramesh', 'acquitted', 0],
+    ['State of Maharashtra vs Ramesh', 'guilty', 1],
+    ['State of Maharashtra vs Ramesh', 'appeal_allowed', 1],
+    ['Ramesh vs Suresh', 'appeal_dismissed', 0],
+    ['Ramesh vs Suresh', 'dismissed', 0],
+    ['Ramesh vs Suresh', 'partial', 0.5],
+    ['Ramesh vs Suresh', 'unknown', undefined]
+  ])('%s, %s -> %s', (title, verdict, expected) => {
+    expect(outcomeLabel({ title, verdict })).toBe(expected);
+  });
+});
+
+describe('trainOutcomeModel', () => {
+  const verdicts = ['appeal_allowed', 'appeal_dismissed', 'acquitted', 'guilty'];
+  const precedents = Array.from({ length: 200 }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title: i % 3 === 0 ? `State vs Accused ${i}` : `Appellant ${i} vs State`,
+    verdict: verdicts[i % verdicts.length],
+    verdictBasis: { confidence: 0.9 },
+    ipcSections: ['IPC 302'],
+    court: i % 2 ? 'Supreme Court of India' : 'Delhi High Court',
+    year: 2000 + (i % 20),
+    judges: ['A', 'B'],
+    embedding: [Math.cos(i), Math.sin(i), (i % 7) / 7]
+  }));
+
+  const ctx = {
+    progress: jest.fn(),
+    throwIfCancelled: jest.fn(),
+    createdBy: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const query = { sort: () => query, limit: () => query, select: () => query, lean: async () => precedents };
+    CasePrecedent.find.mockReturnValue(query);
+    OutcomeModel.findOne.mockReturnValue({ sort: () => ({ select: () => ({ lean: async () => null }) }) });
+    OutcomeModel.create.mockImplementation(async (record) => ({ ...record, _id: new mongoose.Types.ObjectId() }));
+  });
+
+  test('fits calibration and measures metrics on separate held-out sets', async () => {
+    const result = await trainOutcomeModel({}, ctx);
+
+    const { samples } = result;
+    expect(samples.calibration).toBeGreaterThan(0);
+    expect(samples.test).toBeGreaterThan(0);
+    expect(samples.train + samples.calibration + samples.test).toBe(precedents.length);
+    expect(result.metrics.evaluatedOn).toBe('test');
+    expect(result.metrics.calibrationBins.reduce((sum, bin) => sum + bin.count, 0)).toBe(samples.test);
+    expect(OutcomeModel.create.mock.calls[0][0].poolIds).toHaveLength(samples.train);
+  });
+
+  test('keeps a precedent in the same split across retrains', async () => {
+    const first = await trainOutcomeModel({}, ctx);
+    const second = await trainOutcomeModel({}, ctx);
+    expect(second.samples).toEqual(first.samples);
+  });
+
+  test('checks for cancellation while searching for neighbours', async () => {
+    await trainOutcomeModel({}, ctx);
+    // Two checks between stages, the rest between neighbour batches
+    expect(ctx.throwIfCancelled.mock.calls.length).toBeGreaterThan(2);
+  });
+
+  test('refuses to train on too few precedents', async () => {
+    const query = { sort: () => query, limit: () => query, select: () => query, lean: async () => precedents.slice(0, 5) };
+    CasePrecedent.find.mockReturnValue(query);
+    await expect(trainOutcomeModel({}, ctx)).rejects.toMatchObject({ permanent: true });
+  });
+});
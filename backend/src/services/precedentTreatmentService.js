@@ -0,0 +1,409 @@
+/**
+ * Precedent Treatment Service - How later judgments treated a precedent
+ *
+ * Each citation edge is classified from the citing judgment's text: the
+ * sentences that mention the cited case are scanned for cues such as
+ * "overruled", "per incuriam", "distinguished" or "followed". A precedent
+ * with an overruling (or per incuriam) treatment from a court at least as
+ * high as its own is flagged as negative authority, so retrieval and the
+ * comparison prompt can warn before it is relied on.
+ *
+ * Negative treatments need more than the word: the cited case must be the
+ * subject of "overruled" / "per incuriam" (or the object of "we overrule"),
+ * and the sentence must not negate it, report a party's argument or only
+ * say it "should be" overruled.
+ */
+
+const mongoose = require('mongoose');
+const CasePrecedent = require('../models/CasePrecedent');
+const CitationEdge = require('../models/CitationEdge');
+
+const TREATMENTS = ['overruled', 'per_incuriam', 'doubted', 'distinguished', 'followed', 'explained', 'referred'];
+const NEGATIVE_TREATMENTS = new Set(['overruled', 'per_incuriam']);
+const CAUTION_TREATMENTS = new Set(['doubted', 'distinguished']);
+
+// Checked in this order; the first matching treatment wins
+const TREATMENT_CUES = {
+  overruled: [
+    /\b(?:is|are|stands?|was|were|be|been|being|hereby|expressly|impliedly)\s+overruled\b/i,
+    /\b(?:we|this\s+court)\s+(?:\w+\s+)?overrule\b/i,
+    /\b(?:is|was)\s+no\s+longer\s+good\s+law\b/i,
+    /\b(?:does|do)\s+not\s+lay\s+down\s+(?:the\s+)?(?:correct|good)\s+law\b/i
+  ],
+  per_incuriam: [
+    /\bper\s+incuriam\b/i
+  ],
+  doubted: [
+    /\bdoubt(?:ed)?\s+the\s+correctness\b/i,
+    /\b(?:referred|refer)\s+(?:the\s+matter\s+)?to\s+a\s+larger\s+bench\b/i,
+    /\brequires?\s+reconsideration\b/i
+  ],
+  distinguished: [
+    /\bdistinguish(?:ed|able|ing)\b/i,
+    /\b(?:has|have)\s+no\s+application\s+to\s+the\s+(?:present\s+)?(?:case|facts)\b/i,
+    /\bnot\s+applicable\s+to\s+the\s+facts\b/i
+  ],
+  followed: [
+    /\bfollow(?:ed|ing)\b/i,
+    /\b(?:relied|placed\s+reliance)\s+(?:up)?on\b/i,
+    /\b(?:reiterated|affirmed|approved)\b/i
+  ],
+  explained: [
+    /\bexplain(?:ed|ing)\b/i
+  ]
+};
+
+// "not overruled", "need not be distinguished"
+const NEGATION = /\b(?:not|never|cannot|no)\s+(?:\w+\s+){0,2}$/i;
+
+// Guards checked before a negative treatment, anywhere earlier in the sentence
+const NEGATED = /\b(?:not|never|cannot|no|nor|neither|hardly)\b|n't\b/i;
+const REPORTED = /\b(?:argu(?:ed|es|ing|ment)|contend(?:ed|s|ing)?|contentions?|submi(?:tted|ts|ssions?)|urg(?:ed|es|ing)|canvass(?:ed|ing)?|pleaded|plea|prayed|invited|suggest(?:ed|ion)|sought)\b/i;
+// "should be overruled", "may be treated as per incuriam"
+const MODAL = /\b(?:should|ought\s+to|must|may|might|would|could|can|will|shall)\s+(?:\w+\s+){0,4}$/i;
+// Words between the cited case and the verb that mean a different subject
+const CLAUSE_BREAK = /[;:]|\b(?:that|but|whereas|while|although|though)\b/i;
+const MAX_SUBJECT_GAP_WORDS = 15;
+// Capitalised tokens of law report citations, "(1980) 2 SCC 684", "1983 Cri LJ 1"
+const REPORTERS = new Set(['Cri', 'Crl', 'Supp', 'Bom', 'Cal', 'Mad', 'Del', 'All', 'Ker', 'Guj', 'Raj', 'Pat', 'Ori', 'Kar', 'Mah']);
+
+// Sentence ends, except after abbreviations common in case names and citations
+const SENTENCE_BREAK = /(?<!\b(?:v|vs|No|Nos|Mr|Mrs|Dr|Ors|Anr|Sec|Art|Co|Ltd|Hon'ble|[A-Z])\.)(?<=[.?!])\s+(?=[A-Z(])/;
+
+const TITLE_STOPWORDS = new Set([
+  'state', 'union', 'india', 'the', 'and', 'ors', 'others', 'anr', 'another', 'etc',
+  'through', 'thr', 'its', 'secretary', 'govt', 'government', 'ltd', 'pvt', 'smt', 'shri', 'sri'
+]);
+
+// Court rank: an overruling only binds when it comes from an equal or higher court
+const courtRank = (court) => {
+  if (/supreme\s+court/i.test(court || '')) return 3;
+  if (/high\s+court/i.test(court || '')) return 2;
+  return 1;
+};
+
+/**
+ * Distinctive tokens for each side of a Kanoon title
+ * ("Mohd. Arif vs The Registrar on 2 September, 2014" -> [["mohd","arif"], ["registrar"]])
+ * @private
+ */
+const titleTokens = (title) => {
+  return (title || '')
+    .replace(/\s+on\s+\d{1,2}\s+\w+,?\s+\d{4}\s*$/i, '')
+    .split(/\s+(?:v\.|vs\.?|versus)\s+/i)
+    .slice(0, 2)
+    .map(side => side
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !TITLE_STOPWORDS.has(word)));
+};
+
+/**
+ * Sentences of the citing judgment that refer to the cited case: they name
+ * a distinctive party word, or the case number / citation
+ * @private
+ */
+const mentioningSentences = (text, cited) => {
+  const [first = [], second = []] = titleTokens(cited.title);
+  const identifiers = [cited.caseNumber, ...(cited.citations || [])]
+    .filter(id => id && id !== 'N/A' && id.length > 4)
+    .map(id => id.toLowerCase());
+
+  if (first.length === 0 && second.length === 0 && identifiers.length === 0) return [];
+
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .split(SENTENCE_BREAK)
+    .filter(sentence => {
+      const lower = sentence.toLowerCase();
+      if (identifiers.some(id => lower.includes(id))) return true;
+      if (first.length === 0) return false;
+
+      const has = (token) => new RegExp(`\\b${token}\\b`).test(lower);
+      const firstHits = first.filter(has).length;
+      // Two words of the first party ("Bachan Singh", not just "Singh"), or
+      // its leading word plus the other side ("Ravji v. State of Rajasthan")
+      return firstHits >= Math.min(2, first.length) || (has(first[0]) && second.some(has));
+    });
+};
+
+/**
+ * Where the sentence names the cited case: party words or identifiers
+ * @private
+ */
+const mentionSpans = (sentence, cited) => {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const terms = [
+    ...titleTokens(cited.title).flat().map(token => `\\b${token}\\b`),
+    ...[cited.caseNumber, ...(cited.citations || [])]
+      .filter(id => id && id !== 'N/A' && id.length > 4)
+      .map(escape)
+  ];
+  if (terms.length === 0) return [];
+  return Array.from(sentence.matchAll(new RegExp(terms.join('|'), 'gi')))
+    .map(match => [match.index, match.index + match[0].length]);
+};
+
+/**
+ * Can the words between the cited case and the verb belong to its noun
+ * phrase? Another party name or a new clause means something else is the
+ * subject.
+ * @private
+ */
+const isSubjectGap = (gap, cited) => {
+  if (CLAUSE_BREAK.test(gap)) return false;
+  const words = gap.match(/[A-Za-z][A-Za-z']*/g) || [];
+  if (words.length > MAX_SUBJECT_GAP_WORDS) return false;
+
+  const own = new Set(titleTokens(cited.title).flat());
+  return words.every(word => !/^[A-Z]/.test(word) ||
+    own.has(word.toLowerCase()) ||
+    TITLE_STOPWORDS.has(word.toLowerCase()) ||
+    /^[A-Z]+$/.test(word) ||
+    REPORTERS.has(word));
+};
+
+/**
+ * Does the sentence hold that the cited case itself is overruled or per
+ * incuriam, rather than mention those words near it?
+ * @private
+ */
+const isNegativeHolding = (sentence, match, cited) => {
+  const before = sentence.substring(0, match.index);
+  if (NEGATED.test(before) || REPORTED.test(before) || MODAL.test(before)) return false;
+
+  const spans = mentionSpans(sentence, cited);
+  const cueEnd = match.index + match[0].length;
+
+  // "We overrule X": the cited case follows the verb
+  if (/^(?:we|this)\b/i.test(match[0])) {
+    const next = spans.find(([start]) => start >= cueEnd);
+    return !!next && isSubjectGap(sentence.substring(cueEnd, next[0]), cited);
+  }
+
+  // "X is overruled": the cited case is the nearest name before the verb,
+  // and the name it appears in is its own ("Jagmohan Singh" is not "Bachan Singh")
+  const last = spans.filter(([, end]) => end <= match.index).pop();
+  if (!last) return false;
+  const nameRun = sentence.substring(0, last[0]).match(/(?:[A-Z][A-Za-z']*\s+)*$/)[0];
+  return isSubjectGap(nameRun, cited) && isSubjectGap(sentence.substring(last[1], match.index), cited);
+};
+
+/**
+ * Classify how a citing judgment treats a cited precedent
+ *
+ * @param {string} citingText - Judgment text of the citing case
+ * @param {Object} cited - { title, caseNumber, citations }
+ * @returns {{treatment: string, cue: string|null, confidence: number}}
+ */
+const classifyTreatment = (citingText, cited) => {
+  const sentences = mentioningSentences(citingText, cited);
+
+  for (const [treatment, patterns] of Object.entries(TREATMENT_CUES)) {
+    for (const sentence of sentences) {
+      for (const pattern of patterns) {
+        const match = sentence.match(pattern);
+        if (!match) continue;
+        const accepted = NEGATIVE_TREATMENTS.has(treatment)
+          ? isNegativeHolding(sentence, match, cited)
+          : !NEGATION.test(sentence.substring(0, match.index));
+        if (accepted) {
+          return {
+            treatment,
+            cue: sentence.length > 400 ? `${sentence.substring(0, 400)}...` : sentence,
+            // The first pattern of each treatment is the most explicit
+            confidence: pattern === patterns[0] ? 0.9 : 0.7
+          };
+        }
+      }
+    }
+  }
+
+  return { treatment: 'referred', cue: sentences[0]?.substring(0, 400) || null, confidence: sentences.length > 0 ? 0.6 : 0.3 };
+};
+
+/**
+ * Classify every edge the given judgment is the citing side of
+ *
+ * @param {Object} citing - CasePrecedent with sourceId, decision/facts and court
+ * @returns {Promise<string[]>} Ids of the cited precedents whose treatment changed
+ */
+const classifyCitingEdges = async (citing) => {
+  const text = [citing.facts, citing.decision].filter(Boolean).join('\n\n');
+  if (!citing.sourceId || !text) return [];
+
+  const edges = await CitationEdge.find({ citingSourceId: citing.sourceId });
+  const citedIds = edges.map(e => e.citedId).filter(Boolean);
+  const cited = await CasePrecedent.find({ _id: { $in: citedIds } }).select('title caseNumber citations court').lean();
+  const citedById = new Map(cited.map(c => [c._id.toString(), c]));
+
+  const changed = [];
+  for (const edge of edges) {
+    const local = edge.citedId ? citedById.get(edge.citedId.toString()) : null;
+    const result = classifyTreatment(text, {
+      title: local?.title || edge.citedTitle,
+      caseNumber: local?.caseNumber,
+      citations: local?.citations
+    });
+
+    // A lower court cannot overrule; its "overruled" is usually a quotation
+    let treatment = result.treatment;
+    if (NEGATIVE_TREATMENTS.has(treatment) && local && courtRank(citing.court) < courtRank(local.court)) {
+      treatment = 'referred';
+    }
+
+    if (edge.treatment !== treatment || edge.treatmentCue !== result.cue) {
+      edge.treatment = treatment;
+      edge.treatmentCue = result.cue;
+      edge.treatmentConfidence = result.confidence;
+      edge.classifiedAt = new Date();
+      await edge.save();
+      if (edge.citedId) changed.push(edge.citedId.toString());
+    }
+  }
+
+  return changed;
+};
+
+/**
+ * Classify the edges touching one precedent: the cases it cites (from its
+ * own text) and the cases citing it that are already in the database
+ *
+ * @param {Object} precedent - CasePrecedent with sourceId, court, facts, decision
+ */
+const classifyForPrecedent = async (precedent) => {
+  if (!precedent?.sourceId) return 0;
+
+  const changed = await classifyCitingEdges(precedent);
+
+  const citerIds = await CitationEdge.distinct('citingId', { citedSourceId: precedent.sourceId, citingId: { $ne: null } });
+  const citers = await CasePrecedent.find({ _id: { $in: citerIds } }).select('sourceId court facts decision').lean();
+  for (const citer of citers) {
+    changed.push(...await classifyCitingEdges(citer));
+  }
+
+  return updateTreatmentStatus([...changed, precedent._id.toString()]);
+};
+
+/**
+ * Recompute CasePrecedent.treatment from incoming citation edges
+ *
+ * @param {string[]} precedentIds - Precedents to update (all cited precedents when omitted)
+ * @returns {Promise<number>} Precedents updated
+ */
+const updateTreatmentStatus = async (precedentIds = null) => {
+  const match = {
+    citedId: precedentIds
+      ? { $in: [...new Set(precedentIds.map(String))].map(id => new mongoose.Types.ObjectId(id)) }
+      : { $ne: null }
+  };
+  const edges = await CitationEdge.find(match)
+    .select('citedId citingId citingSourceId citingTitle treatment treatmentCue')
+    .lean();
+
+  const byPrecedent = new Map();
+  edges.forEach(edge => {
+    const key = edge.citedId.toString();
+    if (!byPrecedent.has(key)) byPrecedent.set(key, []);
+    byPrecedent.get(key).push(edge);
+  });
+
+  const citingIds = edges.filter(e => NEGATIVE_TREATMENTS.has(e.treatment) && e.citingId).map(e => e.citingId);
+  const citingCases = await CasePrecedent.find({ _id: { $in: citingIds } }).select('title year').lean();
+  const citingById = new Map(citingCases.map(c => [c._id.toString(), c]));
+
+  const operations = Array.from(byPrecedent.entries()).map(([precedentId, incoming]) => {
+    const counts = Object.fromEntries(TREATMENTS.map(t => [t, 0]));
+    incoming.forEach(edge => { counts[edge.treatment || 'referred']++; });
+
+    const negative = incoming.filter(e => NEGATIVE_TREATMENTS.has(e.treatment));
+    const caution = incoming.some(e => CAUTION_TREATMENTS.has(e.treatment));
+    const status = negative.length > 0 ? 'negative' : caution ? 'caution' : 'good_law';
+
+    return {
+      updateOne: {
+        filter: { _id: precedentId },
+        update: {
+          $set: {
+            treatment: {
+              status,
+              counts,
+              negativeBy: negative.map(e => {
+                const citingCase = e.citingId ? citingById.get(e.citingId.toString()) : null;
+                return {
+                  caseId: e.citingId || null,
+                  sourceId: e.citingSourceId,
+                  title: citingCase?.title || e.citingTitle || null,
+                  year: citingCase?.year || null,
+                  treatment: e.treatment,
+                  cue: e.treatmentCue || null
+                };
+              }),
+              updatedAt: new Date()
+            }
+          }
+        }
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await CasePrecedent.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+};
+
+/**
+ * Classify all edges whose citing judgment is in the database, then refresh
+ * every precedent's status
+ *
+ * @returns {Promise<{judgments: number, precedents: number}>}
+ */
+const classifyAllTreatments = async () => {
+  const citingIds = await CitationEdge.distinct('citingId', { citingId: { $ne: null } });
+  let judgments = 0;
+
+  for (const citingId of citingIds) {
+    const citing = await CasePrecedent.findById(citingId).select('sourceId court facts decision').lean();
+    if (!citing) continue;
+    await classifyCitingEdges(citing);
+    judgments++;
+  }
+
+  const precedents = await updateTreatmentStatus();
+  console.log(`✓ Treatments classified (${judgments} citing judgments, ${precedents} precedents)`);
+  return { judgments, precedents };
+};
+
+/**
+ * One-line warning for a precedent with negative or doubtful treatment, or null
+ */
+const treatmentWarning = (precedent) => {
+  const treatment = precedent?.treatment;
+  if (!treatment || treatment.status === 'good_law' || !treatment.status) return null;
+
+  if (treatment.status === 'negative') {
+    const by = (treatment.negativeBy || [])[0];
+    const label = by?.treatment === 'per_incuriam' ? 'Held per incuriam' : 'Overruled';
+    const source = by?.title ? ` in ${by.title}${by.year ? ` (${by.year})` : ''}` : '';
+    return `${label}${source} - not good law; do not rely on it as binding authority`;
+  }
+
+  const counts = treatment.counts || {};
+  const parts = [];
+  if (counts.doubted) parts.push(`doubted in ${counts.doubted}`);
+  if (counts.distinguished) parts.push(`distinguished in ${counts.distinguished}`);
+  return `Treat with caution - ${parts.join(' and ')} later judgment(s)`;
+};
+
+module.exports = {
+  TREATMENTS,
+  courtRank,
+  classifyTreatment,
+  classifyCitingEdges,
+  classifyForPrecedent,
+  updateTreatmentStatus,
+  classifyAllTreatments,
+  treatmentWarning
+};
@@ -0,0 +1,60 @@
+const { classifyTreatment, courtRank } = require('./precedentTreatmentService');
+
+const cited = {
+  title: 'Bachan Singh vs State Of Punjab on 9 May, 1980',
+  caseNumber: 'N/A',
+  citations: ['(1980) 2 SCC 684']
+};
+
+describe('classifyTreatment', () => {
+  test.each([
+    ['Bachan Singh v. State of Punjab is hereby overruled.', 'overruled'],
+    ['The view taken in Bachan Singh v. State of Punjab, (1980) 2 SCC 684 stands overruled.', 'overruled'],
+    ['Bachan Singh has been overruled by the Constitution Bench.', 'overruled'],
+    ['For these reasons we overrule Bachan Singh v. State of Punjab.', 'overruled'],
+    ['The decision in Bachan Singh was rendered per incuriam.', 'per_incuriam'],
+    ['Bachan Singh v. State of Punjab does not lay down the correct law.', 'overruled'],
+    ['The facts in Bachan Singh are clearly distinguishable.', 'distinguished'],
+    ['We have followed Bachan Singh v. State of Punjab.', 'followed'],
+    ['Bachan Singh v. State of Punjab was cited at the bar.', 'referred']
+  ])('%s -> %s', (text, expected) => {
+    expect(classifyTreatment(text, cited).treatment).toBe(expected);
+  });
+
+  test.each([
+    ['The contention that Bachan Singh v. State of Punjab should be overruled is rejected.'],
+    ['It was argued that Bachan Singh v. State of Punjab is per incuriam.'],
+    ['Learned counsel submitted that Bachan Singh stands overruled.'],
+    ['Bachan Singh v. State of Punjab has not been overruled.'],
+    ['It cannot be said that Bachan Singh v. State of Punjab was overruled.'],
+    ['In Bachan Singh v. State of Punjab, Jagmohan Singh was overruled.'],
+    ['Bachan Singh v. State of Punjab held that the earlier view was overruled.'],
+    ['Bachan Singh v. State of Punjab was considered; the overruling of other decisions was noticed.']
+  ])('does not flag good law: %s', (text) => {
+    expect(classifyTreatment(text, cited).treatment).not.toMatch(/overruled|per_incuriam/);
+  });
+
+  test('returns the cue sentence and a confidence', () => {
+    const result = classifyTreatment('Some preamble. Bachan Singh v. State of Punjab is overruled.', cited);
+    expect(result).toEqual({
+      treatment: 'overruled',
+      cue: 'Bachan Singh v. State of Punjab is overruled.',
+      confidence: 0.9
+    });
+  });
+
+  test('is referred with low confidence when the case is never mentioned', () => {
+    expect(classifyTreatment('Nothing relevant here.', cited)).toEqual({ treatment: 'referred', cue: null, confidence: 0.3 });
+  });
+});
+
+describe('courtRank', () => {
+  test.each([
+    ['Supreme Court of India', 3],
+    ['Delhi High Court', 2],
+    ['District Court, Pune', 1],
+    [null, 1]
+  ])('%s -> %i', (court, rank) => {
+    expect(courtRank(court)).toBe(rank);
+  });
+});
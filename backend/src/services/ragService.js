@@ -1,38 +1,32 @@
-const axios = require('axios');
 const { getVectorStore } = require('./vectorStoreService');
+const { getLLMProvider } = require('./llmService');
+const { SCHEMA_VERSION, ANALYSIS_SCHEMA, ANALYSIS_TEMPLATE, validateAnalysis } = require('./analysisSchema');
 const kanoonService = require('./kanoonService');
-const Lawyer = require('../models/Lawyer');
-
-const XAI_BASE_URL = 'https://api.x.ai/v1';
+const kanoonCache = require('./kanoonCacheService');
+const outbound = require('./outboundService');
+const { verifyCitations } = require('./citationVerificationService');
+const statuteConcordance = require('./statuteConcordanceService');
+const { findRelevantSections, formatSectionForPrompt } = require('./statuteService');
+const { rerankByAuthority } = require('./citationGraphService');
+const { treatmentWarning } = require('./precedentTreatmentService');
+const { VERDICTS, verdictLabel } = require('./verdictClassifierService');
+const { matchLawyers } = require('./lawyerMatchingService');
 
 /**
- * Call Grok LLM via xAI's OpenAI-compatible API
+ * Call the configured LLM provider (xAI Grok by default, see llmService)
  */
-const callGrokLLM = async (prompt, systemPrompt = '') => {
-  if (!process.env.XAI_API_KEY) {
-    throw new Error('XAI_API_KEY is not set. RAG features are disabled.');
-  }
-
+const callLLM = async (prompt, systemPrompt = '', options = {}) => {
   const messages = [];
   if (systemPrompt) {
     messages.push({ role: 'system', content: systemPrompt });
   }
   messages.push({ role: 'user', content: prompt });
 
-  const response = await axios.post(`${XAI_BASE_URL}/chat/completions`, {
-    model: process.env.GROK_MODEL || 'grok-3-mini',
-    messages,
+  return await getLLMProvider().chat(messages, {
     temperature: 0.2, // Low temperature for factual consistency
-    max_tokens: 2500
-  }, {
-    headers: {
-      'Authorization': `Bearer ${process.env.XAI_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    timeout: 60000
+    maxTokens: 2500,
+    json: options.json || false
   });
-
-  return response.data.choices[0].message.content;
 };
 
 // Enhanced Legal system prompt 
@@ -44,6 +38,23 @@ Your task is to analyze legal cases and provide:
 
 Always cite relevant case law. Be precise, factual, and professional.`;
 
+const JSON_REPAIR_SYSTEM_PROMPT = `You fix JSON documents so they conform to a JSON schema.
+Output only the corrected JSON object, with no commentary or markdown.`;
+
+// Repair passes attempted when the analysis JSON fails validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Local precedents fetched per retrieved case before authority re-ranking
+const LOCAL_CANDIDATE_FACTOR = 3;
+
+// Weights of the evidence behind an analysis's confidence (see
+// analysisConfidence); missing evidence is left out and the rest reweighted
+const CONFIDENCE_WEIGHTS = { retrieval: 0.4, verdicts: 0.3, grounding: 0.3 };
+// Confidence with no evidence at all, and the factor applied when the LLM
+// output never matched the schema
+const CONFIDENCE_FLOOR = 0.2;
+const UNSTRUCTURED_FACTOR = 0.8;
+
 // 1. Auto-Classify Case Type
 const classifyCaseType = async (description) => {
   try {
@@ -54,7 +65,7 @@ const classifyCaseType = async (description) => {
     
     Return ONLY the category name. Do not explain.`;
 
-    const category = await callGrokLLM(prompt, "You are a legal classifier. Output only the category name.");
+    const category = await callLLM(prompt, "You are a legal classifier. Output only the category name.");
     return category.trim().replace(/['".]/g, '');
   } catch (error) {
     console.error("Classification failed:", error.message);
@@ -72,7 +83,7 @@ const generateSearchQueries = async (description) => {
     
     Return ONLY the 2 queries separated by a pipe character (|). Example: "Section 302 IPC murder precedent | culpable homicide not amounting to murder"`;
 
-    const response = await callGrokLLM(prompt, "You are a legal search expert.");
+    const response = await callLLM(prompt, "You are a legal search expert.");
     return response.split('|').map(q => q.trim()).filter(q => q.length > 5).slice(0, 2);
   } catch (error) {
     console.error("Query generation failed:", error.message);
@@ -81,34 +92,23 @@ const generateSearchQueries = async (description) => {
 };
 
 // 2. Find Best Lawyers
-const findBestLawyers = async (caseType) => {
+// Scored by lawyerMatchingService; matchContext adds the client's court,
+// city, languages and budget when known
+const findBestLawyers = async (caseType, matchContext = {}) => {
   try {
-    // Map broader categories if needed, or rely on exact match
-    // Query: logic matches specialization OR defaults to high rated lawyers if specific type not found
-    let lawyers = await Lawyer.find({
-      specializations: { $in: [caseType] },
-      verificationStatus: 'verified'
-    })
-      .sort({ rating: -1, caseWon: -1 })
-      .limit(3)
-      .populate('userId', 'name email');
-
-    // Fallback if no specialists found
-    if (lawyers.length === 0) {
-      lawyers = await Lawyer.find({ verificationStatus: 'verified' })
-        .sort({ rating: -1, caseWon: -1 })
-        .limit(3)
-        .populate('userId', 'name email');
-    }
+    const { matches } = await matchLawyers({ ...matchContext, caseType }, { limit: 3 });
 
-    return lawyers.map(l => ({
+    return matches.map(({ lawyer: l, matchScore, reason, factors }) => ({
       id: l._id,
       name: l.userId?.name || 'Verdix Verified Lawyer',
       specialization: l.specializations.join(', '),
       experience: `${l.experience} years`,
       rating: l.rating,
       casesWon: l.caseWon,
-      image: l.profileImage || null // Assuming profileImage exists or handle frontend default
+      image: l.profileImage || null, // Assuming profileImage exists or handle frontend default
+      matchScore,
+      reason,
+      factors
     }));
   } catch (error) {
     console.warn("Lawyer matching failed:", error.message);
@@ -117,8 +117,49 @@ const findBestLawyers = async (caseType) => {
 };
 
 // Create augmented prompt with retrieved context
-const createAugmentedPrompt = (caseDescription, caseType, retrievedCases) => {
+// Classified verdict with the sentence it was read from; free-text verdicts
+// (e.g. for live Kanoon results) are passed through
+const formatVerdict = (case_) => {
+  if (!case_.verdict || case_.verdict === 'unknown') return 'Not specified';
+  if (!VERDICTS.includes(case_.verdict)) return case_.verdict;
+  const basis = case_.verdictBasis?.sentence;
+  return basis ? `${verdictLabel(case_.verdict)} (order: "${basis}")` : verdictLabel(case_.verdict);
+};
+
+/**
+ * Build the analysis prompt
+ *
+ * @param {Object} caseFile - { sections, documents } gathered from the case
+ *   (see caseAnalysisService.collectCaseContext)
+ */
+const createAugmentedPrompt = (caseDescription, caseType, retrievedCases, statutes = [], caseFile = {}) => {
   let contextSection = '';
+  let statuteSection = '';
+  let caseFileSection = '';
+
+  if (caseFile.sections?.length > 0) {
+    caseFileSection += `\n\nSECTIONS NAMED IN THE CASE FILE: ${caseFile.sections.join('; ')}\n`;
+  }
+  if (caseFile.documents?.length > 0) {
+    caseFileSection += `\nUPLOADED DOCUMENTS (extracted details):\n`;
+    caseFile.documents.forEach(doc => {
+      const details = [
+        doc.caseNumber && `case number ${doc.caseNumber}`,
+        doc.courtName && `court: ${doc.courtName}`,
+        doc.parties?.length && `parties: ${doc.parties.join(', ')}`,
+        doc.dates?.length && `dates: ${doc.dates.slice(0, 5).join(', ')}`,
+        doc.sections?.length && `sections: ${doc.sections.join('; ')}`
+      ].filter(Boolean);
+      caseFileSection += `- ${doc.filename || 'Document'}${details.length ? `: ${details.join(' | ')}` : ''}\n`;
+    });
+  }
+
+  if (statutes.length > 0) {
+    statuteSection = `\n\nSTATUTORY PROVISIONS (bare-act text; reason from this wording, not from memory):\n`;
+    statutes.forEach((statute, idx) => {
+      statuteSection += `\n${idx + 1}. ${formatSectionForPrompt(statute)}`;
+    });
+  }
 
   if (retrievedCases && retrievedCases.length > 0) {
     contextSection = `\n\nSIMILAR PRECEDENT CASES (Analyze these for arguments):\n`;
@@ -126,8 +167,17 @@ const createAugmentedPrompt = (caseDescription, caseType, retrievedCases) => {
       contextSection += `\n${idx + 1}. Case: ${case_.caseNumber || case_.title}\n`;
       contextSection += `   Title: ${case_.title}\n`;
       contextSection += `   Source: ${case_.source || 'Local Database'}\n`;
-      contextSection += `   Summary: ${case_.content || case_.summary}\n`;
-      contextSection += `   Verdict: ${case_.verdict || case_.decision || 'Not specified'}\n`;
+      if (case_.passages && case_.passages.length > 0) {
+        case_.passages.forEach(passage => {
+          contextSection += `   Relevant passage (${passage.section}): "${passage.text}"\n`;
+        });
+      } else {
+        contextSection += `   Summary: ${case_.content || case_.summary}\n`;
+      }
+      if (case_.treatmentWarning) {
+        contextSection += `   WARNING: ${case_.treatmentWarning}\n`;
+      }
+      contextSection += `   Verdict: ${formatVerdict(case_)}\n`;
     });
   }
 
@@ -135,22 +185,168 @@ const createAugmentedPrompt = (caseDescription, caseType, retrievedCases) => {
 
 USER'S CASE DETAILS:
 ${caseDescription}
-${contextSection}
+${caseFileSection}${statuteSection}${contextSection}
 
 REQUIRED STRUCTURAL ANALYSIS:
-1. **Applicable IPC Sections**: List specific sections with brief reasoning.
-2. **Key Legal Arguments**: Extract potential arguments for both prosecution/plaintiff and defense based on the precedents.
-3. **Strategic Roadmap**: Recommended legal steps.
-4. **Risk Assessment**: (High/Medium/Low) with justification.
-5. **Verdict Prediction**: Based on precedents.
+1. applicableSections: Specific sections (act and section number) that apply to THIS case, with brief reasoning. Do not list sections that only appear in the precedents.
+2. legalArguments: Potential arguments for both prosecution/plaintiff and defence based on the precedents.
+3. roadmap: Recommended legal steps, in order.
+4. risk: High/Medium/Low with justification.
+5. verdictPrediction: Likely outcome based on precedents, with a probability between 0 and 1.
+6. citedPrecedents: Every case you rely on, with citation and year where known.
+
+Respond with ONLY a JSON object matching this schema:
+${JSON.stringify(ANALYSIS_SCHEMA)}
+
+Example shape:
+${JSON.stringify(ANALYSIS_TEMPLATE, null, 2)}`;
+};
 
-Provide a comprehensive legal analysis.`;
+/**
+ * Pull a JSON object out of an LLM response (tolerates code fences and
+ * surrounding prose) and validate it
+ *
+ * @returns {{value: Object|null, errors: string[]}}
+ */
+const parseStructuredResponse = (responseText) => {
+  const text = (responseText || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return { value: null, errors: ['$: no JSON object found in response'] };
+  }
+
+  try {
+    const value = JSON.parse(text.substring(start, end + 1));
+    return { value, errors: validateAnalysis(value) };
+  } catch (error) {
+    return { value: null, errors: [`$: invalid JSON (${error.message})`] };
+  }
 };
 
-// Main RAG analysis function
-const analyzeWithRAG = async (caseDescription, caseType = null) => {
+/**
+ * Flatten a validated structured analysis into the record stored on
+ * Case.aiAnalysis (structured fields as-is, plus the summary fields older
+ * clients read)
+ */
+const toAnalysisRecord = (value, responseText) => {
+  // Attach the IPC <-> BNS equivalent so both codes are shown side by side
+  const applicableSections = value.applicableSections.map(s => {
+    const entry = statuteConcordance.lookup(s.act, s.section);
+    return {
+      ...s,
+      equivalent: entry?.equivalent ? { ...entry.equivalent, title: entry.title } : null
+    };
+  });
+  const suggestedIPCs = [...new Set(applicableSections.map(s => statuteConcordance.formatDual(s.act, s.section)))];
+
+  return {
+    ...value,
+    applicableSections,
+    schemaVersion: SCHEMA_VERSION,
+    structured: true,
+    suggestedIPCs,
+    summary: value.summary,
+    analysis: responseText,
+    keyPoints: applicableSections.map(s => `${statuteConcordance.formatDual(s.act, s.section)}: ${s.reasoning}`).slice(0, 5),
+    keyArguments: [
+      ...value.legalArguments.prosecution.map(a => `Prosecution/Plaintiff: ${a}`),
+      ...value.legalArguments.defence.map(a => `Defence: ${a}`)
+    ].join('\n'),
+    possibleVerdict: value.verdictPrediction.outcome,
+    riskLevel: value.risk.level,
+    recommendations: value.roadmap.map(r => `${r.step}. ${r.action}${r.details ? ` - ${r.details}` : ''}`).join('\n'),
+    analyzedAt: new Date()
+  };
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Confidence in an analysis from the evidence behind it, between 0 and 1:
+ *   - retrieval: mean similarity of the local precedents retrieved (live
+ *     Kanoon results carry no similarity score)
+ *   - verdicts: mean classifier confidence of their verdicts
+ *   - grounding: share of cited cases and sections verified against them
+ * Unstructured (text-parsed) analyses are marked down.
+ *
+ * @returns {{confidence: number, basis: Object}}
+ */
+const analysisConfidence = (analysis, retrievedCases = []) => {
+  const local = retrievedCases.filter(rc => (rc.source || 'Local DB') === 'Local DB');
+  const grounding = analysis.grounding?.summary;
+
+  const basis = {
+    retrieval: mean(local.map(rc => rc.similarity).filter(Number.isFinite)),
+    verdicts: mean(retrievedCases
+      .filter(rc => VERDICTS.includes(rc.verdict) && rc.verdict !== 'unknown')
+      .map(rc => rc.verdictBasis?.confidence ?? 1)),
+    grounding: grounding?.total > 0 ? grounding.verified / grounding.total : null
+  };
+
+  const known = Object.keys(CONFIDENCE_WEIGHTS).filter(key => basis[key] !== null);
+  let confidence = known.length > 0
+    ? known.reduce((sum, key) => sum + CONFIDENCE_WEIGHTS[key] * basis[key], 0) /
+      known.reduce((sum, key) => sum + CONFIDENCE_WEIGHTS[key], 0)
+    : CONFIDENCE_FLOOR;
+  if (!analysis.structured) confidence *= UNSTRUCTURED_FACTOR;
+
+  const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+  return {
+    confidence: round(Math.min(Math.max(confidence, 0), 1)),
+    basis: Object.fromEntries(Object.entries(basis).map(([key, value]) => [key, round(value)]))
+  };
+};
+
+/**
+ * Ask the LLM for a schema-conforming analysis, running repair passes on
+ * invalid output; falls back to regex parsing if the JSON never validates
+ */
+const generateStructuredAnalysis = async (augmentedPrompt) => {
+  let responseText = await callLLM(augmentedPrompt, LEGAL_SYSTEM_PROMPT, { json: true });
+  let { value, errors } = parseStructuredResponse(responseText);
+
+  for (let attempt = 1; errors.length > 0 && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    console.warn(`Analysis JSON invalid (${errors.length} errors), repair attempt ${attempt}...`);
+
+    const repairPrompt = `The following JSON does not conform to the schema.
+
+SCHEMA:
+${JSON.stringify(ANALYSIS_SCHEMA)}
+
+ERRORS:
+${errors.slice(0, 20).join('\n')}
+
+JSON:
+${responseText}
+
+Return the corrected JSON object only. Keep the legal content; fix structure and types.`;
+
+    responseText = await callLLM(repairPrompt, JSON_REPAIR_SYSTEM_PROMPT, { json: true });
+    ({ value, errors } = parseStructuredResponse(responseText));
+  }
+
+  if (errors.length > 0) {
+    console.warn('Analysis JSON still invalid after repair, falling back to text parsing:', errors.slice(0, 3).join('; '));
+    return { analysis: parseAnalysisResponse(responseText), responseText };
+  }
+
+  return { analysis: toAnalysisRecord(value, responseText), responseText };
+};
+
+/**
+ * Main RAG analysis function
+ *
+ * @param {string} caseDescription
+ * @param {string|null} caseType - Classified by the LLM when missing
+ * @param {Object} options - { caseFile: { sections, documents } } from the
+ *   case's description and uploaded documents; { matchContext } for lawyer
+ *   matching (see lawyerMatchingService.caseMatchContext)
+ */
+const analyzeWithRAG = async (caseDescription, caseType = null, { caseFile = {}, matchContext = {} } = {}) => {
   try {
-    console.log('Starting RAG analysis with Grok...');
+    console.log(`Starting RAG analysis with ${getLLMProvider().name} provider...`);
 
     // Step 0: Auto-Classify
     let finalCaseType = caseType;
@@ -166,64 +362,96 @@ const analyzeWithRAG = async (caseDescription, caseType = null) => {
     let retrievedCases = [];
 
     try {
-      const localResults = await vectorStore.searchSimilarCases(searchQuery, 3);
+      // Over-fetch, then let citation authority reorder near-equal matches
+      const candidates = await vectorStore.searchSimilarCases(searchQuery, 3 * LOCAL_CANDIDATE_FACTOR);
+      const localResults = rerankByAuthority(candidates, 3);
       retrievedCases = localResults.map(r => ({ ...r, source: 'Local DB' }));
       console.log(`Retrieved ${localResults.length} local cases`);
     } catch (err) {
       console.warn('Vector search failed (non-critical):', err.message);
     }
 
-    // Step 2: Live Search on Indian Kanoon
-    try {
-      console.log('Generating live search queries...');
-      const liveQueries = await generateSearchQueries(caseDescription);
-      console.log(`Live Queries: ${liveQueries.join(' | ')}`);
-
-      if (liveQueries.length > 0) {
-        console.log(`Searching Indian Kanoon for: "${liveQueries[0]}"...`);
-        const kanoonResults = await kanoonService.searchCases(liveQueries[0], { maxpages: 1 });
-
-        if (kanoonResults.docs && kanoonResults.docs.length > 0) {
-          const topLiveDocs = kanoonResults.docs.slice(0, 2).map(doc => ({
-            caseId: doc.tid,
-            caseNumber: doc.tid.toString(),
-            title: doc.title,
-            content: doc.headline || doc.title,
-            similarity: 0.9,
-            source: 'Live Indian Kanoon',
-            verdict: 'Refer to full judgment'
-          }));
-
-          try {
-            const fullDetails = await kanoonService.fetchCaseDetails(topLiveDocs[0].caseId);
-            topLiveDocs[0].content = fullDetails.summary || fullDetails.decision.substring(0, 1000);
-            topLiveDocs[0].verdict = fullDetails.decision.substring(0, 200) + '...';
-          } catch (e) { console.warn('Failed to fetch full details for live case'); }
-
-          retrievedCases = [...retrievedCases, ...topLiveDocs];
-          console.log(`Added ${topLiveDocs.length} live cases from Indian Kanoon`);
+    // Step 2: Live Search on Indian Kanoon (skipped while its circuit is
+    // open, leaving local-only retrieval)
+    let liveSearch = 'skipped';
+    if (!kanoonCache.isReplay() && !outbound.isAvailable('kanoon')) {
+      console.warn('Indian Kanoon unavailable (circuit open); using local precedents only');
+    } else {
+      try {
+        console.log('Generating live search queries...');
+        const liveQueries = await generateSearchQueries(caseDescription);
+        console.log(`Live Queries: ${liveQueries.join(' | ')}`);
+
+        if (liveQueries.length > 0) {
+          console.log(`Searching Indian Kanoon for: "${liveQueries[0]}"...`);
+          const kanoonResults = await kanoonService.searchCases(liveQueries[0], { maxpages: 1 });
+
+          if (kanoonResults.docs && kanoonResults.docs.length > 0) {
+            const topLiveDocs = kanoonResults.docs.slice(0, 2).map(doc => ({
+              caseId: doc.tid,
+              caseNumber: doc.tid.toString(),
+              title: doc.title,
+              content: doc.headline || doc.title,
+              similarity: 0.9,
+              source: 'Live Indian Kanoon',
+              verdict: 'Refer to full judgment'
+            }));
+
+            try {
+              const fullDetails = await kanoonService.fetchCaseDetails(topLiveDocs[0].caseId);
+              topLiveDocs[0].content = fullDetails.summary || fullDetails.decision.substring(0, 1000);
+              topLiveDocs[0].verdict = fullDetails.verdict;
+              topLiveDocs[0].verdictBasis = fullDetails.verdictBasis;
+            } catch (e) { console.warn('Failed to fetch full details for live case'); }
+
+            retrievedCases = [...retrievedCases, ...topLiveDocs];
+            console.log(`Added ${topLiveDocs.length} live cases from Indian Kanoon`);
+          }
+          liveSearch = 'ok';
         }
+      } catch (err) {
+        liveSearch = 'failed';
+        console.warn('Live Kanoon search failed:', err.message);
       }
+    }
+
+    // Step 3: Look up the text of the sections in play
+    let statutes = [];
+    try {
+      statutes = await findRelevantSections([caseDescription, ...(caseFile.sections || [])].join('\n'), retrievedCases);
+      console.log(`Quoting ${statutes.length} statutory provisions`);
     } catch (err) {
-      console.warn('Live Kanoon search failed:', err.message);
+      console.warn('Statute lookup failed (non-critical):', err.message);
     }
 
-    // Step 3: Create augmented prompt
+    // Step 4: Create augmented prompt
     const augmentedPrompt = createAugmentedPrompt(
       caseDescription,
       finalCaseType,
-      retrievedCases
+      retrievedCases,
+      statutes,
+      caseFile
     );
 
-    // Step 4: Generate response with Grok LLM
-    console.log('Generating analysis with Grok LLM...');
-    const responseText = await callGrokLLM(augmentedPrompt, LEGAL_SYSTEM_PROMPT);
+    // Step 5: Generate and validate structured response with the LLM
+    console.log(`Generating analysis with ${getLLMProvider().chatModel}...`);
+    const { analysis, responseText } = await generateStructuredAnalysis(augmentedPrompt);
+
+    // Step 6: Check every cited case and section against real precedents
+    try {
+      analysis.grounding = await verifyCitations(analysis, retrievedCases, { caseDescription });
+      const { verified, notInContext, unverified } = analysis.grounding.summary;
+      console.log(`Citations: ${verified} verified, ${notInContext} not in context, ${unverified} unverified`);
+    } catch (err) {
+      console.warn('Citation verification failed (non-critical):', err.message);
+    }
 
-    // Step 5: Parse response
-    const analysis = parseAnalysisResponse(responseText);
+    const { confidence, basis } = analysisConfidence(analysis, retrievedCases);
+    analysis.confidence = confidence;
+    analysis.confidenceBasis = basis;
 
-    // Step 6: Find Recommended Lawyers
-    const recommendedLawyers = await findBestLawyers(finalCaseType);
+    // Step 7: Find Recommended Lawyers
+    const recommendedLawyers = await findBestLawyers(finalCaseType, matchContext);
 
     return {
       success: true,
@@ -233,11 +461,19 @@ const analyzeWithRAG = async (caseDescription, caseType = null) => {
         caseId: rc.caseId,
         caseNumber: rc.caseNumber,
         title: rc.title,
+        year: rc.year ?? null,
+        court: rc.court ?? null,
         similarity: rc.similarity,
+        authorityScore: rc.authorityScore ?? null,
+        treatmentWarning: rc.treatmentWarning || null,
         verdict: rc.verdict,
+        verdictConfidence: rc.verdictBasis?.confidence ?? null,
         source: rc.source || 'Local DB'
       })),
       recommendedLawyers,
+      grounding: analysis.grounding || null,
+      // 'ok' when Kanoon was searched; otherwise retrieval was local-only
+      liveSearch,
       fullResponse: responseText
     };
   } catch (error) {
@@ -246,17 +482,13 @@ const analyzeWithRAG = async (caseDescription, caseType = null) => {
   }
 };
 
-// Parse LLM response into structured format
+// Parse free-text LLM response into structured format (fallback when JSON output fails validation)
 const parseAnalysisResponse = (response) => {
   try {
-    // Extract IPC sections
-    const ipcPattern = /(?:IPC\s+)?(?:Section|Sec\.?)\s+(\d+[A-Z]?)/gi;
-    const ipcMatches = [];
-    let match;
-    while ((match = ipcPattern.exec(response)) !== null) {
-      ipcMatches.push(`IPC Section ${match[1]}`);
-    }
-    const suggestedIPCs = [...new Set(ipcMatches)];
+    // Extract IPC / BNS sections as dual labels
+    const suggestedIPCs = [...new Set(
+      statuteConcordance.extractSectionReferences(response, 'IPC').map(ref => statuteConcordance.formatDual(ref.act, ref.section))
+    )];
 
     // Extract verdict prediction
     const verdictMatch = response.match(/(?:Verdict|Outcome)[:\s]+([\s\S]*?)(?=\n\n|\n[A-Z]|$)/i);
@@ -275,6 +507,7 @@ const parseAnalysisResponse = (response) => {
     const recommendations = recMatch ? recMatch[1].trim() : '';
 
     return {
+      structured: false,
       suggestedIPCs: suggestedIPCs.length > 0 ? suggestedIPCs : ['Analysis required'],
       summary: response.substring(0, 500),
       analysis: response,
@@ -282,12 +515,12 @@ const parseAnalysisResponse = (response) => {
       possibleVerdict,
       riskLevel,
       recommendations,
-      confidence: suggestedIPCs.length > 0 ? 0.90 : 0.60,
       analyzedAt: new Date()
     };
   } catch (error) {
     console.error('Parse error:', error);
     return {
+      structured: false,
       suggestedIPCs: [],
       summary: response,
       analysis: response,
@@ -295,7 +528,6 @@ const parseAnalysisResponse = (response) => {
       possibleVerdict: 'Analysis required',
       riskLevel: 'Medium',
       recommendations: '',
-      confidence: 0.5,
       analyzedAt: new Date()
     };
   }
@@ -312,17 +544,18 @@ Description: ${currentCase.description}
 Type: ${currentCase.caseType}
 
 PRECEDENT CASES:
-${precedentCases.map((pc, idx) =>
-      `${idx + 1}. ${pc.title} (${pc.year}) - ${pc.verdict}`
-    ).join('\n')}
+${precedentCases.map((pc, idx) => {
+      const warning = treatmentWarning(pc);
+      return `${idx + 1}. ${pc.title} (${pc.year}) - ${verdictLabel(pc.verdict)}${warning ? `\n   WARNING: ${warning}` : ''}`;
+    }).join('\n')}
 
 Provide detailed comparison highlighting:
 1. Key similarities
 2. Important differences
 3. Impact on current case
-4. Applicable precedents`;
+4. Applicable precedents (state plainly if a precedent marked WARNING has been overruled and must not be relied on)`;
 
-    return await callGrokLLM(prompt, LEGAL_SYSTEM_PROMPT);
+    return await callLLM(prompt, LEGAL_SYSTEM_PROMPT);
   } catch (error) {
     console.error('Comparison error:', error.response?.data || error.message);
     throw error;
@@ -342,7 +575,7 @@ Provide:
 3. Risk assessment
 4. Recommended actions`;
 
-    return await callGrokLLM(prompt, LEGAL_SYSTEM_PROMPT);
+    return await callLLM(prompt, LEGAL_SYSTEM_PROMPT);
   } catch (error) {
     console.error('Insights error:', error.response?.data || error.message);
     throw error;
@@ -352,6 +585,8 @@ Provide:
 module.exports = {
   analyzeWithRAG,
   parseAnalysisResponse,
+  parseStructuredResponse,
+  analysisConfidence,
   compareWithPrecedents,
   getLegalInsights,
   createAugmentedPrompt,
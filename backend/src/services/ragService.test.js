@@ -0,0 +1,38 @@
+jest.mock('./vectorStoreService', () => ({ getVectorStore: jest.fn() }));
+jest.mock('./llmService', () => ({ getLLMProvider: jest.fn() }));
+jest.mock('./lawyerMatchingService', () => ({ matchLawyers: jest.fn() }));
+
+const { analysisConfidence } = require('./ragService');
+
+const grounding = (verified, total) => ({ summary: { total, verified, notInContext: 0, unverified: total - verified } });
+
+describe('analysisConfidence', () => {
+  test('combines retrieval, verdict and grounding evidence', () => {
+    const result = analysisConfidence({ structured: true, grounding: grounding(3, 4) }, [
+      { similarity: 0.8, verdict: 'acquitted', verdictBasis: { confidence: 0.9 } },
+      { similarity: 0.6, verdict: 'appeal_dismissed', verdictBasis: { confidence: 0.7 } }
+    ]);
+    expect(result.basis).toEqual({ retrieval: 0.7, verdicts: 0.8, grounding: 0.75 });
+    expect(result.confidence).toBe(0.75);
+  });
+
+  test('ignores the placeholder similarity and verdict of live Kanoon results', () => {
+    const result = analysisConfidence({ structured: true }, [
+      { similarity: 0.4, verdict: 'unknown' },
+      { similarity: 0.9, verdict: 'Refer to full judgment', source: 'Live Indian Kanoon' }
+    ]);
+    expect(result).toEqual({ confidence: 0.4, basis: { retrieval: 0.4, verdicts: null, grounding: null } });
+  });
+
+  test('is low without evidence and marked down for unstructured output', () => {
+    expect(analysisConfidence({ structured: true }, []).confidence).toBe(0.2);
+    expect(analysisConfidence({ structured: false }, [{ similarity: 0.5 }]).confidence).toBe(0.4);
+  });
+
+  test('falls when cited cases cannot be verified', () => {
+    const retrieved = [{ similarity: 0.8, verdict: 'guilty' }];
+    const grounded = analysisConfidence({ structured: true, grounding: grounding(2, 2) }, retrieved);
+    const ungrounded = analysisConfidence({ structured: true, grounding: grounding(0, 2) }, retrieved);
+    expect(ungrounded.confidence).toBeLessThan(grounded.confidence);
+  });
+});
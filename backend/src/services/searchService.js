@@ -0,0 +1,166 @@
+const CasePrecedent = require('../models/CasePrecedent');
+const { getVectorStore } = require('./vectorStoreService');
+const { treatmentWarning } = require('./precedentTreatmentService');
+
+/**
+ * Hybrid Precedent Search
+ *
+ * Combines the weighted MongoDB text index on CasePrecedent (exact section
+ * numbers like "498A", party names) with chunk-level vector similarity, and
+ * merges the two rankings with Reciprocal Rank Fusion:
+ *   score(d) = sum over rankings of 1 / (RRF_K + rank(d))
+ */
+
+const RRF_K = 60;
+const CANDIDATES_PER_RANKING = 50;
+const RESULT_FIELDS = 'caseNumber title year court verdict ipcSections summary lawyerInvolved treatment';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a CasePrecedent query from search filters
+ *
+ * @param {Object} filters
+ * @param {string} filters.court - Court name (case-insensitive substring)
+ * @param {number} filters.yearFrom
+ * @param {number} filters.yearTo
+ * @param {string} filters.verdict - One of the CasePrecedent verdict values
+ * @param {string} filters.section - Section number, e.g. "498A"
+ */
+const buildFilter = (filters = {}) => {
+  const query = {};
+
+  if (filters.court) {
+    query.court = { $regex: escapeRegex(filters.court), $options: 'i' };
+  }
+  if (filters.yearFrom || filters.yearTo) {
+    query.year = {};
+    if (filters.yearFrom) query.year.$gte = parseInt(filters.yearFrom);
+    if (filters.yearTo) query.year.$lte = parseInt(filters.yearTo);
+  }
+  if (filters.verdict) {
+    query.verdict = filters.verdict;
+  }
+  if (filters.section) {
+    // Matches "498A", "IPC-498A", "Section 498A IPC" but not "1498A"
+    const section = escapeRegex(filters.section.toString().trim());
+    query.ipcSections = { $regex: `(^|[^0-9A-Z])${section}([^0-9A-Z]|$)`, $options: 'i' };
+  }
+
+  return query;
+};
+
+/**
+ * Rank precedents with the text index; degrades to no results if the query
+ * fails (e.g. the text index is missing or still building) so semantic
+ * search still works
+ * @private
+ */
+const lexicalSearch = async (query, filter, limit) => {
+  try {
+    return await CasePrecedent.find(
+      { ...filter, $text: { $search: query } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .select(RESULT_FIELDS);
+  } catch (error) {
+    console.warn('Lexical search unavailable, using semantic only:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Rank precedents by embedding similarity; degrades to no results if the
+ * embedding provider is unavailable so lexical search still works
+ * @private
+ */
+const semanticSearch = async (query, filter, limit) => {
+  try {
+    const vectorStore = await getVectorStore();
+    return await vectorStore.searchSimilarCases(query, limit, filter);
+  } catch (error) {
+    console.warn('Semantic search unavailable, using lexical only:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Search precedents with lexical + semantic rank fusion
+ *
+ * @param {string} query - Free text, section numbers, party names
+ * @param {Object} options
+ * @param {Object} options.filters - See buildFilter
+ * @param {number} options.limit - Max results (default 10)
+ * @returns {Promise<Array>} Results ordered by fused score
+ */
+const hybridSearch = async (query, options = {}) => {
+  const limit = options.limit || 10;
+  const filter = buildFilter(options.filters);
+
+  const [lexical, semantic] = await Promise.all([
+    lexicalSearch(query, filter, CANDIDATES_PER_RANKING),
+    semanticSearch(query, filter, CANDIDATES_PER_RANKING)
+  ]);
+
+  const fused = new Map();
+  const entryFor = (id) => {
+    if (!fused.has(id)) {
+      fused.set(id, { score: 0, lexicalRank: null, semanticRank: null, similarity: null, passages: [] });
+    }
+    return fused.get(id);
+  };
+
+  lexical.forEach((doc, idx) => {
+    const entry = entryFor(doc._id.toString());
+    entry.score += 1 / (RRF_K + idx + 1);
+    entry.lexicalRank = idx + 1;
+    entry.doc = doc;
+  });
+
+  semantic.forEach((result, idx) => {
+    const entry = entryFor(result.caseId.toString());
+    entry.score += 1 / (RRF_K + idx + 1);
+    entry.semanticRank = idx + 1;
+    entry.similarity = result.similarity;
+    entry.passages = result.passages || [];
+  });
+
+  const top = Array.from(fused.entries())
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, limit);
+
+  // Semantic-only hits need their full precedent record
+  const missing = top.filter(([, entry]) => !entry.doc).map(([id]) => id);
+  if (missing.length > 0) {
+    const docs = await CasePrecedent.find({ _id: { $in: missing } }).select(RESULT_FIELDS);
+    docs.forEach(doc => { fused.get(doc._id.toString()).doc = doc; });
+  }
+
+  return top
+    .filter(([, entry]) => entry.doc)
+    .map(([, entry]) => ({
+      caseId: entry.doc._id,
+      caseNumber: entry.doc.caseNumber,
+      title: entry.doc.title,
+      year: entry.doc.year,
+      court: entry.doc.court,
+      verdict: entry.doc.verdict,
+      ipcSections: entry.doc.ipcSections,
+      summary: entry.doc.summary,
+      lawyerInvolved: entry.doc.lawyerInvolved,
+      treatment: entry.doc.treatment?.status || 'good_law',
+      treatmentWarning: treatmentWarning(entry.doc),
+      score: entry.score,
+      lexicalRank: entry.lexicalRank,
+      semanticRank: entry.semanticRank,
+      similarity: entry.similarity,
+      passages: entry.passages
+    }));
+};
+
+module.exports = {
+  hybridSearch,
+  buildFilter
+};
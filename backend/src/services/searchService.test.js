@@ -0,0 +1,54 @@
+jest.mock('./vectorStoreService', () => ({ getVectorStore: jest.fn() }));
+jest.mock('../models/CasePrecedent', () => ({ find: jest.fn() }));
+
+const mongoose = require('mongoose');
+const CasePrecedent = require('../models/CasePrecedent');
+const { getVectorStore } = require('./vectorStoreService');
+const { buildFilter, hybridSearch } = require('./searchService');
+
+const precedent = (caseNumber) => ({ _id: new mongoose.Types.ObjectId(), caseNumber, title: caseNumber, treatment: null });
+
+// CasePrecedent.find chain resolving to `docs`, or rejecting with `error`
+const findResult = ({ docs = [], error = null }) => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    select: () => (error ? Promise.reject(error) : Promise.resolve(docs))
+  };
+  return query;
+};
+
+beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+beforeEach(() => jest.clearAllMocks());
+
+describe('buildFilter', () => {
+  test('matches a section number only as a whole token', () => {
+    const { ipcSections } = buildFilter({ section: '498A' });
+    const pattern = new RegExp(ipcSections.$regex, ipcSections.$options);
+    expect(pattern.test('IPC 498A / BNS 85')).toBe(true);
+    expect(pattern.test('IPC 1498A')).toBe(false);
+  });
+});
+
+describe('hybridSearch', () => {
+  test('ranks a precedent found by both searches first', async () => {
+    const [a, b] = [precedent('A'), precedent('B')];
+    CasePrecedent.find.mockReturnValueOnce(findResult({ docs: [a] }));
+    getVectorStore.mockResolvedValue({ searchSimilarCases: async () => [{ caseId: a._id, similarity: 0.8 }, { caseId: b._id, similarity: 0.7 }] });
+    CasePrecedent.find.mockReturnValueOnce({ select: async () => [b] });
+
+    const results = await hybridSearch('cheque bounce');
+    expect(results.map(r => r.caseNumber)).toEqual(['A', 'B']);
+    expect(results[0]).toMatchObject({ lexicalRank: 1, semanticRank: 1 });
+  });
+
+  test('falls back to semantic results when the text query fails', async () => {
+    const b = precedent('B');
+    CasePrecedent.find.mockReturnValueOnce(findResult({ error: new Error('text index required for $text query') }));
+    getVectorStore.mockResolvedValue({ searchSimilarCases: async () => [{ caseId: b._id, similarity: 0.7 }] });
+    CasePrecedent.find.mockReturnValueOnce({ select: async () => [b] });
+
+    const results = await hybridSearch('cheque bounce');
+    expect(results).toEqual([expect.objectContaining({ caseNumber: 'B', lexicalRank: null, semanticRank: 1 })]);
+  });
+});
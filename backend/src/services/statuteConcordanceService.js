@@ -0,0 +1,257 @@
+/**
+ * Statute Concordance Service - Map sections between the old and new criminal codes
+ *
+ * Since 1 July 2024 offences are charged under the Bharatiya Nyaya Sanhita (BNS),
+ * procedure follows the Bharatiya Nagarik Suraksha Sanhita (BNSS) and evidence
+ * the Bharatiya Sakshya Adhiniyam (BSA); older judgments cite IPC, CrPC and the
+ * Indian Evidence Act. This module normalizes section references, maps them
+ * across codes (data/statuteConcordance.json) and formats them side by side,
+ * e.g. "IPC 302 / BNS 103(1)".
+ */
+
+const concordance = require('../data/statuteConcordance.json');
+
+// Display labels for act codes
+const ACT_LABELS = {
+  IPC: 'IPC',
+  BNS: 'BNS',
+  CRPC: 'CrPC',
+  BNSS: 'BNSS',
+  IEA: 'Evidence Act',
+  BSA: 'BSA'
+};
+
+// Spellings seen in judgments and user text, checked longest first
+const ACT_ALIASES = [
+  ['bharatiya nagarik suraksha sanhita', 'BNSS'],
+  ['bharatiya nyaya sanhita', 'BNS'],
+  ['bharatiya sakshya adhiniyam', 'BSA'],
+  ['code of criminal procedure', 'CRPC'],
+  ['indian evidence act', 'IEA'],
+  ['indian penal code', 'IPC'],
+  ['evidence act', 'IEA'],
+  ['penal code', 'IPC'],
+  ['bnss', 'BNSS'],
+  ['crpc', 'CRPC'],
+  ['bns', 'BNS'],
+  ['bsa', 'BSA'],
+  ['iea', 'IEA'],
+  ['ipc', 'IPC']
+];
+
+const ACT_PATTERN = '(Bharatiya Nagarik Suraksha Sanhita|Bharatiya Nyaya Sanhita|Bharatiya Sakshya Adhiniyam|Code of Criminal Procedure|Indian Evidence Act|Indian Penal Code|Evidence Act|Penal Code|BNSS|BNS|BSA|Cr\\.?\\s?P\\.?\\s?C\\.?|I\\.?\\s?P\\.?\\s?C\\.?|IEA)';
+const SECTION_NUMBER = '\\d+[A-Z]{0,2}(?:\\(\\d+\\))?(?:\\([a-z]\\))?';
+// "302", "302/34", "498A, 304B", "302 and 34": the act named after the list covers all of it
+const SECTION_LIST = `(${SECTION_NUMBER}(?:(?:\\s*[,/&]\\s*|,?\\s+(?:and|or)\\s+)${SECTION_NUMBER})*)`;
+
+// "Section 302 IPC", "S. 498A of the Indian Penal Code", "u/s 420", "Sec 103(1) BNS",
+// "Sections 302 and 34 IPC", "Ss. 302/34 IPC"; not preceded by a letter, so
+// "Rs. 50000" and "witnesses. 12" are not sections
+const SECTION_FIRST = new RegExp(`(?<![A-Za-z])(?:Sections?|Secs?\\.?|Ss?\\.|u\\/s\\.?)\\s*${SECTION_LIST}(?:\\s*(?:of\\s+(?:the\\s+)?)?${ACT_PATTERN})?`, 'gi');
+// "IPC 302", "IPC Section 420", "BNS S. 103", "IPC Sections 302 and 34"
+const ACT_FIRST = new RegExp(`\\b${ACT_PATTERN}\\s*(?:Sections?|Secs?\\.?|Ss?\\.)?\\s*${SECTION_LIST}(?![\\d])`, 'gi');
+
+// The sections in a SECTION_LIST match
+const splitSections = (list) => list.match(new RegExp(SECTION_NUMBER, 'gi'));
+
+// Lookup maps: "IPC:302" -> entry, "BNS:103(1)" -> entry, "BNS:103" -> entry
+const forward = new Map();
+const reverse = new Map();
+const reverseBase = new Map();
+
+concordance.tables.forEach(table => {
+  table.sections.forEach(row => {
+    const entry = { fromAct: table.from, toAct: table.to, ...row };
+    forward.set(`${table.from}:${row.from}`, entry);
+    if (row.to) {
+      reverse.set(`${table.to}:${row.to}`, entry);
+      const base = row.to.replace(/\(.*$/, '');
+      if (!reverseBase.has(`${table.to}:${base}`)) {
+        reverseBase.set(`${table.to}:${base}`, entry);
+      }
+    }
+  });
+});
+
+/**
+ * Map an act name or abbreviation to its code (IPC, BNS, CRPC, BNSS, IEA, BSA)
+ */
+const normalizeAct = (act) => {
+  if (!act) return null;
+  const compact = act.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+  const squashed = compact.replace(/\s/g, '');
+  const match = ACT_ALIASES.find(([alias]) => compact === alias || squashed === alias.replace(/\s/g, ''));
+  return match ? match[1] : null;
+};
+
+const normalizeSectionNumber = (section) => {
+  return section.toString().trim().toUpperCase().replace(/\(([A-Z])\)/, (m, letter) => `(${letter.toLowerCase()})`);
+};
+
+/**
+ * Look a section up in the concordance
+ *
+ * @returns {{act, section, title, equivalent: {act, section}|null}|null} null if not in the tables
+ */
+const lookup = (act, section) => {
+  const code = normalizeAct(act) || act;
+  const number = normalizeSectionNumber(section);
+  const base = number.replace(/\(.*$/, '');
+
+  const old = forward.get(`${code}:${number}`) || forward.get(`${code}:${base}`);
+  if (old) {
+    return {
+      act: code,
+      section: old.from,
+      title: old.title,
+      equivalent: old.to ? { act: old.toAct, section: old.to } : null
+    };
+  }
+
+  const current = reverse.get(`${code}:${number}`) || reverseBase.get(`${code}:${base}`);
+  if (current) {
+    return {
+      act: code,
+      section: reverse.has(`${code}:${number}`) ? current.to : number,
+      title: current.title,
+      equivalent: { act: current.fromAct, section: current.from }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Equivalent section in the other code, or null
+ */
+const toEquivalent = (act, section) => lookup(act, section)?.equivalent || null;
+
+const formatSection = (act, section) => `${ACT_LABELS[act] || act} ${section}`;
+
+/**
+ * "IPC 302 / BNS 103(1)" - the older code is always listed first
+ */
+const formatDual = (act, section) => {
+  const code = normalizeAct(act) || act;
+  const entry = lookup(code, section);
+  if (!entry) return formatSection(code, normalizeSectionNumber(section));
+  if (!entry.equivalent) {
+    const successor = concordance.codes[code]?.successor;
+    return `${formatSection(code, entry.section)}${successor ? ` (no ${ACT_LABELS[successor]} equivalent)` : ''}`;
+  }
+
+  const isOldCode = !!concordance.codes[code]?.successor;
+  const current = formatSection(code, entry.section);
+  const other = formatSection(entry.equivalent.act, entry.equivalent.section);
+  return isOldCode ? `${current} / ${other}` : `${other} / ${current}`;
+};
+
+/**
+ * Parse one reference like "IPC Section 420", "Section 498A IPC", "BNS 103(1)"
+ * or a bare "420" (read as defaultAct)
+ *
+ * @returns {{act: string, section: string}|null}
+ */
+const parseSectionReference = (text, defaultAct = 'IPC') => {
+  if (!text) return null;
+  const refs = extractSectionReferences(text.toString(), defaultAct);
+  if (refs.length > 0) return refs[0];
+
+  const bare = text.toString().trim().match(/^(\d+[A-Z]{0,2}(?:\(\d+\))?)$/i);
+  return bare && defaultAct ? { act: defaultAct, section: normalizeSectionNumber(bare[1]) } : null;
+};
+
+/**
+ * Find every section reference in free text
+ *
+ * @param {string} text
+ * @param {string|null} defaultAct - Act assumed when none is named; null skips unqualified references
+ * @returns {Array<{act: string, section: string}>} de-duplicated, in order of appearance
+ */
+const extractSectionReferences = (text, defaultAct = null) => {
+  const found = [];
+  const seen = new Set();
+  const spans = [];
+  const add = (index, act, section) => {
+    const code = normalizeAct(act) || defaultAct;
+    if (!code) return;
+    const number = normalizeSectionNumber(section);
+    const key = `${code}:${number}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    found.push({ index, act: code, section: number });
+  };
+
+  const overlaps = (match) => spans.some(([start, end]) => match.index < end && match.index + match[0].length > start);
+  const claim = (match) => spans.push([match.index, match.index + match[0].length]);
+  const sectionFirst = Array.from((text || '').matchAll(SECTION_FIRST));
+
+  // Qualified references first, so "S. 154 Cr.P.C. Section 420" does not read
+  // as "Cr.P.C. Section 420" and "BNS S. 318" does not fall back to defaultAct
+  sectionFirst.filter(match => match[2]).forEach(match => {
+    claim(match);
+    splitSections(match[1]).forEach(section => add(match.index, match[2], section));
+  });
+  for (const match of (text || '').matchAll(ACT_FIRST)) {
+    if (overlaps(match)) continue;
+    claim(match);
+    splitSections(match[2]).forEach(section => add(match.index, match[1], section));
+  }
+  sectionFirst.filter(match => !match[2] && !overlaps(match)).forEach(match => {
+    splitSections(match[1]).forEach(section => add(match.index, null, section));
+  });
+
+  return found
+    .sort((a, b) => a.index - b.index)
+    .map(({ act, section }) => ({ act, section }));
+};
+
+/**
+ * Normalize a list of section strings to de-duplicated dual labels
+ */
+const normalizeSections = (sections, defaultAct = 'IPC') => {
+  const labels = new Set();
+  (sections || []).forEach(s => {
+    const ref = parseSectionReference(s, defaultAct);
+    if (ref) labels.add(formatDual(ref.act, ref.section));
+  });
+  return Array.from(labels);
+};
+
+/**
+ * Expand a search query so it also matches judgments under the other code,
+ * using Indian Kanoon's ORR operator:
+ *   "Section 302 IPC murder" -> "Section 302 IPC murder ORR Section 103 BNS murder"
+ */
+const expandQuery = (query) => {
+  let alternate = query;
+  let changed = false;
+
+  // Rewritten only when every section in the list has an equivalent in one act
+  const replace = (match, list, act) => {
+    const code = normalizeAct(act);
+    const equivalents = code ? splitSections(list).map(section => toEquivalent(code, section)) : [];
+    if (!equivalents.length || !equivalents.every(e => e && e.act === equivalents[0].act)) return match;
+    changed = true;
+    const sections = equivalents.map(e => e.section.replace(/\(.*$/, ''));
+    return `${sections.length > 1 ? 'Sections' : 'Section'} ${sections.join(', ')} ${ACT_LABELS[equivalents[0].act]}`;
+  };
+
+  alternate = alternate.replace(SECTION_FIRST, (match, section, act) => replace(match, section, act));
+  alternate = alternate.replace(ACT_FIRST, (match, act, section) => replace(match, section, act));
+
+  return changed ? `${query} ORR ${alternate}` : query;
+};
+
+module.exports = {
+  ACT_LABELS,
+  normalizeAct,
+  lookup,
+  toEquivalent,
+  formatSection,
+  formatDual,
+  parseSectionReference,
+  extractSectionReferences,
+  normalizeSections,
+  expandQuery
+};
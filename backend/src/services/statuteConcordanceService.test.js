@@ -0,0 +1,81 @@
+const {
+  extractSectionReferences,
+  parseSectionReference,
+  formatDual,
+  expandQuery
+} = require('./statuteConcordanceService');
+
+describe('extractSectionReferences', () => {
+  test.each([
+    ['Section 302 IPC', [{ act: 'IPC', section: '302' }]],
+    ['S. 498A of the Indian Penal Code', [{ act: 'IPC', section: '498A' }]],
+    ['Sec 103(1) BNS', [{ act: 'BNS', section: '103(1)' }]],
+    ['IPC Section 420', [{ act: 'IPC', section: '420' }]],
+    ['BNS S. 318', [{ act: 'BNS', section: '318' }]],
+    ['u/s 154 Cr.P.C.', [{ act: 'CRPC', section: '154' }]],
+    ['(S. 154 CrPC)', [{ act: 'CRPC', section: '154' }]],
+    ['S. 154 Cr.P.C. Section 420 IPC', [{ act: 'CRPC', section: '154' }, { act: 'IPC', section: '420' }]],
+    ['Sections 302 and 34 IPC', [{ act: 'IPC', section: '302' }, { act: 'IPC', section: '34' }]],
+    ['Sections 498A, 304B IPC', [{ act: 'IPC', section: '498A' }, { act: 'IPC', section: '304B' }]],
+    ['Section 302/34 IPC', [{ act: 'IPC', section: '302' }, { act: 'IPC', section: '34' }]],
+    ['Ss. 302, 307 and 120B of the Indian Penal Code', [{ act: 'IPC', section: '302' }, { act: 'IPC', section: '307' }, { act: 'IPC', section: '120B' }]],
+    ['u/s 323/506 IPC', [{ act: 'IPC', section: '323' }, { act: 'IPC', section: '506' }]],
+    ['IPC Sections 302 and 34', [{ act: 'IPC', section: '302' }, { act: 'IPC', section: '34' }]],
+    ['BNS 103(1)/3(5)', [{ act: 'BNS', section: '103(1)' }, { act: 'BNS', section: '3(5)' }]],
+    ['Section 302/34 IPC and S. 27 Evidence Act', [{ act: 'IPC', section: '302' }, { act: 'IPC', section: '34' }, { act: 'IEA', section: '27' }]]
+  ])('%s', (text, expected) => {
+    expect(extractSectionReferences(text)).toEqual(expected);
+  });
+
+  test.each([
+    'I paid Rs. 50000 to the accused',
+    'Three witnesses. 12 documents were exhibited',
+    'Pages 12 to 20 of the paper book'
+  ])('finds no section in %s', (text) => {
+    expect(extractSectionReferences(text, 'IPC')).toEqual([]);
+  });
+
+  test('reads an unnamed act as defaultAct, or skips it without one', () => {
+    expect(extractSectionReferences('charged u/s 420', 'IPC')).toEqual([{ act: 'IPC', section: '420' }]);
+    expect(extractSectionReferences('charged u/s 420')).toEqual([]);
+  });
+
+  test('reads an unnamed list as defaultAct', () => {
+    expect(extractSectionReferences('charged under Sections 420 and 406', 'IPC')).toEqual([
+      { act: 'IPC', section: '420' },
+      { act: 'IPC', section: '406' }
+    ]);
+  });
+});
+
+describe('parseSectionReference', () => {
+  test.each([
+    ['420', 'IPC', { act: 'IPC', section: '420' }],
+    ['BNS 103(1)', 'IPC', { act: 'BNS', section: '103(1)' }],
+    ['Rs. 50000', 'IPC', null],
+    ['420', null, null]
+  ])('%s (default %s)', (text, defaultAct, expected) => {
+    expect(parseSectionReference(text, defaultAct)).toEqual(expected);
+  });
+});
+
+describe('formatDual', () => {
+  test('lists the older code first', () => {
+    expect(formatDual('IPC', '302')).toBe('IPC 302 / BNS 103(1)');
+    expect(formatDual('BNS', '103(1)')).toBe('IPC 302 / BNS 103(1)');
+  });
+});
+
+describe('expandQuery', () => {
+  test('adds the other code with ORR', () => {
+    expect(expandQuery('Section 302 IPC murder')).toBe('Section 302 IPC murder ORR Section 103 BNS murder');
+  });
+
+  test('rewrites every section of a list', () => {
+    expect(expandQuery('Section 302/34 IPC')).toBe('Section 302/34 IPC ORR Sections 103, 3 BNS');
+  });
+
+  test('leaves queries without sections alone', () => {
+    expect(expandQuery('paid Rs. 50000 as dowry')).toBe('paid Rs. 50000 as dowry');
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * Statute Service - Bare-act section text, punishment and classification
+ *
+ * Sections are loaded from JSON and CSV files in STATUTE_DATA_DIR (default
+ * src/data/statutes) into the StatuteSection collection, so the RAG prompt
+ * can quote the actual provision instead of relying on the model's memory.
+ *
+ * JSON files hold one act:
+ *   { "act": "IPC", "name": "Indian Penal Code, 1860", "aliases": [...],
+ *     "source": "...", "sections": [{ section, title, text, punishment,
+ *     cognizable, bailable, compoundable, triableBy, chapter }] }
+ *
+ * CSV files hold one section per row with the header
+ *   act,act_name,aliases,section,title,text,punishment,cognizable,bailable,compoundable,triable_by
+ * where aliases are ';'-separated and the yes/no columns accept yes/no/true/false,
+ * blank meaning not applicable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StatuteSection = require('../models/StatuteSection');
+const statuteConcordance = require('./statuteConcordanceService');
+
+const STATUTE_DATA_DIR = process.env.STATUTE_DATA_DIR || path.join(__dirname, '../data/statutes');
+
+// Longest provision text quoted in a prompt
+const MAX_PROMPT_TEXT_CHARS = 1200;
+
+// Alias -> act code, built from the loaded files ("it act" -> "ITA")
+const actAliases = new Map();
+
+const aliasKey = (value) => (value || '').toLowerCase().replace(/[.,]/g, '').replace(/\s+/g, ' ').trim();
+
+const registerAct = (code, name, aliases = []) => {
+  [code, name, name?.replace(/,?\s*\d{4}$/, ''), ...aliases]
+    .filter(Boolean)
+    .forEach(alias => actAliases.set(aliasKey(alias), code.toUpperCase()));
+};
+
+/**
+ * Map an act name, alias or code to the code sections are stored under
+ */
+const normalizeActCode = (act) => {
+  return statuteConcordance.normalizeAct(act) || actAliases.get(aliasKey(act)) || (act || '').replace(/[.\s]/g, '').toUpperCase();
+};
+
+const parseFlag = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  const flag = value.toString().trim().toLowerCase();
+  if (['yes', 'y', 'true'].includes(flag)) return true;
+  if (['no', 'n', 'false'].includes(flag)) return false;
+  return null;
+};
+
+/**
+ * Minimal RFC 4180 parser: quoted fields may contain commas, newlines and
+ * doubled quotes
+ *
+ * @returns {Object[]} One object per row, keyed by the header
+ */
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...data] = rows.filter(r => r.some(cell => cell.trim()));
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return data.map(cells => Object.fromEntries(keys.map((key, idx) => [key, (cells[idx] || '').trim()])));
+};
+
+const toRecord = (entry, act) => ({
+  act: act.code,
+  actName: act.name || null,
+  section: entry.section.toString().trim().toUpperCase().replace(/\(([A-Z])\)/g, (m, letter) => `(${letter.toLowerCase()})`),
+  chapter: entry.chapter || null,
+  title: entry.title || null,
+  text: entry.text,
+  punishment: entry.punishment || null,
+  cognizable: parseFlag(entry.cognizable),
+  bailable: parseFlag(entry.bailable),
+  compoundable: parseFlag(entry.compoundable),
+  triableBy: entry.triableBy || entry.triable_by || null,
+  source: act.source || null
+});
+
+/**
+ * Read one statute file into section records
+ *
+ * @returns {Object[]} StatuteSection-shaped records
+ */
+const readStatuteFile = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+  const source = path.basename(file);
+
+  if (file.endsWith('.json')) {
+    const data = JSON.parse(content);
+    const code = normalizeActCode(data.act);
+    registerAct(code, data.name, data.aliases);
+    const act = { code, name: data.name, source: data.source || source };
+    return (data.sections || []).filter(s => s.section && s.text).map(s => toRecord(s, act));
+  }
+
+  if (file.endsWith('.csv')) {
+    return parseCsv(content)
+      .filter(row => row.act && row.section && row.text)
+      .map(row => {
+        const code = normalizeActCode(row.act);
+        registerAct(code, row.act_name, (row.aliases || '').split(';').map(a => a.trim()));
+        return toRecord(row, { code, name: row.act_name, source });
+      });
+  }
+
+  return [];
+};
+
+/**
+ * Read every .json / .csv file in the statute directory
+ */
+const readStatuteFiles = (dir = STATUTE_DATA_DIR) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => /\.(json|csv)$/i.test(name))
+    .sort()
+    .flatMap(name => {
+      try {
+        return readStatuteFile(path.join(dir, name));
+      } catch (error) {
+        console.error(`Failed to read statute file ${name}:`, error.message);
+        return [];
+      }
+    });
+};
+
+// Aliases are needed for lookups even before (or without) a reload
+readStatuteFiles();
+
+/**
+ * Upsert all statute files into the database
+ *
+ * @returns {Promise<{sections: number, acts: string[]}>}
+ */
+const loadStatutes = async (dir = STATUTE_DATA_DIR) => {
+  const records = readStatuteFiles(dir);
+  if (records.length === 0) {
+    return { sections: 0, acts: [] };
+  }
+
+  await StatuteSection.bulkWrite(records.map(record => ({
+    updateOne: {
+      filter: { act: record.act, section: record.section },
+      update: { $set: { ...record, updatedAt: new Date() } },
+      upsert: true
+    }
+  })));
+
+  const acts = [...new Set(records.map(r => r.act))];
+  console.log(`✓ Loaded ${records.length} statute sections (${acts.join(', ')})`);
+  return { sections: records.length, acts };
+};
+
+/**
+ * Load statutes on startup if the collection is empty
+ */
+const ensureStatutesLoaded = async () => {
+  const count = await StatuteSection.estimatedDocumentCount();
+  if (count > 0) return { sections: count, loaded: false };
+  const result = await loadStatutes();
+  return { ...result, loaded: true };
+};
+
+/**
+ * Fetch one section; "103" also finds "103(1)" and "302(1)" finds "302"
+ *
+ * @returns {Promise<Object|null>} Lean StatuteSection with `equivalent`
+ *   (the section's counterpart in the successor/predecessor code, if loaded)
+ */
+const getSection = async (act, section, { withEquivalent = true } = {}) => {
+  const code = normalizeActCode(act);
+  const number = section.toString().trim().toUpperCase();
+  const base = number.replace(/\(.*$/, '');
+  const escapedBase = base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const doc = await StatuteSection.findOne({ act: code, section: number }).lean() ||
+    await StatuteSection.findOne({ act: code, section: base }).lean() ||
+    await StatuteSection.findOne({ act: code, section: { $regex: `^${escapedBase}\\(` } }).sort({ section: 1 }).lean();
+
+  if (!doc || !withEquivalent) return doc;
+
+  const mapped = statuteConcordance.toEquivalent(code, doc.section);
+  const equivalent = mapped ? await getSection(mapped.act, mapped.section, { withEquivalent: false }) : null;
+  return {
+    ...doc,
+    equivalent: equivalent || (mapped ? { act: mapped.act, section: mapped.section } : null)
+  };
+};
+
+/**
+ * Search section titles and text
+ */
+const searchSections = async ({ q, act, limit = 20 } = {}) => {
+  const query = {};
+  if (act) query.act = normalizeActCode(act);
+  if (q) query.$text = { $search: q };
+
+  const cursor = q
+    ? StatuteSection.find(query, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } })
+    : StatuteSection.find(query).sort({ act: 1, section: 1 });
+
+  return cursor.limit(Math.min(limit, 100)).lean();
+};
+
+/**
+ * Acts with loaded sections
+ */
+const listActs = async () => {
+  const acts = await StatuteSection.aggregate([
+    { $group: { _id: '$act', name: { $first: '$actName' }, sections: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return acts.map(a => ({ act: a._id, name: a.name, sections: a.sections }));
+};
+
+/**
+ * Provisions to quote for a case: sections named in the description, then
+ * those recurring in the retrieved precedents, each with its IPC/BNS
+ * counterpart
+ *
+ * @param {string} caseDescription
+ * @param {Array} retrievedCases - Precedents with ipcSections
+ * @param {number} limit - Max provisions
+ * @returns {Promise<Object[]>} StatuteSection docs that exist in the database
+ */
+const findRelevantSections = async (caseDescription, retrievedCases = [], limit = 6) => {
+  const refs = [
+    ...statuteConcordance.extractSectionReferences(caseDescription || '', 'IPC'),
+    ...retrievedCases.flatMap(rc => (rc.ipcSections || []).flatMap(s => statuteConcordance.extractSectionReferences(s)))
+  ];
+
+  const sections = [];
+  const seen = new Set();
+  for (const ref of refs) {
+    if (sections.length >= limit) break;
+    const doc = await getSection(ref.act, ref.section);
+    if (!doc || seen.has(`${doc.act}:${doc.section}`)) continue;
+    seen.add(`${doc.act}:${doc.section}`);
+    if (doc.equivalent?.text) seen.add(`${doc.equivalent.act}:${doc.equivalent.section}`);
+    sections.push(doc);
+  }
+
+  return sections;
+};
+
+const describeClassification = (section) => {
+  const parts = [];
+  if (section.cognizable !== null && section.cognizable !== undefined) parts.push(section.cognizable ? 'Cognizable' : 'Non-cognizable');
+  if (section.bailable !== null && section.bailable !== undefined) parts.push(section.bailable ? 'Bailable' : 'Non-bailable');
+  if (section.compoundable !== null && section.compoundable !== undefined) parts.push(section.compoundable ? 'Compoundable' : 'Non-compoundable');
+  if (section.triableBy) parts.push(`Triable by ${section.triableBy}`);
+  return parts.join('; ');
+};
+
+/**
+ * Render a provision for the LLM prompt
+ */
+const formatSectionForPrompt = (section) => {
+  const label = statuteConcordance.formatDual(section.act, section.section);
+  const text = section.text.length > MAX_PROMPT_TEXT_CHARS
+    ? `${section.text.substring(0, MAX_PROMPT_TEXT_CHARS)}...`
+    : section.text;
+
+  let block = `${label}${section.title ? ` - ${section.title}` : ''}\n   Text: "${text}"\n`;
+  if (section.punishment) block += `   Punishment: ${section.punishment}\n`;
+  const classification = describeClassification(section);
+  if (classification) block += `   Classification: ${classification}\n`;
+  return block;
+};
+
+module.exports = {
+  STATUTE_DATA_DIR,
+  normalizeActCode,
+  parseCsv,
+  readStatuteFiles,
+  loadStatutes,
+  ensureStatutesLoaded,
+  getSection,
+  searchSections,
+  listActs,
+  findRelevantSections,
+  describeClassification,
+  formatSectionForPrompt
+};
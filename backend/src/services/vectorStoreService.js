@@ -1,49 +1,172 @@
+const fs = require('fs');
+const path = require('path');
 const CasePrecedent = require('../models/CasePrecedent');
-const { createEmbedding, cosineSimilarity } = require('./embeddingService');
+const PrecedentChunk = require('../models/PrecedentChunk');
+const { createEmbedding, createEmbeddings } = require('./embeddingService');
+const { chunkPrecedent } = require('./chunkingService');
+const HNSWIndex = require('./hnswIndex');
+const { treatmentWarning } = require('./precedentTreatmentService');
+
+// Each precedent is split into labelled chunks (see chunkingService), each with
+// its own embedding on PrecedentChunk; an ANN index over chunk embeddings answers
+// queries and hits are grouped back by precedent. CasePrecedent.embedding keeps
+// the summary chunk's vector.
+// VECTOR_INDEX_BACKEND=hnsw (default) keeps an in-process HNSW graph persisted to
+// VECTOR_INDEX_PATH; VECTOR_INDEX_BACKEND=atlas uses MongoDB Atlas $vectorSearch
+// (index name ATLAS_VECTOR_INDEX) and falls back to HNSW if it is unavailable.
+const HAS_EMBEDDING = { embedding: { $ne: null } };
+const RESULT_FIELDS = 'caseNumber title year court verdict verdictBasis ipcSections summary facts authorityScore treatment';
+const EMBEDDING_BATCH_SIZE = 16;
+const CHUNK_OVERSAMPLE = 5; // chunks fetched per requested case before grouping
+const PASSAGES_PER_CASE = 2;
 
-// Store embeddings in MongoDB
 class VectorStore {
   constructor() {
     this.initialized = false;
+    this.backend = (process.env.VECTOR_INDEX_BACKEND || 'hnsw').toLowerCase();
+    this.indexPath = process.env.VECTOR_INDEX_PATH || './data/vector-index.json';
+    this.atlasIndexName = process.env.ATLAS_VECTOR_INDEX || 'precedentChunkEmbedding';
+    this.index = new HNSWIndex();
+    this.saveTimer = null;
   }
 
   async initialize() {
     try {
       console.log('Initializing Vector Store...');
       // Check if we have indexed cases
-      const indexedCount = await CasePrecedent.countDocuments({ embedding: { $exists: true } });
-      console.log(`Found ${indexedCount} indexed cases`);
+      const indexedCount = await CasePrecedent.countDocuments(HAS_EMBEDDING);
+      const chunkCount = await PrecedentChunk.countDocuments(HAS_EMBEDDING);
+      console.log(`Found ${indexedCount} indexed cases (${chunkCount} chunks)`);
+
+      if (this.backend === 'atlas' && !(await this._atlasAvailable())) {
+        console.warn(`Atlas $vectorSearch index "${this.atlasIndexName}" unavailable, using HNSW`);
+        this.backend = 'hnsw';
+      }
+
+      if (this.backend === 'hnsw') {
+        this._loadIndex();
+        if (this.index.size !== chunkCount) {
+          console.log(`Vector index holds ${this.index.size} of ${chunkCount} chunk embeddings, rebuilding...`);
+          await this.rebuildIndex();
+        }
+      }
+
+      console.log(`Vector Store ready (${this.backend})`);
       this.initialized = true;
     } catch (error) {
       console.error('Vector store initialization error:', error);
     }
   }
 
+  /**
+   * Probe for an Atlas Search vector index on the chunks collection
+   * @private
+   */
+  async _atlasAvailable() {
+    try {
+      const indexes = await PrecedentChunk.collection.listSearchIndexes(this.atlasIndexName).toArray();
+      return indexes.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load the persisted HNSW graph from disk, if present
+   * @private
+   */
+  _loadIndex() {
+    try {
+      if (!fs.existsSync(this.indexPath)) return;
+      this.index = HNSWIndex.fromJSON(JSON.parse(fs.readFileSync(this.indexPath, 'utf8')));
+      console.log(`Loaded vector index from ${this.indexPath} (${this.index.size} vectors)`);
+    } catch (error) {
+      console.warn(`Could not load vector index (${error.message}), it will be rebuilt`);
+      this.index = new HNSWIndex();
+    }
+  }
+
+  /**
+   * Write the HNSW graph to disk (atomic rename)
+   */
+  saveIndex() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+    const tmpPath = `${this.indexPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.index.toJSON()));
+    fs.renameSync(tmpPath, this.indexPath);
+  }
+
+  /**
+   * Debounce saves so bulk indexing doesn't rewrite the file per case
+   * @private
+   */
+  _scheduleSave() {
+    if (this.backend !== 'hnsw' || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      try {
+        this.saveIndex();
+      } catch (error) {
+        console.error('Vector index save error:', error.message);
+      }
+    }, 2000);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Rebuild the HNSW graph from PrecedentChunk.embedding
+   */
+  async rebuildIndex() {
+    const index = new HNSWIndex();
+    const cursor = PrecedentChunk.find(HAS_EMBEDDING).select('_id embedding').lean().cursor();
+
+    for await (const doc of cursor) {
+      if (doc.embedding?.length) {
+        index.add(doc._id, doc.embedding);
+      }
+    }
+
+    this.index = index;
+    this.saveIndex();
+    console.log(`Vector index rebuilt with ${index.size} vectors`);
+    return index.size;
+  }
+
   async indexCase(caseData) {
     try {
-      // Create text representation of case
-      const caseText = `
-        Case Number: ${caseData.caseNumber}
-        Title: ${caseData.title}
-        Year: ${caseData.year}
-        Court: ${caseData.court}
-        IPC Sections: ${caseData.ipcSections?.join(', ') || ''}
-        Facts: ${caseData.facts || ''}
-        Summary: ${caseData.summary || ''}
-        Decision: ${caseData.decision || ''}
-        Keywords: ${caseData.keywords?.join(', ') || ''}
-      `;
-
-      // Generate embedding
-      const embedding = await createEmbedding(caseText);
-
-      // Store embedding in database
+      const chunks = chunkPrecedent(caseData);
+
+      // Generate embeddings in batches
+      const embeddings = [];
+      for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE).map(c => c.text);
+        embeddings.push(...await createEmbeddings(batch));
+      }
+
+      // Replace any previous chunks for this precedent
+      await this._removeChunks(caseData._id);
+      const savedChunks = await PrecedentChunk.insertMany(chunks.map((chunk, i) => ({
+        precedentId: caseData._id,
+        chunkIndex: chunk.chunkIndex,
+        section: chunk.section,
+        text: chunk.text,
+        embedding: embeddings[i]
+      })));
+
+      // Store the summary embedding on the precedent itself
       await CasePrecedent.findByIdAndUpdate(
         caseData._id,
-        { embedding },
+        { embedding: embeddings[0], indexedChunks: savedChunks.length },
         { new: true }
       );
 
+      if (this.backend === 'hnsw') {
+        savedChunks.forEach(chunk => this.index.add(chunk._id, chunk.embedding));
+        this._scheduleSave();
+      }
+
       return true;
     } catch (error) {
       console.error('Case indexing error:', error);
@@ -51,15 +174,48 @@ class VectorStore {
     }
   }
 
-  async indexAllCases() {
+  /**
+   * Delete a precedent's chunks from the database and the ANN index
+   * @private
+   */
+  async _removeChunks(precedentId) {
+    const existing = await PrecedentChunk.find({ precedentId }).select('_id');
+    if (existing.length === 0) return;
+
+    await PrecedentChunk.deleteMany({ precedentId });
+    if (this.backend === 'hnsw') {
+      existing.forEach(chunk => this.index.remove(chunk._id));
+      this._scheduleSave();
+    }
+  }
+
+  /**
+   * @param {Object} options - onProgress(current, total, message) and
+   *   isCancelled() hooks for background jobs
+   * @returns {Promise<number>} Cases indexed
+   */
+  async indexAllCases(options = {}) {
     try {
-      const cases = await CasePrecedent.find({ embedding: { $exists: false } });
+      // Includes precedents embedded before chunk-level indexing
+      const cases = await CasePrecedent.find({
+        $or: [{ embedding: null }, { indexedChunks: { $not: { $gt: 0 } } }]
+      });
       
       console.log(`Indexing ${cases.length} cases...`);
       
+      let indexed = 0;
       for (let i = 0; i < cases.length; i++) {
+        if (options.isCancelled && await options.isCancelled()) {
+          console.log(`Indexing cancelled after ${indexed}/${cases.length} cases`);
+          return indexed;
+        }
+        if (options.onProgress) {
+          await options.onProgress(i, cases.length, `Indexing ${cases[i].caseNumber}`);
+        }
+
         try {
           await this.indexCase(cases[i]);
+          indexed++;
           console.log(`Indexed case ${i + 1}/${cases.length}: ${cases[i].caseNumber}`);
           
           // Add delay to avoid rate limiting
@@ -72,50 +228,116 @@ class VectorStore {
       }
       
       console.log('All cases indexed successfully');
-      return cases.length;
+      return indexed;
     } catch (error) {
       console.error('Bulk indexing error:', error);
       throw error;
     }
   }
 
-  async searchSimilarCases(query, k = 5) {
+  /**
+   * Find the k most similar precedents
+   *
+   * Chunks are retrieved from the ANN index and grouped by precedent; each
+   * result carries its best-matching passages so prompts can quote them.
+   *
+   * @param {string} query
+   * @param {number} k
+   * @param {Object} filter - Optional CasePrecedent query applied after retrieval
+   */
+  async searchSimilarCases(query, k = 5, filter = null) {
     try {
-      // Get all indexed cases
-      const indexedCases = await CasePrecedent.find({ embedding: { $exists: true } });
-      
-      if (indexedCases.length === 0) {
+      if (this.backend === 'hnsw' && this.index.size === 0) {
         console.warn('No indexed cases found in vector store');
         return [];
       }
 
       // Create embedding for query
       const queryEmbedding = await createEmbedding(query);
+      // Post-filtering discards hits, so fetch more when a filter is given
+      const chunkLimit = k * CHUNK_OVERSAMPLE * (filter ? 4 : 1);
+
+      const hits = this.backend === 'atlas'
+        ? await this._atlasSearch(queryEmbedding, chunkLimit)
+        : this.index.search(queryEmbedding, chunkLimit);
 
-      // Calculate similarity for each case
-      const similarities = indexedCases.map(caseData => {
-        const similarity = cosineSimilarity(queryEmbedding, caseData.embedding);
-        return {
-          caseId: caseData._id,
-          caseNumber: caseData.caseNumber,
-          title: caseData.title,
-          similarity,
-          content: caseData.summary || caseData.facts || caseData.title
-        };
+      const chunks = await PrecedentChunk.find({ _id: { $in: hits.map(h => h.id) } })
+        .select('precedentId section text');
+      const chunksById = new Map(chunks.map(c => [c._id.toString(), c]));
+
+      // Group by precedent, keeping ANN ranking order
+      const groups = new Map();
+      hits.forEach(hit => {
+        const chunk = chunksById.get(hit.id.toString());
+        if (!chunk) return;
+
+        const precedentId = chunk.precedentId.toString();
+        if (!groups.has(precedentId)) {
+          groups.set(precedentId, []);
+        }
+        groups.get(precedentId).push({
+          section: chunk.section,
+          text: chunk.text,
+          similarity: hit.similarity
+        });
       });
 
-      // Sort by similarity and return top K
-      const topResults = similarities
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, k);
+      const cases = await CasePrecedent.find({ ...filter, _id: { $in: Array.from(groups.keys()) } })
+        .select(RESULT_FIELDS);
+      const casesById = new Map(cases.map(c => [c._id.toString(), c]));
 
-      return topResults;
+      // Skip precedents that were deleted or don't match the filter
+      return Array.from(groups.entries())
+        .filter(([precedentId]) => casesById.has(precedentId))
+        .slice(0, k)
+        .map(([precedentId, passages]) => this._toResult(casesById.get(precedentId), passages));
     } catch (error) {
       console.error('Similarity search error:', error);
       throw error;
     }
   }
 
+  /**
+   * Query MongoDB Atlas $vectorSearch over chunk embeddings
+   * @private
+   */
+  async _atlasSearch(queryEmbedding, limit) {
+    const results = await PrecedentChunk.aggregate([
+      {
+        $vectorSearch: {
+          index: this.atlasIndexName,
+          path: 'embedding',
+          queryVector: queryEmbedding,
+          numCandidates: Math.max(limit * 10, 100),
+          limit
+        }
+      },
+      { $project: { similarity: { $meta: 'vectorSearchScore' } } }
+    ]);
+
+    return results.map(r => ({ id: r._id, similarity: r.similarity }));
+  }
+
+  _toResult(caseData, passages) {
+    const topPassages = passages.slice(0, PASSAGES_PER_CASE);
+    return {
+      caseId: caseData._id,
+      caseNumber: caseData.caseNumber,
+      title: caseData.title,
+      year: caseData.year,
+      court: caseData.court,
+      verdict: caseData.verdict,
+      verdictBasis: caseData.verdictBasis || null,
+      ipcSections: caseData.ipcSections,
+      authorityScore: caseData.authorityScore || 0,
+      treatment: caseData.treatment?.status || 'good_law',
+      treatmentWarning: treatmentWarning(caseData),
+      similarity: topPassages[0].similarity,
+      content: topPassages[0].text || caseData.summary || caseData.facts || caseData.title,
+      passages: topPassages
+    };
+  }
+
   async reindexCase(caseId) {
     try {
       const caseData = await CasePrecedent.findById(caseId);
@@ -132,9 +354,10 @@ class VectorStore {
 
   async deleteIndex(caseId) {
     try {
+      await this._removeChunks(caseId);
       await CasePrecedent.findByIdAndUpdate(
         caseId,
-        { embedding: null },
+        { embedding: null, indexedChunks: 0 },
         { new: true }
       );
       return true;
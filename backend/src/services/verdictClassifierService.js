@@ -0,0 +1,309 @@
+/**
+ * Verdict Classifier Service - Outcome of an ingested judgment
+ *
+ * The operative order (see judgmentParserService), or the closing paragraphs
+ * when none was found, is split into sentences and scanned for outcome cues
+ * in two tiers:
+ *   - explicit dispositions: "Criminal Appeal No. 12 of 2015 is dismissed",
+ *     "the accused is acquitted", "conviction ... upheld"
+ *   - supporting phrases: "benefit of doubt", "conviction ... set aside",
+ *     "find no merit", a bare "dismissed"
+ * Sentences are read from the last one back, since the final operative
+ * sentence states the result and earlier ones often recount arguments. A
+ * supporting phrase is only used when no sentence has an explicit
+ * disposition. Within a sentence, a partly allowed appeal wins over
+ * outcomes on the accused, which win over the procedural result of the
+ * appeal. appeal_allowed also covers allowed petitions and revisions, since
+ * the enum has no separate "allowed" value.
+ *
+ * When no cue matches, an LLM can be asked instead (VERDICT_LLM_FALLBACK=on,
+ * or `useLLM`). Its answer must quote a sentence that appears in the
+ * judgment, and its confidence is capped below the rule-based one.
+ */
+
+const { getLLMProvider } = require('./llmService');
+const CasePrecedent = require('../models/CasePrecedent');
+
+const VERDICTS = ['guilty', 'not_guilty', 'partial', 'dismissed', 'acquitted', 'appeal_allowed', 'appeal_dismissed', 'unknown'];
+
+const VERDICT_LABELS = {
+  guilty: 'Conviction upheld / guilty',
+  not_guilty: 'Not guilty',
+  partial: 'Partly allowed',
+  dismissed: 'Dismissed',
+  acquitted: 'Acquitted',
+  appeal_allowed: 'Appeal allowed',
+  appeal_dismissed: 'Appeal dismissed',
+  unknown: 'Not specified'
+};
+
+const LLM_FALLBACK = ['on', 'true', '1'].includes((process.env.VERDICT_LLM_FALLBACK || 'off').toLowerCase());
+
+// "Criminal Appeal No. 123 of 2015", "Appeal Nos. 4-5 of 2019", "appeal(s)"
+const CASE_NUMBER = '(?:\\s*\\(s\\))?(?:\\s+Nos?\\.?\\s*\\d[\\d\\s,&/\\-–]*?(?:\\s+of\\s+\\d{4})?)?';
+const APPEAL = `(?:(?:civil|criminal|the)\\s+)?(?:appeals?|special\\s+leave\\s+petitions?|revisions?|revision\\s+petitions?|petitions?|writ\\s+petitions?)${CASE_NUMBER}`;
+const DISPOSED = '\\s+(?:is|are|stands?|must\\s+be|shall\\s+stand)\\s+(?:hereby\\s+|accordingly\\s+|therefore\\s+)?';
+
+// Explicit dispositions; within a sentence the first matching verdict wins
+const EXPLICIT_CUES = {
+  partial: [
+    new RegExp(`\\b${APPEAL}${DISPOSED}(?:partly|partially)\\s+allowed\\b`, 'i'),
+    /\b(?:partly|partially)\s+allowed\b|\ballowed\s+in\s+part\b/i
+  ],
+  acquitted: [
+    /\b(?:is|are|stands?)\s+(?:hereby\s+)?acquitted\b/i,
+    /\bacquitted\s+of\b/i
+  ],
+  not_guilty: [
+    /\b(?:is|are)\s+(?:found\s+)?not\s+guilty\b/i
+  ],
+  guilty: [
+    /\bconvictions?\b.{0,80}\b(?:upheld|confirmed|maintained|affirmed|sustained)\b/i,
+    /\b(?:is|are)\s+(?:hereby\s+)?(?:convicted|found\s+guilty)\b/i
+  ],
+  appeal_allowed: [
+    new RegExp(`\\b${APPEAL}${DISPOSED}allowed\\b`, 'i')
+  ],
+  appeal_dismissed: [
+    new RegExp(`\\b(?:(?:civil|criminal|the)\\s+)?(?:appeals?|special\\s+leave\\s+petitions?|revisions?|revision\\s+petitions?)${CASE_NUMBER}${DISPOSED}dismissed\\b`, 'i')
+  ],
+  dismissed: [
+    /\b(?:writ\s+petitions?|petitions?|suits?|complaints?|applications?|claims?)\s+(?:is|are|stands?)\s+(?:hereby\s+|accordingly\s+)?dismissed\b/i
+  ]
+};
+
+// Looser phrases, used only when no sentence has an explicit disposition
+const SUPPORTING_CUES = {
+  partial: [
+    /\bconvictions?\b.{0,80}\b(?:altered|modified|converted)\b/i,
+    /\bsentences?\b.{0,60}\b(?:reduced|modified|commuted)\b/i
+  ],
+  acquitted: [
+    /\bconvictions?\b.{0,60}\b(?:set\s+aside|quashed)\b/i,
+    /\bbenefit\s+of\s+(?:the\s+)?doubt\b/i
+  ],
+  guilty: [
+    /\bguilty\s+of\b/i
+  ],
+  appeal_allowed: [
+    /\bimpugned\s+(?:judgment|order|award)s?\b.{0,80}\b(?:set\s+aside|quashed)\b/i
+  ],
+  appeal_dismissed: [
+    /\b(?:find|see)\s+no\s+(?:merit|reason\s+to\s+interfere|ground\s+to\s+interfere)\b/i
+  ],
+  dismissed: [
+    /\bdismissed\b/i
+  ]
+};
+
+const CUE_TIERS = [
+  { cues: EXPLICIT_CUES, confidence: 0.9 },
+  { cues: SUPPORTING_CUES, confidence: 0.75 }
+];
+
+// "the appeal is not dismissed", "cannot in these circumstances be acquitted",
+// "not entitled to the benefit of the doubt"; up to six words back within the
+// clause, and "No." before a case number is not a negation
+const NEGATION = /(?:\b(?:not|never|cannot|neither|nor)\b|\bno\b(?!\.?\s*\d)|n't\b)(?:\s+[^\s,;:]+){0,6}\s*$/i;
+
+// Housekeeping lines in an order that say nothing about the outcome
+const HOUSEKEEPING = /\b(?:pending\s+(?:interlocutory\s+)?applications?|interlocutory\s+applications?|no\s+order\s+as\s+to\s+costs|parties\s+to\s+bear)\b/i;
+
+// Sentence ends, except after abbreviations common in judgments
+const SENTENCE_BREAK = /(?<!\b(?:v|vs|No|Nos|Mr|Mrs|Dr|Ors|Anr|Sec|Art|Co|Ltd|Hon'ble|[A-Z])\.)(?<=[.?!])\s+(?=[A-Z(])/;
+
+// Closing paragraphs read when no operative order was found
+const TAIL_PARAGRAPHS = 3;
+const LLM_TEXT_CHARS = 4000;
+
+const VERDICT_SYSTEM_PROMPT = `You are a verdict classifier for Indian court judgments.
+Output only a JSON object, with no commentary or markdown.`;
+
+/**
+ * Human-readable verdict ("appeal_allowed" -> "Appeal allowed")
+ */
+const verdictLabel = (verdict) => VERDICT_LABELS[verdict] || VERDICT_LABELS.unknown;
+
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * The text the outcome is read from, and where it came from
+ * @private
+ */
+const outcomeText = (precedent) => {
+  if (precedent.operativeOrder) {
+    return { text: precedent.operativeOrder, source: 'operative_order' };
+  }
+  const paragraphs = (precedent.decision || '').split(/\n\s*\n/).filter(p => p.trim());
+  return { text: paragraphs.slice(-TAIL_PARAGRAPHS).join('\n\n'), source: 'judgment' };
+};
+
+/**
+ * Rule-based classification of a judgment's outcome
+ *
+ * @param {Object} precedent - { operativeOrder, decision }
+ * @returns {{verdict: string, confidence: number, sentence: string|null, method: string, source: string|null}}
+ */
+const classifyVerdict = (precedent) => {
+  const { text, source } = outcomeText(precedent);
+  const sentences = normalize(text)
+    .split(SENTENCE_BREAK)
+    .filter(sentence => sentence && !HOUSEKEEPING.test(sentence));
+
+  for (const tier of CUE_TIERS) {
+    for (const sentence of [...sentences].reverse()) {
+      for (const [verdict, patterns] of Object.entries(tier.cues)) {
+        const matched = patterns.some(pattern => {
+          const match = sentence.match(pattern);
+          return match && !NEGATION.test(sentence.substring(0, match.index));
+        });
+        if (!matched) continue;
+
+        // Closing paragraphs may still be recounting the lower court's order
+        const confidence = tier.confidence * (source === 'operative_order' ? 1 : 0.8);
+        return {
+          verdict,
+          confidence: Math.round(confidence * 100) / 100,
+          sentence: sentence.length > 400 ? `${sentence.substring(0, 400)}...` : sentence,
+          method: 'rules',
+          source
+        };
+      }
+    }
+  }
+
+  return { verdict: 'unknown', confidence: 0, sentence: null, method: 'rules', source: text ? source : null };
+};
+
+/**
+ * Ask the LLM for the outcome; the quoted sentence must be in the judgment
+ *
+ * @param {Object} precedent - { title, operativeOrder, decision }
+ * @returns {Promise<Object>} Same shape as classifyVerdict
+ */
+const classifyVerdictWithLLM = async (precedent) => {
+  const { source } = outcomeText(precedent);
+  const text = precedent.operativeOrder || (precedent.decision || '').slice(-LLM_TEXT_CHARS);
+  if (!text.trim()) {
+    return { verdict: 'unknown', confidence: 0, sentence: null, method: 'llm', source: null };
+  }
+
+  const prompt = `Classify the outcome of this judgment as exactly ONE of: ${VERDICTS.join(', ')}.
+- acquitted / guilty / not_guilty: the final result for the accused
+- partial: appeal or petition partly allowed, or conviction/sentence modified
+- appeal_allowed / appeal_dismissed: result of an appeal, revision or petition
+- dismissed: suit, complaint or original petition dismissed
+- unknown: the text does not state the outcome
+
+Title: ${precedent.title || 'Unknown'}
+
+JUDGMENT TEXT:
+${text}
+
+Return {"verdict": "...", "confidence": 0-1, "sentence": "the sentence from the text that states the outcome, copied exactly"}`;
+
+  const response = await getLLMProvider().chat([
+    { role: 'system', content: VERDICT_SYSTEM_PROMPT },
+    { role: 'user', content: prompt }
+  ], { temperature: 0, maxTokens: 300, json: true });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(response.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    throw new Error(`Verdict classifier returned invalid JSON: ${error.message}`);
+  }
+
+  const sentence = normalize(parsed.sentence);
+  const grounded = sentence && normalize(text).toLowerCase().includes(sentence.toLowerCase());
+  if (!VERDICTS.includes(parsed.verdict) || parsed.verdict === 'unknown' || !grounded) {
+    return { verdict: 'unknown', confidence: 0, sentence: null, method: 'llm', source };
+  }
+
+  const confidence = Math.min(Math.max(Number(parsed.confidence) || 0, 0), 0.7);
+  return { verdict: parsed.verdict, confidence, sentence, method: 'llm', source };
+};
+
+/**
+ * Classify a precedent and store the verdict with its basis
+ *
+ * @param {Object} precedent - CasePrecedent document
+ * @param {Object} options - { useLLM } (default VERDICT_LLM_FALLBACK)
+ * @returns {Promise<Object>} The classification
+ */
+const classifyPrecedentVerdict = async (precedent, { useLLM = LLM_FALLBACK } = {}) => {
+  let result = classifyVerdict(precedent);
+
+  if (result.verdict === 'unknown' && useLLM) {
+    try {
+      result = await classifyVerdictWithLLM(precedent);
+    } catch (error) {
+      console.warn(`  ⚠ LLM verdict fallback failed for ${precedent.caseNumber}:`, error.message);
+    }
+  }
+
+  precedent.set({
+    verdict: result.verdict,
+    verdictBasis: {
+      confidence: result.confidence,
+      sentence: result.sentence,
+      method: result.method,
+      source: result.source,
+      classifiedAt: new Date()
+    }
+  });
+  await precedent.save();
+  return result;
+};
+
+/**
+ * Classify stored precedents (job handler for 'verdict-classify')
+ *
+ * By default only precedents still 'unknown' are classified (skipping those
+ * the LLM already could not place); `reclassify` reruns every precedent whose
+ * verdict was set by the classifier. Hand-entered verdicts are never touched.
+ *
+ * @param {Object} payload - { limit, useLLM, reclassify }
+ * @param {Object} ctx - Job context (progress / cancellation)
+ */
+const classifyAllVerdicts = async ({ limit = 500, useLLM = LLM_FALLBACK, reclassify = false } = {}, ctx) => {
+  const filter = reclassify
+    ? { $or: [{ verdict: 'unknown' }, { 'verdictBasis.method': { $in: ['rules', 'llm'] } }] }
+    : { verdict: 'unknown', 'verdictBasis.method': { $ne: 'llm' } };
+  filter.$and = [{ $or: [{ operativeOrder: { $nin: [null, ''] } }, { decision: { $nin: [null, ''] } }] }];
+
+  const precedents = await CasePrecedent.find(filter).limit(limit);
+  const stats = { candidates: precedents.length, classified: 0, unknown: 0, byLLM: 0, failed: 0, verdicts: {} };
+  console.log(`[Verdicts] Classifying ${precedents.length} precedents${useLLM ? ' (LLM fallback on)' : ''}`);
+
+  for (const [i, precedent] of precedents.entries()) {
+    await ctx.throwIfCancelled();
+    await ctx.progress(i, precedents.length, `Classifying ${precedent.caseNumber}`);
+
+    try {
+      const result = await classifyPrecedentVerdict(precedent, { useLLM });
+      if (result.verdict === 'unknown') {
+        stats.unknown++;
+      } else {
+        stats.classified++;
+        stats.verdicts[result.verdict] = (stats.verdicts[result.verdict] || 0) + 1;
+        if (result.method === 'llm') stats.byLLM++;
+      }
+    } catch (error) {
+      console.error(`  ✗ Verdict classification failed for ${precedent.caseNumber}:`, error.message);
+      stats.failed++;
+    }
+  }
+
+  console.log(`✓ Verdicts classified: ${stats.classified} classified, ${stats.unknown} unknown, ${stats.failed} failed`);
+  return stats;
+};
+
+module.exports = {
+  VERDICTS,
+  verdictLabel,
+  classifyVerdict,
+  classifyVerdictWithLLM,
+  classifyPrecedentVerdict,
+  classifyAllVerdicts
+};
@@ -0,0 +1,62 @@
+const { classifyVerdict, verdictLabel } = require('./verdictClassifierService');
+
+const fromOrder = (operativeOrder) => classifyVerdict({ operativeOrder });
+
+describe('classifyVerdict', () => {
+  test.each([
+    ['The appeal is dismissed.', 'appeal_dismissed'],
+    ['Criminal Appeal No. 123 of 2015 is dismissed.', 'appeal_dismissed'],
+    ['Civil Appeal Nos. 4-5 of 2019 are accordingly dismissed.', 'appeal_dismissed'],
+    ['The appeal is allowed.', 'appeal_allowed'],
+    ['Criminal Appeal No. 77 of 2011 is allowed.', 'appeal_allowed'],
+    ['The appeal is partly allowed.', 'partial'],
+    ['The appeal is allowed. The appellant is acquitted of all charges.', 'acquitted'],
+    ['The conviction under Section 302 IPC is upheld and the appeal is dismissed.', 'guilty'],
+    ['The writ petition is dismissed.', 'dismissed'],
+    ['The suit stands dismissed.', 'dismissed'],
+    ['The accused is found not guilty.', 'not_guilty']
+  ])('%s -> %s', (order, expected) => {
+    expect(fromOrder(order).verdict).toBe(expected);
+  });
+
+  test.each([
+    ['The appellant is not entitled to the benefit of the doubt. The appeal is dismissed.', 'appeal_dismissed'],
+    ['The submission that the conviction should be set aside has no merit. Accordingly, the appeal is dismissed.', 'appeal_dismissed'],
+    ['The accused relied on the benefit of the doubt. Criminal Appeal No. 123 of 2015 is dismissed.', 'appeal_dismissed'],
+    ['The High Court had allowed the appeal. On a careful reading of the evidence, the appellant is acquitted.', 'acquitted']
+  ])('explicit disposition beats looser phrases: %s', (order, expected) => {
+    expect(fromOrder(order).verdict).toBe(expected);
+  });
+
+  test.each([
+    ['The conviction and sentence are set aside.', 'acquitted'],
+    ['The appellant is given the benefit of doubt.', 'acquitted'],
+    ['We find no merit in this appeal.', 'appeal_dismissed'],
+    ['The impugned judgment is set aside and the matter remanded.', 'appeal_allowed'],
+    ['The sentence is reduced to the period already undergone.', 'partial']
+  ])('falls back to supporting phrases: %s -> %s', (order, expected) => {
+    const result = fromOrder(order);
+    expect(result.verdict).toBe(expected);
+    expect(result.confidence).toBe(0.75);
+  });
+
+  test.each([
+    'The appeal cannot in these circumstances be dismissed.',
+    'The appellant is not entitled to the benefit of the doubt.',
+    'Pending applications, if any, stand dismissed.'
+  ])('finds no outcome in %s', (order) => {
+    expect(fromOrder(order).verdict).toBe('unknown');
+  });
+
+  test('reads the closing paragraphs with lower confidence when there is no operative order', () => {
+    const result = classifyVerdict({ decision: 'Facts.\n\nArguments.\n\nThe appeal is dismissed.' });
+    expect(result).toMatchObject({ verdict: 'appeal_dismissed', confidence: 0.72, source: 'judgment' });
+  });
+});
+
+describe('verdictLabel', () => {
+  test('labels known and unknown verdicts', () => {
+    expect(verdictLabel('appeal_allowed')).toBe('Appeal allowed');
+    expect(verdictLabel('bogus')).toBe('Not specified');
+  });
+});
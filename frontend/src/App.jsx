@@ -10,6 +10,7 @@ import SearchLawyers from './pages/SearchLawyers';
 import Subscription from './pages/Subscription';
 import Landing from './pages/Landing';
 import CaseDetails from './pages/CaseDetails';
+import AdminDashboard from './pages/AdminDashboard';
 
 // Protected Route Component
 const ProtectedRoute = ({ children, allowedRoles }) => {
@@ -82,6 +83,16 @@ function App() {
               }
             />
 
+            {/* Admin Routes */}
+            <Route
+              path="/admin-dashboard"
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminDashboard />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Fallback */}
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
@@ -0,0 +1,437 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import {
+  LayoutDashboard, ShieldCheck, Users, CreditCard, BookOpen, Activity,
+  LogOut, Search, Loader2, Trash2, XCircle, FileText
+} from 'lucide-react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
+
+const authHeaders = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+const TABS = [
+  { id: 'overview', label: 'Overview', icon: LayoutDashboard },
+  { id: 'verification', label: 'Verification', icon: ShieldCheck },
+  { id: 'users', label: 'Users', icon: Users },
+  { id: 'subscriptions', label: 'Subscriptions', icon: CreditCard },
+  { id: 'precedents', label: 'Precedents', icon: BookOpen },
+  { id: 'jobs', label: 'Jobs', icon: Activity }
+];
+
+const JOB_STATUS_BADGES = {
+  completed: 'badge-green',
+  running: 'badge-purple',
+  queued: 'badge-amber',
+  failed: 'badge-red',
+  cancelled: 'badge-red'
+};
+
+// Loads `path` and reloads whenever `params` change
+const useAdminList = (path, params) => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== '')).toString();
+
+  const reload = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_URL}${path}${query ? `?${query}` : ''}`, authHeaders());
+      setData(res.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load');
+    }
+  }, [path, query]);
+
+  useEffect(() => { reload(); }, [reload]);
+  return { data, error, reload };
+};
+
+const Spinner = () => (
+  <div className="flex justify-center py-16"><Loader2 className="w-8 h-8 text-violet-400 animate-spin" /></div>
+);
+
+const ErrorNote = ({ message }) => message
+  ? <div className="p-4 rounded-lg bg-red-500/10 border border-red-500/20 text-red-200 text-sm">{message}</div>
+  : null;
+
+const SearchBox = ({ value, onChange, placeholder }) => (
+  <div className="relative flex-1">
+    <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-500" />
+    <input value={value} onChange={(e) => onChange(e.target.value)} placeholder={placeholder}
+      className="w-full pl-9 pr-4 py-2 glass-input text-sm" />
+  </div>
+);
+
+const StatCard = ({ label, value, detail }) => (
+  <div className="glass p-5">
+    <div className="text-2xl font-bold text-white">{value ?? 0}</div>
+    <div className="text-xs text-slate-400 mt-1 uppercase tracking-wider">{label}</div>
+    {detail && <div className="text-xs text-slate-500 mt-2">{detail}</div>}
+  </div>
+);
+
+const Breakdown = ({ title, counts }) => (
+  <div className="glass p-5">
+    <h4 className="text-sm font-medium text-slate-400 uppercase tracking-wider mb-3">{title}</h4>
+    <div className="space-y-1.5">
+      {Object.entries(counts || {}).map(([key, count]) => (
+        <div key={key} className="flex justify-between text-sm">
+          <span className="text-slate-300 capitalize">{key.replace(/_/g, ' ')}</span>
+          <span className="text-white font-mono">{count}</span>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+const Overview = () => {
+  const { data: stats, error } = useAdminList('/admin/stats', {});
+  if (error) return <ErrorNote message={error} />;
+  if (!stats) return <Spinner />;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatCard label="Users" value={stats.users.total} detail={`${stats.users.newLast30Days} new in 30 days`} />
+        <StatCard label="Awaiting review" value={stats.lawyers.awaitingReview} detail={`${stats.lawyers.total} lawyers`} />
+        <StatCard label="Cases" value={stats.cases.total} />
+        <StatCard label="Precedents" value={stats.precedents.total} detail={`${stats.precedents.indexed} indexed`} />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Breakdown title="Users by type" counts={stats.users.byType} />
+        <Breakdown title="Lawyer verification" counts={stats.lawyers.byVerificationStatus} />
+        <Breakdown title="Active plans" counts={stats.subscriptions.activeByTier} />
+        <Breakdown title="Cases by status" counts={stats.cases.byStatus} />
+        <Breakdown title="Jobs (24h)" counts={stats.jobs.last24HoursByStatus} />
+        <Breakdown title="Ingestion" counts={{
+          saved_queries: stats.ingestion.savedQueries,
+          enabled_queries: stats.ingestion.enabledQueries,
+          last_run_indexed: stats.ingestion.lastRun?.result?.indexed ?? 0
+        }} />
+      </div>
+      {stats.jobs.recentFailures.length > 0 && (
+        <div className="glass p-5">
+          <h4 className="text-sm font-medium text-slate-400 uppercase tracking-wider mb-3">Recent failed jobs</h4>
+          {stats.jobs.recentFailures.map(job => (
+            <div key={job._id} className="text-sm py-1.5 border-b border-white/5 last:border-0">
+              <span className="text-white font-mono">{job.type}</span>
+              <span className="text-red-300 ml-3">{job.error}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const VerificationQueue = () => {
+  const { data, error, reload } = useAdminList('/lawyers/verification/queue', {});
+  const [reasons, setReasons] = useState({});
+  const [actionError, setActionError] = useState('');
+
+  const review = async (lawyerId, action) => {
+    try {
+      await axios.put(`${API_URL}/lawyers/${lawyerId}/verify`, { action, reason: reasons[lawyerId] || '' }, authHeaders());
+      setActionError('');
+      reload();
+    } catch (err) {
+      setActionError(err.response?.data?.error || 'Review failed');
+    }
+  };
+
+  const openDocument = async (lawyerId, docId) => {
+    const res = await axios.get(`${API_URL}/lawyers/${lawyerId}/verification/documents/${docId}`, {
+      ...authHeaders(), responseType: 'blob'
+    });
+    window.open(URL.createObjectURL(res.data), '_blank');
+  };
+
+  if (error) return <ErrorNote message={error} />;
+  if (!data) return <Spinner />;
+  if (data.lawyers.length === 0) return <p className="text-slate-400 text-sm">No submissions awaiting review.</p>;
+
+  return (
+    <div className="space-y-4">
+      <ErrorNote message={actionError} />
+      {data.lawyers.map(lawyer => (
+        <div key={lawyer.id} className="glass p-6 space-y-4">
+          <div className="flex items-start justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-white">{lawyer.user?.name}</h3>
+              <p className="text-slate-400 text-sm">{lawyer.user?.email} · {lawyer.licenseNumber} · {lawyer.barCouncil}</p>
+            </div>
+            <span className={`badge ${lawyer.renewal ? 'badge-amber' : 'badge-purple'}`}>{lawyer.renewal ? 'Renewal' : 'New'}</span>
+          </div>
+          <div className="flex flex-wrap gap-2 text-xs">
+            <span className={`badge ${lawyer.checks.licenseFormat.valid ? 'badge-green' : 'badge-red'}`}>
+              {lawyer.checks.licenseFormat.valid ? 'License format OK' : lawyer.checks.licenseFormat.error}
+            </span>
+            {lawyer.checks.experienceConsistent === false && (
+              <span className="badge badge-amber">Experience exceeds years since enrollment</span>
+            )}
+            {lawyer.checks.missingDocuments.map(kind => (
+              <span key={kind} className="badge badge-red">Missing {kind.replace(/_/g, ' ')}</span>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {lawyer.documents.map(doc => (
+              <button key={doc.id} onClick={() => openDocument(lawyer.id, doc.id)} className="btn-ghost px-3 py-1.5 text-xs flex items-center gap-1.5">
+                <FileText className="w-3 h-3" /> {doc.kind.replace(/_/g, ' ')}: {doc.filename}
+              </button>
+            ))}
+          </div>
+          <textarea placeholder="Reason (required to reject or request information)" rows="2"
+            value={reasons[lawyer.id] || ''} onChange={(e) => setReasons({ ...reasons, [lawyer.id]: e.target.value })}
+            className="w-full px-4 py-2 glass-input text-sm" />
+          <div className="flex gap-2">
+            <button onClick={() => review(lawyer.id, 'approve')} className="btn-success px-4 py-2 text-sm">Approve</button>
+            <button onClick={() => review(lawyer.id, 'request_info')} className="btn-ghost px-4 py-2 text-sm">Request info</button>
+            <button onClick={() => review(lawyer.id, 'reject')} className="btn-danger px-4 py-2 text-sm">Reject</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const UsersTab = () => {
+  const [q, setQ] = useState('');
+  const [userType, setUserType] = useState('');
+  const { data, error, reload } = useAdminList('/admin/users', { q, userType });
+
+  const changeRole = async (userId, newType) => {
+    try {
+      await axios.patch(`${API_URL}/admin/users/${userId}/role`, { userType: newType }, authHeaders());
+      reload();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Could not change account type');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-3">
+        <SearchBox value={q} onChange={setQ} placeholder="Name, email or phone" />
+        <select value={userType} onChange={(e) => setUserType(e.target.value)} className="glass-input px-3 py-2 text-sm">
+          <option value="">All types</option>
+          <option value="client">Clients</option>
+          <option value="lawyer">Lawyers</option>
+          <option value="admin">Admins</option>
+        </select>
+      </div>
+      <ErrorNote message={error} />
+      {!data ? <Spinner /> : (
+        <div className="glass divide-y divide-white/5">
+          {data.users.map(user => (
+            <div key={user._id} className="flex items-center justify-between p-4 text-sm">
+              <div>
+                <div className="text-white font-medium">{user.name}</div>
+                <div className="text-slate-400">{user.email} · {user.phone}</div>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className="badge badge-purple">{user.subscription?.tier || 'no plan'}</span>
+                <select value={user.userType} onChange={(e) => changeRole(user._id, e.target.value)} className="glass-input px-2 py-1 text-xs">
+                  <option value="client">client</option>
+                  <option value="lawyer">lawyer</option>
+                  <option value="admin">admin</option>
+                </select>
+              </div>
+            </div>
+          ))}
+          <div className="p-3 text-xs text-slate-500">{data.users.length} of {data.total}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SubscriptionsTab = () => {
+  const [tier, setTier] = useState('');
+  const { data, error, reload } = useAdminList('/admin/subscriptions', { tier });
+
+  const update = async (userId, changes) => {
+    try {
+      await axios.patch(`${API_URL}/admin/subscriptions/${userId}`, changes, authHeaders());
+      reload();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Could not update subscription');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <select value={tier} onChange={(e) => setTier(e.target.value)} className="glass-input px-3 py-2 text-sm">
+        <option value="">All tiers</option>
+        <option value="free">Free</option>
+        <option value="premium">Premium</option>
+        <option value="pro">Pro</option>
+      </select>
+      <ErrorNote message={error} />
+      {!data ? <Spinner /> : (
+        <div className="glass divide-y divide-white/5">
+          {data.subscriptions.map(sub => (
+            <div key={sub._id} className="flex items-center justify-between p-4 text-sm">
+              <div>
+                <div className="text-white font-medium">{sub.userId?.name}</div>
+                <div className="text-slate-400">{sub.userId?.email}</div>
+              </div>
+              <div className="flex items-center gap-3">
+                <select value={sub.tier} onChange={(e) => update(sub.userId?._id, { tier: e.target.value })} className="glass-input px-2 py-1 text-xs">
+                  <option value="free">free</option>
+                  <option value="premium">premium</option>
+                  <option value="pro">pro</option>
+                </select>
+                <button onClick={() => update(sub.userId?._id, { isActive: !sub.isActive })}
+                  className={`badge ${sub.isActive ? 'badge-green' : 'badge-red'}`}>
+                  {sub.isActive ? 'Active' : 'Inactive'}
+                </button>
+              </div>
+            </div>
+          ))}
+          <div className="p-3 text-xs text-slate-500">{data.subscriptions.length} of {data.total}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PrecedentsTab = () => {
+  const [q, setQ] = useState('');
+  const { data, error, reload } = useAdminList('/admin/precedents', { q });
+
+  const remove = async (precedent) => {
+    if (!window.confirm(`Delete "${precedent.title}" and its index entries?`)) return;
+    try {
+      await axios.delete(`${API_URL}/admin/precedents/${precedent._id}`, authHeaders());
+      reload();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Could not delete precedent');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <SearchBox value={q} onChange={setQ} placeholder="Title, case number or court" />
+      <ErrorNote message={error} />
+      {!data ? <Spinner /> : (
+        <div className="glass divide-y divide-white/5">
+          {data.precedents.map(precedent => (
+            <div key={precedent._id} className="flex items-center justify-between p-4 text-sm">
+              <div className="min-w-0">
+                <div className="text-white font-medium truncate">{precedent.title}</div>
+                <div className="text-slate-400">
+                  {precedent.court} · {precedent.year} · {precedent.verdict.replace(/_/g, ' ')} · {precedent.indexedChunks || 0} chunks
+                </div>
+              </div>
+              <button onClick={() => remove(precedent)} className="btn-ghost p-2 text-red-300" title="Delete">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <div className="p-3 text-xs text-slate-500">{data.precedents.length} of {data.total}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const JobsTab = () => {
+  const [status, setStatus] = useState('');
+  const { data, error, reload } = useAdminList('/admin/jobs', { status });
+
+  const cancel = async (jobId) => {
+    try {
+      await axios.post(`${API_URL}/admin/jobs/${jobId}/cancel`, {}, authHeaders());
+      reload();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Could not cancel job');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-3">
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="glass-input px-3 py-2 text-sm">
+          <option value="">All statuses</option>
+          {Object.keys(JOB_STATUS_BADGES).map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <button onClick={reload} className="btn-ghost px-4 py-2 text-sm">Refresh</button>
+      </div>
+      <ErrorNote message={error} />
+      {!data ? <Spinner /> : (
+        <div className="glass divide-y divide-white/5">
+          {data.jobs.map(job => (
+            <div key={job._id} className="flex items-center justify-between p-4 text-sm">
+              <div>
+                <div className="text-white font-mono">{job.type}</div>
+                <div className="text-slate-400">
+                  {job.createdBy?.name || 'scheduler'} · {new Date(job.createdAt).toLocaleString()}
+                  {job.progress?.message && ` · ${job.progress.message}`}
+                </div>
+                {job.error && <div className="text-red-300 text-xs mt-1">{job.error}</div>}
+              </div>
+              <div className="flex items-center gap-3">
+                <span className={`badge ${JOB_STATUS_BADGES[job.status]}`}>{job.status}</span>
+                {['queued', 'running'].includes(job.status) && (
+                  <button onClick={() => cancel(job._id)} className="btn-ghost p-2" title="Cancel">
+                    <XCircle className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+          <div className="p-3 text-xs text-slate-500">{data.jobs.length} of {data.total}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TAB_CONTENT = {
+  overview: Overview,
+  verification: VerificationQueue,
+  users: UsersTab,
+  subscriptions: SubscriptionsTab,
+  precedents: PrecedentsTab,
+  jobs: JobsTab
+};
+
+export default function AdminDashboard() {
+  const navigate = useNavigate();
+  const [tab, setTab] = useState('overview');
+  const Content = TAB_CONTENT[tab];
+
+  const handleLogout = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('userType');
+    navigate('/login');
+  };
+
+  return (
+    <div className="min-h-screen">
+      <nav className="glass-nav sticky top-0 z-30">
+        <div className="max-w-7xl mx-auto flex items-center justify-between px-6 py-4">
+          <h1 className="text-xl font-bold gradient-text">Verdix Admin</h1>
+          <button onClick={handleLogout} className="btn-ghost px-4 py-2 text-sm flex items-center gap-2">
+            <LogOut className="w-4 h-4" /> Logout
+          </button>
+        </div>
+      </nav>
+
+      <div className="max-w-7xl mx-auto px-6 py-8">
+        <div className="flex flex-wrap gap-2 mb-8">
+          {TABS.map(({ id, label, icon: Icon }) => (
+            <button key={id} onClick={() => setTab(id)}
+              className={`${tab === id ? 'btn-gradient' : 'btn-ghost'} px-4 py-2 text-sm flex items-center gap-2`}>
+              <Icon className="w-4 h-4" /> {label}
+            </button>
+          ))}
+        </div>
+        <div className="animate-fade-in">
+          <Content />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -9,6 +9,20 @@ import { motion } from 'framer-motion';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001/api';
 
+const CITATION_STATUS_STYLES = {
+    'verified': { label: 'Verified', className: 'bg-green-500/10 text-green-400 border-green-500/30' },
+    'not-in-context': { label: 'Not in retrieved precedents', className: 'bg-amber-500/10 text-amber-400 border-amber-500/30' },
+    'unverified': { label: 'Unverified', className: 'bg-red-500/10 text-red-400 border-red-500/30' }
+};
+
+const CitationBadge = ({ status }) => {
+    const style = CITATION_STATUS_STYLES[status];
+    if (!style) return null;
+    return (
+        <span className={`px-2 py-0.5 rounded-full text-xs border ${style.className}`}>{style.label}</span>
+    );
+};
+
 const AnalysisTab = ({ analysis }) => {
     if (!analysis) return (
         <div className="glass p-12 text-center text-slate-400">
@@ -17,6 +31,13 @@ const AnalysisTab = ({ analysis }) => {
         </div>
     );
 
+    const prediction = analysis.verdictPrediction;
+    const citations = analysis.grounding?.citations || [];
+    const flagged = citations.filter(c => c.status !== 'verified');
+    const precedentStatus = (prec) => citations.find(c =>
+        c.type === 'case' && ((prec.citation && c.citation === prec.citation) || c.caseName === prec.caseName)
+    )?.status;
+
     return (
         <motion.div
             initial={{ opacity: 0 }}
@@ -28,19 +49,83 @@ const AnalysisTab = ({ analysis }) => {
                     <Scale className="w-5 h-5 text-violet-400" />
                     Likelihood of Success
                 </h3>
-                <p className="text-slate-300 leading-relaxed">{analysis.likelihoodOfSuccess}</p>
+                {prediction?.outcome ? (
+                    <>
+                        <p className="text-slate-200 font-medium">
+                            {prediction.outcome}
+                            {typeof prediction.probability === 'number' && (
+                                <span className="ml-2 text-violet-300">{Math.round(prediction.probability * 100)}%</span>
+                            )}
+                        </p>
+                        {prediction.reasoning && (
+                            <p className="text-slate-400 text-sm mt-2 leading-relaxed">{prediction.reasoning}</p>
+                        )}
+                    </>
+                ) : (
+                    <p className="text-slate-300 leading-relaxed">{analysis.possibleVerdict || analysis.summary}</p>
+                )}
+                {analysis.structured && analysis.summary && (
+                    <p className="text-slate-300 leading-relaxed mt-4">{analysis.summary}</p>
+                )}
             </div>
 
+            {analysis.applicableSections?.length > 0 && (
+                <div className="glass p-6">
+                    <h3 className="text-sm font-semibold text-violet-400 uppercase tracking-wider mb-4 flex items-center gap-2">
+                        <FileText className="w-4 h-4" /> Applicable Sections
+                    </h3>
+                    <div className="space-y-3">
+                        {analysis.applicableSections.map((sec, i) => (
+                            <div key={i} className="text-sm">
+                                <span className="font-medium text-slate-200">
+                                    {sec.act} Section {sec.section}{sec.title ? ` - ${sec.title}` : ''}
+                                </span>
+                                {sec.equivalent?.section && (
+                                    <span className="ml-2 text-xs px-2 py-0.5 rounded bg-violet-500/10 text-violet-300">
+                                        = {sec.equivalent.act} {sec.equivalent.section}
+                                    </span>
+                                )}
+                                <p className="text-slate-400">{sec.reasoning}</p>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {analysis.legalArguments && (
+                <div className="grid md:grid-cols-2 gap-6">
+                    {[
+                        ['Prosecution / Plaintiff', analysis.legalArguments.prosecution],
+                        ['Defence', analysis.legalArguments.defence]
+                    ].map(([side, args]) => (
+                        <div key={side} className="glass p-6">
+                            <h3 className="text-sm font-semibold text-slate-300 uppercase tracking-wider mb-4">{side} Arguments</h3>
+                            <ul className="space-y-3">
+                                {args?.map((arg, i) => (
+                                    <li key={i} className="flex gap-3 text-slate-300 text-sm">
+                                        <span className="w-1.5 h-1.5 rounded-full bg-violet-500 mt-2 shrink-0" />
+                                        {arg}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             <div className="grid md:grid-cols-2 gap-6">
                 <div className="glass p-6">
                     <h3 className="text-sm font-semibold text-green-400 uppercase tracking-wider mb-4 flex items-center gap-2">
                         <CheckCircle className="w-4 h-4" /> Recommended Strategies
                     </h3>
                     <ul className="space-y-3">
-                        {analysis.recommendedStrategy?.map((strat, i) => (
+                        {analysis.roadmap?.map((step, i) => (
                             <li key={i} className="flex gap-3 text-slate-300 text-sm">
                                 <span className="w-1.5 h-1.5 rounded-full bg-green-500 mt-2 shrink-0" />
-                                {strat}
+                                <span>
+                                    <span className="font-medium text-slate-200">{step.action}</span>
+                                    {step.details && ` - ${step.details}`}
+                                </span>
                             </li>
                         ))}
                     </ul>
@@ -49,14 +134,12 @@ const AnalysisTab = ({ analysis }) => {
                     <h3 className="text-sm font-semibold text-red-400 uppercase tracking-wider mb-4 flex items-center gap-2">
                         <AlertTriangle className="w-4 h-4" /> Potential Risks
                     </h3>
-                    <ul className="space-y-3">
-                        {analysis.risks?.map((risk, i) => (
-                            <li key={i} className="flex gap-3 text-slate-300 text-sm">
-                                <span className="w-1.5 h-1.5 rounded-full bg-red-500 mt-2 shrink-0" />
-                                {risk}
-                            </li>
-                        ))}
-                    </ul>
+                    <p className="text-slate-200 font-medium mb-2">
+                        {analysis.risk?.level || analysis.riskLevel} Risk
+                    </p>
+                    {analysis.risk?.justification && (
+                        <p className="text-slate-300 text-sm leading-relaxed">{analysis.risk.justification}</p>
+                    )}
                 </div>
             </div>
 
@@ -66,17 +149,45 @@ const AnalysisTab = ({ analysis }) => {
                     Key Precedents
                 </h3>
                 <div className="space-y-4">
-                    {analysis.keyPrecedents?.map((prec, i) => (
+                    {analysis.citedPrecedents?.map((prec, i) => (
                         <div key={i} className="p-4 bg-slate-800/50 rounded-xl border border-white/5 hover:border-violet-500/30 transition-colors">
                             <div className="flex justify-between items-start mb-1">
-                                <span className="font-medium text-slate-200">{prec.caseName}</span>
-                                <span className="text-xs text-slate-500">{prec.year}</span>
+                                <span className="font-medium text-slate-200 flex items-center gap-2">
+                                    {prec.caseName}
+                                    <CitationBadge status={precedentStatus(prec)} />
+                                </span>
+                                <span className="text-xs text-slate-500">{prec.citation || prec.year}</span>
                             </div>
                             <p className="text-sm text-slate-400">{prec.relevance}</p>
                         </div>
                     ))}
                 </div>
             </div>
+
+            {analysis.grounding && (
+                <div className="glass p-6">
+                    <h3 className="text-lg font-semibold text-white mb-2 flex items-center gap-2">
+                        <CheckCircle className="w-5 h-5 text-green-400" />
+                        Citation Check
+                    </h3>
+                    <p className="text-sm text-slate-400 mb-4">
+                        {analysis.grounding.summary.verified} of {analysis.grounding.summary.total} citations verified against retrieved precedents.
+                    </p>
+                    {flagged.length > 0 && (
+                        <ul className="space-y-3">
+                            {flagged.map((c, i) => (
+                                <li key={i} className="flex justify-between items-start gap-4 text-sm">
+                                    <div>
+                                        <span className="text-slate-200">{c.caseName || c.citation || c.text}</span>
+                                        {c.reason && <p className="text-slate-500 text-xs">{c.reason}</p>}
+                                    </div>
+                                    <CitationBadge status={c.status} />
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
         </motion.div>
     );
 };
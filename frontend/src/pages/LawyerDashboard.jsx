@@ -99,13 +99,13 @@ export default function LawyerDashboard() {
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
                   <label className="block text-xs font-medium text-slate-400 mb-1.5 uppercase tracking-wider">License Number</label>
-                  <input type="text" placeholder="BAR/2024/1234" value={formData.licenseNumber}
+                  <input type="text" placeholder="D/1234/2012" value={formData.licenseNumber}
                     onChange={(e) => setFormData({ ...formData, licenseNumber: e.target.value })}
                     className="w-full px-4 py-3 glass-input text-sm" required />
                 </div>
                 <div>
                   <label className="block text-xs font-medium text-slate-400 mb-1.5 uppercase tracking-wider">Bar Council</label>
-                  <input type="text" placeholder="Bar Council of India" value={formData.barCouncil}
+                  <input type="text" placeholder="Bar Council of Delhi" value={formData.barCouncil}
                     onChange={(e) => setFormData({ ...formData, barCouncil: e.target.value })}
                     className="w-full px-4 py-3 glass-input text-sm" required />
                 </div>
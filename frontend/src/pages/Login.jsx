@@ -27,6 +27,8 @@ export default function Login() {
       // Redirect based on role
       if (res.data.user.userType === 'lawyer') {
         navigate('/lawyer-dashboard');
+      } else if (res.data.user.userType === 'admin') {
+        navigate('/admin-dashboard');
       } else {
         navigate('/client-dashboard');
       }